@@ -9,6 +9,23 @@
 const fs = require('fs');
 const path = require('path');
 const Handlebars = require('handlebars');
+const { DEFAULT_THEME, listThemes, resolveTheme } = require('./lib/themes');
+const { resolveSections, getNavigationSettings, buildNavigation } = require('./lib/sections');
+const { getI18nSettings, createTranslator, findMissingStrings, languageName, localizeConfig } = require('./lib/i18n');
+const { getPdfSettings, generatePdf } = require('./lib/pdf');
+const { getDocxSettings, generateDocx } = require('./lib/docx');
+const { buildStructuredData, validateStructuredData, serializeStructuredData } = require('./lib/structured-data');
+const { CARD_WIDTH, CARD_HEIGHT, FAVICON_FILES, getSocialCardSettings, getFaviconSettings, renderSocialCard, renderFavicons } = require('./lib/social-images');
+const { inlineIcons } = require('./lib/icons');
+const { FONT_STYLESHEET, getFontSettings, findFontFiles, buildFonts } = require('./lib/fonts');
+const { getDesignSettings, checkContrast, generateDesignStyles } = require('./lib/design');
+const { buildSkillLinks } = require('./lib/skill-links');
+const { fillSkillYears } = require('./lib/skill-years');
+const { codeFrame } = require('./lib/code-frame');
+const { findConfigFile, formatName, readConfig } = require('./lib/config-loader');
+const { checkSchemaVersion } = require('./lib/migrations');
+const { validateConfig, formatProblem } = require('./validate-config');
+const { MANIFEST_FILE, getProductionSettings, isPublishedAsset, processAssets, optimizeHtml, prefixReferences, removeStaleAssets } = require('./lib/assets');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -29,219 +46,788 @@ function log(message, color = 'reset') {
 }
 
 /**
- * Main build function
+ * Project root and default build locations
  */
-async function build() {
-    try {
-        log('\n════════════════════════════════════════', 'cyan');
-        log('   Resume Website Builder - Build', 'bright');
-        log('════════════════════════════════════════\n', 'cyan');
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_OPTIONS = {
+    configPath: null, // defaults to config/resume-data.json, .json5, .yaml or .yml
+    config: null, // resume data to build instead of reading configPath
+    srcDir: path.join(ROOT_DIR, 'src'),
+    themesDir: path.join(ROOT_DIR, 'themes'),
+    theme: null, // defaults to settings.theme from the config
+    templatePath: null, // defaults to the theme's index.html
+    outDir: path.join(ROOT_DIR, 'dist'),
+    production: false,
+    silent: false
+};
 
-        // Step 1: Load configuration
-        log('📄 Loading configuration...', 'blue');
-        const configPath = path.join(__dirname, '../config/resume-data.json');
+/**
+ * Error thrown when a build fails.
+ * `code` identifies the failing step, `file` the offending path (if any),
+ * `line` and `column` the position in that file (if known)
+ * and `cause` the underlying error.
+ */
+class BuildError extends Error {
+    constructor(message, { code = 'BUILD_FAILED', file = null, line = null, column = null, cause = null } = {}) {
+        super(message);
+        this.name = 'BuildError';
+        this.code = code;
+        this.file = file;
+        this.line = line;
+        this.column = column;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Resolve build options against the defaults.
+ * Relative paths are resolved from the current working directory.
+ */
+function resolveOptions(options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS };
 
-        if (!fs.existsSync(configPath)) {
-            throw new Error(`Configuration file not found: ${configPath}`);
+    Object.keys(options).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) {
+            resolved[key] = options[key];
         }
+    });
 
-        let configData, config;
+    resolved.configPath = resolved.configPath || findConfigFile(path.join(ROOT_DIR, 'config'));
+
+    ['configPath', 'srcDir', 'themesDir', 'outDir'].forEach(key => {
+        resolved[key] = path.resolve(resolved[key]);
+    });
+
+    if (resolved.templatePath) {
+        resolved.templatePath = path.resolve(resolved.templatePath);
+    }
+
+    return resolved;
+}
+
+/**
+ * Main build function
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Resume data file (JSON, JSON5 or YAML)
+ * @param {Object} [options.config] - Resume data to build instead of reading configPath, such as unsaved
+ *   edits (lint-rules.json is still looked up next to configPath)
+ * @param {string} [options.srcDir] - Your own files (images/, ...), layered over the theme
+ * @param {string} [options.themesDir] - Directory holding the themes
+ * @param {string} [options.theme] - Theme name (default: settings.theme)
+ * @param {string} [options.templatePath] - Handlebars template (default: the theme's index.html)
+ * @param {string} [options.outDir] - Output directory
+ * @param {boolean} [options.production] - Minify and fingerprint the output (see settings.production)
+ * @param {boolean} [options.silent] - Suppress console output
+ * @returns {Promise<Object>} Build result: outDir, locales, configFiles (the config files read), files, warnings, duration and totalSize
+ * @throws {BuildError} When any build step fails
+ */
+async function build(options = {}) {
+    const opts = resolveOptions(options);
+    const say = opts.silent ? () => {} : log;
+    const startedAt = Date.now();
+
+    const result = {
+        outDir: opts.outDir,
+        production: Boolean(opts.production),
+        locales: [],
+        configFiles: [],
+        files: [],
+        warnings: [],
+        startedAt: new Date(startedAt),
+        duration: 0,
+        totalSize: 0
+    };
+
+    const warn = message => {
+        if (result.warnings.includes(message)) return;
+        result.warnings.push(message);
+        say(`  Warning: ${message}`, 'yellow');
+    };
+
+    // Record a file written to the output directory
+    const recordFile = filePath => {
+        const size = fs.statSync(filePath).size;
+        result.files.push({ path: path.relative(opts.outDir, filePath), size });
+        result.totalSize += size;
+    };
+
+    // Write a generated file to the output directory
+    const writeOutput = (relativePath, contents) => {
+        const outputPath = path.join(opts.outDir, relativePath);
         try {
-            configData = fs.readFileSync(configPath, 'utf-8');
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, contents, 'utf-8');
         } catch (error) {
-            throw new Error(`Failed to read configuration file: ${error.message}`);
+            throw new BuildError(`Failed to write ${relativePath}: ${error.message}`, {
+                code: 'WRITE_FAILED',
+                file: outputPath,
+                cause: error
+            });
         }
+        recordFile(outputPath);
+    };
 
-        try {
-            config = JSON.parse(configData);
-        } catch (error) {
-            log('✗ Invalid JSON in configuration file:', 'red');
-            if (error instanceof SyntaxError) {
-                log(`  ${error.message}`, 'yellow');
-                log('\n  Common JSON errors:', 'cyan');
-                log('  • Missing comma between items', 'cyan');
-                log('  • Trailing comma at end of object/array', 'cyan');
-                log('  • Missing quotes around keys or string values', 'cyan');
-                log('  • Unclosed brackets or braces', 'cyan');
-                log('\n  Tip: Validate your JSON at https://jsonlint.com\n', 'cyan');
+    try {
+        say('\n════════════════════════════════════════', 'cyan');
+        say('   Resume Website Builder - Build', 'bright');
+        say('════════════════════════════════════════\n', 'cyan');
+
+        // Step 1: Load configuration
+        say('📄 Loading configuration...', 'blue');
+        const { config: sourceConfig, files: configFiles, locate } = opts.config
+            ? { config: opts.config, files: [], locate: () => ({ file: null, line: null, column: null }) }
+            : loadConfig(opts.configPath, say);
+        result.configFiles = configFiles;
+        say(`✓ Configuration loaded successfully${configFiles.length > 1 ? ` (${configFiles.length} files)` : ''}`, 'green');
+
+        // Step 1a: Validate configuration against the schema
+        say('🔎 Validating configuration...', 'blue');
+        checkConfig(sourceConfig, locate, opts).forEach(warn);
+        say('✓ Configuration is valid', 'green');
+
+        const i18n = getI18nSettings(sourceConfig);
+        // Fields shared by every language (theme, favicons, sitemap) come from the default locale
+        const config = localizeConfig(sourceConfig, i18n.defaultLocale, i18n).config;
+
+        // Step 2: Resolve theme
+        say('🎭 Resolving theme...', 'blue');
+        const theme = loadTheme(config, opts);
+        say(`✓ Using theme: ${theme.name}`, 'green');
+
+        // Site-relative path -> file in the theme layers, or null
+        const resolveAsset = assetPath => theme.assets.get(assetPath.replace(/^\.?\//, '')) || null;
+
+        // Step 3: Load HTML template
+        say('📝 Loading HTML template...', 'blue');
+        const templatePath = opts.templatePath || theme.templatePath;
+        if (!templatePath || !fs.existsSync(templatePath)) {
+            throw new BuildError(`Template file not found: ${templatePath || path.join(theme.dir, 'index.html')}`, {
+                code: 'TEMPLATE_NOT_FOUND',
+                file: templatePath
+            });
+        }
+
+        const templateSource = fs.readFileSync(templatePath, 'utf-8');
+        checkTemplateSyntax(templateSource, templatePath);
+        say('✓ Template loaded successfully', 'green');
+
+        // Step 4: Register Handlebars helpers and theme partials
+        say('🔧 Registering Handlebars helpers and partials...', 'blue');
+        const hbs = Handlebars.create();
+        registerHelpers(hbs, createTranslator(i18n.defaultLocale, i18n.strings));
+        registerPartials(hbs, theme.partials);
+        say(`✓ Helpers and ${Object.keys(theme.partials).length} partial(s) registered`, 'green');
+
+        // Step 5: Validate profile image exists
+        say('🖼️  Validating profile image...', 'blue');
+        validateProfileImage(config, theme, opts.srcDir).forEach(warn);
+        say('✓ Profile image validated', 'green');
+
+        // Settings shared by every language
+        const pdfSettings = getPdfSettings(config);
+        const docxSettings = getDocxSettings(config);
+        const socialCardSettings = getSocialCardSettings(config);
+        const faviconSettings = getFaviconSettings(config);
+        const fontSettings = getFontSettings(config);
+        const fontFiles = findFontFiles(theme.assets, fontSettings);
+        const navigationSettings = getNavigationSettings(config.settings);
+        const designSettings = getDesignSettings(config);
+        checkContrast(designSettings).forEach(warn);
+        const designStyles = generateDesignStyles(designSettings, warn);
+
+        // Step 6: One page per language; with several, each gets its own folder (/en/, /de/)
+        const multilingual = i18n.locales.length > 1;
+        const siteUrl = (config.settings.seo.canonicalUrl || '').replace(/\/$/, '');
+        const pages = i18n.locales.map(locale => ({
+            locale,
+            dir: multilingual ? locale : '',
+            // Relative when there is no canonical URL, so hreflang links still work
+            url: multilingual ? (siteUrl ? `${siteUrl}/${locale}/` : `../${locale}/`) : (config.settings.seo.canonicalUrl || ''),
+            config: null,
+            html: null
+        }));
+        const pageLabel = page => (multilingual ? ` [${page.locale}]` : '');
+        const pageFile = (page, fileName) => path.posix.join(page.dir, fileName);
+        result.locales = [...i18n.locales];
+        if (multilingual) {
+            say(`🌍 Languages: ${i18n.locales.join(', ')} (default: ${i18n.defaultLocale})`, 'blue');
+        }
+
+        for (const page of pages) {
+            if (multilingual) {
+                say(`\n── ${languageName(page.locale)} (${page.locale}) ──`, 'bright');
+            }
+
+            // Step 6a: Resolve per-language fields and UI strings
+            // (fields missing a translation were reported by the validation step)
+            const localized = localizeConfig(sourceConfig, page.locale, i18n);
+            const missingStrings = findMissingStrings(page.locale, i18n.strings);
+            if (missingStrings.length > 0) {
+                warn(`${missingStrings.length} UI string(s) have no "${page.locale}" translation and show in English; ` +
+                    `add them to settings.i18n.strings.${page.locale}`);
+            }
+            const translator = createTranslator(page.locale, i18n.strings);
+            registerHelpers(hbs, translator);
+
+            const pageConfig = localized.config;
+            page.config = pageConfig;
+
+            // Step 6b: Add build data to config
+            pageConfig.currentYear = new Date().getFullYear();
+            pageConfig.theme = {
+                name: theme.name,
+                title: theme.manifest.title,
+                stylesheets: theme.manifest.stylesheets,
+                scripts: theme.manifest.scripts
+            };
+            pageConfig.locale = { code: page.locale, name: languageName(page.locale) };
+            pageConfig.pageUrl = page.url;
+            pageConfig.alternates = multilingual
+                ? pages.map(other => ({
+                    code: other.locale,
+                    name: languageName(other.locale),
+                    href: `../${other.locale}/`,
+                    url: other.url,
+                    current: other === page
+                }))
+                : null;
+            pageConfig.languageHomeUrl = siteUrl ? `${siteUrl}/` : '../';
+
+            // Years per detailed skill, worked out from the jobs that list it (see settings.skillYears)
+            if (pageConfig.skills) {
+                pageConfig.skills.detailed = fillSkillYears(pageConfig);
             }
-            throw error;
+
+            // Step 6c: Resolve section order and toggles
+            const sectionPlan = resolveSections(pageConfig.settings, theme.partials);
+            sectionPlan.warnings.forEach(warn);
+            pageConfig.sections = sectionPlan.sections;
+
+            // Where each skill badge was used, for the skill links and counts
+            pageConfig.skillLinks = buildSkillLinks(pageConfig, pageConfig.sections);
+
+            // Step 6d: Downloadable files linked from the page
+            pageConfig.downloads = {
+                pdf: pdfSettings.enabled ? pdfSettings.fileName : null,
+                docx: docxSettings.enabled ? docxSettings.fileName : null
+            };
+
+            // Step 6e: Social share card and favicon links
+            pageConfig.socialCard = socialCardSettings.enabled
+                ? getSocialCardMeta(pageConfig, socialCardSettings, warn, pageFile(page, socialCardSettings.fileName))
+                : null;
+            pageConfig.favicons = faviconSettings.enabled;
+
+            // Step 6f: Design tokens and the light and dark palettes from config
+            say('🎨 Generating design styles...', 'blue');
+            pageConfig.customColorStyles = designStyles;
+            pageConfig.design = { toggle: designSettings.toggle };
+            say(`✓ Design styles generated (${designSettings.colorScheme} color scheme)`, 'green');
+
+            // Step 6g: Schema.org structured data for search engines
+            say('🔎 Generating structured data...', 'blue');
+            const structuredData = buildStructuredData(pageConfig, pageConfig.sections);
+            validateStructuredData(structuredData).forEach(problem => warn(`Structured data: ${problem}`));
+            pageConfig.structuredData = serializeStructuredData(structuredData);
+            say(`✓ Structured data generated (${structuredData['@graph'].length} item(s))`, 'green');
+
+            // Step 6h: Self-hosted fonts load before the theme styles
+            if (fontFiles.length > 0) {
+                pageConfig.theme.stylesheets = [FONT_STYLESHEET, ...(pageConfig.theme.stylesheets || [])];
+            }
+
+            // Step 6i: Links to the sections that rendered something
+            pageConfig.navigation = null;
+            if (navigationSettings.enabled) {
+                const navigation = buildNavigation(pageConfig.sections, section => renderPartial(hbs, section.partial, pageConfig), translator.t);
+                navigation.warnings.forEach(warn);
+                pageConfig.navigation = navigation.links.length > 0 ? navigation.links : null;
+            }
+
+            // Step 7: Compile template
+            say('⚙️  Compiling template...', 'blue');
+            let html;
+            try {
+                const template = hbs.compile(templateSource);
+                html = template(pageConfig);
+            } catch (error) {
+                // Errors inside a partial carry its path (see registerPartials)
+                const file = error.file || templatePath;
+                const where = error.file ? ` in ${path.basename(error.file)}` : '';
+                throw new BuildError(`Template error${where}: ${error.message}`, {
+                    code: 'TEMPLATE_ERROR',
+                    file,
+                    ...getTemplateErrorLocation(error),
+                    cause: error
+                });
+            }
+            say('✓ Template compiled successfully', 'green');
+
+            // Step 7a: Replace icon font classes with an inline SVG sprite
+            say('🔣 Inlining icons...', 'blue');
+            const scriptSources = (pageConfig.theme.scripts || [])
+                .map(resolveAsset)
+                .filter(Boolean)
+                .map(file => fs.readFileSync(file, 'utf-8'));
+            const icons = inlineIcons(html, { scripts: scriptSources });
+            icons.missing.forEach(name => warn(`Icon not found in Font Awesome Free: ${name}`));
+            page.html = icons.html;
+            say(`✓ ${icons.icons.length} icon(s) inlined`, 'green');
+        }
+        if (multilingual) say('');
+
+        // Step 7b: Subset self-hosted fonts to the characters on the pages
+        const siteAssets = new Map(theme.assets);
+        if (fontFiles.length > 0) {
+            say('🔤 Subsetting fonts...', 'blue');
+            let fonts;
+            try {
+                fonts = await buildFonts(theme.assets, pages.map(page => page.html).join('\n'), fontSettings);
+            } catch (error) {
+                throw new BuildError(`Font processing failed: ${error.message}`, {
+                    code: 'ASSET_ERROR',
+                    file: error.file ? theme.assets.get(error.file) : null,
+                    cause: error
+                });
+            }
+            fonts.sources.forEach(source => siteAssets.delete(source));
+            fonts.files.forEach(file => siteAssets.set(file.path, file.data));
+            siteAssets.set(FONT_STYLESHEET, Buffer.from(fonts.css));
+            say(`✓ ${fonts.files.length} font file(s) generated: ${fonts.families.join(', ')}`, 'green');
         }
-        log('✓ Configuration loaded successfully', 'green');
 
-        // Step 2: Load HTML template
-        log('📝 Loading HTML template...', 'blue');
-        const templatePath = path.join(__dirname, '../src/index.html');
+        // Step 8: Create output directory
+        say('📁 Creating output directory...', 'blue');
+        fs.mkdirSync(opts.outDir, { recursive: true });
+        say('✓ Output directory ready', 'green');
 
-        if (!fs.existsSync(templatePath)) {
-            throw new Error(`Template file not found: ${templatePath}`);
+        // Step 9: Copy theme assets (CSS, JavaScript, images)
+        // Fingerprinted files from an earlier production build are removed first
+        const removedAssets = removeStaleAssets(opts.outDir);
+        if (removedAssets > 0) {
+            say(`  Removed ${removedAssets} outdated fingerprinted asset(s)`, 'cyan');
         }
 
-        const templateSource = fs.readFileSync(templatePath, 'utf-8');
-        log('✓ Template loaded successfully', 'green');
-
-        // Step 3: Register Handlebars helpers
-        log('🔧 Registering Handlebars helpers...', 'blue');
-        registerHelpers();
-        log('✓ Helpers registered', 'green');
-
-        // Step 4: Validate profile image exists
-        log('🖼️  Validating profile image...', 'blue');
-        validateProfileImage(config);
-        log('✓ Profile image validated', 'green');
-
-        // Step 5: Add current year to config
-        config.currentYear = new Date().getFullYear();
-
-        // Step 5a: Generate custom color styles from config
-        log('🎨 Generating custom color styles...', 'blue');
-        config.customColorStyles = generateColorStyles(config);
-        log('✓ Custom color styles generated', 'green');
-
-        // Step 6: Compile template
-        log('⚙️  Compiling template...', 'blue');
-        const template = Handlebars.compile(templateSource);
-        const html = template(config);
-        log('✓ Template compiled successfully', 'green');
-
-        // Step 7: Create dist directory
-        log('📁 Creating dist directory...', 'blue');
-        const distPath = path.join(__dirname, '../dist');
-
-        if (!fs.existsSync(distPath)) {
-            fs.mkdirSync(distPath, { recursive: true });
+        let production = null;
+        if (opts.production) {
+            say('📦 Minifying and fingerprinting theme assets...', 'blue');
+            const productionSettings = getProductionSettings(config);
+            let processed;
+            try {
+                processed = processAssets(siteAssets, productionSettings);
+            } catch (error) {
+                throw new BuildError(`Asset processing failed: ${error.message}`, {
+                    code: 'ASSET_ERROR',
+                    file: error.file ? theme.assets.get(error.file) || null : null,
+                    cause: error
+                });
+            }
+            processed.files.forEach(file => writeOutput(file.path, file.data));
+            writeOutput(MANIFEST_FILE, JSON.stringify(processed.manifest, null, 2) + '\n');
+            production = { ...processed, settings: productionSettings };
+            say(`✓ ${processed.files.length} asset(s) written, manifest: ${MANIFEST_FILE}`, 'green');
+        } else {
+            say('📦 Copying theme assets...', 'blue');
+            siteAssets.forEach((source, relativePath) => {
+                if (!isPublishedAsset(relativePath)) return;
+                // Generated files (fonts) are held in memory
+                if (Buffer.isBuffer(source)) {
+                    writeOutput(relativePath, source);
+                    return;
+                }
+                const destPath = path.join(opts.outDir, relativePath);
+                fs.mkdirSync(path.dirname(destPath), { recursive: true });
+                fs.copyFileSync(source, destPath);
+                recordFile(destPath);
+            });
+            say(`✓ ${siteAssets.size} asset(s) copied`, 'green');
         }
-        log('✓ Dist directory ready', 'green');
-
-        // Step 8: Write HTML output
-        log('💾 Writing HTML file...', 'blue');
-        const outputPath = path.join(distPath, 'index.html');
-        fs.writeFileSync(outputPath, html, 'utf-8');
-        log('✓ HTML file written', 'green');
-
-        // Step 9: Copy CSS files
-        log('🎨 Copying CSS files...', 'blue');
-        copyDirectory(
-            path.join(__dirname, '../src/css'),
-            path.join(distPath, 'css')
-        );
-        log('✓ CSS files copied', 'green');
 
-        // Step 10: Copy JavaScript files
-        log('⚡ Copying JavaScript files...', 'blue');
-        copyDirectory(
-            path.join(__dirname, '../src/js'),
-            path.join(distPath, 'js')
-        );
-        log('✓ JavaScript files copied', 'green');
+        // Step 10: Write HTML output
+        say('💾 Writing HTML file...', 'blue');
+        // Files at the site root that pages in a language folder reach with "../"
+        const sharedFiles = [
+            ...(production ? production.files.map(file => file.path) : siteAssets.keys()),
+            ...(faviconSettings.enabled ? FAVICON_FILES : [])
+        ];
+        for (const page of pages) {
+            let html = page.html;
+            if (production) {
+                try {
+                    html = optimizeHtml(html, {
+                        manifest: production.manifest,
+                        files: production.files,
+                        stylesheets: page.config.theme.stylesheets || [],
+                        settings: production.settings
+                    });
+                } catch (error) {
+                    throw new BuildError(`HTML optimization failed: ${error.message}`, {
+                        code: 'ASSET_ERROR',
+                        file: templatePath,
+                        cause: error
+                    });
+                }
+            }
+            if (page.dir) {
+                html = prefixReferences(html, sharedFiles, '../');
+            }
+            findExternalResources(html).forEach(url => {
+                warn(`The page loads ${url} from another server; it won't work offline`);
+            });
+            writeOutput(pageFile(page, 'index.html'), html);
+        }
+        if (multilingual) {
+            writeOutput('index.html', generateLanguageRedirect(pages, i18n.defaultLocale, config));
+        }
+        say(`✓ ${multilingual ? `${pages.length} HTML files` : 'HTML file'} written`, 'green');
+
+        // Step 11: Generate sitemap
+        say('🗺️  Generating sitemap...', 'blue');
+        writeOutput('sitemap.xml', generateSitemap(config, multilingual ? pages : []));
+        say('✓ Sitemap generated', 'green');
+
+        // Step 12: Generate robots.txt
+        say('🤖 Generating robots.txt...', 'blue');
+        writeOutput('robots.txt', generateRobotsTxt(config));
+        say('✓ Robots.txt generated', 'green');
+
+        // Step 13: Generate PDF
+        if (pdfSettings.enabled) {
+            for (const page of pages) {
+                say(`📄 Generating PDF${pageLabel(page)}...`, 'blue');
+                let pdf;
+                try {
+                    pdf = await generatePdf(page.config, {
+                        sections: page.config.sections,
+                        resolveAsset
+                    });
+                } catch (error) {
+                    throw new BuildError(`PDF generation failed: ${error.message}`, {
+                        code: 'PDF_ERROR',
+                        cause: error
+                    });
+                }
+                pdf.warnings.forEach(warn);
+                writeOutput(pageFile(page, pdfSettings.fileName), pdf.buffer);
+                say(`✓ PDF generated (${pdf.pages} page${pdf.pages === 1 ? '' : 's'})`, 'green');
+            }
+        }
 
-        // Step 11: Copy images
-        log('🖼️  Copying images...', 'blue');
-        copyDirectory(
-            path.join(__dirname, '../src/images'),
-            path.join(distPath, 'images')
-        );
-        log('✓ Images copied', 'green');
+        // Step 14: Generate DOCX
+        if (docxSettings.enabled) {
+            for (const page of pages) {
+                say(`📝 Generating DOCX${pageLabel(page)}...`, 'blue');
+                let docx;
+                try {
+                    docx = generateDocx(page.config, { sections: page.config.sections });
+                } catch (error) {
+                    throw new BuildError(`DOCX generation failed: ${error.message}`, {
+                        code: 'DOCX_ERROR',
+                        cause: error
+                    });
+                }
+                docx.warnings.forEach(warn);
+                writeOutput(pageFile(page, docxSettings.fileName), docx.buffer);
+                say('✓ DOCX generated', 'green');
+            }
+        }
 
-        // Step 12: Generate sitemap
-        log('🗺️  Generating sitemap...', 'blue');
-        generateSitemap(config);
-        log('✓ Sitemap generated', 'green');
+        // Step 15: Generate social share card
+        if (socialCardSettings.enabled) {
+            for (const page of pages) {
+                say(`🖼️  Generating social card${pageLabel(page)}...`, 'blue');
+                let card;
+                try {
+                    card = renderSocialCard(page.config, { resolveAsset });
+                } catch (error) {
+                    throw new BuildError(`Social card generation failed: ${error.message}`, {
+                        code: 'IMAGE_ERROR',
+                        cause: error
+                    });
+                }
+                card.warnings.forEach(warn);
+                writeOutput(pageFile(page, socialCardSettings.fileName), card.buffer);
+                say(`✓ Social card generated (${CARD_WIDTH}×${CARD_HEIGHT})`, 'green');
+            }
+        }
+
+        // Step 16: Generate favicons
+        if (faviconSettings.enabled) {
+            say('⭐ Generating favicons...', 'blue');
+            let favicons;
+            try {
+                favicons = renderFavicons(config, { resolveAsset });
+            } catch (error) {
+                throw new BuildError(`Favicon generation failed: ${error.message}`, {
+                    code: 'IMAGE_ERROR',
+                    cause: error
+                });
+            }
+            favicons.forEach(file => writeOutput(file.name, file.data));
+            say(`✓ ${favicons.length} favicon file(s) generated`, 'green');
+        }
 
-        // Step 13: Generate robots.txt
-        log('🤖 Generating robots.txt...', 'blue');
-        generateRobotsTxt(config);
-        log('✓ Robots.txt generated', 'green');
+        // Step 17: Generate CNAME for custom domain
+        say('🌐 Checking for custom domain...', 'blue');
+        const domain = getCustomDomain(config);
+        const cnamePath = path.join(opts.outDir, 'CNAME');
+        if (domain) {
+            writeOutput('CNAME', domain);
+            say(`  Custom domain configured: ${domain}`, 'cyan');
+        } else if (fs.existsSync(cnamePath)) {
+            // Remove CNAME if it exists but no custom domain is set
+            fs.unlinkSync(cnamePath);
+            say('  No custom domain configured', 'yellow');
+        }
+        say('✓ CNAME configuration complete', 'green');
 
-        // Step 14: Generate CNAME for custom domain
-        log('🌐 Checking for custom domain...', 'blue');
-        generateCNAME(config);
-        log('✓ CNAME configuration complete', 'green');
+        result.duration = Date.now() - startedAt;
 
         // Success message
-        log('\n════════════════════════════════════════', 'cyan');
-        log('   ✓ Build Complete!', 'green');
-        log('════════════════════════════════════════\n', 'cyan');
+        say('\n════════════════════════════════════════', 'cyan');
+        say('   ✓ Build Complete!', 'green');
+        say('════════════════════════════════════════\n', 'cyan');
 
-        log('Output directory: ' + path.relative(process.cwd(), distPath), 'cyan');
-        log('Next step: Deploy the dist folder to GitHub Pages\n', 'yellow');
+        say('Output directory: ' + path.relative(process.cwd(), opts.outDir), 'cyan');
+        say('Next step: Deploy the dist folder to GitHub Pages\n', 'yellow');
 
         // Display build summary
-        displayBuildSummary(config, distPath);
+        const defaultPage = pages.find(page => page.locale === i18n.defaultLocale) || pages[0];
+        displayBuildSummary(defaultPage.config, result, say);
+
+        return result;
 
     } catch (error) {
-        log('\n════════════════════════════════════════', 'red');
-        log('   ✗ Build Failed', 'red');
-        log('════════════════════════════════════════\n', 'red');
-
-        if (error.code === 'ENOENT') {
-            log('File not found:', 'red');
-            log(`  ${error.path}\n`, 'yellow');
-        } else if (error instanceof SyntaxError) {
-            // JSON syntax error - already handled above
-            log(`\n${error.message}\n`, 'red');
-        } else if (error.message) {
-            log(`Error: ${error.message}\n`, 'red');
+        const buildError = error instanceof BuildError
+            ? error
+            : new BuildError(error.message || 'Unexpected error occurred', {
+                code: error.code === 'ENOENT' ? 'FILE_NOT_FOUND' : 'BUILD_FAILED',
+                file: error.path || null,
+                cause: error
+            });
+
+        say('\n════════════════════════════════════════', 'red');
+        say('   ✗ Build Failed', 'red');
+        say('════════════════════════════════════════\n', 'red');
+
+        if (buildError.code === 'FILE_NOT_FOUND') {
+            say('File not found:', 'red');
+            say(`  ${buildError.file}\n`, 'yellow');
+        } else if (buildError.code === 'CONFIG_PARSE_ERROR') {
+            // Syntax error - details already printed by loadConfig()
+            say(`\n${buildError.message}\n`, 'red');
+        } else if (buildError.code === 'CONFIG_OUTDATED') {
+            say(`${buildError.message}\n`, 'red');
+            say('  Run npm run migrate -- --dry-run to preview the changes first.\n', 'cyan');
+        } else if (buildError.code === 'CONFIG_INVALID') {
+            // Each error is listed with its position - see checkConfig()
+            say(`${buildError.message}\n`, 'red');
+            say('  Run npm run validate for the full report.\n', 'cyan');
+        } else if (buildError.message) {
+            say(`Error: ${buildError.message}\n`, 'red');
         } else {
-            log('Unexpected error occurred:\n', 'red');
-            console.error(error);
+            say('Unexpected error occurred:\n', 'red');
+            if (!opts.silent) console.error(error);
         }
 
-        log('Build failed. Please fix the errors and try again.\n', 'yellow');
-        process.exit(1);
+        say('Build failed. Please fix the errors and try again.\n', 'yellow');
+        throw buildError;
     }
 }
 
 /**
- * Register Handlebars helpers
+ * Load the configuration and the files it includes
+ *
+ * @returns {{config: Object, files: string[], locate: Function}} See readConfig()
  */
-function registerHelpers() {
-    // Format date helper with support for multiple formats
-    Handlebars.registerHelper('formatDate', function(date) {
-        if (!date || date === 'Present') return 'Present';
+function loadConfig(configPath, say = log) {
+    try {
+        return readConfig(configPath);
+    } catch (error) {
+        if (error.code !== 'CONFIG_PARSE_ERROR') {
+            throw new BuildError(error.code === 'CONFIG_NOT_FOUND' ? `Configuration file not found: ${configPath}` : error.message, {
+                code: error.code || 'CONFIG_READ_FAILED',
+                file: error.file,
+                line: error.line,
+                column: error.column,
+                cause: error
+            });
+        }
 
-        try {
-            // Handle "YYYY" format (just a year)
-            if (/^\d{4}$/.test(date)) {
-                return date;
-            }
+        const ext = path.extname(error.file).toLowerCase();
+        say(`✗ Invalid ${formatName(error.file)} in ${path.relative(process.cwd(), error.file)}:`, 'red');
+        say(`  ${error.message}`, 'yellow');
+        if (error.line) {
+            say(`  at line ${error.line}, column ${error.column}`, 'yellow');
+            say(codeFrame(fs.readFileSync(error.file, 'utf-8'), error.line, error.column).replace(/^/gm, '  '), 'yellow');
+        }
+        if (ext === '.json') {
+            say('\n  Common JSON errors:', 'cyan');
+            say('  • Missing comma between items', 'cyan');
+            say('  • Trailing comma at end of object/array', 'cyan');
+            say('  • Missing quotes around keys or string values', 'cyan');
+            say('  • Unclosed brackets or braces', 'cyan');
+            say('\n  Tip: Rename the file to .json5 or .yaml to allow comments and trailing commas\n', 'cyan');
+        }
+
+        throw new BuildError(error.message, {
+            code: 'CONFIG_PARSE_ERROR',
+            file: error.file,
+            line: error.line,
+            column: error.column,
+            cause: error
+        });
+    }
+}
+
+/**
+ * Validate the configuration against schema/resume-data.schema.json
+ * and lint its content (rules in lint-rules.json next to it).
+ * Errors stop the build with the first one's position; warnings are returned.
+ *
+ * @returns {string[]} Warnings
+ * @throws {BuildError} CONFIG_OUTDATED when the config needs `npm run migrate`, CONFIG_TOO_NEW
+ *   when it is newer than the builder, CONFIG_INVALID listing every error
+ */
+function checkConfig(config, locate, opts) {
+    const outdated = checkSchemaVersion(config);
+    if (outdated && outdated.severity === 'error') {
+        throw new BuildError(outdated.message, { code: outdated.code, ...locate('/schemaVersion') });
+    }
+
+    const { errors, warnings } = validateConfig(config, {
+        silent: true,
+        locate,
+        themesDir: opts.themesDir,
+        rulesPath: path.join(path.dirname(opts.configPath), 'lint-rules.json')
+    });
+
+    if (errors.length > 0) {
+        const [first] = errors;
+        const list = errors.map(error => `  • ${formatProblem(error)}`).join('\n');
+        throw new BuildError(`Configuration has ${errors.length} error(s):\n${list}`, {
+            code: 'CONFIG_INVALID',
+            file: first.file || opts.configPath,
+            line: first.line,
+            column: first.column
+        });
+    }
+
+    return warnings.map(warning => formatProblem(warning));
+}
+
+/**
+ * Template line of a Handlebars error, when Handlebars reports one
+ */
+function getTemplateErrorLocation(error) {
+    if (error.lineNumber) {
+        // Handlebars counts columns from 0
+        return typeof error.column === 'number' ? { line: error.lineNumber, column: error.column + 1 } : { line: error.lineNumber };
+    }
+
+    const parseError = error.message.match(/Parse error on line (\d+)/);
+    return parseError ? { line: Number(parseError[1]) } : {};
+}
+
+/**
+ * Parse a template or partial up front, so syntax errors name the file they are in
+ */
+function checkTemplateSyntax(source, file) {
+    try {
+        Handlebars.parse(source);
+    } catch (error) {
+        throw new BuildError(`Template error in ${path.basename(file)}: ${error.message}`, {
+            code: 'TEMPLATE_ERROR',
+            file,
+            ...getTemplateErrorLocation(error),
+            cause: error
+        });
+    }
+}
+
+/**
+ * Resolve the theme named in the config (or options), layering the
+ * source directory over it so users can override individual files
+ */
+function loadTheme(config, opts) {
+    const name = opts.theme || (config.settings && config.settings.theme) || DEFAULT_THEME;
+
+    let theme;
+    try {
+        theme = resolveTheme(name, { themesDir: opts.themesDir, overrideDirs: [opts.srcDir] });
+    } catch (error) {
+        throw new BuildError(error.message, {
+            code: 'THEME_ERROR',
+            file: error.path || null,
+            cause: error
+        });
+    }
 
-            // Handle "YYYY-MM" format
-            if (/^\d{4}-\d{2}$/.test(date)) {
-                const [year, month] = date.split('-');
-                const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                              'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                const monthIndex = parseInt(month, 10) - 1;
-                if (monthIndex >= 0 && monthIndex < 12) {
-                    return `${months[monthIndex]} ${year}`;
+    if (!theme) {
+        const available = listThemes(opts.themesDir);
+        throw new BuildError(
+            `Theme not found: "${name}". Available themes: ${available.join(', ') || 'none'}`,
+            { code: 'THEME_NOT_FOUND', file: path.join(opts.themesDir, name) }
+        );
+    }
+
+    return theme;
+}
+
+/**
+ * Register theme partials with a Handlebars environment.
+ * Errors thrown while a partial renders get its path as `error.file`
+ * (the innermost partial's, when partials are nested).
+ */
+function registerPartials(hbs, partials) {
+    Object.keys(partials).forEach(name => {
+        const source = fs.readFileSync(partials[name], 'utf-8');
+        checkTemplateSyntax(source, partials[name]);
+        const template = hbs.compile(source);
+        hbs.registerPartial(name, (context, options) => {
+            try {
+                return template(context, options);
+            } catch (error) {
+                if (error && typeof error === 'object' && !error.file) {
+                    error.file = partials[name];
                 }
+                throw error;
             }
+        });
+    });
+}
 
-            // Handle full ISO date format (YYYY-MM-DD)
-            if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-                const d = new Date(date + 'T00:00:00');
-                const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                              'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                return `${months[d.getMonth()]} ${d.getFullYear()}`;
-            }
+/**
+ * Render one registered partial on its own
+ * (a broken partial renders nothing here; compiling the page reports the error)
+ */
+function renderPartial(hbs, name, context) {
+    try {
+        return hbs.compile(`{{> [${name}]}}`)(context);
+    } catch (error) {
+        return '';
+    }
+}
 
-            // Try to parse as a Date object for other formats
-            const d = new Date(date);
-            if (!isNaN(d.getTime())) {
-                const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                              'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                return `${months[d.getMonth()]} ${d.getFullYear()}`;
-            }
+/**
+ * Register Handlebars helpers.
+ * `translator` (see lib/i18n.js) supplies the page language's UI strings and date format;
+ * registering again switches the language.
+ */
+function registerHelpers(hbs = Handlebars, translator = createTranslator()) {
+    // Format date helper with support for multiple formats
+    hbs.registerHelper('formatDate', function(date) {
+        return translator.formatDate(date);
+    });
 
-            // If all else fails, return the original date string
-            return date;
-        } catch (e) {
-            return date;
-        }
+    // UI string in the page language: {{t "articles.readTime" minutes=readTime}}
+    hbs.registerHelper('t', function(key, options) {
+        return translator.t(key, options.hash);
     });
 
     // Conditional helper
-    Handlebars.registerHelper('if', function(conditional, options) {
+    hbs.registerHelper('if', function(conditional, options) {
         if (conditional) {
             return options.fn(this);
         } else {
@@ -250,205 +836,241 @@ function registerHelpers() {
     });
 
     // Each helper
-    Handlebars.registerHelper('each', function(context, options) {
+    hbs.registerHelper('each', function(context, options) {
         let ret = '';
         if (context && context.length > 0) {
             for (let i = 0; i < context.length; i++) {
-                ret += options.fn(context[i], {
-                    data: {
-                        index: i,
-                        first: i === 0,
-                        last: i === context.length - 1
-                    }
-                });
+                // Keep the parent data frame so @root stays available
+                const data = hbs.createFrame(options.data || {});
+                data.index = i;
+                data.first = i === 0;
+                data.last = i === context.length - 1;
+
+                ret += options.fn(context[i], { data });
             }
         }
         return ret;
     });
 
     // Unless helper
-    Handlebars.registerHelper('unless', function(conditional, options) {
-        return Handlebars.helpers['if'].call(this, !conditional, options);
+    hbs.registerHelper('unless', function(conditional, options) {
+        return hbs.helpers['if'].call(this, !conditional, options);
+    });
+
+    // Unknown helper: fail like Handlebars does, with the line it is called on
+    hbs.registerHelper('helperMissing', function(...args) {
+        const options = args[args.length - 1];
+        if (args.length === 1) {
+            return undefined; // a plain {{name}} with no value
+        }
+        const loc = options.loc || { start: {} };
+        throw Object.assign(new Error(`Missing helper: "${options.name}"`), {
+            lineNumber: loc.start.line,
+            column: loc.start.column
+        });
     });
 }
 
 /**
- * Generate custom color styles from config
+ * Meta tag values for the social share card
+ * (`imagePath` is the card's path in the site, in the language folder if there is one)
  */
-function generateColorStyles(config) {
-    if (!config.settings || !config.settings.colors) {
-        return '';
+function getSocialCardMeta(config, settings, warn, imagePath = settings.fileName) {
+    const personal = config.personal || {};
+    const canonicalUrl = ((config.settings.seo && config.settings.seo.canonicalUrl) || '').replace(/\/$/, '');
+    if (!canonicalUrl) {
+        warn('settings.seo.canonicalUrl is not set; social networks need an absolute og:image URL');
     }
 
-    const colors = config.settings.colors;
-    return `
-    <style>
-        :root {
-            --primary-color: ${colors.primary || '#2563eb'};
-            --secondary-color: ${colors.secondary || '#1e40af'};
-            --accent-color: ${colors.accent || '#3b82f6'};
-        }
-    </style>`;
+    const twitterHandle = ((personal.social && personal.social.twitter) || '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '')
+        .split('/')
+        .pop();
+
+    return {
+        image: canonicalUrl ? `${canonicalUrl}/${imagePath}` : settings.fileName,
+        width: CARD_WIDTH,
+        height: CARD_HEIGHT,
+        alt: [personal.fullName, personal.title].filter(Boolean).join(' - '),
+        twitterCreator: twitterHandle ? `@${twitterHandle.replace(/^@/, '')}` : ''
+    };
 }
 
 /**
- * Validate profile image exists
+ * Stylesheets, scripts, images and fonts the page requests from other servers
  */
-function validateProfileImage(config) {
-    if (!config.personal || !config.personal.profileImage) {
-        log('  Warning: No profile image specified in config', 'yellow');
-        return;
+function findExternalResources(html) {
+    const urls = new Set();
+    const external = /^(https?:)?\/\//i;
+
+    for (const [tag, name] of html.matchAll(/<(link|script|img|source|iframe|video|audio)\b[^>]*>/gi)) {
+        // Only <link>s that load something (not rel="canonical" or "alternate")
+        if (name.toLowerCase() === 'link' && !/\srel="(stylesheet|preload|modulepreload|icon|apple-touch-icon|manifest)"/i.test(tag)) {
+            continue;
+        }
+        const url = (tag.match(/\s(?:src|href)="([^"]+)"/i) || [])[1];
+        if (url && external.test(url)) urls.add(url);
     }
 
-    const imagePath = config.personal.profileImage.replace('images/', '');
-    const fullImagePath = path.join(__dirname, '../src/images', imagePath);
-
-    if (!fs.existsSync(fullImagePath)) {
-        log(`  Warning: Profile image not found: ${fullImagePath}`, 'yellow');
-        log('  The website will build, but the image will be broken.', 'yellow');
-        log('  Add your image to: src/images/${imagePath}', 'cyan');
+    for (const [, url] of html.matchAll(/url\(\s*['"]?([^'")\s]+)/gi)) {
+        if (external.test(url)) urls.add(url);
     }
+
+    return [...urls];
 }
 
 /**
- * Copy directory recursively
+ * Validate profile image exists
+ * Returns a list of warning messages
  */
-function copyDirectory(src, dest) {
-    // Create destination directory
-    if (!fs.existsSync(dest)) {
-        fs.mkdirSync(dest, { recursive: true });
+function validateProfileImage(config, theme, srcDir) {
+    if (!config.personal || !config.personal.profileImage) {
+        return ['No profile image specified in config'];
     }
 
-    // Check if source exists
-    if (!fs.existsSync(src)) {
-        log(`Warning: Source directory not found: ${src}`, 'yellow');
-        return;
+    // Remote images can't be checked at build time
+    if (/^https?:\/\//.test(config.personal.profileImage)) {
+        return [];
     }
 
-    // Read source directory
-    const entries = fs.readdirSync(src, { withFileTypes: true });
-
-    for (const entry of entries) {
-        const srcPath = path.join(src, entry.name);
-        const destPath = path.join(dest, entry.name);
+    const imagePath = config.personal.profileImage.replace(/^\.?\//, '');
 
-        if (entry.isDirectory()) {
-            copyDirectory(srcPath, destPath);
-        } else {
-            fs.copyFileSync(srcPath, destPath);
-        }
+    if (!theme.assets.has(imagePath)) {
+        const expectedPath = path.join(srcDir, imagePath);
+        return [
+            `Profile image not found: ${imagePath}. ` +
+            `The website will build, but the image will be broken. ` +
+            `Add your image to: ${path.relative(process.cwd(), expectedPath)}`
+        ];
     }
+
+    return [];
 }
 
 /**
- * Generate sitemap.xml
+ * Generate sitemap.xml contents.
+ * For multi-language builds, lists every language page with links to the others.
  */
-function generateSitemap(config) {
+function generateSitemap(config, pages = []) {
     const canonicalUrl = config.settings.seo.canonicalUrl || 'https://yourusername.github.io';
     const now = new Date().toISOString();
 
-    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${canonicalUrl}</loc>
+    const entry = (loc, alternates = '') => `  <url>
+    <loc>${loc}</loc>
     <lastmod>${now}</lastmod>
     <changefreq>monthly</changefreq>
     <priority>1.0</priority>
-  </url>
+${alternates}  </url>`;
+
+    if (pages.length === 0) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entry(canonicalUrl)}
+</urlset>`;
+    }
+
+    const siteUrl = canonicalUrl.replace(/\/$/, '');
+    const alternates = pages
+        .map(page => `    <xhtml:link rel="alternate" hreflang="${page.locale}" href="${siteUrl}/${page.locale}/"/>\n`)
+        .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${pages.map(page => entry(`${siteUrl}/${page.locale}/`, alternates)).join('\n')}
 </urlset>`;
+}
 
-    const distPath = path.join(__dirname, '../dist');
-    fs.writeFileSync(path.join(distPath, 'sitemap.xml'), sitemap, 'utf-8');
+/**
+ * Site root page of a multi-language build. Sends visitors on to the language
+ * their browser prefers (or the default one) and links every language for
+ * crawlers and visitors without JavaScript.
+ */
+function generateLanguageRedirect(pages, defaultLocale, config) {
+    const title = Handlebars.escapeExpression((config.personal && config.personal.fullName) || 'Resume');
+    const siteUrl = (config.settings.seo.canonicalUrl || '').replace(/\/$/, '');
+    const locales = pages.map(page => page.locale);
+    const href = locale => (siteUrl ? `${siteUrl}/${locale}/` : `${locale}/`);
+
+    return `<!DOCTYPE html>
+<html lang="${defaultLocale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+${locales.map(locale => `    <link rel="alternate" hreflang="${locale}" href="${href(locale)}">`).join('\n')}
+    <link rel="alternate" hreflang="x-default" href="${siteUrl ? `${siteUrl}/` : './'}">
+    <script>
+        (function() {
+            var locales = ${JSON.stringify(locales)};
+            var base = function(code) { return code.toLowerCase().split('-')[0]; };
+            var match = null;
+            (navigator.languages || [navigator.language || '']).some(function(language) {
+                var wanted = String(language).toLowerCase();
+                match = locales.filter(function(locale) { return locale.toLowerCase() === wanted; })[0] ||
+                    locales.filter(function(locale) { return base(locale) === base(wanted); })[0] || null;
+                return match !== null;
+            });
+            window.location.replace((match || ${JSON.stringify(defaultLocale)}) + '/' + window.location.hash);
+        })();
+    </script>
+    <noscript><meta http-equiv="refresh" content="0; url=${defaultLocale}/"></noscript>
+</head>
+<body>
+    <ul>
+${pages.map(page => `        <li><a href="${page.locale}/" hreflang="${page.locale}" lang="${page.locale}">${languageName(page.locale)}</a></li>`).join('\n')}
+    </ul>
+</body>
+</html>
+`;
 }
 
 /**
- * Generate robots.txt
+ * Generate robots.txt contents
  */
 function generateRobotsTxt(config) {
     const canonicalUrl = config.settings.seo.canonicalUrl || 'https://yourusername.github.io';
 
-    const robots = `User-agent: *
+    return `User-agent: *
 Allow: /
 
 Sitemap: ${canonicalUrl}/sitemap.xml`;
-
-    const distPath = path.join(__dirname, '../dist');
-    fs.writeFileSync(path.join(distPath, 'robots.txt'), robots, 'utf-8');
 }
 
 /**
- * Generate CNAME file for custom domain
+ * Get the custom domain for the CNAME file, if one is configured
  */
-function generateCNAME(config) {
-    const distPath = path.join(__dirname, '../dist');
-    const cnamePath = path.join(distPath, 'CNAME');
-
-    // Check if custom domain is configured
+function getCustomDomain(config) {
     if (config.settings && config.settings.customDomain) {
-        const domain = config.settings.customDomain.trim();
-
-        if (domain) {
-            fs.writeFileSync(cnamePath, domain, 'utf-8');
-            log(`  Custom domain configured: ${domain}`, 'cyan');
-            return;
-        }
+        return config.settings.customDomain.trim();
     }
 
-    // Remove CNAME if it exists but no custom domain is set
-    if (fs.existsSync(cnamePath)) {
-        fs.unlinkSync(cnamePath);
-        log('  No custom domain configured', 'yellow');
-    }
+    return '';
 }
 
 /**
  * Display build summary
  */
-function displayBuildSummary(config, distPath) {
-    log('Build Summary:', 'bright');
-    log('─────────────────────────────────', 'cyan');
-    log(`Name: ${config.personal.fullName}`);
-    log(`Title: ${config.personal.title}`);
-    log(`Sections enabled: ${Object.values(config.settings.sectionsEnabled).filter(v => v).length}`);
-    log(`Experience items: ${config.experience ? config.experience.length : 0}`);
-    log(`Projects: ${config.projects ? config.projects.length : 0}`);
-    log(`Skills categories: ${config.skills && config.skills.categories ? config.skills.categories.length : 0}`);
-
-    // Calculate total file size
-    const stats = getDirectorySize(distPath);
-    log(`Total size: ${formatBytes(stats.size)}`);
-    log(`Files: ${stats.files}`);
-    log('─────────────────────────────────\n', 'cyan');
-}
-
-/**
- * Get directory size and file count
- */
-function getDirectorySize(dirPath) {
-    let size = 0;
-    let files = 0;
-
-    if (!fs.existsSync(dirPath)) {
-        return { size: 0, files: 0 };
+function displayBuildSummary(config, result, say = log) {
+    say('Build Summary:', 'bright');
+    say('─────────────────────────────────', 'cyan');
+    say(`Name: ${config.personal.fullName}`);
+    say(`Title: ${config.personal.title}`);
+    say(`Sections rendered: ${config.sections.map(section => section.id).join(', ')}`);
+    say(`Experience items: ${config.experience ? config.experience.length : 0}`);
+    say(`Projects: ${config.projects ? config.projects.length : 0}`);
+    say(`Skills categories: ${config.skills && config.skills.categories ? config.skills.categories.length : 0}`);
+    if (result.locales.length > 1) {
+        say(`Languages: ${result.locales.join(', ')}`);
     }
-
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-
-        if (entry.isDirectory()) {
-            const dirStats = getDirectorySize(fullPath);
-            size += dirStats.size;
-            files += dirStats.files;
-        } else {
-            const stat = fs.statSync(fullPath);
-            size += stat.size;
-            files++;
-        }
+    say(`Mode: ${result.production ? 'production' : 'development'}`);
+    say(`Total size: ${formatBytes(result.totalSize)}`);
+    say(`Files: ${result.files.length}`);
+    say(`Build time: ${result.duration} ms`);
+    if (result.warnings.length > 0) {
+        say(`Warnings: ${result.warnings.length}`, 'yellow');
     }
-
-    return { size, files };
+    say('─────────────────────────────────\n', 'cyan');
 }
 
 /**
@@ -466,7 +1088,10 @@ function formatBytes(bytes) {
 
 // Run build if executed directly
 if (require.main === module) {
-    build();
+    const production = process.argv.includes('--production') || process.env.NODE_ENV === 'production';
+    build({ production }).catch(() => {
+        process.exitCode = 1;
+    });
 }
 
-module.exports = { build };
+module.exports = { build, BuildError };
@@ -2,12 +2,18 @@
 
 /**
  * Resume Website Builder - Development Server
- * Watches for file changes and rebuilds automatically
+ * Serves the site locally, rebuilds on file changes and reloads open pages
+ *
+ * Usage:
+ *   node scripts/dev-server.js [--port <number>] [--host <name>]
  */
 
 const fs = require('fs');
 const path = require('path');
 const { build } = require('./build.js');
+const { createLiveServer } = require('./lib/live-server');
+const { codeFrame } = require('./lib/code-frame');
+const { formatName } = require('./lib/config-loader');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -34,9 +40,16 @@ function log(message, color = 'reset') {
 const watchPaths = [
     path.join(__dirname, '../src'),
     path.join(__dirname, '../config'),
-    path.join(__dirname, '../templates')
+    path.join(__dirname, '../themes')
 ];
 
+/**
+ * Site output served by the dev server
+ */
+const DIST_DIR = path.join(__dirname, '../dist');
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = 'localhost';
+
 /**
  * Debounce timer for rebuilds
  */
@@ -48,19 +61,124 @@ const DEBOUNCE_DELAY = 500; // milliseconds
  */
 let buildInProgress = false;
 
+/**
+ * Files changed since the last rebuild started
+ */
+const changedFiles = new Set();
+
+/**
+ * HTTP server pushing reload events to open pages
+ */
+let liveServer = null;
+
+/**
+ * Whether the last build failed (the next successful one always reloads the page)
+ */
+let lastBuildFailed = false;
+
+/**
+ * Watchers for config files outside the watched directories ("$include": "../shared/x.yaml"), by path
+ */
+const configWatchers = new Map();
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = {
+        port: process.env.PORT ? Number(process.env.PORT) : DEFAULT_PORT,
+        host: DEFAULT_HOST
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port' || argv[i] === '-p') {
+            args.port = Number(argv[++i]);
+        } else if (argv[i] === '--host') {
+            args.host = argv[++i];
+        }
+    }
+
+    if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        throw new Error('Port must be a number between 0 and 65535');
+    }
+
+    return args;
+}
+
+/**
+ * Describe a failed build for the browser overlay
+ */
+function describeBuildError(error) {
+    const titles = {
+        CONFIG_PARSE_ERROR: `Invalid ${error.file ? formatName(error.file) : 'syntax'} in configuration`,
+        CONFIG_NOT_FOUND: 'Configuration file not found',
+        CONFIG_INVALID: 'Invalid configuration',
+        CONFIG_OUTDATED: 'Outdated configuration',
+        TEMPLATE_ERROR: 'Template error'
+    };
+
+    const details = {
+        title: titles[error.code] || 'Build failed',
+        message: error.message,
+        file: error.file ? path.relative(process.cwd(), error.file) : null,
+        line: error.line || null,
+        column: error.column || null,
+        frame: null
+    };
+
+    if (error.file && error.line && fs.existsSync(error.file)) {
+        details.frame = codeFrame(fs.readFileSync(error.file, 'utf-8'), error.line, error.column);
+    }
+
+    return details;
+}
+
+/**
+ * Run a build and record the outcome for the browser
+ *
+ * @returns {Promise<boolean>} True if the build succeeded
+ */
+async function buildAndReport() {
+    let result;
+    try {
+        result = await build();
+    } catch (error) {
+        liveServer.showError(describeBuildError(error));
+        lastBuildFailed = true;
+        return false;
+    }
+
+    liveServer.setError(null);
+    watchConfigFiles(result.configFiles);
+    return true;
+}
+
+/**
+ * Watch the config files a build read that the directory watchers don't cover
+ */
+function watchConfigFiles(files) {
+    files
+        .filter(file => !configWatchers.has(file) && !watchPaths.some(dir => file.startsWith(dir + path.sep)))
+        .forEach(file => {
+            configWatchers.set(file, fs.watch(file, () => triggerRebuild(path.relative(process.cwd(), file))));
+        });
+}
+
 /**
  * Trigger a rebuild with debouncing
  */
 function triggerRebuild(filename) {
+    changedFiles.add(filename);
+
     // Clear existing timer
     if (rebuildTimer) {
         clearTimeout(rebuildTimer);
     }
 
-    // Set new timer
+    // Set new timer (a build in progress picks up the changes when it finishes)
     rebuildTimer = setTimeout(() => {
         if (!buildInProgress) {
-            rebuild(filename);
+            rebuild();
         }
     }, DEBOUNCE_DELAY);
 }
@@ -68,23 +186,39 @@ function triggerRebuild(filename) {
 /**
  * Perform the rebuild
  */
-async function rebuild(filename) {
+async function rebuild() {
     buildInProgress = true;
 
+    const files = [...changedFiles];
+    changedFiles.clear();
+
     const timestamp = new Date().toLocaleTimeString();
-    log(`\n[${timestamp}] File changed: ${filename}`, 'cyan');
+    log(`\n[${timestamp}] File changed: ${files.join(', ')}`, 'cyan');
     log('🔄 Rebuilding...', 'yellow');
 
-    try {
-        await build();
+    const recovered = lastBuildFailed;
+    if (await buildAndReport()) {
+        lastBuildFailed = false;
         log(`✓ Rebuild complete at ${new Date().toLocaleTimeString()}`, 'green');
-        log('👀 Watching for changes... (Press Ctrl+C to stop)\n', 'blue');
-    } catch (error) {
-        log('✗ Rebuild failed', 'red');
-        log('👀 Watching for changes... (Press Ctrl+C to stop)\n', 'blue');
+
+        // Stylesheet edits are swapped in place; anything else reloads the page
+        if (!recovered && files.every(file => path.extname(file).toLowerCase() === '.css')) {
+            liveServer.updateCss();
+            log('🎨 Stylesheets updated in the browser', 'magenta');
+        } else {
+            liveServer.reload();
+            log('🔁 Browser reloaded', 'magenta');
+        }
+    } else {
+        log('✗ Rebuild failed (details are shown in the browser)', 'red');
     }
+    log('👀 Watching for changes... (Press Ctrl+C to stop)\n', 'blue');
 
     buildInProgress = false;
+
+    if (changedFiles.size > 0) {
+        rebuild();
+    }
 }
 
 /**
@@ -130,7 +264,7 @@ function shouldIgnore(filename) {
 /**
  * Start development server
  */
-async function startDevServer() {
+async function startDevServer({ port = DEFAULT_PORT, host = DEFAULT_HOST } = {}) {
     log('\n════════════════════════════════════════', 'cyan');
     log('   Resume Website Builder - Dev Server', 'bright');
     log('════════════════════════════════════════\n', 'cyan');
@@ -139,14 +273,26 @@ async function startDevServer() {
     log('🚀 Starting development server...', 'blue');
     log('📦 Running initial build...\n', 'blue');
 
-    try {
-        await build();
+    liveServer = createLiveServer({ rootDir: DIST_DIR });
+    if (await buildAndReport()) {
         log('\n✓ Initial build complete!', 'green');
-    } catch (error) {
+    } else {
         log('\n✗ Initial build failed', 'red');
         log('Continuing to watch for changes...\n', 'yellow');
     }
 
+    // Serve the site
+    let url;
+    try {
+        const actualPort = await liveServer.listen(port, host);
+        url = `http://${host}:${actualPort}`;
+    } catch (error) {
+        if (error.code === 'EADDRINUSE') {
+            throw new Error(`Port ${port} is already in use. Try another one: npm run dev -- --port ${port + 1}`);
+        }
+        throw error;
+    }
+
     // Start watching
     log('\n════════════════════════════════════════', 'cyan');
     log('   👀 Watching for changes...', 'bright');
@@ -160,12 +306,15 @@ async function startDevServer() {
     });
 
     log('\n💡 Tips:', 'magenta');
-    log('  • Edit files in src/, config/, or templates/', 'cyan');
+    log('  • Edit files in src/, config/, or themes/', 'cyan');
     log('  • Changes will trigger automatic rebuild', 'cyan');
-    log('  • Open dist/index.html in your browser to view', 'cyan');
+    log(`  • Open ${url} in your browser to view`, 'cyan');
+    log('  • Open pages reload after each rebuild; CSS changes apply without a reload', 'cyan');
+    log('  • Build errors are shown in the browser until the next successful build', 'cyan');
     log('  • Press Ctrl+C to stop the dev server\n', 'cyan');
 
-    log('Press Ctrl+C to stop watching...\n', 'yellow');
+    log(`🌐 Serving ${path.relative(process.cwd(), DIST_DIR) || '.'} at ${url}`, 'green');
+    log('Press Ctrl+C to stop the server...\n', 'yellow');
 
     // Keep the process running
     process.on('SIGINT', () => {
@@ -177,7 +326,12 @@ async function startDevServer() {
 
 // Start the dev server if executed directly
 if (require.main === module) {
-    startDevServer();
+    Promise.resolve()
+        .then(() => startDevServer(parseArgs(process.argv.slice(2))))
+        .catch(error => {
+            log(`\n✗ ${error.message}\n`, 'red');
+            process.exitCode = 1;
+        });
 }
 
 module.exports = { startDevServer };
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Resume Website Builder - Web Editor
+ * Edits the configuration in the browser with a form for every section,
+ * next to a live preview built by build.js. Saving runs the same checks
+ * as validate-config.js and keeps a backup of every file it writes.
+ *
+ * Usage:
+ *   node scripts/editor.js [--port <number>] [--host <name>] [--config <path>]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { build } = require('./build.js');
+const { validateConfig } = require('./validate-config');
+const { listThemes } = require('./lib/themes');
+const { DEFAULT_SECTION_ORDER, isSectionEnabled } = require('./lib/sections');
+const { pointerToPath } = require('./lib/json-schema');
+const { findConfigFile, readConfig } = require('./lib/config-loader');
+const { findChangedSections, saveConfigSections } = require('./lib/config-file');
+const { migrateConfig } = require('./lib/migrations');
+const { PERSONAL_FIELDS, SUMMARY_FIELDS, SETTINGS_FIELDS, LIST_SECTIONS, getField, setField } = require('./lib/config-fields');
+const { PREVIEW_PREFIX, createEditorServer } = require('./lib/editor-server');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    magenta: '\x1b[35m'
+};
+
+/**
+ * Colorized console log
+ */
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_HOST = 'localhost';
+const THEMES_DIR = path.join(__dirname, '../themes');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = {
+        port: process.env.PORT ? Number(process.env.PORT) : DEFAULT_PORT,
+        host: DEFAULT_HOST,
+        configPath: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port' || argv[i] === '-p') {
+            args.port = Number(argv[++i]);
+        } else if (argv[i] === '--host') {
+            args.host = argv[++i];
+        } else if (argv[i] === '--config') {
+            args.configPath = argv[++i];
+        } else {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        throw new Error('Port must be a number between 0 and 65535');
+    }
+
+    return args;
+}
+
+/**
+ * Read the config, upgraded to the current schemaVersion
+ *
+ * @returns {{loaded: Object, config: Object, migration: Object}} See readConfig() and migrateConfig()
+ */
+function loadSession(configPath) {
+    const loaded = readConfig(configPath);
+    const migration = migrateConfig(loaded.config);
+    return { loaded, config: migration.config, migration };
+}
+
+/**
+ * Copy of an edited config with derived fields filled in (experience "current" from the end date)
+ */
+function completeEntries(config) {
+    const completed = JSON.parse(JSON.stringify(config));
+    LIST_SECTIONS.filter(section => section.complete).forEach(section => {
+        const list = getField(completed, section.path);
+        if (Array.isArray(list)) {
+            setField(completed, section.path, list.map(entry => section.complete(entry)));
+        }
+    });
+    return completed;
+}
+
+/**
+ * Problems for the browser: message, JSON pointer and the readable path
+ */
+function describeProblems(problems) {
+    return problems.map(({ message, pointer, rule }) => ({ message, pointer, path: pointerToPath(pointer), rule }));
+}
+
+/**
+ * Create the load, preview and save handlers for one config file
+ */
+function createEditor(configPath, previewDir) {
+    let session = loadSession(configPath);
+    const relativePath = path.relative(process.cwd(), configPath);
+
+    // Same checks as `npm run validate` (lint rules are read next to the config, as the build does)
+    const check = config => {
+        const { errors, warnings } = validateConfig(config, {
+            silent: true,
+            themesDir: THEMES_DIR,
+            rulesPath: path.join(path.dirname(configPath), 'lint-rules.json')
+        });
+        return { errors: describeProblems(errors), warnings: describeProblems(warnings) };
+    };
+
+    // One preview build at a time: they share the output directory
+    let previewQueue = Promise.resolve();
+
+    const runPreview = async edited => {
+        const config = completeEntries(edited);
+        const { errors, warnings } = check(config);
+        if (errors.length > 0) {
+            return { built: false, errors, warnings, notes: [] };
+        }
+
+        try {
+            const result = await build({ configPath, config, outDir: previewDir, silent: true });
+            // Validation warnings are already listed with their fields
+            const notes = result.warnings.filter(warning => !warnings.some(problem => warning.startsWith(problem.message)));
+            return { built: true, errors, warnings, notes };
+        } catch (error) {
+            return { built: false, errors: [{ message: error.message, pointer: '', path: '' }], warnings, notes: [] };
+        }
+    };
+
+    return {
+        load() {
+            session = loadSession(configPath);
+            const { migration } = session;
+            return {
+                file: relativePath,
+                config: session.config,
+                migratedFrom: migration.steps.length > 0 ? migration.from : null,
+                themes: listThemes(THEMES_DIR),
+                sectionIds: DEFAULT_SECTION_ORDER,
+                enabledByDefault: DEFAULT_SECTION_ORDER.filter(id => isSectionEnabled(id)),
+                fields: { personal: PERSONAL_FIELDS, summary: SUMMARY_FIELDS, settings: SETTINGS_FIELDS },
+                lists: LIST_SECTIONS,
+                previewUrl: PREVIEW_PREFIX
+            };
+        },
+
+        preview(edited) {
+            const next = previewQueue.then(() => runPreview(edited));
+            previewQueue = next.catch(() => {});
+            return next;
+        },
+
+        save(edited) {
+            const config = completeEntries(edited);
+            const { errors, warnings } = check(config);
+            if (errors.length > 0) {
+                throw Object.assign(new Error(`${errors.length} error(s) to fix first; nothing was saved`), {
+                    status: 422,
+                    body: { errors, warnings }
+                });
+            }
+
+            // Don't overwrite edits made in the file since the editor read it
+            if (JSON.stringify(readConfig(configPath).config) !== JSON.stringify(session.loaded.config)) {
+                throw Object.assign(new Error(`${relativePath} was changed outside the editor; reload to pick up those changes`), {
+                    status: 409
+                });
+            }
+
+            const sections = findChangedSections(session.loaded.config, config);
+            if (sections.length === 0) {
+                return { sections, written: [], removed: [], unused: [], warnings, config };
+            }
+
+            const { written, removed, unused } = saveConfigSections(configPath, config, sections, session.loaded.sources);
+            const relative = file => path.relative(process.cwd(), file);
+            const backup = backupPath => (backupPath ? relative(backupPath) : null);
+
+            log(`\n💾 [${new Date().toLocaleTimeString()}] Saved ${sections.join(', ')}`, 'green');
+            written.forEach(({ file, backupPath }) =>
+                log(`  ${relative(file)} (${backupPath ? `backup: ${path.basename(backupPath)}` : 'new file'})`, 'cyan'));
+            removed.forEach(({ file, backupPath }) => log(`  Removed ${relative(file)} (backup: ${path.basename(backupPath)})`, 'cyan'));
+
+            session = loadSession(configPath);
+            return {
+                sections,
+                written: written.map(({ file, backupPath }) => ({ file: relative(file), backup: backup(backupPath) })),
+                removed: removed.map(({ file, backupPath }) => ({ file: relative(file), backup: backup(backupPath) })),
+                unused: unused.map(relative),
+                warnings,
+                config: session.config
+            };
+        }
+    };
+}
+
+/**
+ * Start the editor
+ */
+async function startEditor({ port = DEFAULT_PORT, host = DEFAULT_HOST, configPath = null } = {}) {
+    log('\n════════════════════════════════════════', 'cyan');
+    log('   Resume Website Builder - Editor', 'bright');
+    log('════════════════════════════════════════\n', 'cyan');
+
+    const resolvedPath = path.resolve(configPath || findConfigFile());
+    if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Configuration file not found: ${resolvedPath}\n  Run "npm run setup" to create one first`);
+    }
+
+    log(`📄 Editing ${path.relative(process.cwd(), resolvedPath)}`, 'blue');
+    const previewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-editor-'));
+    const editor = createEditor(resolvedPath, previewDir);
+    const server = createEditorServer({ previewDir, ...editor });
+
+    let url;
+    try {
+        const actualPort = await server.listen(port, host);
+        url = `http://${host}:${actualPort}`;
+    } catch (error) {
+        fs.rmSync(previewDir, { recursive: true, force: true });
+        if (error.code === 'EADDRINUSE') {
+            throw new Error(`Port ${port} is already in use. Try another one: npm run editor -- --port ${port + 1}`);
+        }
+        throw error;
+    }
+
+    log('\n💡 Tips:', 'magenta');
+    log('  • The preview rebuilds as you type', 'cyan');
+    log('  • Saving checks the config like "npm run validate" and keeps a *.backup.* copy', 'cyan');
+    log('  • Only the sections you changed are written back', 'cyan');
+    log('  • Press Ctrl+C to stop the editor\n', 'cyan');
+
+    log(`🌐 Editor running at ${url}`, 'green');
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        fs.rmSync(previewDir, { recursive: true, force: true });
+        log('\n\n👋 Stopping editor...', 'yellow');
+        process.exit(0);
+    }));
+
+    return { url, close: () => server.close().then(() => fs.rmSync(previewDir, { recursive: true, force: true })) };
+}
+
+// Start the editor if executed directly
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => startEditor(parseArgs(process.argv.slice(2))))
+        .catch(error => {
+            const where = error.file && error.line ? ` (${path.relative(process.cwd(), error.file)}:${error.line}:${error.column})` : '';
+            log(`\n✗ ${error.message}${where}\n`, 'red');
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { startEditor };
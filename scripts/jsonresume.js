@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Resume Website Builder - JSON Resume Import/Export
+ * Converts resume-data.json to and from the jsonresume.org format
+ *
+ * Usage:
+ *   node scripts/jsonresume.js import <resume.json> [--config <path>] [--dry-run]
+ *   node scripts/jsonresume.js export [output.json] [--config <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fromJsonResume, toJsonResume } = require('./lib/jsonresume');
+const { findChangedSections, saveConfig, saveConfigSections } = require('./lib/config-file');
+const { findConfigFile, readConfig } = require('./lib/config-loader');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m'
+};
+
+/**
+ * Colorized console log
+ */
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USAGE = `Usage:
+  npm run import-jsonresume -- <resume.json> [--config <path>] [--dry-run]
+  npm run export-jsonresume -- [output.json] [--config <path>]`;
+
+/**
+ * Error for a command line the script can't run; main() prints the usage after it
+ */
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = { command: argv[0], file: null, configPath: null, dryRun: false, help: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            args.configPath = argv[++i];
+            if (!args.configPath) throw usageError('--config needs a path');
+        } else if (arg === '--dry-run' && args.command === 'import') {
+            args.dryRun = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg.startsWith('-')) {
+            // Not a file name: "export --help" would otherwise write a file called "--help"
+            throw usageError(`Unknown option: ${arg}`);
+        } else if (!args.file) {
+            args.file = arg;
+        } else {
+            throw usageError(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Read and parse a JSON file
+ */
+function readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * List fields that could not be converted
+ */
+function displayUnmapped(unmapped) {
+    if (unmapped.length === 0) {
+        log('\n✓ Every field was converted', 'green');
+        return;
+    }
+
+    log(`\n⚠ ${unmapped.length} field(s) could not be converted:`, 'yellow');
+    unmapped.forEach(({ path: fieldPath, reason }) => {
+        log(`  • ${fieldPath} (${reason})`, 'yellow');
+    });
+}
+
+/**
+ * Write the imported sections back to the files they were read from
+ */
+function saveSections(configPath, config, existing) {
+    const sections = findChangedSections(existing.config, config);
+    const { written, removed, unused } = saveConfigSections(configPath, config, sections, existing.sources);
+    written.forEach(({ file, backupPath }) => {
+        const backup = backupPath ? `backup: ${path.basename(backupPath)}` : 'new file';
+        log(`  Saved ${path.relative(process.cwd(), file)} (${backup})`, 'yellow');
+    });
+    removed.forEach(({ file, backupPath }) => {
+        log(`  Removed ${path.relative(process.cwd(), file)} (backup: ${path.basename(backupPath)})`, 'yellow');
+    });
+    if (unused.length > 0) {
+        log(`  Note: ${unused.length} file(s) are no longer used; those sections now live in ${path.basename(configPath)}:`, 'yellow');
+        unused.forEach(file => log(`    ${path.relative(process.cwd(), file)}`, 'yellow'));
+    }
+}
+
+/**
+ * Import a JSON Resume file into resume-data.json
+ */
+function runImport({ file, configPath, dryRun }) {
+    if (!file) {
+        throw new Error('Missing input file. Usage: npm run import-jsonresume -- <resume.json>');
+    }
+
+    const inputPath = path.resolve(file);
+    log(`📥 Importing ${inputPath}`, 'blue');
+
+    const resume = readJson(inputPath);
+    const existing = fs.existsSync(configPath) ? readConfig(configPath) : null;
+    const base = existing ? existing.config : null;
+    const { config, unmapped } = fromJsonResume(resume, base);
+
+    log(`  Experience: ${config.experience.length}, Education: ${config.education.length}, ` +
+        `Projects: ${config.projects.length}, Certifications: ${config.certifications.length}, ` +
+        `Testimonials: ${config.testimonials.length}`, 'cyan');
+    displayUnmapped(unmapped);
+
+    if (dryRun) {
+        log('\nDry run - no files written', 'cyan');
+        return;
+    }
+
+    log('');
+    if (existing) {
+        saveSections(configPath, config, existing);
+    } else {
+        const { backupPath } = saveConfig(configPath, config);
+        if (backupPath) {
+            log(`  Backup created: ${backupPath}`, 'yellow');
+        }
+    }
+    log(`✓ Configuration saved: ${configPath}`, 'green');
+    log('\nRun "npm run validate" to check the result.\n', 'cyan');
+}
+
+/**
+ * Export resume-data.json as a JSON Resume file
+ */
+function runExport({ file, configPath }) {
+    const outputPath = path.resolve(file || 'resume.json');
+    log(`📤 Exporting ${configPath}`, 'blue');
+
+    const { resume, unmapped } = toJsonResume(readConfig(configPath).config);
+    fs.writeFileSync(outputPath, JSON.stringify(resume, null, 2) + '\n', 'utf-8');
+
+    displayUnmapped(unmapped);
+    log(`\n✓ JSON Resume saved: ${outputPath}\n`, 'green');
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        if (args.help) {
+            log(USAGE);
+            return;
+        }
+        args.configPath = path.resolve(args.configPath || findConfigFile());
+
+        if (args.command === 'import') {
+            runImport(args);
+        } else if (args.command === 'export') {
+            runExport(args);
+        } else {
+            throw usageError('Unknown command. Use "import <resume.json>" or "export [output.json]"');
+        }
+    } catch (error) {
+        log(`\n✗ ${error.message}\n`, 'red');
+        if (error.usage) {
+            log(`${USAGE}\n`, 'cyan');
+        }
+        process.exitCode = 1;
+    }
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,429 @@
+/**
+ * Resume Website Builder - Production Assets
+ * Minifies HTML, CSS and JavaScript, fingerprints asset file names
+ * and inlines critical CSS for production builds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const esbuild = require('esbuild');
+
+const MANIFEST_FILE = 'asset-manifest.json';
+
+const DEFAULT_PRODUCTION_SETTINGS = {
+    minify: true,
+    fingerprint: true,
+    inlineCriticalCss: false
+};
+
+// Files with these extensions get a content hash in their name.
+// Files at the site root keep their names (favicon.ico is requested by convention).
+const FINGERPRINT_EXTENSIONS = [
+    '.css', '.js',
+    '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif',
+    '.woff', '.woff2', '.ttf', '.otf'
+];
+
+/**
+ * Merge settings.production with the defaults
+ */
+function getProductionSettings(config) {
+    const settings = (config.settings && config.settings.production) || {};
+    return { ...DEFAULT_PRODUCTION_SETTINGS, ...settings };
+}
+
+/**
+ * Error with the asset that failed to process
+ */
+function assetError(error, file) {
+    const wrapped = new Error(`${file}: ${error.message}`);
+    wrapped.file = file;
+    return wrapped;
+}
+
+function minifyCss(code, file = 'inline.css') {
+    try {
+        return esbuild.transformSync(code, { loader: 'css', minify: true, sourcefile: file }).code.trim();
+    } catch (error) {
+        throw assetError(error, file);
+    }
+}
+
+function minifyJs(code, file = 'inline.js') {
+    try {
+        return esbuild.transformSync(code, { loader: 'js', minify: true, sourcefile: file }).code.trim();
+    } catch (error) {
+        throw assetError(error, file);
+    }
+}
+
+/**
+ * "css/styles.css" -> "css/styles.3f2a9c1b.css"
+ */
+function hashedName(relativePath, data) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 8);
+    const ext = path.posix.extname(relativePath);
+    return `${relativePath.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+function shouldFingerprint(relativePath) {
+    return relativePath.includes('/') &&
+        FINGERPRINT_EXTENSIONS.includes(path.posix.extname(relativePath).toLowerCase());
+}
+
+/**
+ * Replace every relative url(...) in a stylesheet.
+ * `mapper` receives the path without query or hash and returns its replacement.
+ */
+function replaceCssUrls(css, mapper) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+?)\1\s*\)/g, (match, quote, url) => {
+        if (/^(data:|[a-z]+:|\/|#)/i.test(url)) return match;
+        const [, urlPath, suffix] = url.match(/^([^?#]*)(.*)$/);
+        return `url(${quote}${mapper(urlPath)}${suffix}${quote})`;
+    });
+}
+
+/**
+ * Contents of an asset: a source file, or data generated by the build
+ */
+function readAsset(source, encoding) {
+    if (Buffer.isBuffer(source)) {
+        return encoding ? source.toString(encoding) : source;
+    }
+    return fs.readFileSync(source, encoding);
+}
+
+/**
+ * Whether an asset is published: dotfiles such as images/.gitkeep are not
+ */
+function isPublishedAsset(relativePath) {
+    return !path.posix.basename(relativePath).startsWith('.');
+}
+
+/**
+ * Minify and fingerprint theme assets (dotfiles are left out, see isPublishedAsset)
+ *
+ * @param {Map<string, string|Buffer>} assets - Site-relative path -> source file (or generated contents)
+ * @param {Object} [settings] - See DEFAULT_PRODUCTION_SETTINGS
+ * @returns {{files: Array<{path: string, data: Buffer|string}>, manifest: Object}}
+ *   Output files and the map from original to published path
+ */
+function processAssets(assets, settings = DEFAULT_PRODUCTION_SETTINGS) {
+    const files = [];
+    const manifest = {};
+
+    const publish = (relativePath, data) => {
+        const outputPath = settings.fingerprint && shouldFingerprint(relativePath)
+            ? hashedName(relativePath, data)
+            : relativePath;
+        manifest[relativePath] = outputPath;
+        files.push({ path: outputPath, data });
+    };
+
+    const published = [...assets.keys()].filter(isPublishedAsset);
+    const byType = ext => published.filter(relativePath => path.posix.extname(relativePath).toLowerCase() === ext);
+    const scripts = byType('.js');
+    const stylesheets = byType('.css');
+
+    // Images and fonts first, so stylesheets can point at their new names
+    published.forEach(relativePath => {
+        if (!scripts.includes(relativePath) && !stylesheets.includes(relativePath)) {
+            publish(relativePath, readAsset(assets.get(relativePath)));
+        }
+    });
+
+    scripts.forEach(relativePath => {
+        const code = readAsset(assets.get(relativePath), 'utf-8');
+        publish(relativePath, settings.minify ? minifyJs(code, relativePath) : code);
+    });
+
+    stylesheets.forEach(relativePath => {
+        const dir = path.posix.dirname(relativePath);
+        let css = readAsset(assets.get(relativePath), 'utf-8');
+        if (settings.minify) css = minifyCss(css, relativePath);
+        css = replaceCssUrls(css, url => {
+            const target = manifest[path.posix.normalize(path.posix.join(dir, url))];
+            return target ? path.posix.relative(dir, target) : url;
+        });
+        publish(relativePath, css);
+    });
+
+    return { files, manifest };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Point references to assets in the page at their published names.
+ * Matches quoted or url(...) paths, relative or absolute ("https://site/images/me.png").
+ */
+function rewriteReferences(html, manifest) {
+    const renamed = Object.keys(manifest)
+        .filter(from => manifest[from] !== from)
+        .sort((a, b) => b.length - a.length);
+    if (renamed.length === 0) return html;
+
+    const pattern = new RegExp(
+        `(["'(](?:\\.?\\/|(?:https?:)?\\/\\/[^"'\\s()]*?\\/)?)(${renamed.map(escapeRegExp).join('|')})(?=["')?#])`,
+        'g'
+    );
+    return html.replace(pattern, (match, prefix, from) => prefix + manifest[from]);
+}
+
+/**
+ * Point relative references to shared files at another folder level:
+ * a page in "de/" loads "../css/styles.css". Absolute URLs are left alone.
+ *
+ * @param {string} html - Page markup
+ * @param {string[]} paths - Site-relative paths of the shared files
+ * @param {string} prefix - Added in front of each reference, such as "../"
+ */
+function prefixReferences(html, paths, prefix) {
+    const sorted = [...new Set(paths)].sort((a, b) => b.length - a.length);
+    if (sorted.length === 0) return html;
+
+    const pattern = new RegExp(`(["'(])(?:\\.\\/)?(${sorted.map(escapeRegExp).join('|')})(?=["')?#])`, 'g');
+    return html.replace(pattern, (match, quote, file) => quote + prefix + file);
+}
+
+/**
+ * Tag names, classes and ids used in a piece of markup
+ */
+function collectNames(html) {
+    const names = { tags: new Set(['html', 'body']), classes: new Set(), ids: new Set() };
+    for (const [, tag] of html.matchAll(/<([a-z][\w-]*)/gi)) names.tags.add(tag.toLowerCase());
+    for (const [, value] of html.matchAll(/\sclass="([^"]*)"/g)) value.split(/\s+/).filter(Boolean).forEach(name => names.classes.add(name));
+    for (const [, value] of html.matchAll(/\sid="([^"]*)"/g)) names.ids.add(value);
+    return names;
+}
+
+/**
+ * True if every tag, class and id in the selector appears in the markup.
+ * Pseudo-classes and attribute selectors are ignored, so this errs on the side of keeping rules.
+ */
+function selectorMatches(selector, names) {
+    const simplified = selector
+        .replace(/\[[^\]]*\]/g, '')
+        .replace(/::?[\w-]+(\([^)]*\))?/g, '');
+
+    return simplified.split(/[\s>+~]+/).filter(Boolean).every(compound => {
+        const tag = compound.match(/^[a-z][\w-]*/i);
+        if (tag && !names.tags.has(tag[0].toLowerCase())) return false;
+        if ([...compound.matchAll(/\.([\w-]+)/g)].some(([, name]) => !names.classes.has(name))) return false;
+        return [...compound.matchAll(/#([\w-]+)/g)].every(([, name]) => names.ids.has(name));
+    });
+}
+
+/**
+ * Split a stylesheet into top-level rules: {prelude, body} (body is null for statements like @import)
+ */
+function splitRules(css) {
+    const rules = [];
+    let depth = 0;
+    let start = 0;
+    let open = -1;
+    let quote = null;
+
+    for (let i = 0; i < css.length; i++) {
+        const char = css[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '{') {
+            if (depth++ === 0) open = i;
+        } else if (char === '}') {
+            if (--depth === 0) {
+                rules.push({ prelude: css.slice(start, open).trim(), body: css.slice(open + 1, i) });
+                start = i + 1;
+            }
+        } else if (char === ';' && depth === 0) {
+            rules.push({ prelude: css.slice(start, i).trim(), body: null });
+            start = i + 1;
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Split a selector list on top-level commas
+ */
+function splitSelectors(prelude) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < prelude.length; i++) {
+        if (prelude[i] === '(') depth++;
+        else if (prelude[i] === ')') depth--;
+        else if (prelude[i] === ',' && depth === 0) {
+            selectors.push(prelude.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    selectors.push(prelude.slice(start).trim());
+    return selectors;
+}
+
+/**
+ * Keep the rules whose selectors match the given names.
+ * @media and @supports blocks are filtered recursively; other at-rules
+ * (@font-face, @keyframes, @import) are left to the full stylesheet.
+ */
+function filterRules(css, names) {
+    return splitRules(css).map(({ prelude, body }) => {
+        if (body === null) return '';
+        if (/^@(media|supports)\b/i.test(prelude)) {
+            const inner = filterRules(body, names);
+            return inner ? `${prelude}{${inner}}` : '';
+        }
+        if (prelude.startsWith('@')) return '';
+
+        const selectors = splitSelectors(prelude).filter(selector => selectorMatches(selector, names));
+        return selectors.length > 0 ? `${selectors.join(',')}{${body}}` : '';
+    }).join('');
+}
+
+/**
+ * Inline the CSS needed for the first screen and load the full stylesheets without blocking rendering.
+ * The first screen is everything before <main>: the page header.
+ *
+ * @param {string} html - Page markup
+ * @param {Array<{href: string, css: string}>} stylesheets - Local stylesheets linked from the page
+ * @returns {string}
+ */
+function inlineCriticalCss(html, stylesheets) {
+    const fold = html.indexOf('<main');
+    const names = collectNames(fold === -1 ? html : html.slice(0, fold));
+
+    const critical = stylesheets.map(({ href, css }) => {
+        // Inlined rules resolve url(...) against the page, not the stylesheet
+        const dir = path.posix.dirname(href);
+        const rebased = replaceCssUrls(css, url => path.posix.normalize(path.posix.join(dir, url)));
+        return filterRules(rebased, names);
+    }).join('');
+
+    const hrefs = stylesheets.map(stylesheet => stylesheet.href);
+    let inserted = false;
+
+    return html.replace(/<link\b[^>]*>/gi, tag => {
+        const href = (tag.match(/\shref="([^"]*)"/) || [])[1];
+        if (!/\srel="stylesheet"/i.test(tag) || !hrefs.includes(href)) return tag;
+
+        const deferred = `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">` +
+            `<noscript>${tag}</noscript>`;
+        if (inserted) return deferred;
+        inserted = true;
+        return `<style>${critical}</style>${deferred}`;
+    });
+}
+
+/**
+ * Minify the contents of an inline <script> or <style>
+ */
+function minifyEmbedded(tag, attributes, content) {
+    if (!content.trim()) return '';
+    if (tag === 'style') return minifyCss(content);
+
+    const type = (attributes.match(/\stype="([^"]*)"/i) || [])[1] || 'text/javascript';
+    if (type === 'application/ld+json') {
+        return JSON.stringify(JSON.parse(content)).replace(/</g, '\\u003c');
+    }
+    return /^(text\/javascript|module)$/i.test(type) ? minifyJs(content) : content;
+}
+
+/**
+ * Conservative HTML minifier: drops comments and collapses whitespace
+ * (to a single space, so inline elements keep their spacing).
+ * <pre> and <textarea> are left untouched; inline scripts and styles are minified.
+ */
+function minifyHtml(html) {
+    const preserved = [];
+    const keep = text => `\u0000${preserved.push(text) - 1}\u0000`;
+
+    return html
+        .replace(/<(pre|textarea|script|style)\b([^>]*)>([\s\S]*?)<\/\1>/gi, (match, tag, attributes, content) => {
+            const name = tag.toLowerCase();
+            if (name === 'pre' || name === 'textarea') return keep(match);
+            return keep(`<${tag}${attributes.replace(/\s+/g, ' ')}>${minifyEmbedded(name, attributes, content)}</${tag}>`);
+        })
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/>\s+(?=<\/?(html|head|body|meta|link|title|script|style|div|header|main|footer|section|nav|ul|ol|li|h[1-6]|p)\b)/gi, '>')
+        .trim()
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => preserved[index]);
+}
+
+/**
+ * Rewrite, inline and minify the page for production
+ *
+ * @param {string} html - Rendered page
+ * @param {Object} options
+ * @param {Object} options.manifest - Original -> published asset paths
+ * @param {Array<{path: string, data: Buffer|string}>} options.files - Published assets
+ * @param {string[]} options.stylesheets - Stylesheets linked from the page (original paths)
+ * @param {Object} options.settings - See DEFAULT_PRODUCTION_SETTINGS
+ * @returns {string}
+ */
+function optimizeHtml(html, { manifest, files, stylesheets, settings }) {
+    let output = rewriteReferences(html, manifest);
+
+    if (settings.inlineCriticalCss) {
+        const linked = stylesheets
+            .map(href => manifest[href.replace(/^\.?\//, '')])
+            .map(href => ({ href, file: files.find(file => file.path === href) }))
+            .filter(({ file }) => file)
+            .map(({ href, file }) => ({ href, css: String(file.data) }));
+        output = inlineCriticalCss(output, linked);
+    }
+
+    return settings.minify ? minifyHtml(output) : output;
+}
+
+/**
+ * Delete fingerprinted files left over from the previous production build
+ *
+ * @param {string} outDir - Output directory
+ * @returns {number} Number of files removed
+ */
+function removeStaleAssets(outDir) {
+    const manifestPath = path.join(outDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return 0;
+
+    let previous;
+    try {
+        previous = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch (error) {
+        previous = {};
+    }
+
+    let removed = 0;
+    Object.entries(previous).forEach(([from, to]) => {
+        const stalePath = path.join(outDir, to);
+        if (from !== to && !path.relative(outDir, stalePath).startsWith('..') && fs.existsSync(stalePath)) {
+            fs.unlinkSync(stalePath);
+            removed++;
+        }
+    });
+    fs.unlinkSync(manifestPath);
+    return removed;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    getProductionSettings,
+    isPublishedAsset,
+    minifyCss,
+    minifyJs,
+    minifyHtml,
+    processAssets,
+    rewriteReferences,
+    prefixReferences,
+    inlineCriticalCss,
+    optimizeHtml,
+    removeStaleAssets
+};
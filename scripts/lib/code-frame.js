@@ -0,0 +1,49 @@
+/**
+ * Resume Website Builder - Code Frames
+ * Source excerpts pointing at a line and column, for error messages
+ */
+
+/**
+ * 1-based line and column of a character offset
+ */
+function offsetToLocation(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Lines around `line`, with a marker under `column` (both 1-based):
+ *
+ *     2 |   "name": "Jane",
+ *   > 3 |   "title": "Developer",,
+ *       |                        ^
+ *
+ * @param {string} source - File contents
+ * @param {number} line
+ * @param {number} [column] - Omit to mark the line only
+ * @param {number} [context] - Lines shown before and after
+ * @returns {string}
+ */
+function codeFrame(source, line, column = null, context = 2) {
+    const lines = source.split(/\r?\n/);
+    const first = Math.max(1, line - context);
+    const last = Math.min(lines.length, line + context);
+    const width = String(last).length;
+
+    const output = [];
+    for (let number = first; number <= last; number++) {
+        const marker = number === line ? '>' : ' ';
+        output.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+        if (number === line && column) {
+            // Keep tabs so the caret lines up with the source
+            const indent = lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+            output.push(`  ${' '.repeat(width)} | ${indent}^`);
+        }
+    }
+    return output.join('\n');
+}
+
+module.exports = {
+    offsetToLocation,
+    codeFrame
+};
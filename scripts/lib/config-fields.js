@@ -0,0 +1,266 @@
+/**
+ * Resume Website Builder - Config Fields
+ * The fields of each resume section, as the setup wizard asks for them,
+ * and checks for typed-in values (dates, URLs, colors, numbers)
+ */
+
+const { FORMATS } = require('./json-schema');
+const { DEFAULT_THEME } = require('./themes');
+
+/**
+ * Fields of the object sections. Keys are dotted paths inside the section;
+ * `default` is used when the field has no value yet and the answer is empty; a `placeholder`
+ * default only stands in for the person's own answer, so setup without prompts asks for it.
+ * Fields with an `answer` name are asked when creating a config (see SETUP_SECTIONS).
+ */
+const PERSONAL_FIELDS = [
+    { key: 'fullName', answer: 'fullName', label: 'Full name', type: 'text', required: true, default: 'Your Name', placeholder: true },
+    { key: 'title', answer: 'title', label: 'Professional title', hint: 'e.g., "Senior Software Engineer"', type: 'text', required: true, default: 'Your Title', placeholder: true },
+    { key: 'email', answer: 'email', label: 'Email address', type: 'email', required: true, default: 'your.email@example.com', placeholder: true },
+    { key: 'phone', answer: 'phone', label: 'Phone number', type: 'text' },
+    { key: 'location.primary', answer: 'location', label: 'Location', hint: 'e.g., "San Francisco, CA"', type: 'text', required: true, default: 'Your City, State', placeholder: true },
+    { key: 'location.secondary', answer: 'secondaryLocation', label: 'Second location or remote note', type: 'text' },
+    { key: 'social.linkedin', answer: 'linkedin', label: 'LinkedIn URL', type: 'url' },
+    { key: 'social.github', answer: 'github', label: 'GitHub URL', type: 'url' },
+    { key: 'social.twitter', answer: 'twitter', label: 'Twitter URL', type: 'url' },
+    { key: 'social.website', answer: 'website', label: 'Personal website URL', type: 'url' }
+];
+
+const SUMMARY_FIELDS = [
+    { key: 'professional', answer: 'summary', label: 'Professional summary', hint: '1-2 sentences', type: 'text', multiline: true, default: 'Add your professional summary here.' },
+    { key: 'about', label: 'About me', type: 'text', multiline: true }
+];
+
+const SETTINGS_FIELDS = [
+    { key: 'theme', answer: 'theme', label: 'Theme', type: 'choice', required: true, default: DEFAULT_THEME },
+    { key: 'colors.primary', answer: 'primaryColor', label: 'Primary color', hint: 'hex code', type: 'color', default: '#2563eb' },
+    { key: 'colors.secondary', label: 'Secondary color', hint: 'hex code', type: 'color', default: '#1e40af' },
+    { key: 'colors.accent', label: 'Accent color', hint: 'hex code', type: 'color', default: '#3b82f6' },
+    { key: 'design.colorScheme', label: 'Color scheme', hint: 'auto, light or dark; auto follows the visitor\'s system setting', type: 'choice', choices: ['auto', 'light', 'dark'] },
+    { key: 'seo.title', label: 'Page title', type: 'text' },
+    { key: 'seo.description', label: 'Page description', type: 'text', multiline: true },
+    { key: 'seo.canonicalUrl', answer: 'siteUrl', label: 'Website URL', hint: 'e.g., https://yourusername.github.io', type: 'url' }
+];
+
+/**
+ * What a new config asks for, section by section
+ */
+const SETUP_SECTIONS = [
+    { section: 'personal', fields: PERSONAL_FIELDS },
+    { section: 'summary', fields: SUMMARY_FIELDS.filter(field => field.answer) },
+    { section: 'settings', fields: SETTINGS_FIELDS.filter(field => field.answer) }
+];
+
+/**
+ * List sections: where the list sits in the config, a one-line label for an entry, and its fields.
+ * `list` fields are comma-separated, `lines` fields take one item per line.
+ * `multiline` text fields get a larger box in the web editor.
+ */
+const LIST_SECTIONS = [
+    {
+        id: 'experience',
+        label: 'Experience',
+        path: 'experience',
+        describe: entry => `${entry.title} at ${entry.company} (${entry.startDate} – ${entry.endDate || 'Present'})`,
+        fields: [
+            { key: 'title', label: 'Job title', type: 'text', required: true },
+            { key: 'company', label: 'Company', type: 'text', required: true },
+            { key: 'location', label: 'Location', type: 'text' },
+            { key: 'startDate', label: 'Start date', hint: 'YYYY-MM', type: 'date', required: true },
+            { key: 'endDate', label: 'End date', hint: 'YYYY-MM or "Present"', type: 'endDate', required: true },
+            { key: 'achievements', label: 'Achievements', type: 'lines' },
+            { key: 'technologies', label: 'Technologies', hint: 'comma-separated', type: 'list' }
+        ],
+        // The current flag follows the end date, so the two can't disagree
+        complete: entry => ({ ...entry, current: entry.endDate === 'Present' })
+    },
+    {
+        id: 'education',
+        label: 'Education',
+        path: 'education',
+        describe: entry => `${entry.degree}, ${entry.institution}`,
+        fields: [
+            { key: 'degree', label: 'Degree', type: 'text', required: true },
+            { key: 'institution', label: 'Institution', type: 'text', required: true },
+            { key: 'location', label: 'Location', type: 'text' },
+            { key: 'startDate', label: 'Start date', hint: 'YYYY', type: 'date' },
+            { key: 'endDate', label: 'End date', hint: 'YYYY or "Present"', type: 'endDate' },
+            { key: 'gpa', label: 'GPA', type: 'text' },
+            { key: 'honors', label: 'Honors', type: 'text' }
+        ]
+    },
+    {
+        id: 'skillCategories',
+        label: 'Skill categories',
+        path: 'skills.categories',
+        describe: entry => `${entry.name}: ${[].concat(entry.items || []).join(', ')}`,
+        fields: [
+            { key: 'name', label: 'Category name', type: 'text', required: true },
+            { key: 'icon', label: 'Icon', hint: 'Font Awesome class such as fa-code', type: 'icon' },
+            { key: 'items', label: 'Skills', hint: 'comma-separated', type: 'list', required: true }
+        ]
+    },
+    {
+        id: 'detailedSkills',
+        label: 'Detailed skills',
+        path: 'skills.detailed',
+        describe: entry => `${entry.name}${entry.years !== undefined ? ` (${entry.years} years)` : ''}`,
+        fields: [
+            { key: 'name', label: 'Skill', type: 'text', required: true },
+            { key: 'years', label: 'Years of experience', hint: 'leave empty to work it out from your jobs', type: 'number', min: 0 },
+            { key: 'proficiency', label: 'Proficiency', hint: '0-100', type: 'number', min: 0, max: 100 }
+        ]
+    },
+    {
+        id: 'projects',
+        label: 'Projects',
+        path: 'projects',
+        describe: entry => entry.title,
+        fields: [
+            { key: 'title', label: 'Project name', type: 'text', required: true },
+            { key: 'description', label: 'Description', type: 'text', multiline: true, required: true },
+            { key: 'startDate', label: 'Start date', hint: 'YYYY-MM, only used for skill years', type: 'date' },
+            { key: 'endDate', label: 'End date', hint: 'YYYY-MM or "Present"', type: 'endDate' },
+            { key: 'technologies', label: 'Technologies', hint: 'comma-separated', type: 'list' },
+            { key: 'highlights', label: 'Highlights', type: 'lines' },
+            { key: 'url', label: 'URL', type: 'url' }
+        ]
+    },
+    {
+        id: 'certifications',
+        label: 'Certifications',
+        path: 'certifications',
+        describe: entry => `${entry.name} (${entry.issuer})`,
+        fields: [
+            { key: 'name', label: 'Certification', type: 'text', required: true },
+            { key: 'issuer', label: 'Issuer', type: 'text', required: true },
+            { key: 'date', label: 'Date', hint: 'YYYY-MM', type: 'date' },
+            { key: 'credentialId', label: 'Credential ID', type: 'text' },
+            { key: 'url', label: 'Verification URL', type: 'url' }
+        ]
+    },
+    {
+        id: 'articles',
+        label: 'Articles',
+        path: 'articles',
+        describe: entry => entry.title,
+        fields: [
+            { key: 'title', label: 'Title', type: 'text', required: true },
+            { key: 'url', label: 'URL', type: 'url', required: true },
+            { key: 'excerpt', label: 'Excerpt', type: 'text', multiline: true },
+            { key: 'date', label: 'Date', hint: 'YYYY-MM-DD', type: 'date' },
+            { key: 'readTime', label: 'Reading time in minutes', type: 'number', min: 0 },
+            { key: 'tags', label: 'Tags', hint: 'comma-separated', type: 'list' }
+        ]
+    },
+    {
+        id: 'testimonials',
+        label: 'Testimonials',
+        path: 'testimonials',
+        describe: entry => `${entry.author}${entry.company ? `, ${entry.company}` : ''}`,
+        fields: [
+            { key: 'quote', label: 'Quote', type: 'text', multiline: true, required: true },
+            { key: 'author', label: 'Author', type: 'text', required: true },
+            { key: 'position', label: 'Position', type: 'text' },
+            { key: 'company', label: 'Company', type: 'text' }
+        ]
+    }
+];
+
+/**
+ * Value at a dotted path ("location.primary")
+ */
+function getField(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+/**
+ * Set a value at a dotted path, creating objects on the way; undefined removes it
+ */
+function setField(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((current, part) => {
+        if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+        return current[part];
+    }, object);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+}
+
+/**
+ * YYYY, YYYY-MM or YYYY-MM-DD with a real month and day
+ */
+function isDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return false;
+    const [, year, month = '01', day = '01'] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+}
+
+/**
+ * Check a typed-in answer and convert it to the value stored in the config
+ *
+ * @param {Object} field - Field definition (see LIST_SECTIONS)
+ * @param {string} answer - Trimmed input; empty means "no value" (or the field's default)
+ * @returns {{value: *}|{error: string}} Value (undefined for an empty optional answer), or why it was rejected
+ */
+function parseAnswer(field, answer) {
+    if (answer === '') {
+        if (field.default !== undefined) return { value: field.default };
+        return field.required ? { error: `${field.label} is required` } : { value: undefined };
+    }
+
+    switch (field.type) {
+        case 'email':
+        case 'color':
+            return FORMATS[field.type].test(answer) ? { value: answer } : { error: `"${answer}" ${FORMATS[field.type].message}` };
+        case 'url':
+            return FORMATS.uri.test(answer) ? { value: answer } : { error: `"${answer}" ${FORMATS.uri.message} (include https://)` };
+        case 'date':
+            return isDate(answer) ? { value: answer } : { error: `"${answer}" is not a date; use YYYY, YYYY-MM or YYYY-MM-DD` };
+        case 'endDate':
+            if (/^present$/i.test(answer)) return { value: 'Present' };
+            return isDate(answer) ? { value: answer } : { error: `"${answer}" is not a date; use YYYY, YYYY-MM, YYYY-MM-DD or "Present"` };
+        case 'icon':
+            return /^fa-[a-z0-9-]+$/.test(answer) ? { value: answer } : { error: `"${answer}" is not a Font Awesome icon class such as "fa-code"` };
+        case 'number': {
+            const value = Number(answer);
+            if (!Number.isFinite(value)) return { error: `"${answer}" is not a number` };
+            if (field.min !== undefined && value < field.min) return { error: `${field.label} must be at least ${field.min}` };
+            if (field.max !== undefined && value > field.max) return { error: `${field.label} must be at most ${field.max}` };
+            return { value };
+        }
+        case 'list':
+            return { value: answer.split(',').map(item => item.trim()).filter(Boolean) };
+        case 'choice':
+            return field.choices.includes(answer) ? { value: answer } : { error: `"${answer}" is not one of: ${field.choices.join(', ')}` };
+        default:
+            return { value: answer };
+    }
+}
+
+/**
+ * Current value as shown next to a prompt
+ */
+function formatValue(field, value) {
+    if (Array.isArray(value)) return value.join(field.type === 'lines' ? ' / ' : ', ');
+    return String(value);
+}
+
+module.exports = {
+    PERSONAL_FIELDS,
+    SUMMARY_FIELDS,
+    SETTINGS_FIELDS,
+    LIST_SECTIONS,
+    SETUP_SECTIONS,
+    getField,
+    setField,
+    parseAnswer,
+    formatValue
+};
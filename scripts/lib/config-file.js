@@ -0,0 +1,416 @@
+/**
+ * Resume Website Builder - Config Files
+ * Starter settings and safe writes for resume-data.json (.json5, .yaml)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_THEME } = require('./themes');
+const { DEFAULT_SECTION_ORDER } = require('./sections');
+const {
+    INCLUDE_KEY,
+    compareFileNames,
+    getEntryFolder,
+    parseConfigSource,
+    stringifyConfig,
+    updateConfigSource
+} = require('./config-loader');
+const { CURRENT_SCHEMA_VERSION, migrateConfig } = require('./migrations');
+
+/**
+ * JSON Schema referenced from written configs, for editor autocompletion
+ */
+const SCHEMA_PATH = path.join(__dirname, '../../schema/resume-data.schema.json');
+
+/**
+ * Settings block for a freshly created config
+ *
+ * @param {Object} [options]
+ * @param {string} [options.theme]
+ * @param {string} [options.primaryColor]
+ * @param {string} [options.title] - SEO title
+ * @param {string} [options.description] - SEO description
+ * @param {string} [options.canonicalUrl]
+ * @returns {Object}
+ */
+function createDefaultSettings({
+    theme = DEFAULT_THEME,
+    primaryColor = '#2563eb',
+    title = 'Your Name - Your Title',
+    description = '',
+    canonicalUrl = ''
+} = {}) {
+    return {
+        theme,
+        sectionsEnabled: {
+            professionalSummary: true,
+            about: false,
+            skills: true,
+            projects: true,
+            articles: false,
+            experience: true,
+            education: true,
+            testimonials: false,
+            certifications: false
+        },
+        sectionOrder: [...DEFAULT_SECTION_ORDER],
+        colors: {
+            primary: primaryColor,
+            secondary: '#1e40af',
+            accent: '#3b82f6'
+        },
+        seo: {
+            title,
+            description: description || 'Professional resume and portfolio',
+            keywords: ['resume', 'portfolio', 'developer'],
+            canonicalUrl: canonicalUrl || 'https://yourusername.github.io'
+        }
+    };
+}
+
+/**
+ * Config with every resume section present but empty
+ */
+function createEmptyConfig() {
+    return {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        personal: {
+            fullName: '',
+            title: '',
+            email: '',
+            phone: '',
+            location: { primary: '', secondary: '' },
+            profileImage: 'images/profile.svg',
+            social: { linkedin: '', github: '', twitter: '', website: '' }
+        },
+        summary: { professional: '', about: '' },
+        experience: [],
+        education: [],
+        skills: { categories: [], detailed: [] },
+        certifications: [],
+        projects: [],
+        articles: [],
+        testimonials: []
+    };
+}
+
+/**
+ * Copy of an existing config (or an empty one) for importers to fill in,
+ * upgraded to the current schemaVersion
+ *
+ * @param {Object|null} base - Existing config
+ * @returns {Object}
+ */
+function prepareConfig(base) {
+    const empty = createEmptyConfig();
+    const config = { ...empty, ...(base ? migrateConfig(base).config : {}) };
+    ['personal', 'summary', 'skills'].forEach(key => {
+        config[key] = { ...empty[key], ...config[key] };
+    });
+    return config;
+}
+
+/**
+ * Give an imported config starter settings if it has none,
+ * showing the optional sections that received content
+ */
+function ensureSettings(config) {
+    if (config.settings) return;
+
+    const { fullName, title } = config.personal;
+    config.settings = createDefaultSettings({
+        title: [fullName, title].filter(Boolean).join(' - ') || undefined,
+        description: config.summary.professional
+    });
+    ['articles', 'certifications', 'testimonials'].forEach(id => {
+        config.settings.sectionsEnabled[id] = config[id].length > 0;
+    });
+}
+
+/**
+ * Backup location for a config file (resume-data.json -> resume-data.backup.json)
+ */
+function getBackupPath(configPath) {
+    const ext = path.extname(configPath);
+    return path.join(path.dirname(configPath), `${path.basename(configPath, ext)}.backup${ext}`);
+}
+
+/**
+ * "$schema" value for a config file: the schema's path relative to it
+ */
+function getSchemaReference(configPath) {
+    return path.relative(path.dirname(path.resolve(configPath)), SCHEMA_PATH).split(path.sep).join('/');
+}
+
+/**
+ * Write a config file in the format of its extension, backing up the existing one first.
+ * A "$schema" reference is added unless the config already has one.
+ *
+ * @param {string} configPath
+ * @param {Object} config
+ * @returns {{configPath: string, backupPath: string|null}}
+ */
+function saveConfig(configPath, config) {
+    let backupPath = null;
+
+    if (fs.existsSync(configPath)) {
+        backupPath = getBackupPath(configPath);
+        fs.copyFileSync(configPath, backupPath);
+    }
+
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    const contents = { $schema: getSchemaReference(configPath), ...config };
+    fs.writeFileSync(configPath, stringifyConfig(contents, configPath), 'utf-8');
+
+    return { configPath, backupPath };
+}
+
+/**
+ * Write a file, backing up the existing one first
+ *
+ * @returns {{file: string, backupPath: string}}
+ */
+function writeWithBackup(file, contents) {
+    const backupPath = getBackupPath(file);
+    fs.copyFileSync(file, backupPath);
+    fs.writeFileSync(file, contents, 'utf-8');
+    return { file, backupPath };
+}
+
+/**
+ * Top-level keys whose values differ between two configs
+ */
+function findChangedSections(before, after) {
+    return Object.keys({ ...before, ...after })
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * New contents for a file whose value changes from `before` to `after`. An object that keeps
+ * all its keys has only the changed keys replaced, keeping comments and layout; anything else
+ * is written out again.
+ */
+function updateFileContents(source, file, before, after, section = null) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return source;
+    }
+    if (path.extname(file).toLowerCase() === '.md' || !isObject(before) || !isObject(after) ||
+        !Object.keys(before).every(key => key in after)) {
+        return stringifyConfig(after, file, section);
+    }
+
+    const values = {};
+    Object.keys(after)
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        .forEach(key => { values[key] = after[key]; });
+    return updateConfigSource(source, file, values, Object.keys(after));
+}
+
+/**
+ * Backup location for a file in an entry folder. Backups there start with a dot,
+ * so they aren't read as entries (experience/01-acme.yaml -> experience/.01-acme.backup.yaml).
+ */
+function getEntryBackupPath(file) {
+    return path.join(path.dirname(file), `.${path.basename(getBackupPath(file))}`);
+}
+
+/**
+ * File name for an entry: "<number>-<slug>" inside the folder's name pattern
+ */
+function entryFileName(folder, number, width, stem, ext) {
+    const core = `${String(number).padStart(width, '0')}-${stem}`;
+    return `${folder.prefix}${core}${folder.suffix || ext}`;
+}
+
+/**
+ * Name part of an entry file without the pattern around it and its leading number
+ * ("jobs/02-acme.yaml" -> "acme")
+ */
+function entryStem(folder, name) {
+    const ext = folder.suffix ? '' : path.extname(name);
+    const core = name.slice(folder.prefix.length, name.length - (folder.suffix.length || ext.length));
+    return core.replace(/^\d+[-_. ]*/, '');
+}
+
+/**
+ * Slug for a new entry's file, from its company, school or title
+ */
+function entrySlug(entry) {
+    const label = [entry.company, entry.institution, entry.name, entry.title, entry.author]
+        .find(value => typeof value === 'string' && value.trim());
+    const slug = (label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return slug || 'entry';
+}
+
+/**
+ * Plan the files of a section kept one entry per file. Entries keep the file holding the
+ * same content, then edited entries keep the file at their position; entries left over get
+ * new files and files left over are removed. When the kept names would no longer sort in the
+ * section's order, every file is renumbered.
+ *
+ * @returns {Array<{entry: Object, file: string, old: {file: string, source: string, value: *}|null}>}
+ *   Target file of each entry, with the file it was read from
+ */
+function planEntryFiles(folder, entries, oldFiles, section) {
+    const olds = oldFiles.map(file => {
+        const source = fs.readFileSync(file, 'utf-8');
+        return { file, source, value: parseConfigSource(source, file, section).value };
+    });
+    const claimed = new Set();
+    const claim = old => {
+        claimed.add(old);
+        return old;
+    };
+
+    const matched = entries.map(entry => {
+        const same = olds.find(old => !claimed.has(old) && JSON.stringify(old.value) === JSON.stringify(entry));
+        return same ? claim(same) : null;
+    });
+    const leftover = olds.filter(old => !claimed.has(old));
+    entries.forEach((entry, index) => {
+        if (!matched[index] && leftover.length > 0) {
+            const atIndex = leftover.find(old => old === olds[index]);
+            matched[index] = claim(atIndex || leftover[0]);
+            leftover.splice(leftover.indexOf(matched[index]), 1);
+        }
+    });
+
+    const ext = folder.suffix ? path.extname(folder.suffix) : (olds.length > 0 ? path.extname(olds[olds.length - 1].file) : '.yaml');
+    // Numbers are as wide as the existing ones ("01-acme" or "1-acme")
+    const firstNumber = olds.length > 0 ? path.basename(olds[0].file).slice(folder.prefix.length).match(/^\d+/) : null;
+    const width = Math.max(firstNumber ? firstNumber[0].length : 2, String(entries.length).length);
+
+    // Keep the names that exist; new entries are numbered after the entry before them
+    let previousNumber = 0;
+    const kept = entries.map((entry, index) => {
+        const old = matched[index];
+        if (old) {
+            previousNumber = Number((path.basename(old.file).slice(folder.prefix.length).match(/^\d+/) || [previousNumber])[0]);
+            return path.basename(old.file);
+        }
+        previousNumber++;
+        return entryFileName(folder, previousNumber, width, entrySlug(entry), ext);
+    });
+    const inOrder = kept.every((name, index) => index === 0 || compareFileNames(kept[index - 1], name) < 0);
+
+    const names = inOrder ? kept : entries.map((entry, index) => {
+        const old = matched[index];
+        const stem = old ? entryStem(folder, path.basename(old.file)) : '';
+        return entryFileName(folder, index + 1, width, stem || entrySlug(entry), old ? path.extname(old.file) : ext);
+    });
+
+    return entries.map((entry, index) => ({ entry, file: path.join(folder.dir, names[index]), old: matched[index] }));
+}
+
+/**
+ * Write a section kept one entry per file: changed entries are written to their own files,
+ * new entries get new files, removed entries lose theirs, and reordered files are renamed.
+ * Every file changed or removed is backed up first (see getEntryBackupPath).
+ *
+ * @returns {{written: Array<{file: string, backupPath: string|null}>, removed: Array<{file: string, backupPath: string}>}}
+ */
+function saveEntryFiles(folder, entries, oldFiles, section) {
+    const plan = planEntryFiles(folder, entries, oldFiles, section);
+    const backups = new Map();
+    const backUp = file => {
+        if (!backups.has(file)) {
+            backups.set(file, getEntryBackupPath(file));
+            fs.copyFileSync(file, backups.get(file));
+        }
+        return backups.get(file);
+    };
+
+    const changes = plan.filter(({ entry, file, old }) =>
+        !old || old.file !== file || JSON.stringify(old.value) !== JSON.stringify(entry));
+    const kept = new Set(plan.filter(({ old }) => old).map(({ old }) => old.file));
+    const removed = oldFiles
+        .filter(file => !kept.has(file))
+        .map(file => ({ file, backupPath: backUp(file) }));
+
+    // Move files out of the way first, so renamed files can take each other's names
+    changes.forEach(({ old }) => old && backUp(old.file));
+    [...changes.filter(({ old, file }) => old && old.file !== file).map(({ old }) => old.file), ...removed.map(({ file }) => file)]
+        .forEach(file => fs.unlinkSync(file));
+
+    fs.mkdirSync(folder.dir, { recursive: true });
+    const written = changes.map(({ entry, file, old }) => {
+        const contents = old && path.extname(old.file) === path.extname(file)
+            ? updateFileContents(old.source, file, old.value, entry, section)
+            : stringifyConfig(entry, file, section);
+        fs.writeFileSync(file, contents, 'utf-8');
+        return { file, backupPath: old ? backups.get(old.file) : null };
+    });
+
+    return { written, removed };
+}
+
+/**
+ * Write changed top-level sections back to the files they came from, leaving the rest untouched.
+ * A section kept whole in a file of its own (settings.yaml, or "$include": "settings.yaml")
+ * is written to that file, and a section kept one entry per file (experience/*.yaml, or
+ * "$include": "jobs/*.yaml") to its entry files, changing only the keys that changed where
+ * it can (see updateFileContents). Any other section goes into the main file, replacing the
+ * includes it was split into.
+ *
+ * @param {string} configPath - Main file, as read by readConfig()
+ * @param {Object} config - The complete, edited config
+ * @param {string[]} sections - Top-level keys that changed
+ * @param {Array<{pointer: string, file: string}>} sources - From readConfig()
+ * @returns {{written: Array<{file: string, backupPath: string|null}>, removed: Array<{file: string, backupPath: string}>,
+ *   unused: string[]}} Files written with their backups (null for new files), entry files removed,
+ *   and files that are no longer read
+ */
+function saveConfigSections(configPath, config, sections, sources) {
+    const mainSource = fs.readFileSync(configPath, 'utf-8');
+    const main = parseConfigSource(mainSource, configPath).value;
+    const written = [];
+    const removed = [];
+    const unused = [];
+    const mainValues = {};
+
+    sections.forEach(section => {
+        const pointer = `/${section}`;
+        const inside = sources.filter(source => source.pointer === pointer || source.pointer.startsWith(`${pointer}/`));
+        const entry = main[section];
+        // Keys next to "$include" override the file, so the main file has to change too
+        const overridden = entry && typeof entry === 'object' && INCLUDE_KEY in entry && Object.keys(entry).length > 1;
+        const folder = getEntryFolder(configPath, main, section);
+        const entryFiles = inside.filter(source => new RegExp(`^${pointer}/\\d+$`).test(source.pointer));
+
+        if (folder && Array.isArray(config[section]) && entryFiles.length === inside.length) {
+            const oldFiles = entryFiles
+                .sort((a, b) => Number(a.pointer.slice(pointer.length + 1)) - Number(b.pointer.slice(pointer.length + 1)))
+                .map(source => source.file);
+            const result = saveEntryFiles(folder, config[section], oldFiles, section);
+            written.push(...result.written);
+            removed.push(...result.removed);
+        } else if (inside.length === 1 && inside[0].pointer === pointer && !overridden) {
+            const file = inside[0].file;
+            const source = fs.readFileSync(file, 'utf-8');
+            const before = parseConfigSource(source, file).value;
+            written.push(writeWithBackup(file, updateFileContents(source, file, before, config[section])));
+        } else {
+            mainValues[section] = config[section];
+            unused.push(...inside.map(source => source.file));
+        }
+    });
+
+    if (Object.keys(mainValues).length > 0) {
+        written.unshift(writeWithBackup(configPath, updateConfigSource(mainSource, configPath, mainValues, Object.keys(config))));
+    }
+
+    return { written, removed, unused };
+}
+
+module.exports = {
+    createDefaultSettings,
+    createEmptyConfig,
+    prepareConfig,
+    ensureSettings,
+    getBackupPath,
+    findChangedSections,
+    saveConfig,
+    saveConfigSections
+};
@@ -0,0 +1,495 @@
+/**
+ * Resume Website Builder - Config Loader
+ * Reads the resume data as JSON, JSON5 or YAML, resolves "$include" references
+ * and sections kept in their own files or folders (experience/*.yaml,
+ * projects/*.md), and remembers which file and line every value came from
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JSON5 = require('json5');
+const YAML = require('yaml');
+const { offsetToLocation } = require('./code-frame');
+const { appendPointer, scanJson, scanJsonValues, closestOffset } = require('./json-source');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const CONFIG_NAME = 'resume-data';
+
+// Formats of resume-data.* and of included files, in lookup order
+const CONFIG_EXTENSIONS = ['.json', '.json5', '.yaml', '.yml'];
+
+const INCLUDE_KEY = '$include';
+
+/**
+ * Name of the syntax a config file is written in, for error messages ("YAML" for settings.yml)
+ */
+function formatName(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return { '.json': 'JSON', '.json5': 'JSON5', '.yaml': 'YAML', '.yml': 'YAML', '.md': 'front matter' }[ext] || 'configuration';
+}
+
+// Sections that can be written as <section>.yaml next to the main file
+const SPLIT_SECTIONS = [
+    'personal', 'summary', 'experience', 'education', 'skills',
+    'certifications', 'projects', 'articles', 'testimonials', 'settings'
+];
+
+// Sections that can be a folder with one entry per file (<section>/*.yaml, <section>/*.md)
+const ENTRY_SECTIONS = ['experience', 'education', 'certifications', 'projects', 'articles', 'testimonials'];
+
+// Files read from a section folder
+const ENTRY_EXTENSIONS = [...CONFIG_EXTENSIONS, '.md'];
+
+// Field that receives the text below a Markdown file's front matter, by section
+const MARKDOWN_BODY_FIELDS = {
+    experience: 'achievements',
+    education: 'honors',
+    projects: 'description',
+    articles: 'excerpt',
+    testimonials: 'quote'
+};
+
+// Body fields that are lists: one item per "- " bullet
+const MARKDOWN_LIST_FIELDS = ['achievements', 'highlights'];
+
+/**
+ * Error with the file, line and column it points at
+ */
+function configError(message, { code = 'CONFIG_ERROR', file = null, line = null, column = null } = {}) {
+    return Object.assign(new Error(message), { code, file, line, column });
+}
+
+/**
+ * The resume data file in a folder: resume-data.json, .json5, .yaml or .yml.
+ * Returns the resume-data.json path when there is none yet.
+ */
+function findConfigFile(configDir = CONFIG_DIR) {
+    const candidates = CONFIG_EXTENSIONS.map(ext => path.join(configDir, `${CONFIG_NAME}${ext}`));
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+/**
+ * Line and column of a JSON.parse error.
+ * Node reports a character offset ("at position 42"); newer versions add "(line 3 column 5)".
+ */
+function getJsonErrorLocation(source, error) {
+    const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+    if (lineColumn) {
+        return { line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    }
+
+    const position = error.message.match(/at position (\d+)/);
+    if (position) {
+        return offsetToLocation(source, Number(position[1]));
+    }
+
+    // "Unexpected end of JSON input"
+    if (/end of JSON input/.test(error.message)) {
+        return offsetToLocation(source, source.trimEnd().length);
+    }
+
+    return { line: null, column: null };
+}
+
+/**
+ * Pointer -> offset of every value in a YAML node (keys for map entries, like scanJson())
+ */
+function scanYaml(node, pointer, offsets, base = 0) {
+    if (YAML.isMap(node)) {
+        node.items.forEach(pair => {
+            const key = YAML.isScalar(pair.key) ? pair.key.value : String(pair.key);
+            const childPointer = appendPointer(pointer, key);
+            if (pair.key && pair.key.range) offsets.set(childPointer, base + pair.key.range[0]);
+            scanYaml(pair.value, childPointer, offsets, base);
+        });
+    } else if (YAML.isSeq(node)) {
+        node.items.forEach((item, index) => {
+            const childPointer = appendPointer(pointer, index);
+            if (item && item.range) offsets.set(childPointer, base + item.range[0]);
+            scanYaml(item, childPointer, offsets, base);
+        });
+    }
+    return offsets;
+}
+
+/**
+ * Parse the YAML between offsets `base` and `end` of `source`
+ */
+function parseYaml(source, filePath, base = 0, end = source.length) {
+    const document = YAML.parseDocument(source.slice(base, end), { prettyErrors: false });
+    if (document.errors.length > 0) {
+        const [error] = document.errors;
+        throw configError(error.message, {
+            code: 'CONFIG_PARSE_ERROR',
+            file: filePath,
+            ...offsetToLocation(source, base + error.pos[0])
+        });
+    }
+
+    const offsets = scanYaml(document.contents, '', new Map([['', base]]), base);
+    return { value: document.toJS(), offsets };
+}
+
+/**
+ * Markdown with YAML front matter: the front matter gives the fields,
+ * the text below it fills the section's body field (see MARKDOWN_BODY_FIELDS)
+ */
+function parseMarkdown(source, filePath, section) {
+    const match = source.match(/^---[ \t]*\r?\n([\s\S]*?)^---[ \t]*$/m);
+    const frontMatter = match && match.index === 0 ? match : null;
+    const start = source.indexOf('\n') + 1;
+    const { value, offsets } = frontMatter
+        ? parseYaml(source, filePath, start, start + frontMatter[1].length)
+        : { value: {}, offsets: new Map([['', 0]]) };
+    const entry = value || {};
+
+    const bodyOffset = frontMatter ? frontMatter[0].length : 0;
+    const body = source.slice(bodyOffset).trim();
+    const field = MARKDOWN_BODY_FIELDS[section] || 'description';
+
+    if (body && entry[field] === undefined) {
+        offsets.set(`/${field}`, bodyOffset + source.slice(bodyOffset).search(/\S/));
+        entry[field] = body;
+
+        if (MARKDOWN_LIST_FIELDS.includes(field)) {
+            // "- " starts an item; other lines continue the one before
+            const items = [];
+            let lineOffset = bodyOffset;
+            source.slice(bodyOffset).split('\n').forEach(line => {
+                const [, bullet, text] = line.match(/^\s*(?:([-*])\s+)?(.*?)\s*$/);
+                if (text && (bullet || items.length === 0)) {
+                    offsets.set(`/${field}/${items.length}`, lineOffset);
+                    items.push(text);
+                } else if (text) {
+                    items[items.length - 1] += ` ${text}`;
+                }
+                lineOffset += line.length + 1;
+            });
+            entry[field] = items;
+        }
+    }
+
+    return { value: entry, offsets };
+}
+
+/**
+ * Parse a config file by its extension
+ *
+ * @param {string} source - File contents
+ * @param {string} filePath
+ * @param {string} [section] - Section the file belongs to (picks the Markdown body field)
+ * @returns {{value: *, offsets: Map<string, number>}} Parsed value and pointer -> offset
+ * @throws {Error} CONFIG_PARSE_ERROR with file, line and column
+ */
+function parseConfigSource(source, filePath, section = null) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.yaml' || ext === '.yml') {
+        return parseYaml(source, filePath);
+    }
+    if (ext === '.md') {
+        return parseMarkdown(source, filePath, section);
+    }
+
+    let value;
+    try {
+        value = ext === '.json5' ? JSON5.parse(source) : JSON.parse(source);
+    } catch (error) {
+        const location = ext === '.json5'
+            ? { line: error.lineNumber || null, column: error.columnNumber || null }
+            : getJsonErrorLocation(source, error);
+        throw configError(error.message.replace(/^JSON5: /, ''), { code: 'CONFIG_PARSE_ERROR', file: filePath, ...location });
+    }
+    return { value, offsets: scanJson(source) };
+}
+
+/**
+ * Order of entry files: by name, with numbers compared as numbers ("2-x" before "10-x")
+ */
+function compareFileNames(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Files matching a pattern with "*" in the file name, sorted by name (see compareFileNames)
+ */
+function listMatchingFiles(pattern) {
+    const dir = path.dirname(pattern);
+    if (!fs.existsSync(dir)) return [];
+
+    const escaped = path.basename(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return fs.readdirSync(dir)
+        .filter(name => regex.test(name) && !name.startsWith('.'))
+        .sort(compareFileNames)
+        .map(name => path.join(dir, name))
+        .filter(file => fs.statSync(file).isFile());
+}
+
+/**
+ * Where a section keeps one entry per file: its folder next to the main file
+ * (experience/*.yaml), or a "*" include in the main file ("$include": "jobs/*.yaml")
+ *
+ * @param {string} configPath - Main file
+ * @param {Object} main - Main file's parsed value, before includes are resolved
+ * @param {string} section
+ * @returns {{dir: string, prefix: string, suffix: string}|null} The folder, and the file name
+ *   around the "*" (an empty suffix takes any entry file extension); null for other sections
+ */
+function getEntryFolder(configPath, main, section) {
+    const baseDir = path.dirname(path.resolve(configPath));
+    const value = main[section];
+
+    if (value === undefined) {
+        const dir = path.join(baseDir, section);
+        const isFolder = ENTRY_SECTIONS.includes(section) && fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+        return isFolder ? { dir, prefix: '', suffix: '' } : null;
+    }
+
+    const include = value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1
+        ? value[INCLUDE_KEY]
+        : null;
+    if (typeof include !== 'string' || !include.includes('*')) {
+        return null;
+    }
+    const pattern = path.resolve(baseDir, include);
+    const name = path.basename(pattern);
+    return { dir: path.dirname(pattern), prefix: name.slice(0, name.indexOf('*')), suffix: name.slice(name.lastIndexOf('*') + 1) };
+}
+
+/**
+ * Read the resume data with everything it includes
+ *
+ * @param {string} configPath - Main file (resume-data.json, .json5, .yaml or .yml)
+ * @returns {{config: Object, files: string[], sources: Array<{pointer: string, file: string}>, locate: Function}}
+ *   The merged config, every file read, the pointer each file's value sits at,
+ *   and locate(pointer) -> {file, line, column}: where a JSON pointer's value is written
+ * @throws {Error} With `code` (CONFIG_NOT_FOUND, CONFIG_PARSE_ERROR or CONFIG_INCLUDE_ERROR), `file`, `line` and `column`
+ */
+function readConfig(configPath) {
+    const files = [];
+    const mounts = []; // { pointer, file, source, offsets }: where each file's value sits in the config
+
+    const locate = pointer => {
+        const mount = mounts
+            .filter(candidate => pointer === candidate.pointer || pointer.startsWith(`${candidate.pointer}/`))
+            .reduce((best, candidate) => (!best || candidate.pointer.length > best.pointer.length ? candidate : best), null);
+        if (!mount) return { file: configPath, line: null, column: null };
+
+        const offset = closestOffset(mount.offsets, pointer.slice(mount.pointer.length));
+        return { file: mount.file, ...offsetToLocation(mount.source, offset) };
+    };
+
+    const readFile = (filePath, pointer, stack, includedFrom = null) => {
+        const relative = path.relative(process.cwd(), filePath);
+        if (stack.includes(filePath)) {
+            throw configError(`${relative} includes itself`, { code: 'CONFIG_INCLUDE_ERROR', ...locate(includedFrom) });
+        }
+
+        let source;
+        try {
+            source = fs.readFileSync(filePath, 'utf-8');
+        } catch (error) {
+            const code = includedFrom ? 'CONFIG_INCLUDE_ERROR' : (error.code === 'ENOENT' ? 'CONFIG_NOT_FOUND' : 'CONFIG_READ_FAILED');
+            const location = includedFrom ? locate(includedFrom) : { file: filePath };
+            throw configError(error.code === 'ENOENT' ? `File not found: ${relative}` : `Failed to read ${relative}: ${error.message}`,
+                { code, ...location });
+        }
+
+        const section = pointer.split('/')[1] || null;
+        const { value, offsets } = parseConfigSource(source, filePath, section);
+        files.push(filePath);
+        mounts.push({ pointer, file: filePath, source, offsets });
+
+        return resolveIncludes(value, pointer, path.dirname(filePath), [...stack, filePath]);
+    };
+
+    // Replace { "$include": "file" } with the file's value; a "*" pattern gives a list
+    const resolveIncludes = (value, pointer, baseDir, stack) => {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => resolveIncludes(item, appendPointer(pointer, index), baseDir, stack));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        if (typeof value[INCLUDE_KEY] === 'string') {
+            const { [INCLUDE_KEY]: target, ...rest } = value;
+            const includePointer = appendPointer(pointer, INCLUDE_KEY);
+            const included = target.includes('*')
+                ? listMatchingFiles(path.resolve(baseDir, target))
+                    .map((file, index) => readFile(file, appendPointer(pointer, index), stack, includePointer))
+                : readFile(path.resolve(baseDir, target), pointer, stack, includePointer);
+
+            if (Object.keys(rest).length === 0) {
+                return included;
+            }
+            if (!included || typeof included !== 'object' || Array.isArray(included)) {
+                throw configError(`"${INCLUDE_KEY}": "${target}" isn't an object, so it can't be combined with other keys`,
+                    { code: 'CONFIG_INCLUDE_ERROR', ...locate(includePointer) });
+            }
+            // Keys next to "$include" override the included ones
+            return { ...included, ...resolveIncludes(rest, pointer, baseDir, stack) };
+        }
+
+        const resolved = {};
+        Object.keys(value).forEach(key => {
+            resolved[key] = resolveIncludes(value[key], appendPointer(pointer, key), baseDir, stack);
+        });
+        return resolved;
+    };
+
+    const mainPath = path.resolve(configPath);
+    const config = readFile(mainPath, '', []);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw configError(`${path.relative(process.cwd(), mainPath)} must contain an object`, { code: 'CONFIG_PARSE_ERROR', file: mainPath });
+    }
+
+    // Sections missing from the main file can sit next to it: experience.yaml or experience/*.yaml
+    const baseDir = path.dirname(mainPath);
+    SPLIT_SECTIONS.filter(section => config[section] === undefined).forEach(section => {
+        const dir = path.join(baseDir, section);
+        if (ENTRY_SECTIONS.includes(section) && fs.existsSync(dir) && fs.statSync(dir).isDirectory()) {
+            config[section] = listMatchingFiles(path.join(dir, '*'))
+                .filter(file => ENTRY_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+                .map((file, index) => readFile(file, `/${section}/${index}`, [mainPath]));
+            return;
+        }
+
+        const file = CONFIG_EXTENSIONS.map(ext => path.join(baseDir, `${section}${ext}`)).find(candidate => fs.existsSync(candidate));
+        if (file) {
+            config[section] = readFile(file, `/${section}`, [mainPath]);
+        }
+    });
+
+    const sources = mounts.map(({ pointer, file }) => ({ pointer, file }));
+    return { config, files, sources, locate };
+}
+
+/**
+ * Markdown with YAML front matter for an entry: the section's body field (see MARKDOWN_BODY_FIELDS)
+ * goes below the front matter, as "- " bullets for list fields
+ */
+function stringifyMarkdown(entry, section) {
+    const field = MARKDOWN_BODY_FIELDS[section] || 'description';
+    const { [field]: body, ...rest } = entry;
+    const isList = MARKDOWN_LIST_FIELDS.includes(field);
+    const inBody = isList
+        ? Array.isArray(body) && body.every(item => typeof item === 'string' && !item.includes('\n'))
+        : typeof body === 'string';
+    const frontMatter = inBody || body === undefined ? rest : entry;
+
+    const yaml = Object.keys(frontMatter).length > 0 ? YAML.stringify(frontMatter, { lineWidth: 0 }) : '';
+    const text = inBody ? (isList ? body.map(item => `- ${item}`).join('\n') : body.trim()) : '';
+    return `---\n${yaml}---\n${text ? `\n${text}\n` : ''}`;
+}
+
+/**
+ * Serialize a config in the format of the file it goes to.
+ * YAML files reference the schema in a yaml-language-server comment instead of a "$schema" key.
+ *
+ * @param {*} config - Value to write
+ * @param {string} filePath
+ * @param {string} [section] - Section of a Markdown entry file (picks the body field)
+ * @returns {string}
+ */
+function stringifyConfig(config, filePath, section = null) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.md') {
+        return stringifyMarkdown(config, section);
+    }
+    if (ext === '.yaml' || ext === '.yml') {
+        const { $schema, ...rest } = Array.isArray(config) ? {} : config;
+        const header = $schema ? `# yaml-language-server: $schema=${$schema}\n` : '';
+        return header + YAML.stringify(Array.isArray(config) ? config : rest, { lineWidth: 0 });
+    }
+    if (ext === '.json5') {
+        return JSON5.stringify(config, { space: 2, quote: '"' }) + '\n';
+    }
+    return JSON.stringify(config, null, 2) + '\n';
+}
+
+/**
+ * Replace top-level keys in a config file's source, keeping the rest of the text as it is
+ * (formatting, and comments in JSON5 and YAML). New keys are added after the key they follow
+ * in `order`, or first when none of the keys before them are in the file.
+ *
+ * @param {string} source - Current file contents
+ * @param {string} filePath
+ * @param {Object} values - Key -> new value
+ * @param {string[]} [order] - Keys of the complete config in order (defaults to adding new keys last)
+ * @returns {string} New file contents
+ */
+function updateConfigSource(source, filePath, values, order = null) {
+    const ext = path.extname(filePath).toLowerCase();
+    const { value } = parseConfigSource(source, filePath);
+    const existing = Object.keys(value || {});
+    const keyOrder = order || [...existing, ...Object.keys(values)];
+    // Existing key a new key goes after, or null to go first
+    const previousKey = key => keyOrder.slice(0, keyOrder.indexOf(key)).reverse().find(other => existing.includes(other)) || null;
+
+    if (ext === '.yaml' || ext === '.yml') {
+        const document = YAML.parseDocument(source);
+        if (!YAML.isMap(document.contents)) {
+            return stringifyConfig({ ...value, ...values }, filePath);
+        }
+        Object.keys(values).forEach(key => {
+            if (document.has(key)) {
+                document.set(key, values[key]);
+                return;
+            }
+            const items = document.contents.items;
+            const previous = previousKey(key);
+            const index = previous === null ? 0 : items.findIndex(pair => String(pair.key) === previous) + 1;
+            // Comments at the top of the file (such as the yaml-language-server line) stay there
+            const first = index === 0 && items.length > 0 && items[0].key;
+            if (first && first.commentBefore) {
+                document.commentBefore = first.commentBefore;
+                first.commentBefore = undefined;
+            }
+            items.splice(index, 0, document.createPair(key, values[key]));
+            existing.push(key);
+        });
+        return document.toString({ lineWidth: 0 });
+    }
+
+    const { offsets, ranges } = scanJsonValues(source);
+    if (existing.length === 0 || !ranges.has('')) {
+        return stringifyConfig({ ...value, ...values }, filePath);
+    }
+    const indent = offset => source.slice(source.lastIndexOf('\n', offset) + 1).match(/^[ \t]*/)[0];
+    const memberIndent = indent(offsets.get(appendPointer('', existing[0])));
+    const toJson = (key, lineIndent) => stringifyConfig(values[key], filePath).trimEnd().replace(/\n/g, `\n${lineIndent}`);
+
+    // Splice in the new text from the end, so earlier offsets stay valid
+    const edits = Object.keys(values).map(key => {
+        const range = ranges.get(appendPointer('', key));
+        if (range) {
+            return { at: range[0], end: range[1], text: toJson(key, indent(range[0])) };
+        }
+        const previous = previousKey(key);
+        const member = `${JSON.stringify(key)}: ${toJson(key, memberIndent)}`;
+        return previous === null
+            ? { at: ranges.get('')[0] + 1, end: ranges.get('')[0] + 1, text: `\n${memberIndent}${member},` }
+            : { at: ranges.get(appendPointer('', previous))[1], end: ranges.get(appendPointer('', previous))[1], text: `,\n${memberIndent}${member}` };
+    });
+    return edits
+        .map((edit, index) => ({ ...edit, index }))
+        .sort((a, b) => b.at - a.at || b.index - a.index)
+        .reduce((text, edit) => text.slice(0, edit.at) + edit.text + text.slice(edit.end), source);
+}
+
+module.exports = {
+    CONFIG_DIR,
+    CONFIG_EXTENSIONS,
+    INCLUDE_KEY,
+    compareFileNames,
+    findConfigFile,
+    formatName,
+    getEntryFolder,
+    parseConfigSource,
+    readConfig,
+    stringifyConfig,
+    updateConfigSource
+};
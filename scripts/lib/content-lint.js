@@ -0,0 +1,306 @@
+/**
+ * Resume Website Builder - Content Linter
+ * Checks the writing and the timeline of a resume: unquantified or long
+ * bullets, weak and repeated verbs, impossible dates, gaps and overlaps.
+ * Rules are switched on and off in config/lint-rules.json.
+ */
+
+const fs = require('fs');
+const { toMonthNumber } = require('./dates');
+const { computeSkillYears, getSkillYearsSettings } = require('./skill-years');
+const { pointerToPath } = require('./json-schema');
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+/**
+ * Opening verbs that say little about the result
+ */
+const WEAK_VERBS = [
+    'assisted', 'contributed', 'did', 'handled', 'helped', 'involved', 'made',
+    'participated', 'responsible', 'supported', 'tried', 'used', 'was', 'worked'
+];
+
+/**
+ * First word of a bullet, without punctuation: "Led" for "Led development of..."
+ */
+function openingWord(text) {
+    const match = String(text).trim().match(/^[^\s,;:.]+/);
+    return match ? match[0] : '';
+}
+
+/**
+ * Achievement bullets of every job, with their pointers
+ */
+function achievements(config) {
+    const bullets = [];
+    (Array.isArray(config.experience) ? config.experience : []).forEach((job, jobIndex) => {
+        (Array.isArray(job && job.achievements) ? job.achievements : []).forEach((text, index) => {
+            if (typeof text === 'string' && text.trim()) {
+                bullets.push({ text, pointer: `/experience/${jobIndex}/achievements/${index}` });
+            }
+        });
+    });
+    return bullets;
+}
+
+/**
+ * Entries of a section with their dates as month numbers (see toMonthNumber()).
+ * Entries without a readable start date are left out.
+ */
+function dateRanges(config, section) {
+    return (Array.isArray(config[section]) ? config[section] : [])
+        .map((entry, index) => ({
+            entry,
+            index,
+            start: entry ? toMonthNumber(entry.startDate) : null,
+            end: entry ? toMonthNumber(entry.endDate, { end: true }) : null
+        }))
+        .filter(range => range.start !== null && range.end !== null);
+}
+
+/**
+ * "5 months", "1 month"
+ */
+function months(count) {
+    return `${count} month${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Built-in rules: default severity, default options and the check itself.
+ * A check calls report(pointer, message) for each problem.
+ */
+const RULES = {
+    'quantified-achievements': {
+        description: 'Achievements state a measurable result (a number, percentage or amount)',
+        severity: 'warning',
+        options: {},
+        check(config, options, report) {
+            achievements(config)
+                .filter(bullet => !/\d/.test(bullet.text))
+                .forEach(bullet => report(bullet.pointer, 'has no measurable result; add a number, percentage or amount'));
+        }
+    },
+
+    'bullet-length': {
+        description: 'Achievements are at most maxWords words long',
+        severity: 'warning',
+        options: { maxWords: 30 },
+        check(config, options, report) {
+            achievements(config).forEach(bullet => {
+                const words = bullet.text.trim().split(/\s+/).length;
+                if (words > options.maxWords) {
+                    report(bullet.pointer, `is ${words} words long; keep bullets to ${options.maxWords} words or fewer`);
+                }
+            });
+        }
+    },
+
+    'weak-verbs': {
+        description: 'Achievements don\'t open with a weak verb such as "Helped" or "Worked"',
+        severity: 'warning',
+        options: { verbs: WEAK_VERBS },
+        check(config, options, report) {
+            const verbs = options.verbs.map(verb => verb.toLowerCase());
+            achievements(config).forEach(bullet => {
+                const word = openingWord(bullet.text);
+                if (verbs.includes(word.toLowerCase())) {
+                    report(bullet.pointer, `opens with the weak verb "${word}"; lead with what you achieved, such as "Led", "Built" or "Reduced"`);
+                }
+            });
+        }
+    },
+
+    'repeated-verbs': {
+        description: 'No opening verb is used more than maxRepeats times',
+        severity: 'warning',
+        options: { maxRepeats: 2 },
+        check(config, options, report) {
+            const counts = new Map();
+            achievements(config).forEach(bullet => {
+                const word = openingWord(bullet.text);
+                const key = word.toLowerCase();
+                counts.set(key, (counts.get(key) || 0) + 1);
+                if (counts.get(key) > options.maxRepeats) {
+                    report(bullet.pointer, `opens with "${word}", used ${counts.get(key)} times so far; vary the opening verbs`);
+                }
+            });
+        }
+    },
+
+    'date-order': {
+        description: 'endDate is not before startDate',
+        severity: 'error',
+        options: {},
+        check(config, options, report) {
+            ['experience', 'education', 'projects'].forEach(section => {
+                dateRanges(config, section)
+                    .filter(range => range.end < range.start)
+                    .forEach(range => report(`/${section}/${range.index}/endDate`,
+                        `"${range.entry.endDate}" is before startDate "${range.entry.startDate}"`));
+            });
+        }
+    },
+
+    'current-end-date': {
+        description: 'Jobs marked current: true end "Present" (or have no endDate)',
+        severity: 'error',
+        options: {},
+        check(config, options, report) {
+            (Array.isArray(config.experience) ? config.experience : []).forEach((job, index) => {
+                if (job && job.current === true && job.endDate && job.endDate !== 'Present') {
+                    report(`/experience/${index}/endDate`, `is "${job.endDate}" but the job is marked current; use "Present" or remove "current"`);
+                }
+            });
+        }
+    },
+
+    'chronological-order': {
+        description: 'Experience and education are listed most recent first',
+        severity: 'warning',
+        options: {},
+        check(config, options, report) {
+            ['experience', 'education'].forEach(section => {
+                const ranges = dateRanges(config, section);
+                ranges.slice(1).forEach((range, i) => {
+                    const previous = ranges[i];
+                    if (range.start > previous.start) {
+                        report(`/${section}/${range.index}`,
+                            `started after ${section}[${previous.index}] but is listed below it; list entries most recent first`);
+                    }
+                });
+            });
+        }
+    },
+
+    'employment-gaps': {
+        description: 'No gap between jobs is longer than maxMonths, unless education covers it',
+        severity: 'warning',
+        options: { maxMonths: 6, countEducation: true },
+        check(config, options, report) {
+            const jobs = dateRanges(config, 'experience').sort((a, b) => a.start - b.start);
+            const covering = options.countEducation ? jobs.concat(dateRanges(config, 'education')) : jobs;
+
+            jobs.slice(1).forEach(job => {
+                // Latest month covered by anything that started before this job
+                const earlier = covering.filter(range => range.start < job.start);
+                if (earlier.length === 0) return;
+
+                const gap = job.start - Math.max(...earlier.map(range => range.end)) - 1;
+                if (gap > options.maxMonths) {
+                    report(`/experience/${job.index}`,
+                        `starts ${months(gap)} after the previous job ended; mention what you did in between`);
+                }
+            });
+        }
+    },
+
+    'employment-overlaps': {
+        description: 'Jobs overlap by at most maxMonths',
+        severity: 'warning',
+        options: { maxMonths: 1 },
+        check(config, options, report) {
+            const jobs = dateRanges(config, 'experience');
+            jobs.forEach((job, i) => {
+                jobs.slice(i + 1).forEach(other => {
+                    const overlap = Math.min(job.end, other.end) - Math.max(job.start, other.start) + 1;
+                    if (overlap > options.maxMonths) {
+                        report(`/experience/${other.index}`, `overlaps experience[${job.index}] by ${months(overlap)}`);
+                    }
+                });
+            });
+        }
+    },
+
+    'skill-years': {
+        description: 'Detailed skills\' years are within maxDifference of the jobs (and projects) listing the skill in technologies',
+        severity: 'warning',
+        options: { maxDifference: 1 },
+        check(config, options, report) {
+            // The build replaces typed-in years with the computed ones, so they can't disagree
+            if (getSkillYearsSettings(config).fill === 'always') return;
+
+            const detailed = (config.skills && Array.isArray(config.skills.detailed)) ? config.skills.detailed : [];
+            computeSkillYears(config).forEach((computed, index) => {
+                const declared = detailed[index].years;
+                if (typeof declared !== 'number' || Math.abs(declared - computed.years) <= options.maxDifference) return;
+
+                report(`/skills/detailed/${index}/years`,
+                    `is ${declared} but ${computed.sources.join(', ')} add up to ${computed.years.toFixed(1)} years ` +
+                    `of ${detailed[index].name}; correct it, or remove it to use the computed value`);
+            });
+        }
+    }
+};
+
+/**
+ * Read a rules file: { "rules": { "<rule>": "off" | "warning" | "error" | [severity, options] } }
+ *
+ * @param {string} rulesPath
+ * @returns {Object} Rule settings, or {} when the file doesn't exist
+ * @throws {Error} When the file isn't valid JSON
+ */
+function loadLintRules(rulesPath) {
+    if (!rulesPath || !fs.existsSync(rulesPath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(rulesPath, 'utf-8')).rules || {};
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${rulesPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Merge rule settings with the defaults
+ *
+ * @param {Object} settings - See loadLintRules()
+ * @returns {{rules: Array<{id: string, severity: string, options: Object}>, errors: string[]}}
+ *   Enabled rules, and problems with the settings themselves
+ */
+function resolveRules(settings = {}) {
+    const errors = [];
+
+    Object.keys(settings).forEach(id => {
+        if (!RULES[id]) {
+            errors.push(`Unknown lint rule "${id}" (available: ${Object.keys(RULES).join(', ')})`);
+        }
+    });
+
+    const rules = Object.keys(RULES).map(id => {
+        const [severity = RULES[id].severity, options = {}] = [].concat(settings[id] === undefined ? [] : settings[id]);
+        if (!SEVERITIES.includes(severity)) {
+            errors.push(`Lint rule "${id}" has severity "${severity}"; use one of: ${SEVERITIES.join(', ')}`);
+            return null;
+        }
+        return { id, severity, options: { ...RULES[id].options, ...options } };
+    });
+
+    return { rules: rules.filter(rule => rule && rule.severity !== 'off'), errors };
+}
+
+/**
+ * Lint resume content
+ *
+ * @param {Object} config - Resume configuration, resolved for one language
+ * @param {Array} rules - Enabled rules, see resolveRules()
+ * @returns {Array<{rule: string, severity: string, pointer: string, message: string}>}
+ */
+function lintContent(config, rules) {
+    const problems = [];
+
+    rules.forEach(({ id, severity, options }) => {
+        RULES[id].check(config, options, (pointer, message) => {
+            problems.push({ rule: id, severity, pointer, message: `${pointerToPath(pointer)} ${message}` });
+        });
+    });
+
+    return problems;
+}
+
+module.exports = {
+    RULES,
+    loadLintRules,
+    resolveRules,
+    lintContent
+};
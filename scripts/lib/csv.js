@@ -0,0 +1,77 @@
+/**
+ * Resume Website Builder - CSV Parsing
+ * RFC 4180 reader for data exports (quoted fields, embedded newlines, CRLF)
+ */
+
+/**
+ * Split CSV text into rows of fields
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ *
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    return rows.map(fields => {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = (fields[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+module.exports = {
+    parseCsv
+};
@@ -0,0 +1,154 @@
+/**
+ * Resume Website Builder - Date Formatting
+ * Shared by the website template, the PDF and other exports
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * "Jan 2020", or the locale's short month and year ("Jan. 2020" in German)
+ */
+function monthYear(d, locale) {
+    if (locale) {
+        return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric' }).format(d);
+    }
+    return `${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+}
+
+/**
+ * Format a config date for display.
+ * Supports "YYYY", "YYYY-MM", "YYYY-MM-DD" and "Present";
+ * anything else is parsed with Date or returned unchanged.
+ *
+ * @param {string} date - Config date
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Format months for this locale (default: English)
+ * @param {string} [options.present] - Text for "Present" and missing end dates
+ */
+function formatDate(date, { locale = null, present = 'Present' } = {}) {
+    if (!date || date === 'Present') return present;
+
+    try {
+        // Handle "YYYY" format (just a year)
+        if (/^\d{4}$/.test(date)) {
+            return date;
+        }
+
+        // Handle "YYYY-MM" format
+        if (/^\d{4}-\d{2}$/.test(date)) {
+            const [year, month] = date.split('-');
+            const monthIndex = parseInt(month, 10) - 1;
+            if (monthIndex >= 0 && monthIndex < 12) {
+                return monthYear(new Date(Number(year), monthIndex, 1), locale);
+            }
+        }
+
+        // Handle full ISO date format (YYYY-MM-DD)
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return monthYear(new Date(date + 'T00:00:00'), locale);
+        }
+
+        // Try to parse as a Date object for other formats
+        const d = new Date(date);
+        if (!isNaN(d.getTime())) {
+            return monthYear(d, locale);
+        }
+
+        // If all else fails, return the original date string
+        return date;
+    } catch (e) {
+        return date;
+    }
+}
+
+/**
+ * Format a start/end date pair as "Jan 2020 - Present"
+ * (options as for formatDate)
+ */
+function formatDateRange(startDate, endDate, options = {}) {
+    if (!startDate) {
+        return endDate ? formatDate(endDate, options) : '';
+    }
+
+    return `${formatDate(startDate, options)} - ${formatDate(endDate, options)}`;
+}
+
+/**
+ * Normalize an imported date to "YYYY-MM" (or "YYYY" when only the year is known).
+ * Accepts "Jan 2020", "January 2020", "01/2020", "06/12/21" (MM/DD/YY),
+ * ISO dates and "Present"; returns unknown formats, and months outside 1-12, unchanged.
+ * A two-digit year after the current one is in the 1900s ("06/15/99" -> "1999-06").
+ *
+ * @param {string} value - Imported date
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current date, for two-digit years
+ * @returns {string}
+ */
+function normalizeDate(value, { now = new Date() } = {}) {
+    const date = String(value || '').trim();
+    if (!date) return '';
+    if (/^(present|current|now)$/i.test(date)) return 'Present';
+
+    const pad = month => String(month).padStart(2, '0');
+    const isMonth = month => Number(month) >= 1 && Number(month) <= 12;
+    let match;
+
+    if (/^\d{4}$/.test(date)) return date;
+    if ((match = date.match(/^(\d{4})-(\d{2})/))) {
+        return isMonth(match[2]) ? `${match[1]}-${match[2]}` : date;
+    }
+
+    if ((match = date.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/))) {
+        const monthIndex = MONTHS.findIndex(month => month.toLowerCase() === match[1].toLowerCase());
+        if (monthIndex !== -1) return `${match[2]}-${pad(monthIndex + 1)}`;
+    }
+
+    if ((match = date.match(/^(\d{1,2})\/(\d{4})$/))) {
+        return isMonth(match[1]) ? `${match[2]}-${pad(match[1])}` : date;
+    }
+
+    if ((match = date.match(/^(\d{1,2})\/\d{1,2}\/(\d{2}|\d{4})\b/))) {
+        if (!isMonth(match[1])) return date;
+        const century = Number(match[2]) > now.getFullYear() % 100 ? '19' : '20';
+        const year = match[2].length === 2 ? `${century}${match[2]}` : match[2];
+        return `${year}-${pad(match[1])}`;
+    }
+
+    const parsed = new Date(date);
+    if (!isNaN(parsed.getTime())) {
+        return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}`;
+    }
+
+    return date;
+}
+
+/**
+ * Month count (year * 12 + month) of a config date, for comparing and subtracting dates.
+ * "YYYY" counts as January, or December for an end date. "Present", and a missing
+ * end date, is the current month. Returns null for dates that can't be read.
+ *
+ * @param {string} date - Config date
+ * @param {Object} [options]
+ * @param {boolean} [options.end] - The date ends a range
+ * @param {Date} [options.now] - Current date
+ * @returns {number|null}
+ */
+function toMonthNumber(date, { end = false, now = new Date() } = {}) {
+    if (date === 'Present' || (!date && end)) {
+        return now.getFullYear() * 12 + now.getMonth();
+    }
+
+    const match = String(date || '').match(/^(\d{4})(?:-(\d{2}))?(?:-\d{2})?$/);
+    if (!match) return null;
+
+    const month = match[2] ? Number(match[2]) - 1 : (end ? 11 : 0);
+    return Number(match[1]) * 12 + month;
+}
+
+module.exports = {
+    formatDate,
+    formatDateRange,
+    normalizeDate,
+    toMonthNumber
+};
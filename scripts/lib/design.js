@@ -0,0 +1,325 @@
+/**
+ * Resume Website Builder - Design Tokens
+ * Fonts, corner radii, spacing and the light and dark palettes from settings.design,
+ * written as CSS custom properties, and WCAG contrast checks for the color pairs the themes use
+ */
+
+/**
+ * Settings used when settings.design leaves them out. The light palette's
+ * primary, secondary and accent come from settings.colors; the dark palette is
+ * derived from the light one unless settings.design.dark sets its colors.
+ */
+const DEFAULT_DESIGN = {
+    colorScheme: 'auto', // palette before the visitor picks one: auto (system setting), light or dark
+    toggle: true, // light/dark switch on the page
+    fonts: {},
+    radius: {},
+    spacing: {},
+    light: {
+        background: '#ffffff',
+        backgroundAlt: '#f9fafb',
+        text: '#1f2937',
+        textMuted: '#6b7280',
+        border: '#e5e7eb'
+    },
+    dark: {}
+};
+
+const DEFAULT_COLORS = {
+    primary: '#2563eb',
+    secondary: '#1e40af',
+    accent: '#3b82f6'
+};
+
+/**
+ * CSS custom property for each token (the names the theme stylesheets use)
+ */
+const PALETTE_VARIABLES = {
+    primary: '--primary-color',
+    secondary: '--secondary-color',
+    accent: '--accent-color',
+    onPrimary: '--on-primary',
+    onAccent: '--on-accent',
+    background: '--background',
+    backgroundAlt: '--background-alt',
+    text: '--text-dark',
+    textMuted: '--text-light',
+    border: '--border-color'
+};
+
+const TOKEN_VARIABLES = {
+    fonts: { body: '--font-body', heading: '--font-heading' },
+    radius: { small: '--radius-sm', medium: '--radius-md', large: '--radius-lg' },
+    spacing: { section: '--space-section', card: '--space-card' }
+};
+
+/**
+ * Smallest contrast for normal-size text (WCAG 2 level AA)
+ */
+const MIN_CONTRAST = 4.5;
+
+/**
+ * Color pairs the themes put on top of each other: [text token, background token, what it is]
+ */
+const CONTRAST_PAIRS = [
+    ['text', 'background', 'body text'],
+    ['text', 'backgroundAlt', 'text on cards'],
+    ['textMuted', 'background', 'secondary text'],
+    ['textMuted', 'backgroundAlt', 'secondary text on cards'],
+    ['primary', 'background', 'links and headings'],
+    ['onPrimary', 'primary', 'button and badge text']
+];
+
+const LIGHT_TEXT = '#ffffff';
+const DARK_TEXT = '#111827';
+
+/**
+ * Palette values the color math can use; others are reported by validation and left out
+ */
+function hexColors(palette) {
+    return Object.fromEntries(Object.entries(palette || {})
+        .filter(([, value]) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)));
+}
+
+/**
+ * [r, g, b] (0-255) for "#2563eb" or "#26e"
+ */
+function parseHex(hex) {
+    const digits = hex.slice(1);
+    const full = digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+    return [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16));
+}
+
+function toHex(rgb) {
+    return `#${rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * [h (0-360), s (0-1), l (0-1)] for [r, g, b]
+ */
+function rgbToHsl(rgb) {
+    const [r, g, b] = rgb.map(value => value / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return [h * 60, s, l];
+}
+
+function hslToRgb([h, s, l]) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+    return [r, g, b].map(value => (value + m) * 255);
+}
+
+/**
+ * WCAG relative luminance of a hex color
+ */
+function luminance(hex) {
+    const [r, g, b] = parseHex(hex).map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio of two hex colors (1 to 21)
+ */
+function contrastRatio(foreground, background) {
+    const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * White or near-black text, whichever reads better on a background
+ */
+function readableOn(background) {
+    return contrastRatio(LIGHT_TEXT, background) >= contrastRatio(DARK_TEXT, background) ? LIGHT_TEXT : DARK_TEXT;
+}
+
+/**
+ * Lighten (on a dark background) or darken a color until it reaches the contrast against the
+ * background and against the text put on it, or can't go further
+ */
+function adjustForContrast(color, background, ratio = MIN_CONTRAST) {
+    const [h, s, l] = rgbToHsl(parseHex(color));
+    const step = luminance(background) < 0.5 ? 0.02 : -0.02;
+    const passes = value => contrastRatio(value, background) >= ratio && contrastRatio(readableOn(value), value) >= ratio;
+    let lightness = l;
+    let adjusted = color;
+
+    while (!passes(adjusted) && (step > 0 ? lightness < 1 : lightness > 0)) {
+        lightness = Math.min(1, Math.max(0, lightness + step));
+        adjusted = toHex(hslToRgb([h, s, lightness]));
+    }
+    return adjusted;
+}
+
+/**
+ * Dark palette for a light one: neutrals flip their lightness into a dark range,
+ * brand colors are lightened until they stand out against the dark background
+ */
+function deriveDarkPalette(light) {
+    const flip = hex => {
+        const [h, s, l] = rgbToHsl(parseHex(hex));
+        return toHex(hslToRgb([h, s * 0.6, 0.08 + (1 - l) * 0.87]));
+    };
+
+    const dark = {};
+    ['background', 'backgroundAlt', 'text', 'textMuted', 'border'].forEach(token => {
+        dark[token] = flip(light[token]);
+    });
+    ['primary', 'secondary', 'accent'].forEach(token => {
+        dark[token] = adjustForContrast(light[token], dark.background);
+    });
+    return dark;
+}
+
+/**
+ * Resolve settings.design (and settings.colors) into complete light and dark palettes
+ *
+ * @param {Object} config
+ * @returns {{colorScheme: string, toggle: boolean, fonts: Object, radius: Object, spacing: Object,
+ *   light: Object, dark: Object, chosen: {light: string[], dark: string[]}}} `chosen` lists the
+ *   palette tokens set in the config rather than derived
+ */
+function getDesignSettings(config) {
+    const settings = config.settings || {};
+    const design = settings.design || {};
+    const colors = settings.colors || {};
+
+    const lightChosen = hexColors({ ...colors, ...design.light });
+    const light = { ...DEFAULT_COLORS, ...DEFAULT_DESIGN.light, ...lightChosen };
+    light.onPrimary = light.onPrimary || readableOn(light.primary);
+    light.onAccent = light.onAccent || readableOn(light.accent);
+
+    const darkChosen = hexColors(design.dark);
+    const dark = { ...deriveDarkPalette(light), ...darkChosen };
+    dark.onPrimary = darkChosen.onPrimary || readableOn(dark.primary);
+    dark.onAccent = darkChosen.onAccent || readableOn(dark.accent);
+
+    return {
+        colorScheme: design.colorScheme || DEFAULT_DESIGN.colorScheme,
+        toggle: design.toggle !== undefined ? Boolean(design.toggle) : DEFAULT_DESIGN.toggle,
+        fonts: { ...DEFAULT_DESIGN.fonts, ...design.fonts },
+        radius: { ...DEFAULT_DESIGN.radius, ...design.radius },
+        spacing: { ...DEFAULT_DESIGN.spacing, ...design.spacing },
+        light,
+        dark,
+        chosen: { light: Object.keys(lightChosen), dark: Object.keys(darkChosen) }
+    };
+}
+
+/**
+ * Color pairs in a palette below the WCAG AA contrast
+ *
+ * @param {Object} design - From getDesignSettings()
+ * @returns {string[]} Warnings
+ */
+function checkContrast(design) {
+    const warnings = [];
+
+    ['light', 'dark'].forEach(scheme => {
+        const palette = design[scheme];
+        CONTRAST_PAIRS.forEach(([foreground, background, label]) => {
+            const ratio = contrastRatio(palette[foreground], palette[background]);
+            if (ratio >= MIN_CONTRAST) return;
+
+            // The token set in the config, or else the derived color to set instead of the text put on it
+            const chosen = [foreground, background].filter(token => design.chosen[scheme].includes(token));
+            const token = chosen.length > 0 ? chosen[0] : foreground.startsWith('on') ? background : foreground;
+            const where = ` (settings.design.${scheme}.${token}` +
+                `${scheme === 'light' && ['primary', 'secondary', 'accent'].includes(token) ? ` or settings.colors.${token}` : ''})`;
+            warnings.push(`Low contrast in the ${scheme} palette: ${label} (${foreground} ${palette[foreground]} on ${background} ` +
+                `${palette[background]}) is ${ratio.toFixed(2)}:1; WCAG AA asks for ${MIN_CONTRAST}:1${where}`);
+        });
+    });
+
+    return warnings;
+}
+
+/**
+ * "name: value;" lines for a palette
+ */
+function paletteDeclarations(palette, indent) {
+    return Object.entries(PALETTE_VARIABLES)
+        .map(([token, variable]) => `${indent}${variable}: ${palette[token]};`)
+        .join('\n');
+}
+
+/**
+ * Reject values that could end the declaration or the <style> element
+ */
+function isSafeCssValue(value) {
+    return typeof value === 'string' && value.trim() !== '' && !/[;{}<>]/.test(value);
+}
+
+/**
+ * <style> with the design tokens: the light palette on :root, the dark one on screens when the
+ * color scheme or the system setting asks for it, or the visitor picked it with the page's toggle
+ * (data-color-scheme on <html>). Print always uses the light palette. A script after the styles
+ * applies the stored choice before the page paints.
+ *
+ * @param {Object} design - From getDesignSettings()
+ * @param {Function} [warn] - Called for token values that were left out
+ * @returns {string} HTML for the page <head>
+ */
+function generateDesignStyles(design, warn = () => {}) {
+    const tokens = [];
+    Object.entries(TOKEN_VARIABLES).forEach(([group, variables]) => {
+        Object.entries(variables).forEach(([token, variable]) => {
+            const value = design[group][token];
+            if (value === undefined) return;
+            if (!isSafeCssValue(value)) {
+                warn(`settings.design.${group}.${token} was left out: ${JSON.stringify(value)} is not a CSS value`);
+                return;
+            }
+            tokens.push(`            ${variable}: ${value.trim()};`);
+        });
+    });
+
+    const darkBlock = (media, selector) => `        @media ${media} {\n            ${selector} {\n` +
+        `                color-scheme: dark;\n${paletteDeclarations(design.dark, '                ')}\n            }\n        }`;
+
+    const blocks = [
+        `        :root {\n            color-scheme: light;\n${tokens.map(line => `${line}\n`).join('')}${paletteDeclarations(design.light, '            ')}\n        }`
+    ];
+    if (design.colorScheme === 'dark') {
+        blocks.push(darkBlock('screen', ':root:not([data-color-scheme="light"])'));
+    } else {
+        blocks.push(darkBlock('screen', ':root[data-color-scheme="dark"]'));
+        if (design.colorScheme === 'auto') {
+            blocks.push(darkBlock('screen and (prefers-color-scheme: dark)', ':root:not([data-color-scheme="light"])'));
+        }
+    }
+
+    const script = design.toggle ? `
+    <script>
+        try {
+            var storedScheme = localStorage.getItem('color-scheme');
+            if (storedScheme === 'light' || storedScheme === 'dark') document.documentElement.setAttribute('data-color-scheme', storedScheme);
+        } catch (error) {}
+    </script>` : '';
+
+    return `
+    <style>
+${blocks.join('\n')}
+    </style>${script}`;
+}
+
+module.exports = {
+    DEFAULT_DESIGN,
+    MIN_CONTRAST,
+    contrastRatio,
+    readableOn,
+    getDesignSettings,
+    checkContrast,
+    generateDesignStyles
+};
@@ -0,0 +1,82 @@
+/**
+ * Resume Website Builder - Text Diffs
+ * Line diff used to preview config changes before they are written
+ */
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: ' '|'+'|'-', line: string}>}
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: '-', line: a[i++] });
+    while (j < b.length) ops.push({ type: '+', line: b[j++] });
+
+    return ops;
+}
+
+/**
+ * Keep only changed lines and their context, grouped into hunks
+ *
+ * @param {Array<{type: string, line: string}>} ops - Output of diffLines
+ * @param {number} [context=2] - Unchanged lines shown around each change
+ * @returns {Array<Array<{type: string, line: string}>>}
+ */
+function groupHunks(ops, context = 2) {
+    const keep = ops.map(() => false);
+    ops.forEach((op, index) => {
+        if (op.type === ' ') return;
+        for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+            keep[k] = true;
+        }
+    });
+
+    const hunks = [];
+    let current = null;
+    ops.forEach((op, index) => {
+        if (!keep[index]) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = [];
+            hunks.push(current);
+        }
+        current.push(op);
+    });
+
+    return hunks;
+}
+
+module.exports = {
+    diffLines,
+    groupHunks
+};
@@ -0,0 +1,357 @@
+/**
+ * Resume Website Builder - DOCX Export
+ * Writes an ATS-friendly, single-column Word document (OOXML)
+ */
+
+const { buildResumeModel } = require('./resume-model');
+const { createZip } = require('./zip');
+
+/**
+ * Defaults for settings.docx
+ */
+const DEFAULT_DOCX_SETTINGS = {
+    enabled: true,
+    fileName: 'resume.docx',
+    pageSize: 'LETTER'
+};
+
+/**
+ * Page sizes in twentieths of a point
+ */
+const PAGE_SIZES = {
+    LETTER: { width: 12240, height: 15840 },
+    LEGAL: { width: 12240, height: 20160 },
+    A4: { width: 11906, height: 16838 },
+    A5: { width: 8391, height: 11906 }
+};
+
+const PAGE_MARGIN = 1080; // 0.75in
+const BULLET_NUMBERING_ID = 1;
+
+const NS = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    relTypes: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Merge settings.docx with the defaults
+ */
+function getDocxSettings(config) {
+    const settings = (config.settings && config.settings.docx) || {};
+    return { ...DEFAULT_DOCX_SETTINGS, ...settings };
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a text run
+ */
+function run(text, { bold = false, italic = false, style = null } = {}) {
+    const props = [
+        style ? `<w:rStyle w:val="${style}"/>` : '',
+        bold ? '<w:b/>' : '',
+        italic ? '<w:i/>' : ''
+    ].join('');
+
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * Build a paragraph from runs
+ */
+function paragraph(runs, { style = null, bullet = false } = {}) {
+    const props = [
+        style ? `<w:pStyle w:val="${style}"/>` : '',
+        bullet ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${BULLET_NUMBERING_ID}"/></w:numPr>` : ''
+    ].join('');
+
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+}
+
+/**
+ * Collects the document body and its hyperlink relationships
+ */
+function createBody() {
+    const parts = [];
+    const links = [];
+
+    return {
+        parts,
+        links,
+
+        add(xml) {
+            parts.push(xml);
+        },
+
+        // Hyperlink run, registered as an external relationship
+        link(text, url, options = {}) {
+            const id = `rIdLink${links.length + 1}`;
+            links.push({ id, url });
+            return `<w:hyperlink r:id="${id}" w:history="1">${run(text, { ...options, style: 'Hyperlink' })}</w:hyperlink>`;
+        },
+
+        // Runs for "a | b | c" pieces, linking those that have a URL
+        inline(pieces) {
+            const runs = [];
+            pieces.forEach((piece, index) => {
+                if (index > 0) runs.push(run(' | '));
+                runs.push(piece.link ? this.link(piece.text, piece.link) : run(piece.text));
+            });
+            return runs;
+        }
+    };
+}
+
+/**
+ * Section renderers, keyed by section kind (see resume-model.js)
+ */
+const SECTION_WRITERS = {
+    text(body, section) {
+        section.paragraphs.forEach(text => body.add(paragraph([run(text)])));
+    },
+
+    skills(body, section) {
+        section.lines.forEach(line => {
+            body.add(paragraph([run(`${line.label}: `, { bold: true }), run(line.text)]));
+        });
+    },
+
+    entries(body, section) {
+        section.entries.forEach(entry => {
+            const title = entry.link ? body.link(entry.title, entry.link) : run(entry.title);
+            body.add(paragraph([title], { style: 'Heading2' }));
+
+            const details = [entry.subtitle, entry.meta].filter(Boolean).join(' | ');
+            if (details) {
+                body.add(paragraph([run(details)], { style: 'EntryDetails' }));
+            }
+
+            entry.body.forEach(text => body.add(paragraph([run(text)])));
+            entry.bullets.forEach(text => body.add(paragraph([run(text)], { style: 'ListBullet', bullet: true })));
+        });
+    },
+
+    quotes(body, section) {
+        section.quotes.forEach(quote => {
+            body.add(paragraph([run(`"${quote.text}"`, { italic: true })]));
+            body.add(paragraph([run(`— ${quote.attribution}`)], { style: 'EntryDetails' }));
+        });
+    }
+};
+
+/**
+ * word/document.xml
+ */
+function documentXml(bodyXml, pageSize) {
+    const size = PAGE_SIZES[pageSize] || PAGE_SIZES.LETTER;
+
+    return XML_HEADER +
+        `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}"><w:body>` +
+        bodyXml +
+        `<w:sectPr><w:pgSz w:w="${size.width}" w:h="${size.height}"/>` +
+        `<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" ` +
+        'w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+}
+
+/**
+ * word/styles.xml
+ * Uses Word's built-in style names so ATS parsers recognise headings and lists.
+ * `language` sets the proofing language ("en-US", "de").
+ */
+function stylesXml(primaryColor, language) {
+    // Word expects six-digit hex colors without the leading '#'
+    let color = primaryColor.replace('#', '');
+    if (/^[0-9a-f]{3}$/i.test(color)) {
+        color = color.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(color)) {
+        color = '2563EB';
+    }
+
+    return XML_HEADER +
+        `<w:styles xmlns:w="${NS.w}">` +
+        '<w:docDefaults><w:rPrDefault><w:rPr>' +
+        '<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+        `<w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="${escapeXml(language)}"/>` +
+        '</w:rPr></w:rPrDefault>' +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+        '</w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>' +
+        '<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="0"/></w:pPr>' +
+        '<w:rPr><w:b/><w:sz w:val="44"/><w:szCs w:val="44"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/>' +
+        '<w:next w:val="Normal"/><w:qFormat/><w:rPr><w:color w:val="595959"/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/>' +
+        '<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/>' +
+        `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${color}"/></w:pBdr>` +
+        '<w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr>' +
+        `<w:rPr><w:b/><w:caps/><w:color w:val="${color}"/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>` +
+        '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/>' +
+        '<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="0"/><w:outlineLvl w:val="1"/></w:pPr>' +
+        '<w:rPr><w:b/><w:sz w:val="23"/><w:szCs w:val="23"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:customStyle="1" w:styleId="EntryDetails"><w:name w:val="Entry Details"/>' +
+        '<w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:after="60"/></w:pPr>' +
+        '<w:rPr><w:color w:val="595959"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>' +
+        `<w:pPr><w:numPr><w:numId w:val="${BULLET_NUMBERING_ID}"/></w:numPr><w:spacing w:after="40"/></w:pPr></w:style>` +
+        '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+        `<w:rPr><w:color w:val="${color}"/><w:u w:val="single"/></w:rPr></w:style>` +
+        '</w:styles>';
+}
+
+/**
+ * word/numbering.xml - a single-level bullet list
+ */
+function numberingXml() {
+    return XML_HEADER +
+        `<w:numbering xmlns:w="${NS.w}">` +
+        '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>' +
+        '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/>' +
+        '<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr></w:lvl>' +
+        '</w:abstractNum>' +
+        `<w:num w:numId="${BULLET_NUMBERING_ID}"><w:abstractNumId w:val="0"/></w:num>` +
+        '</w:numbering>';
+}
+
+/**
+ * [Content_Types].xml
+ */
+function contentTypesXml() {
+    const base = 'application/vnd.openxmlformats-officedocument';
+
+    return XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        `<Override PartName="/word/document.xml" ContentType="${base}.wordprocessingml.document.main+xml"/>` +
+        `<Override PartName="/word/styles.xml" ContentType="${base}.wordprocessingml.styles+xml"/>` +
+        `<Override PartName="/word/numbering.xml" ContentType="${base}.wordprocessingml.numbering+xml"/>` +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        `<Override PartName="/docProps/app.xml" ContentType="${base}.extended-properties+xml"/>` +
+        '</Types>';
+}
+
+/**
+ * _rels/.rels
+ */
+function packageRelsXml() {
+    return XML_HEADER +
+        `<Relationships xmlns="${NS.rels}">` +
+        `<Relationship Id="rId1" Type="${NS.relTypes}/officeDocument" Target="word/document.xml"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        `<Relationship Id="rId3" Type="${NS.relTypes}/extended-properties" Target="docProps/app.xml"/>` +
+        '</Relationships>';
+}
+
+/**
+ * word/_rels/document.xml.rels
+ */
+function documentRelsXml(links) {
+    return XML_HEADER +
+        `<Relationships xmlns="${NS.rels}">` +
+        `<Relationship Id="rIdStyles" Type="${NS.relTypes}/styles" Target="styles.xml"/>` +
+        `<Relationship Id="rIdNumbering" Type="${NS.relTypes}/numbering" Target="numbering.xml"/>` +
+        links.map(link =>
+            `<Relationship Id="${link.id}" Type="${NS.relTypes}/hyperlink" Target="${escapeXml(link.url)}" TargetMode="External"/>`
+        ).join('') +
+        '</Relationships>';
+}
+
+/**
+ * docProps/core.xml
+ */
+function corePropsXml(config, date, model) {
+    const personal = config.personal || {};
+    const keywords = (config.settings && config.settings.seo && config.settings.seo.keywords) || [];
+    const timestamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    return XML_HEADER +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(`${personal.fullName || model.t('document.resume')} - ${model.t('document.resume')}`)}</dc:title>` +
+        `<dc:subject>${escapeXml(personal.title || '')}</dc:subject>` +
+        `<dc:creator>${escapeXml(personal.fullName || '')}</dc:creator>` +
+        `<cp:keywords>${escapeXml(keywords.join(', '))}</cp:keywords>` +
+        `<dc:language>${escapeXml(model.locale)}</dc:language>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:created>` +
+        `<dcterms:modified xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:modified>` +
+        '</cp:coreProperties>';
+}
+
+/**
+ * docProps/app.xml
+ */
+function appPropsXml() {
+    return XML_HEADER +
+        '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">' +
+        '<Application>Resume Website Builder</Application>' +
+        '</Properties>';
+}
+
+/**
+ * Generate the resume DOCX
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Object} [options]
+ * @param {Array<{id: string}>} [options.sections] - Sections to include, in order
+ * @returns {{buffer: Buffer, warnings: string[]}}
+ */
+function generateDocx(config, { sections = [] } = {}) {
+    const settings = getDocxSettings(config);
+    const colors = (config.settings && config.settings.colors) || {};
+    const model = buildResumeModel(config, sections);
+    const body = createBody();
+    const now = new Date();
+
+    // Header: name, title and contact details as plain paragraphs (no text boxes or tables)
+    body.add(paragraph([run(model.header.name)], { style: 'Title' }));
+    if (model.header.title) {
+        body.add(paragraph([run(model.header.title)], { style: 'Subtitle' }));
+    }
+    if (model.header.contacts.length > 0) {
+        body.add(paragraph(body.inline(model.header.contacts)));
+    }
+    if (model.header.links.length > 0) {
+        body.add(paragraph(body.inline(model.header.links)));
+    }
+
+    model.sections.forEach(section => {
+        body.add(paragraph([run(section.heading)], { style: 'Heading1' }));
+        SECTION_WRITERS[section.kind](body, section);
+    });
+
+    const buffer = createZip([
+        { name: '[Content_Types].xml', data: contentTypesXml() },
+        { name: '_rels/.rels', data: packageRelsXml() },
+        { name: 'word/document.xml', data: documentXml(body.parts.join(''), settings.pageSize) },
+        { name: 'word/styles.xml', data: stylesXml(colors.primary || '#2563eb', model.locale === 'en' ? 'en-US' : model.locale) },
+        { name: 'word/numbering.xml', data: numberingXml() },
+        { name: 'word/_rels/document.xml.rels', data: documentRelsXml(body.links) },
+        { name: 'docProps/core.xml', data: corePropsXml(config, now, model) },
+        { name: 'docProps/app.xml', data: appPropsXml() }
+    ], { date: now });
+
+    return { buffer, warnings: model.warnings };
+}
+
+module.exports = {
+    getDocxSettings,
+    generateDocx
+};
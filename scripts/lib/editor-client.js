@@ -0,0 +1,656 @@
+/**
+ * Resume Website Builder - Editor Client
+ * Form for every config section, served by the editor (npm run editor).
+ * Edits are sent to the server for a preview build as you type and written
+ * back to the config when saved.
+ */
+
+(function() {
+    const PREVIEW_DELAY = 600; // milliseconds after the last edit
+
+    const elements = {
+        file: document.getElementById('file'),
+        status: document.getElementById('status'),
+        save: document.getElementById('save'),
+        form: document.getElementById('editor'),
+        sections: document.getElementById('sections'),
+        problems: document.getElementById('problems'),
+        preview: document.getElementById('preview')
+    };
+
+    let data = null; // from GET /api/config: field definitions, themes, ...
+    let config = null; // the config being edited
+    let dirty = false;
+    let previewTimer = null;
+    let previewRunning = false;
+    let previewPending = false;
+    let problems = { errors: [], warnings: [] };
+    let dragged = null; // what is being dragged: { kind: 'entry' | 'chip' | 'section', ... }
+
+    /**
+     * Create an element with attributes and children
+     */
+    function h(tag, attributes, ...children) {
+        const element = document.createElement(tag);
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+            if (name.startsWith('on')) {
+                element.addEventListener(name.slice(2), value);
+            } else {
+                element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+        children.flat().forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            element.append(child instanceof Node ? child : String(child));
+        });
+        return element;
+    }
+
+    /**
+     * Value at a dotted path ("location.primary")
+     */
+    function getField(object, key) {
+        return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+    }
+
+    /**
+     * Set a value at a dotted path, creating objects on the way; undefined removes it
+     */
+    function setField(object, key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        const parent = parts.reduce((current, part) => {
+            if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+            return current[part];
+        }, object);
+
+        if (value === undefined) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    }
+
+    /**
+     * JSON pointer for a dotted path below a base pointer
+     */
+    function toPointer(base, key) {
+        return `${base}/${key.split('.').join('/')}`;
+    }
+
+    /**
+     * Values written once per language ({ "en": "...", "de": "..." }) are edited in the file
+     */
+    function isTranslated(value) {
+        if (Array.isArray(value)) return value.some(item => item && typeof item === 'object');
+        return Boolean(value) && typeof value === 'object';
+    }
+
+    function setStatus(message, isError) {
+        elements.status.textContent = message;
+        elements.status.classList.toggle('error', Boolean(isError));
+    }
+
+    /**
+     * Record an edit: mark unsaved and schedule a preview build
+     */
+    function changed() {
+        dirty = true;
+        elements.save.disabled = false;
+        setStatus('Unsaved changes');
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(updatePreview, PREVIEW_DELAY);
+    }
+
+    async function request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw Object.assign(new Error(result.error || `Request failed (${response.status})`), { result });
+        }
+        return result;
+    }
+
+    // ---------------------------------------------------------------
+    // Fields
+    // ---------------------------------------------------------------
+
+    /**
+     * Chips for a comma-separated list. Chips can be dragged to another list of the same
+     * kind (a skill from one category to another); `group` names that kind.
+     */
+    function createChips(items, group, onChange) {
+        const list = h('div', { class: 'chips', 'data-group': group });
+        list.chipItems = items;
+
+        const render = () => {
+            list.querySelectorAll('.chip').forEach(chip => chip.remove());
+            items.forEach((item, index) => {
+                const chip = h('span', { class: 'chip', draggable: 'true' },
+                    item,
+                    h('button', {
+                        type: 'button',
+                        'aria-label': `Remove ${item}`,
+                        onclick: () => {
+                            items.splice(index, 1);
+                            render();
+                            onChange(items);
+                        }
+                    }, '×'));
+                chip.addEventListener('dragstart', event => {
+                    event.dataTransfer.setData('text/plain', item);
+                    event.dataTransfer.effectAllowed = 'move';
+                    dragged = { kind: 'chip', group, from: list, index };
+                });
+                list.insertBefore(chip, input);
+            });
+        };
+
+        const input = h('input', {
+            type: 'text',
+            placeholder: 'Add and press Enter',
+            onkeydown: event => {
+                if (event.key !== 'Enter' && event.key !== ',') return;
+                event.preventDefault();
+                const value = input.value.trim();
+                if (value) {
+                    items.push(value);
+                    input.value = '';
+                    render();
+                    onChange(items);
+                }
+            }
+        });
+        list.append(input);
+
+        list.addEventListener('dragover', event => {
+            if (dragged && dragged.kind === 'chip' && dragged.group === group) {
+                event.preventDefault();
+                list.classList.add('drop-target');
+            }
+        });
+        list.addEventListener('dragleave', () => list.classList.remove('drop-target'));
+        list.addEventListener('drop', event => {
+            list.classList.remove('drop-target');
+            if (!dragged || dragged.kind !== 'chip' || dragged.group !== group) return;
+            event.preventDefault();
+            const { from, index } = dragged;
+            dragged = null;
+            if (from === list) return;
+            const [item] = from.chipItems.splice(index, 1);
+            items.push(item);
+            from.rerender();
+            from.onChipsChange(from.chipItems);
+            render();
+            onChange(items);
+        });
+
+        list.rerender = render;
+        list.onChipsChange = onChange;
+        render();
+        return list;
+    }
+
+    /**
+     * Input for one field. `onInput` receives the value to store (undefined removes the key).
+     */
+    function createInput(field, value, onInput) {
+        const id = `field-${Math.random().toString(36).slice(2)}`;
+        const read = input => input.value.trim();
+
+        if (isTranslated(value)) {
+            return { id, control: h('input', { id, type: 'text', readonly: true, value: 'Has translations: edit it in the config file' }) };
+        }
+
+        switch (field.type) {
+            case 'choice': {
+                const select = h('select', { id, onchange: () => onInput(select.value) },
+                    (field.choices || []).map(choice => h('option', { value: choice, selected: choice === value }, choice)));
+                return { id, control: select };
+            }
+            case 'color': {
+                const text = h('input', { id, type: 'text', value: value || '', placeholder: field.hint });
+                const picker = h('input', { type: 'color', 'aria-label': `${field.label} picker`, value: /^#[0-9a-f]{6}$/i.test(value || '') ? value : '#000000' });
+                picker.addEventListener('input', () => {
+                    text.value = picker.value;
+                    onInput(picker.value);
+                });
+                text.addEventListener('input', () => {
+                    if (/^#[0-9a-f]{6}$/i.test(read(text))) picker.value = read(text);
+                    onInput(read(text) || undefined);
+                });
+                return { id, control: h('div', { class: 'color-field' }, picker, text) };
+            }
+            case 'number': {
+                const input = h('input', { id, type: 'number', value: value === undefined ? '' : value, min: field.min, max: field.max });
+                input.addEventListener('input', () => onInput(read(input) === '' ? undefined : Number(read(input))));
+                return { id, control: input };
+            }
+            case 'list': {
+                const items = Array.isArray(value) ? [...value] : [];
+                return { id, control: createChips(items, field.group, list => onInput([...list])) };
+            }
+            case 'lines': {
+                const textarea = h('textarea', { id, placeholder: 'One per line' });
+                textarea.value = Array.isArray(value) ? value.join('\n') : '';
+                textarea.addEventListener('input', () => onInput(textarea.value.split('\n').map(line => line.trim()).filter(Boolean)));
+                return { id, control: textarea };
+            }
+            default: {
+                const types = { email: 'email', url: 'url' };
+                const input = field.multiline
+                    ? h('textarea', { id })
+                    : h('input', { id, type: types[field.type] || 'text', placeholder: field.hint || null });
+                input.value = value === undefined || value === null ? '' : value;
+                input.addEventListener('input', () => onInput(input.value));
+                return { id, control: input };
+            }
+        }
+    }
+
+    /**
+     * Labelled field bound to target[field.key]
+     */
+    function renderField(target, field, pointer, afterInput) {
+        const { id, control } = createInput(field, getField(target, field.key), value => {
+            setField(target, field.key, value);
+            if (afterInput) afterInput();
+            changed();
+        });
+        const hint = field.hint && field.type !== 'color' ? h('span', { class: 'hint' }, ` (${field.hint})`) : null;
+        return h('div', { class: 'field', 'data-pointer': toPointer(pointer, field.key) },
+            h('label', { class: 'label', for: id }, field.label, field.required ? ' *' : '', hint),
+            control);
+    }
+
+    function renderSection(title, body, open) {
+        return h('details', { class: 'section', open }, h('summary', {}, title), h('div', { class: 'body' }, body));
+    }
+
+    /**
+     * Fields of an object section (personal, summary, settings)
+     */
+    function renderObjectSection(title, key, fields, open) {
+        config[key] = config[key] || {};
+        return renderSection(title, fields.map(field => renderField(config[key], field, `/${key}`)), open);
+    }
+
+    // ---------------------------------------------------------------
+    // Lists
+    // ---------------------------------------------------------------
+
+    /**
+     * One-line label for a list entry: its first two filled-in fields
+     */
+    function describeEntry(section, entry) {
+        const values = section.fields
+            .map(field => getField(entry, field.key))
+            .filter(value => typeof value === 'string' && value.trim() !== '');
+        return values.slice(0, 2).join(' · ') || `New ${section.label.toLowerCase()} entry`;
+    }
+
+    /**
+     * Move an array item to another position
+     */
+    function move(list, from, to) {
+        const [item] = list.splice(from, 1);
+        list.splice(to, 0, item);
+    }
+
+    /**
+     * Entries of a list section, each with its fields, reorderable by dragging or the arrow buttons
+     */
+    function renderListSection(section) {
+        const container = h('div', {});
+        const pointer = `/${section.path.split('.').join('/')}`;
+
+        const getList = () => {
+            if (!Array.isArray(getField(config, section.path))) setField(config, section.path, []);
+            return getField(config, section.path);
+        };
+
+        const render = () => {
+            const list = getList();
+            container.replaceChildren(
+                ...list.map((entry, index) => {
+                    const title = h('span', { class: 'title' }, describeEntry(section, entry));
+                    const update = () => {
+                        title.textContent = describeEntry(section, entry);
+                    };
+                    const fields = section.fields.map(field => renderField(entry, { ...field, group: `${section.id}.${field.key}` }, `${pointer}/${index}`, update));
+
+                    const card = h('div', { class: 'entry', 'data-pointer': `${pointer}/${index}` },
+                        h('div', { class: 'entry-header' },
+                            h('span', { class: 'handle', draggable: 'true', title: 'Drag to reorder', 'aria-hidden': 'true' }, '⋮⋮'),
+                            title,
+                            h('button', { type: 'button', class: 'icon', 'aria-label': 'Move up', disabled: index === 0, onclick: () => reorder(index, index - 1) }, '↑'),
+                            h('button', { type: 'button', class: 'icon', 'aria-label': 'Move down', disabled: index === list.length - 1, onclick: () => reorder(index, index + 1) }, '↓'),
+                            h('button', {
+                                type: 'button',
+                                class: 'icon',
+                                'aria-label': 'Remove',
+                                onclick: () => {
+                                    if (!window.confirm(`Remove "${describeEntry(section, entry)}"?`)) return;
+                                    list.splice(index, 1);
+                                    render();
+                                    changed();
+                                }
+                            }, '✕')),
+                        h('div', { class: 'entry-body' }, fields));
+
+                    card.querySelector('.handle').addEventListener('dragstart', event => {
+                        event.dataTransfer.setData('text/plain', String(index));
+                        event.dataTransfer.setDragImage(card, 10, 10);
+                        dragged = { kind: 'entry', section: section.id, index };
+                        card.classList.add('dragging');
+                    });
+                    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+                    card.addEventListener('dragover', event => {
+                        if (dragged && dragged.kind === 'entry' && dragged.section === section.id) {
+                            event.preventDefault();
+                            card.classList.add('drop-target');
+                        }
+                    });
+                    card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+                    card.addEventListener('drop', event => {
+                        card.classList.remove('drop-target');
+                        if (!dragged || dragged.kind !== 'entry' || dragged.section !== section.id) return;
+                        event.preventDefault();
+                        const from = dragged.index;
+                        dragged = null;
+                        reorder(from, index);
+                    });
+                    return card;
+                }),
+                h('button', {
+                    type: 'button',
+                    onclick: () => {
+                        getList().push({});
+                        render();
+                        changed();
+                        const entries = container.querySelectorAll('.entry');
+                        const input = entries[entries.length - 1].querySelector('input, textarea, select');
+                        if (input) input.focus();
+                    }
+                }, `Add ${section.label.toLowerCase()} entry`));
+        };
+
+        const reorder = (from, to) => {
+            if (from === to) return;
+            move(getList(), from, to);
+            render();
+            changed();
+        };
+
+        render();
+        return renderSection(`${section.label}`, container, false);
+    }
+
+    /**
+     * Which sections show, in which order (settings.sectionsEnabled and settings.sectionOrder)
+     */
+    function renderSectionOrder() {
+        const settings = config.settings = config.settings || {};
+        const list = h('ul', { class: 'section-order' });
+
+        const getOrder = () => {
+            const order = Array.isArray(settings.sectionOrder) ? settings.sectionOrder.filter(id => typeof id === 'string') : [];
+            return [...order, ...data.sectionIds.filter(id => !order.includes(id))];
+        };
+
+        // Same rule as the build: sections without a setting use their default, custom ones show
+        const isEnabled = id => {
+            const enabled = settings.sectionsEnabled || {};
+            if (Object.prototype.hasOwnProperty.call(enabled, id)) return Boolean(enabled[id]);
+            return data.enabledByDefault.includes(id) || !data.sectionIds.includes(id);
+        };
+
+        const render = () => {
+            const order = getOrder();
+            list.replaceChildren(...order.map((id, index) => {
+                const checkbox = h('input', {
+                    type: 'checkbox',
+                    id: `section-${id}`,
+                    checked: isEnabled(id),
+                    onchange: () => {
+                        settings.sectionsEnabled = { ...settings.sectionsEnabled, [id]: checkbox.checked };
+                        changed();
+                    }
+                });
+                const item = h('li', { draggable: 'true' },
+                    h('span', { class: 'handle', 'aria-hidden': 'true' }, '⋮⋮'),
+                    checkbox,
+                    h('label', { for: `section-${id}` }, id),
+                    h('button', { type: 'button', class: 'icon', 'aria-label': `Move ${id} up`, disabled: index === 0, onclick: () => reorder(index, index - 1) }, '↑'),
+                    h('button', { type: 'button', class: 'icon', 'aria-label': `Move ${id} down`, disabled: index === order.length - 1, onclick: () => reorder(index, index + 1) }, '↓'));
+
+                item.addEventListener('dragstart', () => {
+                    dragged = { kind: 'section', index };
+                });
+                item.addEventListener('dragover', event => {
+                    if (dragged && dragged.kind === 'section') event.preventDefault();
+                });
+                item.addEventListener('drop', event => {
+                    if (!dragged || dragged.kind !== 'section') return;
+                    event.preventDefault();
+                    const from = dragged.index;
+                    dragged = null;
+                    reorder(from, index);
+                });
+                return item;
+            }));
+        };
+
+        const reorder = (from, to) => {
+            if (from === to) return;
+            const order = getOrder();
+            move(order, from, to);
+            settings.sectionOrder = order;
+            render();
+            changed();
+        };
+
+        render();
+        return renderSection('Sections shown', [h('p', {}, 'Tick the sections to show and drag them into order.'), list], false);
+    }
+
+    /**
+     * Build the whole form from the field definitions
+     */
+    function renderForm() {
+        const listSection = id => renderListSection(data.lists.find(section => section.id === id));
+        const settingsFields = data.fields.settings.map(field => (field.key === 'theme' ? { ...field, choices: data.themes } : field));
+
+        elements.sections.replaceChildren(
+            renderObjectSection('Basic information', 'personal', data.fields.personal, true),
+            renderObjectSection('Summary', 'summary', data.fields.summary, false),
+            ...data.lists.map(section => listSection(section.id)),
+            renderSectionOrder(),
+            renderObjectSection('Theme, colors and website', 'settings', settingsFields, false)
+        );
+        showProblems();
+    }
+
+    // ---------------------------------------------------------------
+    // Problems, preview and saving
+    // ---------------------------------------------------------------
+
+    /**
+     * Field element for a problem: the one with the longest matching pointer
+     */
+    function findFieldElement(pointer) {
+        let best = null;
+        elements.form.querySelectorAll('[data-pointer]').forEach(element => {
+            const candidate = element.getAttribute('data-pointer');
+            if ((pointer === candidate || pointer.startsWith(`${candidate}/`)) &&
+                    (!best || candidate.length > best.getAttribute('data-pointer').length)) {
+                best = element;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * List errors and warnings above the form and mark the fields they belong to
+     */
+    function showProblems() {
+        elements.form.querySelectorAll('.field.invalid').forEach(field => {
+            field.classList.remove('invalid');
+            field.querySelectorAll('.message').forEach(message => message.remove());
+        });
+
+        const { errors, warnings } = problems;
+        elements.problems.hidden = errors.length === 0 && warnings.length === 0;
+        elements.problems.classList.toggle('warnings-only', errors.length === 0);
+
+        const item = (problem, kind) => {
+            const element = problem.pointer ? findFieldElement(problem.pointer) : null;
+            if (element && kind === 'error' && element.classList.contains('field')) {
+                element.classList.add('invalid');
+                element.append(h('span', { class: 'message' }, problem.message));
+            }
+            const text = `${problem.path ? `${problem.path}: ` : ''}${problem.message}${problem.rule ? ` [${problem.rule}]` : ''}`;
+            return h('li', { class: kind }, element ? h('a', {
+                href: '#',
+                onclick: event => {
+                    event.preventDefault();
+                    let parent = element.closest('details');
+                    while (parent) {
+                        parent.open = true;
+                        parent = parent.parentElement.closest('details');
+                    }
+                    element.scrollIntoView({ block: 'center' });
+                    const control = element.querySelector('input, textarea, select');
+                    if (control) control.focus();
+                }
+            }, text) : text);
+        };
+
+        elements.problems.replaceChildren(
+            errors.length > 0 ? h('h2', {}, `${errors.length} error(s)`) : null,
+            errors.length > 0 ? h('ul', {}, errors.map(problem => item(problem, 'error'))) : null,
+            warnings.length > 0 ? h('h2', {}, `${warnings.length} warning(s)`) : null,
+            warnings.length > 0 ? h('ul', {}, warnings.map(problem => item(problem, 'warning'))) : null
+        );
+    }
+
+    /**
+     * Reload the preview frame, keeping its scroll position
+     */
+    function reloadPreview() {
+        let scroll = 0;
+        try {
+            scroll = elements.preview.contentWindow.scrollY;
+        } catch (error) {
+            // Not loaded yet
+        }
+        elements.preview.addEventListener('load', function restore() {
+            elements.preview.removeEventListener('load', restore);
+            elements.preview.contentWindow.scrollTo(0, scroll);
+        });
+        elements.preview.src = `${data.previewUrl}?t=${Date.now()}`;
+    }
+
+    /**
+     * Build the preview from the current edits (one build at a time; the latest edits win)
+     */
+    async function updatePreview() {
+        if (previewRunning) {
+            previewPending = true;
+            return;
+        }
+        previewRunning = true;
+        setStatus(dirty ? 'Unsaved changes · updating preview…' : 'Updating preview…');
+
+        try {
+            const result = await request('POST', '/api/preview', config);
+            problems = { errors: result.errors, warnings: [...result.warnings, ...result.notes.map(message => ({ message, pointer: '' }))] };
+            showProblems();
+            if (result.built) reloadPreview();
+            setStatus(`${dirty ? 'Unsaved changes' : 'Saved'}${result.built ? '' : ' · preview not updated (see the errors)'}`, !result.built);
+        } catch (error) {
+            setStatus(`Preview failed: ${error.message}`, true);
+        } finally {
+            previewRunning = false;
+            if (previewPending) {
+                previewPending = false;
+                updatePreview();
+            }
+        }
+    }
+
+    async function save() {
+        elements.save.disabled = true;
+        setStatus('Saving…');
+
+        try {
+            const result = await request('POST', '/api/save', config);
+            config = result.config;
+            dirty = false;
+            problems = { errors: [], warnings: result.warnings };
+            renderForm();
+            const files = [
+                ...result.written.map(written => `${written.file} (${written.backup ? `backup: ${written.backup}` : 'new file'})`),
+                ...result.removed.map(removed => `removed ${removed.file} (backup: ${removed.backup})`)
+            ].join(', ');
+            setStatus(files ? `Saved ${files}` : 'No changes to save');
+            if (result.unused.length > 0) {
+                window.alert(`These files are no longer used; their sections now live in ${data.file}:\n${result.unused.join('\n')}`);
+            }
+        } catch (error) {
+            elements.save.disabled = false;
+            if (error.result && error.result.errors) {
+                problems = { errors: error.result.errors, warnings: error.result.warnings };
+                showProblems();
+            }
+            setStatus(error.message, true);
+        }
+    }
+
+    async function load() {
+        try {
+            data = await request('GET', '/api/config');
+        } catch (error) {
+            setStatus(`Could not load the config: ${error.message}`, true);
+            return;
+        }
+
+        config = data.config;
+        elements.file.textContent = data.file;
+        renderForm();
+
+        if (data.migratedFrom) {
+            dirty = true;
+            elements.save.disabled = false;
+            setStatus(`Upgraded from schemaVersion ${data.migratedFrom}; save to keep it`);
+        } else {
+            setStatus('No changes');
+        }
+        updatePreview();
+    }
+
+    elements.save.addEventListener('click', save);
+    elements.form.addEventListener('submit', event => event.preventDefault());
+    document.addEventListener('dragend', () => {
+        dragged = null;
+    });
+    document.addEventListener('keydown', event => {
+        if ((event.ctrlKey || event.metaKey) && event.key === 's') {
+            event.preventDefault();
+            if (!elements.save.disabled) save();
+        }
+    });
+    window.addEventListener('beforeunload', event => {
+        if (dirty) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    });
+
+    load();
+})();
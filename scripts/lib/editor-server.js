@@ -0,0 +1,172 @@
+/**
+ * Resume Website Builder - Editor Server
+ * Serves the browser-based config editor, its JSON API and the preview build.
+ * The editor itself (loading, previewing and saving the config) is supplied by the caller.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { MIME_TYPES, resolveRequestPath } = require('./live-server');
+
+const PREVIEW_PREFIX = '/preview/';
+
+/**
+ * Editor page and its assets, by URL
+ */
+const CLIENT_FILES = {
+    '/': path.join(__dirname, 'editor-client.html'),
+    '/editor.js': path.join(__dirname, 'editor-client.js'),
+    '/editor.css': path.join(__dirname, 'editor-client.css')
+};
+
+/**
+ * Largest request body accepted (the whole config as JSON)
+ */
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Read a JSON request body
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+            } catch (error) {
+                reject(Object.assign(new Error(`Request body is not valid JSON: ${error.message}`), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Whether a request comes from the editor page itself.
+ * Other websites open in the browser can post to localhost too; they send their own Origin.
+ */
+function isSameOrigin(request) {
+    const origin = request.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create the editor HTTP server
+ *
+ * @param {Object} options
+ * @param {string} options.previewDir - Build output of the preview, served under /preview/
+ * @param {Function} options.load - () => editor data for GET /api/config
+ * @param {Function} options.preview - async (config) => result of POST /api/preview
+ * @param {Function} options.save - async (config) => result of POST /api/save
+ * @returns {{server: http.Server, listen: Function, close: Function}}
+ *   Handlers may throw an error with `status` (and `body`) to answer with that status
+ */
+function createEditorServer({ previewDir, load, preview, save }) {
+    const respond = (request, response, status, type, body) => {
+        response.writeHead(status, {
+            'Content-Type': type,
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-cache'
+        });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    };
+
+    const respondJson = (request, response, status, data) => {
+        respond(request, response, status, MIME_TYPES['.json'], JSON.stringify(data));
+    };
+
+    const serveFile = (request, response, filePath) => {
+        if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            respond(request, response, 404, 'text/plain; charset=utf-8', 'Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        respond(request, response, 200, type, fs.readFileSync(filePath));
+    };
+
+    const api = {
+        'GET /api/config': () => load(),
+        'POST /api/preview': async request => preview(await readJsonBody(request)),
+        'POST /api/save': async request => save(await readJsonBody(request))
+    };
+
+    const server = http.createServer(async (request, response) => {
+        const pathname = request.url.split('?')[0];
+        const handler = api[`${request.method} ${pathname}`];
+
+        try {
+            if (handler) {
+                if (request.method === 'POST' && !isSameOrigin(request)) {
+                    respondJson(request, response, 403, { error: 'Requests from other sites are not accepted' });
+                    return;
+                }
+                respondJson(request, response, 200, await handler(request));
+                return;
+            }
+
+            if (request.method !== 'GET' && request.method !== 'HEAD') {
+                respond(request, response, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+                return;
+            }
+            if (CLIENT_FILES[pathname]) {
+                serveFile(request, response, CLIENT_FILES[pathname]);
+                return;
+            }
+            if (pathname.startsWith(PREVIEW_PREFIX)) {
+                serveFile(request, response, resolveRequestPath(previewDir, request.url.slice(PREVIEW_PREFIX.length - 1)));
+                return;
+            }
+            respond(request, response, 404, 'text/plain; charset=utf-8', 'Not found');
+        } catch (error) {
+            if (response.headersSent) return;
+            if (pathname.startsWith('/api/')) {
+                respondJson(request, response, error.status || 500, { error: error.message, ...error.body });
+            } else {
+                respond(request, response, 500, 'text/plain; charset=utf-8', `Server error: ${error.message}`);
+            }
+        }
+    });
+
+    return {
+        server,
+
+        /**
+         * Start listening; resolves with the port in use
+         */
+        listen(port, host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve(server.address().port);
+                });
+            });
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    PREVIEW_PREFIX,
+    createEditorServer
+};
@@ -0,0 +1,181 @@
+/**
+ * Resume Website Builder - Self-hosted Fonts
+ * Turns the font files in the site's fonts/ folder into WOFF2 subsets
+ * holding only the characters the page uses, plus the @font-face rules to load them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const subsetFont = require('subset-font');
+
+const DEFAULT_FONT_SETTINGS = {
+    directory: 'fonts',
+    subset: true
+};
+
+const FONT_STYLESHEET = 'css/fonts.css';
+
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// Always kept in subsets, so text added by scripts (or a later edit) still renders
+const BASIC_LATIN = Array.from({ length: 95 }, (value, index) => String.fromCharCode(32 + index)).join('');
+
+/**
+ * Merge settings.fonts with the defaults
+ */
+function getFontSettings(config) {
+    const settings = (config.settings && config.settings.fonts) || {};
+    return { ...DEFAULT_FONT_SETTINGS, ...settings };
+}
+
+/**
+ * Font files in the fonts directory of the layered site files
+ *
+ * @param {Map<string, string>} assets - Site-relative path -> source file
+ * @param {Object} settings - See DEFAULT_FONT_SETTINGS
+ * @returns {string[]} Site-relative paths
+ */
+function findFontFiles(assets, settings) {
+    const prefix = `${settings.directory.replace(/^\.?\/|\/$/g, '')}/`;
+    return [...assets.keys()].filter(relativePath =>
+        relativePath.startsWith(prefix) && FONT_EXTENSIONS.includes(path.extname(relativePath).toLowerCase())
+    );
+}
+
+/**
+ * Read a string from the font's name table (nameID 16/17 preferred over 1/2)
+ */
+function readName(buffer, table, nameIds) {
+    const count = buffer.readUInt16BE(table + 2);
+    const stringOffset = table + buffer.readUInt16BE(table + 4);
+    const records = [];
+
+    for (let i = 0; i < count; i++) {
+        const record = table + 6 + i * 12;
+        records.push({
+            platform: buffer.readUInt16BE(record),
+            language: buffer.readUInt16BE(record + 4),
+            nameId: buffer.readUInt16BE(record + 6),
+            length: buffer.readUInt16BE(record + 8),
+            offset: buffer.readUInt16BE(record + 10)
+        });
+    }
+
+    for (const nameId of nameIds) {
+        // Windows (UTF-16BE, US English) first, then Macintosh (Roman)
+        const windows = records.find(record => record.nameId === nameId && record.platform === 3 && record.language === 0x409);
+        const mac = records.find(record => record.nameId === nameId && record.platform === 1);
+        const record = windows || mac;
+        if (!record) continue;
+
+        const bytes = buffer.subarray(stringOffset + record.offset, stringOffset + record.offset + record.length);
+        return record === windows ? Buffer.from(bytes).swap16().toString('utf16le') : bytes.toString('latin1');
+    }
+    return '';
+}
+
+/**
+ * Family, weight and style of a TrueType/OpenType font
+ *
+ * @param {Buffer} buffer - Font file
+ * @returns {{family: string, weight: number, italic: boolean}}
+ */
+function readFontInfo(buffer) {
+    const numTables = buffer.readUInt16BE(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        tables[buffer.toString('latin1', record, record + 4)] = buffer.readUInt32BE(record + 8);
+    }
+
+    if (tables.name === undefined) {
+        throw new Error('not a TrueType or OpenType font (no name table)');
+    }
+
+    const family = readName(buffer, tables.name, [16, 1]);
+    const subfamily = readName(buffer, tables.name, [17, 2]);
+
+    let weight = /bold/i.test(subfamily) ? 700 : 400;
+    let italic = /italic|oblique/i.test(subfamily);
+    if (tables['OS/2'] !== undefined) {
+        weight = buffer.readUInt16BE(tables['OS/2'] + 4);
+        italic = (buffer.readUInt16BE(tables['OS/2'] + 62) & 1) === 1;
+    }
+
+    return { family, weight, italic };
+}
+
+/**
+ * Characters shown on the page (tags, scripts and styles removed)
+ */
+function collectCharacters(html) {
+    const text = html
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)));
+    return [...new Set(BASIC_LATIN + text.replace(/\s+/g, ' '))].join('');
+}
+
+/**
+ * Build the self-hosted font files and their @font-face rules
+ *
+ * @param {Map<string, string>} assets - Site-relative path -> source file
+ * @param {string} html - Rendered page, used to pick the characters to keep
+ * @param {Object} settings - See DEFAULT_FONT_SETTINGS
+ * @returns {Promise<{files: Array<{path: string, data: Buffer}>, sources: string[], css: string, families: string[]}>}
+ *   Font files to publish, the source files they replace and the stylesheet
+ */
+async function buildFonts(assets, html, settings) {
+    const sources = findFontFiles(assets, settings);
+    const characters = settings.subset ? collectCharacters(html) : null;
+    const files = [];
+    const rules = [];
+    const families = new Set();
+
+    for (const relativePath of sources) {
+        const buffer = fs.readFileSync(assets.get(relativePath));
+        let info;
+        try {
+            info = readFontInfo(buffer);
+        } catch (error) {
+            throw Object.assign(new Error(`${relativePath}: ${error.message}`), { file: relativePath });
+        }
+
+        let outputPath = relativePath;
+        let data = buffer;
+        let format = path.extname(relativePath).toLowerCase() === '.otf' ? 'opentype' : 'truetype';
+        if (settings.subset) {
+            outputPath = relativePath.replace(/\.(ttf|otf)$/i, '.woff2');
+            data = await subsetFont(buffer, characters, { targetFormat: 'woff2' });
+            format = 'woff2';
+        }
+
+        files.push({ path: outputPath, data });
+        families.add(info.family);
+        rules.push([
+            '@font-face {',
+            `    font-family: "${info.family}";`,
+            `    font-style: ${info.italic ? 'italic' : 'normal'};`,
+            `    font-weight: ${info.weight};`,
+            '    font-display: swap;',
+            `    src: url("${path.posix.relative(path.posix.dirname(FONT_STYLESHEET), outputPath)}") format("${format}");`,
+            '}'
+        ].join('\n'));
+    }
+
+    return {
+        files,
+        sources,
+        css: rules.length > 0 ? `/* Self-hosted fonts, generated by the build */\n${rules.join('\n\n')}\n` : '',
+        families: [...families]
+    };
+}
+
+module.exports = {
+    FONT_STYLESHEET,
+    getFontSettings,
+    findFontFiles,
+    readFontInfo,
+    buildFonts
+};
@@ -0,0 +1,316 @@
+/**
+ * Resume Website Builder - Languages
+ * UI strings for the page and the PDF/DOCX exports, and resolution of
+ * config fields written once per language ({ "en": "...", "de": "..." })
+ */
+
+const { formatDate, formatDateRange } = require('./dates');
+
+const DEFAULT_LOCALE = 'en';
+
+// "en", "de", "pt-BR", ...
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Built-in UI strings. {name} placeholders are filled in by the caller.
+ * Other languages (or different wording) go in settings.i18n.strings.<locale>.
+ */
+const STRINGS = {
+    en: {
+        'section.professionalSummary': 'Professional Summary',
+        'section.about': 'About Me',
+        'section.skills': 'Key Skills',
+        'section.projects': 'Featured Projects',
+        'section.articles': 'Technical Articles',
+        'section.experience': 'Professional Experience',
+        'section.education': 'Education',
+        'section.certifications': 'Professional Certifications',
+        'section.testimonials': 'Client Testimonials',
+        'header.downloadResume': 'Download Resume',
+        'header.wordVersion': 'Word Version',
+        'header.getInTouch': 'Get in Touch',
+        'footer.rights': 'All rights reserved.',
+        'footer.contact': 'Contact',
+        'articles.readTime': '{minutes} min read',
+        'articles.readMore': 'Read More',
+        'certifications.issued': 'Issued: {date}',
+        'certifications.credentialId': 'Credential ID: {id}',
+        'certifications.verify': 'Verify',
+        'education.gpa': 'GPA: {gpa}',
+        'projects.view': 'View Project',
+        'skills.proficiency': 'Technical Proficiency',
+        'skills.years': '{years} years',
+        'skills.yearsShort': '{years} yrs',
+        'skills.usedIn': 'Where I used {skill}',
+        'skills.showAll': 'Show all',
+        'date.present': 'Present',
+        'language.label': 'Language',
+        'colorScheme.dark': 'Dark mode',
+        'nav.label': 'Sections',
+        'nav.menu': 'Menu',
+        'nav.professionalSummary': 'Summary',
+        'nav.about': 'About',
+        'nav.skills': 'Skills',
+        'nav.projects': 'Projects',
+        'nav.articles': 'Articles',
+        'nav.experience': 'Experience',
+        'nav.education': 'Education',
+        'nav.certifications': 'Certifications',
+        'nav.testimonials': 'Testimonials',
+        'document.resume': 'Resume',
+        'document.page': 'Page {page} of {pages}'
+    },
+    de: {
+        'section.professionalSummary': 'Kurzprofil',
+        'section.about': 'Über mich',
+        'section.skills': 'Kernkompetenzen',
+        'section.projects': 'Ausgewählte Projekte',
+        'section.articles': 'Fachartikel',
+        'section.experience': 'Berufserfahrung',
+        'section.education': 'Ausbildung',
+        'section.certifications': 'Zertifizierungen',
+        'section.testimonials': 'Kundenstimmen',
+        'header.downloadResume': 'Lebenslauf herunterladen',
+        'header.wordVersion': 'Word-Version',
+        'header.getInTouch': 'Kontakt aufnehmen',
+        'footer.rights': 'Alle Rechte vorbehalten.',
+        'footer.contact': 'Kontakt',
+        'articles.readTime': '{minutes} Min. Lesezeit',
+        'articles.readMore': 'Weiterlesen',
+        'certifications.issued': 'Ausgestellt: {date}',
+        'certifications.credentialId': 'Nachweis-ID: {id}',
+        'certifications.verify': 'Prüfen',
+        'education.gpa': 'Abschlussnote: {gpa}',
+        'projects.view': 'Projekt ansehen',
+        'skills.proficiency': 'Technische Kenntnisse',
+        'skills.years': '{years} Jahre',
+        'skills.yearsShort': '{years} J.',
+        'skills.usedIn': 'Wo ich {skill} eingesetzt habe',
+        'skills.showAll': 'Alle anzeigen',
+        'date.present': 'heute',
+        'language.label': 'Sprache',
+        'colorScheme.dark': 'Dunkelmodus',
+        'nav.label': 'Abschnitte',
+        'nav.menu': 'Menü',
+        'nav.professionalSummary': 'Profil',
+        'nav.about': 'Über mich',
+        'nav.skills': 'Kompetenzen',
+        'nav.projects': 'Projekte',
+        'nav.articles': 'Artikel',
+        'nav.experience': 'Erfahrung',
+        'nav.education': 'Ausbildung',
+        'nav.certifications': 'Zertifikate',
+        'nav.testimonials': 'Referenzen',
+        'document.resume': 'Lebenslauf',
+        'document.page': 'Seite {page} von {pages}'
+    },
+    fr: {
+        'section.professionalSummary': 'Profil professionnel',
+        'section.about': 'À propos',
+        'section.skills': 'Compétences clés',
+        'section.projects': 'Projets phares',
+        'section.articles': 'Articles techniques',
+        'section.experience': 'Expérience professionnelle',
+        'section.education': 'Formation',
+        'section.certifications': 'Certifications professionnelles',
+        'section.testimonials': 'Témoignages clients',
+        'header.downloadResume': 'Télécharger le CV',
+        'header.wordVersion': 'Version Word',
+        'header.getInTouch': 'Me contacter',
+        'footer.rights': 'Tous droits réservés.',
+        'footer.contact': 'Contact',
+        'articles.readTime': '{minutes} min de lecture',
+        'articles.readMore': 'Lire la suite',
+        'certifications.issued': 'Délivré : {date}',
+        'certifications.credentialId': 'Identifiant : {id}',
+        'certifications.verify': 'Vérifier',
+        'education.gpa': 'Moyenne : {gpa}',
+        'projects.view': 'Voir le projet',
+        'skills.proficiency': 'Compétences techniques',
+        'skills.years': '{years} ans',
+        'skills.yearsShort': '{years} ans',
+        'skills.usedIn': 'Où j’ai utilisé {skill}',
+        'skills.showAll': 'Tout afficher',
+        'date.present': 'aujourd’hui',
+        'language.label': 'Langue',
+        'colorScheme.dark': 'Mode sombre',
+        'nav.label': 'Sections',
+        'nav.menu': 'Menu',
+        'nav.professionalSummary': 'Profil',
+        'nav.about': 'À propos',
+        'nav.skills': 'Compétences',
+        'nav.projects': 'Projets',
+        'nav.articles': 'Articles',
+        'nav.experience': 'Expérience',
+        'nav.education': 'Formation',
+        'nav.certifications': 'Certifications',
+        'nav.testimonials': 'Témoignages',
+        'document.resume': 'CV',
+        'document.page': 'Page {page} sur {pages}'
+    }
+};
+
+/**
+ * Placeholders holding numbers to write the locale's way ("9,5 Jahre"), with their Intl.NumberFormat options
+ */
+const NUMBER_PARAMS = {
+    years: { maximumFractionDigits: 1 }
+};
+
+/**
+ * Merge settings.i18n with the defaults.
+ * Without settings.i18n the site is a single English page, as before.
+ */
+function getI18nSettings(config) {
+    const settings = (config.settings && config.settings.i18n) || {};
+    const locales = Array.isArray(settings.locales) && settings.locales.length > 0
+        ? settings.locales
+        : [settings.defaultLocale || DEFAULT_LOCALE];
+
+    return {
+        locales,
+        defaultLocale: settings.defaultLocale || locales[0],
+        strings: settings.strings || {}
+    };
+}
+
+/**
+ * "de" -> ["en", "de"], "pt-BR" -> ["en", "pt", "pt-BR"]: catalogs to merge, weakest first
+ */
+function fallbackChain(locale) {
+    const chain = [DEFAULT_LOCALE];
+    const parts = locale.split('-');
+    parts.forEach((part, index) => {
+        const code = parts.slice(0, index + 1).join('-');
+        if (!chain.includes(code)) chain.push(code);
+    });
+    return chain;
+}
+
+/**
+ * UI strings and date formatting for one locale
+ *
+ * @param {string} locale - Locale code, such as "de"
+ * @param {Object} [overrides] - settings.i18n.strings: locale -> { key: string }
+ * @returns {{locale: string, t: Function, formatDate: Function, formatDateRange: Function}}
+ */
+function createTranslator(locale = DEFAULT_LOCALE, overrides = {}) {
+    const catalog = {};
+    fallbackChain(locale).forEach(code => Object.assign(catalog, STRINGS[code], overrides[code]));
+
+    const formatParam = (name, value) => (typeof value === 'number' && NUMBER_PARAMS[name]
+        ? new Intl.NumberFormat(locale, NUMBER_PARAMS[name]).format(value)
+        : value);
+    const t = (key, params = {}) => {
+        const template = catalog[key] !== undefined ? String(catalog[key]) : key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? formatParam(name, params[name]) : match));
+    };
+    const dateOptions = { locale, present: t('date.present') };
+
+    return {
+        locale,
+        t,
+        formatDate: date => formatDate(date, dateOptions),
+        formatDateRange: (startDate, endDate) => formatDateRange(startDate, endDate, dateOptions)
+    };
+}
+
+/**
+ * Translator for a config resolved with localizeConfig() (uses config.locale)
+ */
+function translatorFor(config) {
+    const settings = getI18nSettings(config);
+    const locale = (config.locale && config.locale.code) || settings.defaultLocale;
+    return createTranslator(locale, settings.strings);
+}
+
+/**
+ * UI string keys with no translation for a locale (they show in English)
+ */
+function findMissingStrings(locale, overrides = {}) {
+    const chain = fallbackChain(locale).filter(code => code !== DEFAULT_LOCALE);
+    if (chain.length === 0) return [];
+
+    return Object.keys(STRINGS[DEFAULT_LOCALE]).filter(key =>
+        !chain.some(code => (STRINGS[code] && STRINGS[code][key] !== undefined) ||
+            (overrides[code] && overrides[code][key] !== undefined))
+    );
+}
+
+/**
+ * Name of a language in that language: "de" -> "Deutsch"
+ */
+function languageName(locale) {
+    try {
+        const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * True for { "en": ..., "de": ... }: every key is a locale code and one of them is in use
+ */
+function isLocalizedValue(value, locales) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 &&
+        keys.every(key => LOCALE_PATTERN.test(key)) &&
+        keys.some(key => locales.includes(key));
+}
+
+/**
+ * Copy of the config with every per-language field resolved for one locale.
+ * Fields without a translation fall back to the default locale.
+ *
+ * @param {Object} config - Resume configuration
+ * @param {string} locale - Locale to resolve
+ * @param {Object} [settings] - See getI18nSettings()
+ * @returns {{config: Object, missing: string[]}} Resolved config and the paths of untranslated fields
+ */
+function localizeConfig(config, locale, settings = getI18nSettings(config)) {
+    const missing = [];
+
+    const resolve = (value, fieldPath) => {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => resolve(item, `${fieldPath}[${index}]`));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        if (isLocalizedValue(value, settings.locales)) {
+            if (value[locale] !== undefined) {
+                return resolve(value[locale], fieldPath);
+            }
+            missing.push(fieldPath);
+            const fallback = value[settings.defaultLocale] !== undefined
+                ? value[settings.defaultLocale]
+                : Object.values(value)[0];
+            return resolve(fallback, fieldPath);
+        }
+
+        const resolved = {};
+        Object.keys(value).forEach(key => {
+            const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+            // The string catalogs are keyed by locale too, but aren't content
+            resolved[key] = childPath === 'settings.i18n' ? value[key] : resolve(value[key], childPath);
+        });
+        return resolved;
+    };
+
+    return { config: resolve(config, ''), missing };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALE_PATTERN,
+    STRINGS,
+    getI18nSettings,
+    createTranslator,
+    translatorFor,
+    findMissingStrings,
+    languageName,
+    localizeConfig
+};
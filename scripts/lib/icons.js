@@ -0,0 +1,126 @@
+/**
+ * Resume Website Builder - Icons
+ * Replaces Font Awesome webfont icons with an inline SVG sprite
+ * holding only the icons the page uses
+ */
+
+// Font Awesome style classes and the package holding their icons
+const ICON_PACKS = {
+    fas: '@fortawesome/free-solid-svg-icons',
+    far: '@fortawesome/free-regular-svg-icons',
+    fab: '@fortawesome/free-brands-svg-icons'
+};
+
+const STYLE_CLASSES = {
+    'fas': 'fas',
+    'fa-solid': 'fas',
+    'far': 'far',
+    'fa-regular': 'far',
+    'fab': 'fab',
+    'fa-brands': 'fab'
+};
+
+const loadedPacks = {};
+
+/**
+ * Icon definition for "fas" + "map-marker-alt", or null.
+ * Falls back to the other styles, so a brand icon used with "fas" still shows.
+ */
+function findIcon(prefix, name) {
+    const exportName = 'fa' + name.replace(/(^|-)([a-z0-9])/g, (match, dash, char) => char.toUpperCase());
+    const prefixes = [prefix, ...Object.keys(ICON_PACKS).filter(other => other !== prefix)];
+
+    for (const candidate of prefixes) {
+        loadedPacks[candidate] = loadedPacks[candidate] || require(ICON_PACKS[candidate]);
+        const definition = loadedPacks[candidate][exportName];
+        if (definition) {
+            return { id: `icon-${candidate}-${name}`, definition };
+        }
+    }
+    return null;
+}
+
+/**
+ * Style prefix and icon name from a class list ("fab fa-github" -> fab, github)
+ */
+function parseIconClasses(classList) {
+    const classes = classList.split(/\s+/).filter(Boolean);
+    const style = classes.map(name => STYLE_CLASSES[name]).find(Boolean) || 'fas';
+    const names = classes
+        .filter(name => name.startsWith('fa-') && !STYLE_CLASSES[name])
+        .map(name => name.slice(3));
+    return { style, names };
+}
+
+/**
+ * <symbol> for one icon
+ */
+function buildSymbol(id, definition) {
+    const [width, height, , , pathData] = definition.icon;
+    const paths = (Array.isArray(pathData) ? pathData : [pathData]).map(d => `<path d="${d}"/>`).join('');
+    return `<symbol id="${id}" viewBox="0 0 ${width} ${height}">${paths}</symbol>`;
+}
+
+/**
+ * Swap every empty <i class="fa-..."></i> for an SVG <use> of a sprite symbol,
+ * and add the sprite to the top of <body>.
+ * Scripts can use sprite icons too by referencing "#icon-fas-<name>" in markup they create.
+ *
+ * @param {string} html - Rendered page
+ * @param {Object} [options]
+ * @param {string[]} [options.scripts] - Source of the page's scripts, scanned for "#icon-..." references
+ * @returns {{html: string, icons: string[], missing: string[]}}
+ */
+function inlineIcons(html, { scripts = [] } = {}) {
+    const symbols = new Map();
+    const missing = new Set();
+
+    // Add an icon to the sprite, under `id` if given (scripts reference fixed ids)
+    const use = (style, name, id = null) => {
+        const icon = findIcon(style, name);
+        if (!icon) return null;
+        const symbolId = id || icon.id;
+        if (!symbols.has(symbolId)) {
+            symbols.set(symbolId, buildSymbol(symbolId, icon.definition));
+        }
+        return { id: symbolId, definition: icon.definition };
+    };
+
+    let output = html.replace(/<i\b([^>]*)>\s*<\/i>/g, (match, attributes) => {
+        const classList = (attributes.match(/\sclass="([^"]*)"/) || [])[1] || '';
+        const { style, names } = parseIconClasses(classList);
+        if (names.length === 0) return match;
+
+        // Size and animation modifiers ("fa-fw", "fa-2x") share the prefix, so try each name
+        let icon = null;
+        names.some(name => (icon = use(style, name)));
+        if (!icon) {
+            missing.add(`${style} fa-${names[0]}`);
+            return match;
+        }
+
+        const [width, height] = icon.definition.icon;
+        return `<i${attributes}><svg class="icon" viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false">` +
+            `<use href="#${icon.id}"></use></svg></i>`;
+    });
+
+    scripts.forEach(source => {
+        for (const [, style, name] of source.matchAll(/#icon-(fas|far|fab)-([a-z0-9-]+)/g)) {
+            if (!use(style, name, `icon-${style}-${name}`)) missing.add(`${style} fa-${name}`);
+        }
+    });
+
+    if (symbols.size > 0) {
+        const sprite = '<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="display: none;">' +
+            [...symbols.values()].join('') +
+            '</svg>';
+        output = output.replace(/<body\b[^>]*>/i, body => `${body}\n    ${sprite}`);
+    }
+
+    return { html: output, icons: [...symbols.keys()], missing: [...missing] };
+}
+
+module.exports = {
+    findIcon,
+    inlineIcons
+};
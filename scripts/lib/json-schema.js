@@ -0,0 +1,251 @@
+/**
+ * Resume Website Builder - JSON Schema Validation
+ * Checks a value against the subset of JSON Schema (draft-07) used by
+ * schema/resume-data.schema.json: types, enums, required and known
+ * properties, patterns, ranges, anyOf and local $refs
+ */
+
+const { appendPointer } = require('./json-source');
+
+/**
+ * Formats checked with `format`. A mismatch is a warning, not an error:
+ * the build still works, the value just looks wrong.
+ */
+const FORMATS = {
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: 'does not appear to be a valid email address'
+    },
+    uri: {
+        test: value => {
+            try {
+                new URL(value);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        message: 'does not appear to be a valid URL'
+    },
+    color: {
+        test: value => /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(value),
+        message: 'does not appear to be a valid color code'
+    },
+    'resume-date': {
+        test: value => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) || value === 'Present',
+        message: 'is not a date the resume can format (use YYYY, YYYY-MM, YYYY-MM-DD or "Present")'
+    }
+};
+
+/**
+ * JSON Schema type of a value ("integer" counts as "number" too)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * "experience[1].title" for "/experience/1/title"
+ */
+function pointerToPath(pointer) {
+    return pointer.split('/').slice(1).reduce((fieldPath, segment) => {
+        const name = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (/^\d+$/.test(name)) return `${fieldPath}[${name}]`;
+        return fieldPath ? `${fieldPath}.${name}` : name;
+    }, '');
+}
+
+/**
+ * "a string", "an object", ...
+ */
+function describeType(type) {
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema; `$ref`s resolve against it
+ * @returns {Array<{pointer: string, path: string, message: string, severity: string}>}
+ *   Problems found, each with the JSON pointer of the offending value.
+ *   `severity` is "error", or "warning" for format mismatches.
+ */
+function validateSchema(value, schema) {
+    const problems = [];
+
+    const resolveRef = ref => {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => {
+            if (!node || node[key] === undefined) {
+                throw new Error(`Unresolved $ref: ${ref}`);
+            }
+            return node[key];
+        }, schema);
+    };
+
+    const check = (node, data, pointer, report) => {
+        if (node.$ref) {
+            // Siblings of $ref (descriptions, mostly) still apply
+            const { $ref, ...rest } = node;
+            check(rest, data, pointer, report);
+            check(resolveRef($ref), data, pointer, report);
+            return;
+        }
+
+        // errorMessage replaces the wording of problems with this value itself
+        const reportHere = (message, severity = 'error') => {
+            report(pointer, node.errorMessage || message, severity);
+        };
+
+        if (node.type !== undefined) {
+            const types = [].concat(node.type);
+            if (!types.some(type => matchesType(data, type))) {
+                reportHere(`must be ${types.map(describeType).join(' or ')}`);
+                return;
+            }
+        }
+
+        if (node.enum && !node.enum.includes(data)) {
+            reportHere(`must be one of: ${node.enum.join(', ')}`);
+        }
+
+        if (node.const !== undefined && data !== node.const) {
+            reportHere(`must be ${JSON.stringify(node.const)}`);
+        }
+
+        if (node.anyOf) {
+            checkAnyOf(node, data, pointer, report);
+        }
+
+        if (typeof data === 'string') {
+            if (node.minLength !== undefined && data.trim().length < node.minLength) {
+                reportHere('must not be empty');
+            }
+            if (node.pattern && !new RegExp(node.pattern).test(data)) {
+                reportHere(`must match ${node.pattern}`);
+            }
+            const format = FORMATS[node.format];
+            if (format && data !== '' && !format.test(data)) {
+                reportHere(format.message, 'warning');
+            }
+        }
+
+        if (typeof data === 'number') {
+            if (node.minimum !== undefined && data < node.minimum) {
+                reportHere(`must be at least ${node.minimum}`);
+            }
+            if (node.maximum !== undefined && data > node.maximum) {
+                reportHere(`must be at most ${node.maximum}`);
+            }
+        }
+
+        if (Array.isArray(data)) {
+            if (node.minItems !== undefined && data.length < node.minItems) {
+                reportHere(`must have at least ${node.minItems} item(s)`);
+            }
+            if (node.items) {
+                data.forEach((item, index) => check(node.items, item, appendPointer(pointer, index), report));
+            }
+        }
+
+        if (typeOf(data) === 'object') {
+            checkObject(node, data, pointer, report, reportHere);
+        }
+    };
+
+    const checkObject = (node, data, pointer, report, reportHere) => {
+        const keys = Object.keys(data);
+
+        if (node.minProperties !== undefined && keys.length < node.minProperties) {
+            reportHere(`must have at least ${node.minProperties} entr${node.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        (node.required || []).forEach(key => {
+            if (data[key] === undefined) {
+                report(appendPointer(pointer, key), 'is required', 'error');
+            }
+        });
+
+        keys.forEach(key => {
+            const childPointer = appendPointer(pointer, key);
+
+            if (node.propertyNames) {
+                check(node.propertyNames, key, childPointer, (problemPointer, message, severity) => {
+                    report(childPointer, `is not a valid name: ${message}`, severity);
+                });
+            }
+
+            if (node.properties && node.properties[key]) {
+                check(node.properties[key], data[key], childPointer, report);
+                return;
+            }
+
+            const patternKey = Object.keys(node.patternProperties || {}).find(pattern => new RegExp(pattern).test(key));
+            if (patternKey) {
+                check(node.patternProperties[patternKey], data[key], childPointer, report);
+            } else if (node.additionalProperties === false) {
+                const known = Object.keys(node.properties || {});
+                report(childPointer, `is not a known setting${known.length > 0 ? ` (expected one of: ${known.join(', ')})` : ''}`, 'error');
+            } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+                check(node.additionalProperties, data[key], childPointer, report);
+            }
+        });
+    };
+
+    // Passes if any branch has no errors. Otherwise report the branch whose
+    // type fits the value, so "must be a string" beats "must be an object".
+    const checkAnyOf = (node, data, pointer, report) => {
+        const attempts = node.anyOf.map(branch => {
+            const found = [];
+            check(branch, data, pointer, (...problem) => found.push(problem));
+            return { branch, found };
+        });
+
+        const passed = attempts.find(attempt => !attempt.found.some(([, , severity]) => severity === 'error'));
+        if (passed) {
+            passed.found.forEach(problem => report(...problem));
+            return;
+        }
+
+        const branchTypes = attempt => {
+            const branch = attempt.branch.$ref ? resolveRef(attempt.branch.$ref) : attempt.branch;
+            return [].concat(branch.type || []);
+        };
+        const fitting = attempts.find(attempt => branchTypes(attempt).some(type => matchesType(data, type)));
+        if (fitting) {
+            fitting.found.forEach(problem => report(...problem));
+        } else {
+            const types = [].concat(...attempts.map(branchTypes));
+            report(pointer, node.errorMessage || `must be ${types.map(describeType).join(' or ')}`, 'error');
+        }
+    };
+
+    check(schema, value, '', (pointer, message, severity) => {
+        const fieldPath = pointerToPath(pointer);
+        problems.push({
+            pointer,
+            path: fieldPath,
+            message: fieldPath ? `${fieldPath} ${message}` : `The configuration ${message}`,
+            severity
+        });
+    });
+
+    return problems;
+}
+
+module.exports = {
+    FORMATS,
+    pointerToPath,
+    validateSchema
+};
@@ -0,0 +1,153 @@
+/**
+ * Resume Website Builder - JSON Source Positions
+ * Maps JSON pointers ("/experience/1/title") to where they appear in a JSON or JSON5 file,
+ * so validation errors can name a line and column
+ */
+
+const JSON5 = require('json5');
+
+/**
+ * Escape one JSON pointer segment ("a/b" -> "a~1b")
+ */
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Join a pointer and a property name or array index
+ */
+function appendPointer(pointer, segment) {
+    return `${pointer}/${escapePointerSegment(segment)}`;
+}
+
+/**
+ * Where every value in a JSON or JSON5 document is written
+ *
+ * @param {string} source - Text that JSON.parse() or JSON5.parse() accepts
+ * @returns {{offsets: Map<string, number>, ranges: Map<string, number[]>}} JSON pointer -> offset
+ *   (see scanJson()), and JSON pointer -> [start, end] of the value itself
+ */
+function scanJsonValues(source) {
+    const offsets = new Map();
+    const ranges = new Map();
+    let index = 0;
+
+    // Whitespace and JSON5 comments
+    const skipWhitespace = () => {
+        for (;;) {
+            while (index < source.length && /\s/.test(source[index])) index++;
+            if (source.startsWith('//', index)) {
+                const end = source.indexOf('\n', index);
+                index = end === -1 ? source.length : end;
+            } else if (source.startsWith('/*', index)) {
+                index = source.indexOf('*/', index) + 2;
+            } else {
+                return;
+            }
+        }
+    };
+
+    // Double- or single-quoted string (JSON5)
+    const readString = () => {
+        const start = index;
+        const quote = source[index++];
+        while (source[index] !== quote) {
+            index += source[index] === '\\' ? 2 : 1;
+        }
+        index++; // closing quote
+        return JSON5.parse(source.slice(start, index));
+    };
+
+    // Quoted key, or an unquoted identifier (JSON5)
+    const readKey = () => {
+        if (source[index] === '"' || source[index] === "'") return readString();
+        const start = index;
+        while (index < source.length && !/[\s:]/.test(source[index])) index++;
+        return source.slice(start, index);
+    };
+
+    const readValue = pointer => {
+        skipWhitespace();
+        const start = index;
+        const char = source[index];
+
+        if (char === '{') {
+            index++;
+            skipWhitespace();
+            while (source[index] !== '}') {
+                const keyOffset = index;
+                const childPointer = appendPointer(pointer, readKey());
+                offsets.set(childPointer, keyOffset);
+                skipWhitespace();
+                index++; // colon
+                readValue(childPointer);
+                skipWhitespace();
+                if (source[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                }
+            }
+            index++;
+        } else if (char === '[') {
+            index++;
+            skipWhitespace();
+            let item = 0;
+            while (source[index] !== ']') {
+                const childPointer = appendPointer(pointer, item++);
+                offsets.set(childPointer, index);
+                readValue(childPointer);
+                skipWhitespace();
+                if (source[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                }
+            }
+            index++;
+        } else if (char === '"' || char === "'") {
+            readString();
+        } else {
+            // Number, true, false, null (or a JSON5 Infinity/NaN/hex number)
+            while (index < source.length && !/[\s,\]}/]/.test(source[index])) index++;
+        }
+        ranges.set(pointer, [start, index]);
+    };
+
+    skipWhitespace();
+    offsets.set('', index);
+    readValue('');
+    return { offsets, ranges };
+}
+
+/**
+ * Character offset of every value in a JSON or JSON5 document.
+ * Object members point at their key, array items and the root at the value.
+ *
+ * @param {string} source - Text that JSON.parse() or JSON5.parse() accepts
+ * @returns {Map<string, number>} JSON pointer -> offset
+ */
+function scanJson(source) {
+    return scanJsonValues(source).offsets;
+}
+
+/**
+ * Offset of a pointer, or of its closest parent that has one.
+ * Pointers that aren't in the file (a missing required field) resolve to their parent.
+ *
+ * @param {Map<string, number>} offsets - See scanJson()
+ * @param {string} pointer
+ * @returns {number}
+ */
+function closestOffset(offsets, pointer) {
+    let current = pointer;
+    while (!offsets.has(current) && current !== '') {
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+    return offsets.get(current) || 0;
+}
+
+module.exports = {
+    appendPointer,
+    scanJson,
+    scanJsonValues,
+    closestOffset
+};
@@ -0,0 +1,483 @@
+/**
+ * Resume Website Builder - JSON Resume
+ * Converts between resume-data.json and the jsonresume.org schema (v1.0.0)
+ */
+
+const { prepareConfig, ensureSettings } = require('./config-file');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Profile networks that have a slot in personal.social
+ */
+const SOCIAL_NETWORKS = {
+    linkedin: { key: 'linkedin', label: 'LinkedIn', profileUrl: username => `https://linkedin.com/in/${username}` },
+    github: { key: 'github', label: 'GitHub', profileUrl: username => `https://github.com/${username}` },
+    twitter: { key: 'twitter', label: 'Twitter', profileUrl: username => `https://twitter.com/${username}` },
+    x: { key: 'twitter', label: 'Twitter', profileUrl: username => `https://twitter.com/${username}` }
+};
+
+/**
+ * Skill level names for skills.detailed proficiency: exported for the range from each `min`,
+ * and imported as that `min`
+ */
+const SKILL_LEVELS = [
+    { min: 90, level: 'Master' },
+    { min: 75, level: 'Advanced' },
+    { min: 50, level: 'Intermediate' },
+    { min: 0, level: 'Beginner' }
+];
+
+/**
+ * True for values worth reporting (non-empty strings, arrays and objects)
+ */
+function hasValue(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.values(value).some(hasValue);
+    return true;
+}
+
+/**
+ * Record every populated field of `obj` that is not in `handled`
+ */
+function reportUnhandled(obj, handled, basePath, unmapped) {
+    if (!obj || typeof obj !== 'object') return;
+    Object.keys(obj).forEach(key => {
+        if (!handled.includes(key) && hasValue(obj[key])) {
+            unmapped.push({ path: basePath ? `${basePath}.${key}` : key, reason: 'no matching field' });
+        }
+    });
+}
+
+/**
+ * Drop empty strings, nulls and empty arrays from an object
+ */
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => hasValue(value)));
+}
+
+/**
+ * Trim an ISO 8601 date to YYYY-MM (YYYY stays as it is)
+ */
+function toMonth(date) {
+    if (!date) return '';
+    return /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 7) : date;
+}
+
+/**
+ * Treat "Present" and friends as an open-ended date
+ */
+function isOpenEnded(date) {
+    return !date || /^(present|current|now)$/i.test(date);
+}
+
+/**
+ * Last path segment of a profile URL, used as the username
+ */
+function usernameFromUrl(url) {
+    return url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop();
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+// ---------------------------------------------------------------------------
+// Import: JSON Resume -> resume-data.json
+// ---------------------------------------------------------------------------
+
+function importBasics(basics, config, unmapped) {
+    reportUnhandled(basics, ['name', 'label', 'image', 'email', 'phone', 'url', 'summary', 'location', 'profiles'], 'basics', unmapped);
+
+    const personal = config.personal;
+    const location = basics.location || {};
+    reportUnhandled(location, ['city', 'region', 'countryCode'], 'basics.location', unmapped);
+
+    personal.fullName = basics.name || '';
+    personal.title = basics.label || '';
+    personal.email = basics.email || '';
+    personal.phone = basics.phone || '';
+    personal.location = {
+        primary: [location.city, location.region || location.countryCode].filter(Boolean).join(', '),
+        secondary: (personal.location && personal.location.secondary) || ''
+    };
+    // An exported absolute URL for the current image keeps the local path
+    if (basics.image && !basics.image.endsWith(`/${personal.profileImage}`)) {
+        personal.profileImage = basics.image;
+    }
+
+    const social = { linkedin: '', github: '', twitter: '', website: basics.url || '' };
+    asArray(basics.profiles).forEach((profile, index) => {
+        const network = SOCIAL_NETWORKS[String(profile.network || '').toLowerCase()];
+        const url = profile.url || (network && profile.username ? network.profileUrl(profile.username) : '');
+
+        if (!network || social[network.key] || !url) {
+            unmapped.push({
+                path: `basics.profiles[${index}]`,
+                reason: network ? `duplicate or incomplete ${network.label} profile` : `no field for "${profile.network}" profiles`
+            });
+            return;
+        }
+        social[network.key] = url;
+    });
+    personal.social = social;
+
+    config.summary.professional = basics.summary || '';
+}
+
+function importWork(work, unmapped) {
+    return work.map((job, index) => {
+        reportUnhandled(job, ['name', 'position', 'location', 'startDate', 'endDate', 'highlights'], `work[${index}]`, unmapped);
+        const current = isOpenEnded(job.endDate);
+        return {
+            title: job.position || '',
+            company: job.name || '',
+            location: job.location || '',
+            startDate: toMonth(job.startDate),
+            endDate: current ? 'Present' : toMonth(job.endDate),
+            current,
+            achievements: asArray(job.highlights)
+        };
+    });
+}
+
+function importEducation(education, unmapped) {
+    return education.map((edu, index) => {
+        reportUnhandled(edu, ['institution', 'area', 'studyType', 'startDate', 'endDate', 'score'], `education[${index}]`, unmapped);
+        return {
+            degree: [edu.studyType, edu.area].filter(Boolean).join(' in '),
+            institution: edu.institution || '',
+            location: '',
+            startDate: toMonth(edu.startDate),
+            endDate: toMonth(edu.endDate),
+            gpa: edu.score || '',
+            honors: ''
+        };
+    });
+}
+
+function importSkills(skills, previous, unmapped) {
+    const categories = [];
+    const general = [];
+    const detailed = [];
+    const previousCategories = asArray(previous.categories);
+    const previousDetailed = asArray(previous.detailed);
+    // Keep icons of categories that already exist
+    const iconFor = name => {
+        const match = previousCategories.find(category => category.name === name);
+        return (match && match.icon) || 'fa-code';
+    };
+
+    skills.forEach((skill, index) => {
+        reportUnhandled(skill, ['name', 'keywords', 'level'], `skills[${index}]`, unmapped);
+        const keywords = asArray(skill.keywords);
+        const level = typeof skill.level === 'string'
+            ? SKILL_LEVELS.find(entry => entry.level.toLowerCase() === skill.level.trim().toLowerCase())
+            : null;
+
+        if (hasValue(skill.level) && !level) {
+            unmapped.push({
+                path: `skills[${index}].level`,
+                reason: `unknown level ${JSON.stringify(skill.level)} (use ${SKILL_LEVELS.map(entry => entry.level).join(', ')})`
+            });
+        }
+        if (level && skill.name) {
+            // An existing proficiency in the same range is kept, with the skill's other fields
+            const existing = previousDetailed.find(entry => entry.name === skill.name && typeof entry.proficiency === 'number' &&
+                SKILL_LEVELS.find(range => entry.proficiency >= range.min) === level);
+            detailed.push(existing || { name: skill.name, proficiency: level.min });
+        }
+
+        if (keywords.length > 0) {
+            categories.push({ name: skill.name || 'Skills', icon: iconFor(skill.name), items: keywords });
+        } else if (skill.name && !level) {
+            general.push(skill.name);
+        }
+    });
+
+    // Skills without keywords are single skills rather than categories
+    const listed = new Set(categories.flatMap(category => category.items));
+    const extra = general.filter(name => !listed.has(name));
+    if (extra.length > 0) {
+        categories.push({ name: 'General', icon: iconFor('General'), items: extra });
+    }
+
+    return { categories, detailed };
+}
+
+function importProjects(projects, unmapped) {
+    return projects.map((project, index) => {
+        reportUnhandled(project, ['name', 'description', 'startDate', 'endDate', 'highlights', 'keywords', 'url'], `projects[${index}]`, unmapped);
+        // Dates only count towards skill years, so undated projects stay undated
+        const dates = project.startDate
+            ? { startDate: toMonth(project.startDate), endDate: isOpenEnded(project.endDate) ? 'Present' : toMonth(project.endDate) }
+            : {};
+        return {
+            title: project.name || '',
+            description: project.description || '',
+            ...dates,
+            technologies: asArray(project.keywords),
+            highlights: asArray(project.highlights),
+            url: project.url || ''
+        };
+    });
+}
+
+function importCertificates(certificates, unmapped) {
+    return certificates.map((cert, index) => {
+        reportUnhandled(cert, ['name', 'date', 'issuer', 'url'], `certificates[${index}]`, unmapped);
+        return {
+            name: cert.name || '',
+            issuer: cert.issuer || '',
+            date: toMonth(cert.date),
+            credentialId: '',
+            url: cert.url || ''
+        };
+    });
+}
+
+function importReferences(references, unmapped) {
+    return references.map((reference, index) => {
+        reportUnhandled(reference, ['name', 'reference'], `references[${index}]`, unmapped);
+        return {
+            quote: reference.reference || '',
+            author: reference.name || '',
+            position: '',
+            company: ''
+        };
+    });
+}
+
+function importPublications(publications, unmapped) {
+    return publications.map((publication, index) => {
+        reportUnhandled(publication, ['name', 'summary', 'releaseDate', 'url'], `publications[${index}]`, unmapped);
+        return {
+            title: publication.name || '',
+            excerpt: publication.summary || '',
+            date: publication.releaseDate || '',
+            tags: [],
+            url: publication.url || ''
+        };
+    });
+}
+
+/**
+ * Convert a JSON Resume document into resume-data.json
+ *
+ * Sections missing from the JSON Resume keep their content from `base`,
+ * and fields with no JSON Resume counterpart (summary.about, settings) are carried
+ * over unchanged. skills.detailed comes from the skills with a `level`, and is kept
+ * when none have one.
+ *
+ * @param {Object} resume - JSON Resume document
+ * @param {Object} [base] - Existing config to import into
+ * @returns {{config: Object, unmapped: Array<{path: string, reason: string}>}}
+ */
+function fromJsonResume(resume, base = null) {
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+        throw new Error('JSON Resume must be an object');
+    }
+
+    const unmapped = [];
+    const config = prepareConfig(base);
+
+    reportUnhandled(resume, [
+        '$schema', 'meta', 'basics', 'work', 'education', 'skills',
+        'projects', 'certificates', 'references', 'publications'
+    ], '', unmapped);
+
+    if (resume.basics) importBasics(resume.basics, config, unmapped);
+    if (Array.isArray(resume.work)) config.experience = importWork(resume.work, unmapped);
+    if (Array.isArray(resume.education)) config.education = importEducation(resume.education, unmapped);
+    if (Array.isArray(resume.skills)) {
+        const { categories, detailed } = importSkills(resume.skills, config.skills, unmapped);
+        config.skills.categories = categories;
+        if (detailed.length > 0) config.skills.detailed = detailed;
+    }
+    if (Array.isArray(resume.projects)) config.projects = importProjects(resume.projects, unmapped);
+    if (Array.isArray(resume.certificates)) config.certifications = importCertificates(resume.certificates, unmapped);
+    if (Array.isArray(resume.references)) config.testimonials = importReferences(resume.references, unmapped);
+    if (Array.isArray(resume.publications)) config.articles = importPublications(resume.publications, unmapped);
+
+    ensureSettings(config);
+
+    return { config, unmapped };
+}
+
+// ---------------------------------------------------------------------------
+// Export: resume-data.json -> JSON Resume
+// ---------------------------------------------------------------------------
+
+function exportBasics(config, unmapped) {
+    const personal = config.personal || {};
+    const social = personal.social || {};
+    const canonicalUrl = ((config.settings && config.settings.seo && config.settings.seo.canonicalUrl) || '').replace(/\/$/, '');
+    reportUnhandled(personal, ['fullName', 'title', 'email', 'phone', 'location', 'profileImage', 'social'], 'personal', unmapped);
+    reportUnhandled(social, ['linkedin', 'github', 'twitter', 'website'], 'personal.social', unmapped);
+
+    const location = personal.location && typeof personal.location === 'object'
+        ? personal.location
+        : { primary: personal.location || '' };
+    reportUnhandled(location, ['primary'], 'personal.location', unmapped);
+
+    // "San Francisco, CA" -> city + region
+    const parts = (location.primary || '').split(',').map(part => part.trim()).filter(Boolean);
+    const region = parts.length > 1 ? parts.pop() : '';
+
+    let image = personal.profileImage || '';
+    if (image && !/^https?:\/\//.test(image) && canonicalUrl) {
+        image = `${canonicalUrl}/${image.replace(/^\//, '')}`;
+    }
+
+    const profiles = Object.values(SOCIAL_NETWORKS)
+        .filter((network, index, all) => all.findIndex(other => other.key === network.key) === index)
+        .filter(network => social[network.key])
+        .map(network => ({
+            network: network.label,
+            username: usernameFromUrl(social[network.key]),
+            url: social[network.key]
+        }));
+
+    return compact({
+        name: personal.fullName,
+        label: personal.title,
+        image,
+        email: personal.email,
+        phone: personal.phone,
+        url: social.website,
+        summary: config.summary && config.summary.professional,
+        location: compact({ city: parts.join(', '), region }),
+        profiles
+    });
+}
+
+function exportWork(experience, unmapped) {
+    return experience.map((job, index) => {
+        reportUnhandled(job, ['title', 'company', 'location', 'startDate', 'endDate', 'current', 'achievements'], `experience[${index}]`, unmapped);
+        return compact({
+            name: job.company,
+            position: job.title,
+            location: job.location,
+            startDate: job.startDate,
+            endDate: job.current || isOpenEnded(job.endDate) ? '' : job.endDate,
+            highlights: job.achievements
+        });
+    });
+}
+
+function exportEducation(education, unmapped) {
+    return education.map((edu, index) => {
+        reportUnhandled(edu, ['degree', 'institution', 'startDate', 'endDate', 'gpa'], `education[${index}]`, unmapped);
+        // "Bachelor in Computer Science" -> studyType + area
+        const [studyType, ...area] = (edu.degree || '').split(' in ');
+        return compact({
+            institution: edu.institution,
+            studyType,
+            area: area.join(' in '),
+            startDate: edu.startDate,
+            endDate: isOpenEnded(edu.endDate) ? '' : edu.endDate,
+            score: edu.gpa
+        });
+    });
+}
+
+function exportSkills(skills, unmapped) {
+    const categories = asArray(skills.categories).map((category, index) => {
+        reportUnhandled(category, ['name', 'items'], `skills.categories[${index}]`, unmapped);
+        return compact({ name: category.name, keywords: category.items });
+    });
+
+    const detailed = asArray(skills.detailed).map((skill, index) => {
+        reportUnhandled(skill, ['name', 'proficiency'], `skills.detailed[${index}]`, unmapped);
+        const match = typeof skill.proficiency === 'number'
+            ? SKILL_LEVELS.find(entry => skill.proficiency >= entry.min)
+            : null;
+        return compact({ name: skill.name, level: match ? match.level : '' });
+    });
+
+    return [...categories, ...detailed];
+}
+
+function exportProjects(projects, unmapped) {
+    return projects.map((project, index) => {
+        reportUnhandled(project, ['title', 'description', 'startDate', 'endDate', 'technologies', 'highlights', 'url'], `projects[${index}]`, unmapped);
+        return compact({
+            name: project.title,
+            description: project.description,
+            startDate: project.startDate,
+            endDate: isOpenEnded(project.endDate) ? '' : project.endDate,
+            highlights: project.highlights,
+            keywords: project.technologies,
+            url: project.url
+        });
+    });
+}
+
+function exportCertifications(certifications, unmapped) {
+    return certifications.map((cert, index) => {
+        reportUnhandled(cert, ['name', 'issuer', 'date', 'url'], `certifications[${index}]`, unmapped);
+        return compact({ name: cert.name, date: cert.date, issuer: cert.issuer, url: cert.url });
+    });
+}
+
+function exportTestimonials(testimonials, unmapped) {
+    return testimonials.map((testimonial, index) => {
+        reportUnhandled(testimonial, ['quote', 'author'], `testimonials[${index}]`, unmapped);
+        return compact({ name: testimonial.author, reference: testimonial.quote });
+    });
+}
+
+function exportArticles(articles, unmapped) {
+    return articles.map((article, index) => {
+        reportUnhandled(article, ['title', 'excerpt', 'date', 'url'], `articles[${index}]`, unmapped);
+        return compact({
+            name: article.title,
+            releaseDate: article.date,
+            url: article.url,
+            summary: article.excerpt
+        });
+    });
+}
+
+/**
+ * Convert resume-data.json into a JSON Resume document
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Stored as meta.lastModified
+ * @returns {{resume: Object, unmapped: Array<{path: string, reason: string}>}}
+ */
+function toJsonResume(config, { date = new Date() } = {}) {
+    const unmapped = [];
+
+    reportUnhandled(config, [
+        'personal', 'summary', 'experience', 'education', 'skills',
+        'projects', 'certifications', 'testimonials', 'articles', 'settings'
+    ], '', unmapped);
+    reportUnhandled(config.summary, ['professional'], 'summary', unmapped);
+    if (config.settings) {
+        unmapped.push({ path: 'settings', reason: 'website settings have no JSON Resume equivalent' });
+    }
+
+    const resume = compact({
+        $schema: SCHEMA_URL,
+        basics: exportBasics(config, unmapped),
+        work: exportWork(asArray(config.experience), unmapped),
+        education: exportEducation(asArray(config.education), unmapped),
+        skills: exportSkills(config.skills || {}, unmapped),
+        projects: exportProjects(asArray(config.projects), unmapped),
+        certificates: exportCertifications(asArray(config.certifications), unmapped),
+        references: exportTestimonials(asArray(config.testimonials), unmapped),
+        publications: exportArticles(asArray(config.articles), unmapped)
+    });
+    resume.meta = { version: 'v1.0.0', lastModified: date.toISOString() };
+
+    return { resume, unmapped };
+}
+
+module.exports = {
+    SCHEMA_URL,
+    fromJsonResume,
+    toJsonResume
+};
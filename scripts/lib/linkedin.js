@@ -0,0 +1,296 @@
+/**
+ * Resume Website Builder - LinkedIn Import
+ * Reads LinkedIn's "Download your data" export and merges it into resume-data.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { readZip } = require('./zip');
+const { normalizeDate } = require('./dates');
+const { prepareConfig, ensureSettings } = require('./config-file');
+
+/**
+ * Export files we understand, keyed by table name
+ */
+const LINKEDIN_FILES = {
+    profile: 'Profile.csv',
+    positions: 'Positions.csv',
+    education: 'Education.csv',
+    skills: 'Skills.csv',
+    certifications: 'Certifications.csv',
+    recommendations: 'Recommendations_Received.csv'
+};
+
+/**
+ * Table name for an export file, or null for files we don't import
+ */
+function tableFor(fileName) {
+    const normalized = path.basename(fileName).toLowerCase().replace(/[^a-z.]/g, '');
+    return Object.keys(LINKEDIN_FILES).find(key =>
+        LINKEDIN_FILES[key].toLowerCase().replace(/[^a-z.]/g, '') === normalized
+    ) || null;
+}
+
+/**
+ * Read LinkedIn export tables from ZIP archives, extracted folders or single CSV files
+ *
+ * @param {string[]} inputs - Paths to .zip files, directories or .csv files
+ * @returns {{tables: Object<string, Object[]>, files: string[]}}
+ */
+function readLinkedInExport(inputs) {
+    const tables = {};
+    const files = [];
+
+    const addFile = (name, text) => {
+        const table = tableFor(name);
+        if (!table) return;
+        tables[table] = parseCsv(text);
+        files.push(name);
+    };
+
+    inputs.forEach(input => {
+        if (!fs.existsSync(input)) {
+            throw new Error(`File not found: ${input}`);
+        }
+
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => name.toLowerCase().endsWith('.csv'))
+                .forEach(name => addFile(name, fs.readFileSync(path.join(input, name), 'utf-8')));
+        } else if (input.toLowerCase().endsWith('.zip')) {
+            readZip(fs.readFileSync(input))
+                .filter(entry => entry.name.toLowerCase().endsWith('.csv'))
+                .forEach(entry => addFile(path.basename(entry.name), entry.data.toString('utf-8')));
+        } else {
+            addFile(path.basename(input), fs.readFileSync(input, 'utf-8'));
+        }
+    });
+
+    return { tables, files };
+}
+
+/**
+ * First non-empty column out of several possible header names
+ */
+function pick(row, ...columns) {
+    for (const column of columns) {
+        if (row[column]) return row[column];
+    }
+    return '';
+}
+
+/**
+ * Turn a position description into achievement bullets
+ */
+function toBullets(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.replace(/^\s*[•·\-*–]\s*/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Drop empty strings and empty arrays so they don't overwrite existing values
+ */
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) =>
+        Array.isArray(value) ? value.length > 0 : value !== '' && value !== undefined && value !== null
+    ));
+}
+
+/**
+ * Merge imported entries into an existing list.
+ * Matching entries take LinkedIn's facts (titles, dates, places) but keep
+ * any list content already written by hand, e.g. curated achievements.
+ *
+ * @returns {{list: Object[], added: number, updated: number}}
+ */
+function mergeEntries(existing, incoming, keyOf) {
+    const list = existing.map(entry => ({ ...entry }));
+    let added = 0;
+    let updated = 0;
+
+    incoming.forEach(entry => {
+        const index = list.findIndex(current => keyOf(current) === keyOf(entry));
+        if (index === -1) {
+            list.push(entry);
+            added++;
+            return;
+        }
+
+        const current = list[index];
+        const merged = { ...current, ...compact(entry) };
+        Object.keys(current).forEach(key => {
+            if (Array.isArray(current[key]) && current[key].length > 0) {
+                merged[key] = current[key];
+            }
+        });
+        if (JSON.stringify(merged) !== JSON.stringify(current)) updated++;
+        list[index] = merged;
+    });
+
+    return { list, added, updated };
+}
+
+/**
+ * Newest first; stable for entries with equal or missing start dates
+ */
+function byStartDateDesc(a, b) {
+    return String(b.startDate || '').localeCompare(String(a.startDate || ''));
+}
+
+function key(...parts) {
+    return parts.map(part => String(part || '').trim().toLowerCase()).join('|');
+}
+
+function importProfile(row, config) {
+    const personal = config.personal;
+    const fullName = [row['First Name'], row['Last Name']].filter(Boolean).join(' ');
+    const urls = (row['Websites'] || '').match(/https?:\/\/[^\s,\]]+/g) || [];
+    const github = urls.find(url => /github\.com/i.test(url));
+    const website = urls.find(url => url !== github);
+    const twitter = (row['Twitter Handles'] || '').replace(/[[\]@\s]/g, '').split(',')[0];
+
+    Object.assign(personal, compact({
+        fullName,
+        title: row['Headline'],
+        location: row['Geo Location'] ? { ...personal.location, primary: row['Geo Location'] } : ''
+    }));
+    personal.social = {
+        ...personal.social,
+        ...compact({ github, website, twitter: twitter ? `https://twitter.com/${twitter}` : '' })
+    };
+    if (row['Summary']) {
+        config.summary.professional = row['Summary'];
+    }
+}
+
+function importPositions(rows) {
+    return rows.map(row => {
+        const endDate = normalizeDate(pick(row, 'Finished On', 'End Date'));
+        return {
+            title: row['Title'] || '',
+            company: row['Company Name'] || '',
+            location: row['Location'] || '',
+            startDate: normalizeDate(pick(row, 'Started On', 'Start Date')),
+            endDate: endDate || 'Present',
+            current: !endDate || endDate === 'Present',
+            achievements: toBullets(row['Description'] || '')
+        };
+    });
+}
+
+function importEducation(rows) {
+    return rows.map(row => ({
+        degree: row['Degree Name'] || '',
+        institution: row['School Name'] || '',
+        location: '',
+        startDate: normalizeDate(pick(row, 'Start Date', 'Started On')),
+        endDate: normalizeDate(pick(row, 'End Date', 'Finished On')),
+        gpa: '',
+        honors: ''
+    }));
+}
+
+function importCertifications(rows) {
+    return rows.map(row => ({
+        name: row['Name'] || '',
+        issuer: row['Authority'] || '',
+        date: normalizeDate(pick(row, 'Started On', 'Start Date')),
+        credentialId: row['License Number'] || '',
+        url: row['Url'] || ''
+    }));
+}
+
+function importRecommendations(rows, notes) {
+    // Recommendations hidden on the LinkedIn profile stay hidden
+    const visible = rows.filter(row => !row['Status'] || /^visible$/i.test(row['Status']));
+    if (visible.length < rows.length) {
+        notes.push(`Skipped ${rows.length - visible.length} recommendation(s) not visible on LinkedIn`);
+    }
+
+    return visible.map(row => ({
+        quote: row['Text'] || '',
+        author: [row['First Name'], row['Last Name']].filter(Boolean).join(' '),
+        position: row['Job Title'] || '',
+        company: row['Company'] || ''
+    }));
+}
+
+/**
+ * Add skills that aren't listed in any category yet to a "Skills" category
+ *
+ * @returns {number} Skills added
+ */
+function importSkills(rows, skills) {
+    const listed = new Set(skills.categories.flatMap(category => category.items || []).map(name => name.toLowerCase()));
+    const names = rows.map(row => row['Name']).filter(name => name && !listed.has(name.toLowerCase()));
+    if (names.length === 0) return 0;
+
+    let category = skills.categories.find(entry => entry.name === 'Skills');
+    if (!category) {
+        category = { name: 'Skills', icon: 'fa-code', items: [] };
+        skills.categories.push(category);
+    }
+    category.items = [...(category.items || []), ...names];
+    return names.length;
+}
+
+/**
+ * Build or update a config from LinkedIn export tables
+ *
+ * @param {Object<string, Object[]>} tables - Output of readLinkedInExport
+ * @param {Object|null} base - Existing config to merge into
+ * @returns {{config: Object, stats: Object<string, {added: number, updated: number}>, notes: string[]}}
+ */
+function fromLinkedIn(tables, base = null) {
+    const config = prepareConfig(base);
+    const stats = {};
+    const notes = [];
+
+    const merge = (section, incoming, keyOf) => {
+        const { list, added, updated } = mergeEntries(config[section], incoming, keyOf);
+        config[section] = list;
+        stats[section] = { added, updated };
+    };
+
+    if (tables.profile && tables.profile[0]) {
+        importProfile(tables.profile[0], config);
+    }
+    if (tables.positions) {
+        merge('experience', importPositions(tables.positions), job => key(job.company, job.title));
+        config.experience.sort(byStartDateDesc);
+    }
+    if (tables.education) {
+        merge('education', importEducation(tables.education), edu => key(edu.institution));
+        config.education.sort(byStartDateDesc);
+    }
+    if (tables.certifications) {
+        merge('certifications', importCertifications(tables.certifications), cert => key(cert.name));
+    }
+    if (tables.recommendations) {
+        merge('testimonials', importRecommendations(tables.recommendations, notes), testimonial => key(testimonial.author));
+    }
+    if (tables.skills) {
+        stats.skills = { added: importSkills(tables.skills, config.skills), updated: 0 };
+    }
+
+    ensureSettings(config);
+
+    // Imported content in a hidden section is easy to miss
+    const enabled = config.settings.sectionsEnabled || {};
+    ['certifications', 'testimonials'].forEach(section => {
+        if (stats[section] && stats[section].added > 0 && enabled[section] === false) {
+            notes.push(`The ${section} section is disabled; turn it on in settings.sectionsEnabled to show it`);
+        }
+    });
+
+    return { config, stats, notes };
+}
+
+module.exports = {
+    LINKEDIN_FILES,
+    readLinkedInExport,
+    fromLinkedIn
+};
@@ -0,0 +1,85 @@
+/**
+ * Resume Website Builder - Live Reload Client
+ * Injected into pages served by the dev server. Reloads the page after
+ * a rebuild, swaps the stylesheets in place when only CSS changed and
+ * shows build errors in an overlay.
+ */
+
+(function() {
+    if (!window.EventSource) return;
+
+    const OVERLAY_ID = 'resume-builder-error-overlay';
+    const source = new EventSource('/__live-reload');
+
+    /**
+     * Remove the error overlay, if shown
+     */
+    function hideOverlay() {
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (overlay) overlay.remove();
+    }
+
+    /**
+     * Show a build error over the page
+     */
+    function showOverlay(error) {
+        hideOverlay();
+
+        const overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.setAttribute('role', 'alertdialog');
+        overlay.setAttribute('aria-label', error.title);
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;' +
+            'background:rgba(17,24,39,0.95);color:#f9fafb;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace;text-align:left;';
+
+        const add = (tag, text, css) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            element.style.cssText = css;
+            overlay.appendChild(element);
+            return element;
+        };
+
+        add('h2', error.title, 'margin:0 0 1rem;color:#f87171;font:bold 1.25rem/1.3 inherit;');
+        if (error.file) {
+            const location = [error.file, error.line, error.line && error.column].filter(Boolean).join(':');
+            add('div', location, 'margin-bottom:1rem;color:#93c5fd;');
+        }
+        add('pre', error.message, 'margin:0 0 1rem;white-space:pre-wrap;font:inherit;');
+        if (error.frame) {
+            add('pre', error.frame, 'margin:0 0 1rem;padding:1rem;overflow:auto;border-radius:6px;background:#030712;color:#fcd34d;font:inherit;');
+        }
+        add('p', 'Fix the problem and save: this page updates automatically.', 'margin:0 0 1rem;color:#9ca3af;');
+
+        const close = add('button', 'Dismiss', 'padding:0.4rem 1rem;border:1px solid #4b5563;border-radius:4px;background:#1f2937;color:#f9fafb;cursor:pointer;font:inherit;');
+        close.addEventListener('click', hideOverlay);
+
+        document.body.appendChild(overlay);
+    }
+
+    source.addEventListener('reload', function() {
+        window.location.reload();
+    });
+
+    source.addEventListener('build-error', function(event) {
+        showOverlay(JSON.parse(event.data));
+    });
+
+    source.addEventListener('css', function() {
+        hideOverlay();
+
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            const url = new URL(link.href);
+            if (url.origin !== window.location.origin) return;
+
+            // Load the new stylesheet next to the old one, then drop the old one,
+            // so the page never renders unstyled
+            url.searchParams.set('v', Date.now());
+            const replacement = link.cloneNode();
+            replacement.href = url.href;
+            replacement.addEventListener('load', () => link.remove());
+            replacement.addEventListener('error', () => replacement.remove());
+            link.after(replacement);
+        });
+    });
+})();
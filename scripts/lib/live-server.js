@@ -0,0 +1,216 @@
+/**
+ * Resume Website Builder - Live Server
+ * Serves the built site over HTTP and pushes reload and build error events
+ * to open pages (Server-Sent Events, so no browser extension or extra package is needed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const EVENTS_PATH = '/__live-reload';
+const CLIENT_PATH = '/__live-reload.js';
+const CLIENT_FILE = path.join(__dirname, 'live-reload-client.js');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf'
+};
+
+const NOT_FOUND_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Not found</title></head>
+<body style="font-family: sans-serif; padding: 2rem;">
+    <h1>404 - Not found</h1>
+    <p>Nothing was built at this address. <a href="/">Back to the resume</a></p>
+</body>
+</html>`;
+
+/**
+ * Map a request URL to a file under rootDir, or null if it points outside of it
+ */
+function resolveRequestPath(rootDir, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    } catch (error) {
+        return null;
+    }
+
+    const filePath = path.join(rootDir, pathname);
+    const relative = path.relative(rootDir, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        return path.join(filePath, 'index.html');
+    }
+    return filePath;
+}
+
+/**
+ * Add the live reload script to an HTML page
+ */
+function injectClient(html) {
+    const tag = `<script src="${CLIENT_PATH}"></script>`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, () => `${tag}\n</body>`) : html + tag;
+}
+
+/**
+ * Create the dev HTTP server
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory to serve (the build output)
+ * @returns {{server: http.Server, listen: Function, send: Function, reload: Function, updateCss: Function,
+ *   setError: Function, showError: Function, close: Function}}
+ */
+function createLiveServer({ rootDir }) {
+    const clients = new Set();
+
+    // Error from the latest build, shown on every page that connects until a build succeeds
+    let lastError = null;
+
+    const respond = (request, response, status, type, body) => {
+        response.writeHead(status, {
+            'Content-Type': type,
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-cache'
+        });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    };
+
+    const serveFile = (request, response, filePath, status = 200) => {
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        let body = fs.readFileSync(filePath);
+        if (type.startsWith('text/html')) {
+            body = injectClient(body.toString('utf-8'));
+        }
+        respond(request, response, status, type, body);
+    };
+
+    const openEventStream = (request, response) => {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        response.write('retry: 1000\n\n');
+        if (lastError) {
+            response.write(`event: build-error\ndata: ${JSON.stringify(lastError)}\n\n`);
+        }
+        clients.add(response);
+        request.on('close', () => clients.delete(response));
+    };
+
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            respond(request, response, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+            return;
+        }
+
+        const pathname = request.url.split('?')[0];
+        if (pathname === EVENTS_PATH) {
+            openEventStream(request, response);
+            return;
+        }
+        if (pathname === CLIENT_PATH) {
+            serveFile(request, response, CLIENT_FILE);
+            return;
+        }
+
+        try {
+            const filePath = resolveRequestPath(rootDir, request.url);
+            if (filePath && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+                serveFile(request, response, filePath);
+                return;
+            }
+
+            // Use the site's own 404 page when it has one
+            const notFoundPath = path.join(rootDir, '404.html');
+            if (fs.existsSync(notFoundPath)) {
+                serveFile(request, response, notFoundPath, 404);
+            } else {
+                respond(request, response, 404, MIME_TYPES['.html'], injectClient(NOT_FOUND_PAGE));
+            }
+        } catch (error) {
+            respond(request, response, 500, 'text/plain; charset=utf-8', `Server error: ${error.message}`);
+        }
+    });
+
+    // Push an event to every open page
+    const send = (event, data = {}) => {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(client => client.write(message));
+    };
+
+    return {
+        server,
+        send,
+        reload: () => send('reload'),
+
+        updateCss() {
+            send('css');
+            if (lastError) send('build-error', lastError);
+        },
+
+        /**
+         * Remember the error to show on pages as they (re)connect; null clears it
+         */
+        setError(error) {
+            lastError = error || null;
+        },
+
+        /**
+         * Show an error on open pages right away
+         */
+        showError(error) {
+            lastError = error;
+            send('build-error', error);
+        },
+
+        /**
+         * Start listening; resolves with the port in use
+         */
+        listen(port, host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve(server.address().port);
+                });
+            });
+        },
+
+        close() {
+            clients.forEach(client => client.end());
+            clients.clear();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    MIME_TYPES,
+    resolveRequestPath,
+    createLiveServer
+};
@@ -0,0 +1,151 @@
+/**
+ * Resume Website Builder - Config Migrations
+ * Upgrades configs written for an older data shape, one schemaVersion at a time
+ */
+
+const { pointerToPath } = require('./json-schema');
+
+/**
+ * Version of the data shape this builder reads and writes as "schemaVersion"
+ */
+const CURRENT_SCHEMA_VERSION = 3;
+
+/**
+ * Configs written before schemaVersion existed
+ */
+const UNVERSIONED = 1;
+
+/**
+ * Steps from each version to the next, oldest first.
+ * A step edits the config in place and calls change(pointer, message) for each edit,
+ * so a config already in the new shape passes through untouched. `breaking` steps change
+ * how the config is read; the others only write down what the builder already assumes.
+ */
+const MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'personal.location becomes { primary, secondary }',
+        breaking: true,
+        migrate(config, change) {
+            const personal = config.personal;
+            if (personal && typeof personal.location === 'string') {
+                change('/personal/location', `${JSON.stringify(personal.location)} moved to location.primary`);
+                personal.location = { primary: personal.location, secondary: '' };
+            }
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'settings.sectionsEnabled lists experience and education',
+        breaking: false, // a missing key already means the section is shown
+        migrate(config, change) {
+            const sectionsEnabled = config.settings && config.settings.sectionsEnabled;
+            if (!sectionsEnabled || typeof sectionsEnabled !== 'object') return;
+
+            // These sections always rendered before they could be switched off
+            ['experience', 'education'].forEach(id => {
+                if (sectionsEnabled[id] === undefined) {
+                    change(`/settings/sectionsEnabled/${id}`, 'added as true (the section was always shown)');
+                    sectionsEnabled[id] = true;
+                }
+            });
+        }
+    }
+];
+
+/**
+ * schemaVersion of a config; configs without one are treated as version 1
+ */
+function getSchemaVersion(config) {
+    const version = config && config.schemaVersion;
+    return Number.isInteger(version) && version > 0 ? version : UNVERSIONED;
+}
+
+/**
+ * Copy of the config with schemaVersion set, placed after "$schema"
+ */
+function withSchemaVersion(config, version) {
+    const { $schema, schemaVersion, ...rest } = config;
+    return $schema === undefined ? { schemaVersion: version, ...rest } : { $schema, schemaVersion: version, ...rest };
+}
+
+/**
+ * Upgrade a config to CURRENT_SCHEMA_VERSION
+ *
+ * @param {Object} config - Parsed config (left untouched)
+ * @returns {{config: Object, from: number, to: number, steps: Array<{from: number, to: number, description: string, breaking: boolean, changes: Array<{pointer: string, message: string}>}>}}
+ *   Upgraded copy, and the steps applied with what each changed
+ * @throws {Error} CONFIG_TOO_NEW when the config is newer than this builder
+ */
+function migrateConfig(config) {
+    const from = getSchemaVersion(config);
+    if (from > CURRENT_SCHEMA_VERSION) {
+        throw Object.assign(new Error(`schemaVersion ${from} is newer than this builder supports (${CURRENT_SCHEMA_VERSION}); update the builder`), {
+            code: 'CONFIG_TOO_NEW'
+        });
+    }
+
+    const migrated = JSON.parse(JSON.stringify(config));
+    const steps = MIGRATIONS
+        .filter(migration => migration.from >= from)
+        .map(({ from: stepFrom, to, description, breaking, migrate }) => {
+            const changes = [];
+            migrate(migrated, (pointer, message) => changes.push({ pointer, message: `${pointerToPath(pointer)}: ${message}` }));
+            return { from: stepFrom, to, description, breaking, changes };
+        });
+
+    return {
+        config: from === CURRENT_SCHEMA_VERSION ? migrated : withSchemaVersion(migrated, CURRENT_SCHEMA_VERSION),
+        from,
+        to: CURRENT_SCHEMA_VERSION,
+        steps
+    };
+}
+
+/**
+ * Check whether a config needs `npm run migrate`
+ *
+ * @param {Object} config
+ * @returns {{severity: string, code: string, message: string}|null} A CONFIG_OUTDATED error when
+ *   a breaking step would change the data (CONFIG_TOO_NEW when the builder is too old), a warning
+ *   when only schemaVersion or non-breaking steps are behind, or null for a current config
+ */
+function checkSchemaVersion(config) {
+    let result;
+    try {
+        result = migrateConfig(config);
+    } catch (error) {
+        return { severity: 'error', code: error.code, message: error.message };
+    }
+
+    if (result.steps.length === 0) {
+        return null;
+    }
+
+    const version = config.schemaVersion === undefined ? 'schemaVersion 1 (it has no schemaVersion)' : `schemaVersion ${result.from}`;
+    const pending = result.steps.filter(step => step.changes.length > 0);
+    if (pending.length === 0) {
+        return {
+            severity: 'warning',
+            code: 'CONFIG_OUTDATED',
+            message: `The config uses ${version}, older than ${result.to}, but already has the current shape; run npm run migrate to record the version`
+        };
+    }
+
+    const steps = pending.map(step => `${step.from} → ${step.to} (${step.description})`).join(', ');
+    return {
+        severity: pending.some(step => step.breaking) ? 'error' : 'warning',
+        code: 'CONFIG_OUTDATED',
+        message: `The config uses ${version}, older than ${result.to}; run npm run migrate to apply ${steps}`
+    };
+}
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    getSchemaVersion,
+    migrateConfig,
+    checkSchemaVersion
+};
@@ -0,0 +1,375 @@
+/**
+ * Resume Website Builder - PDF Export
+ * Lays out the resume with PDFKit, so no headless browser is needed
+ */
+
+const PDFDocument = require('pdfkit');
+const { buildResumeModel } = require('./resume-model');
+
+/**
+ * Defaults for settings.pdf
+ */
+const DEFAULT_PDF_SETTINGS = {
+    enabled: true,
+    fileName: 'resume.pdf',
+    pageSize: 'LETTER',
+    fonts: {}
+};
+
+/**
+ * Built-in PDF fonts, used when settings.pdf.fonts doesn't name a TTF/OTF file
+ */
+const STANDARD_FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique'
+};
+
+const MARGIN = 54; // 0.75in
+const FONT_SIZES = { name: 22, title: 12, heading: 12, entryTitle: 11, body: 10, small: 9 };
+const TEXT_COLOR = '#1f2937';
+const LIGHT_TEXT_COLOR = '#6b7280';
+const BULLET_INDENT = 12;
+
+/**
+ * Entries up to this share of the page height are never split across pages;
+ * longer ones keep at least their header and first bullet together.
+ */
+const KEEP_TOGETHER_RATIO = 0.4;
+
+/**
+ * Merge settings.pdf with the defaults
+ */
+function getPdfSettings(config) {
+    const settings = (config.settings && config.settings.pdf) || {};
+    return {
+        ...DEFAULT_PDF_SETTINGS,
+        ...settings,
+        fonts: { ...DEFAULT_PDF_SETTINGS.fonts, ...(settings.fonts || {}) }
+    };
+}
+
+/**
+ * Register the body, bold and italic fonts.
+ * Custom fonts are looked up through resolveAsset; missing ones fall back
+ * to the built-in Helvetica family.
+ */
+function registerFonts(doc, fonts, resolveAsset, warnings) {
+    Object.keys(STANDARD_FONTS).forEach(style => {
+        let source = STANDARD_FONTS[style];
+
+        if (fonts[style]) {
+            const fontPath = resolveAsset(fonts[style]);
+            if (fontPath) {
+                source = fontPath;
+            } else {
+                warnings.push(`PDF font not found: ${fonts[style]} (using ${source})`);
+            }
+        }
+
+        doc.registerFont(style, source);
+    });
+}
+
+/**
+ * Bottom of the printable area on the current page
+ */
+function pageBottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+}
+
+/**
+ * Start a new page unless `height` still fits on the current one
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > pageBottom(doc) && doc.y > doc.page.margins.top) {
+        doc.addPage();
+    }
+}
+
+/**
+ * Measure the height of a text block at the content width
+ */
+function measure(ctx, text, font, size, width = ctx.width) {
+    ctx.doc.font(font).fontSize(size);
+    return ctx.doc.heightOfString(text, { width });
+}
+
+/**
+ * Write a block of text at the left margin
+ */
+function writeText(ctx, text, { font = 'regular', size = FONT_SIZES.body, color = TEXT_COLOR, link = null, gap = 2 } = {}) {
+    const { doc } = ctx;
+    doc.font(font).fontSize(size).fillColor(color);
+    doc.text(text, ctx.left, doc.y, { width: ctx.width, link, underline: false });
+    doc.y += gap;
+}
+
+/**
+ * Write a line of label/link pieces, e.g. contact details
+ */
+function writeInline(ctx, pieces, { size = FONT_SIZES.body, separator = '  |  ' } = {}) {
+    const { doc } = ctx;
+    const parts = pieces.filter(piece => piece && piece.text);
+
+    if (parts.length === 0) {
+        return;
+    }
+
+    doc.x = ctx.left;
+    parts.forEach((piece, index) => {
+        const last = index === parts.length - 1;
+
+        doc.font('regular').fontSize(size).fillColor(piece.link ? ctx.colors.primary : LIGHT_TEXT_COLOR);
+        doc.text(piece.text, { width: ctx.width, link: piece.link || null, underline: false, continued: !last });
+
+        if (!last) {
+            doc.fillColor(LIGHT_TEXT_COLOR).text(separator, { link: null, continued: true });
+        }
+    });
+    doc.y += 2;
+}
+
+/**
+ * Write a section heading with a rule underneath.
+ * Headings are kept on the same page as the start of the section.
+ */
+function writeHeading(ctx, text) {
+    const { doc } = ctx;
+    const height = measure(ctx, text, 'bold', FONT_SIZES.heading) + 10;
+
+    ensureSpace(doc, height + 40);
+    doc.y += 8;
+
+    writeText(ctx, text.toUpperCase(), { font: 'bold', size: FONT_SIZES.heading, color: ctx.colors.primary, gap: 3 });
+    doc.moveTo(ctx.left, doc.y)
+        .lineTo(ctx.left + ctx.width, doc.y)
+        .lineWidth(1)
+        .strokeColor(ctx.colors.primary)
+        .stroke();
+    doc.y += 6;
+}
+
+/**
+ * Measure a bulleted item
+ */
+function measureBullet(ctx, text) {
+    return measure(ctx, text, 'regular', FONT_SIZES.body, ctx.width - BULLET_INDENT) + 3;
+}
+
+/**
+ * Write a bulleted item
+ */
+function writeBullet(ctx, text) {
+    const { doc } = ctx;
+    const height = measureBullet(ctx, text);
+
+    ensureSpace(doc, height);
+
+    const y = doc.y;
+    doc.font('regular').fontSize(FONT_SIZES.body).fillColor(ctx.colors.primary);
+    doc.text('•', ctx.left + 2, y, { width: BULLET_INDENT, lineBreak: false });
+    doc.fillColor(TEXT_COLOR);
+    doc.text(text, ctx.left + BULLET_INDENT, y, { width: ctx.width - BULLET_INDENT });
+    doc.y = y + height;
+}
+
+/**
+ * Write a resume entry: a title row with an optional right-aligned date,
+ * a subtitle line, optional body text and bullets.
+ *
+ * Short entries move to the next page as a whole; long ones keep at
+ * least their header and first bullet together.
+ */
+function writeEntry(ctx, { title, link = null, meta = '', subtitle = '', body = [], bullets = [] }) {
+    const { doc } = ctx;
+    const metaWidth = meta ? measureWidth(ctx, meta, 'regular', FONT_SIZES.small) + 8 : 0;
+    const titleWidth = ctx.width - metaWidth;
+
+    const headerHeight = measure(ctx, title, 'bold', FONT_SIZES.entryTitle, titleWidth) +
+        (subtitle ? measure(ctx, subtitle, 'regular', FONT_SIZES.body) + 2 : 0) + 4;
+    const bodyHeights = body.filter(Boolean).map(text => measure(ctx, text, 'regular', FONT_SIZES.body) + 2);
+    const bulletHeights = bullets.map(text => measureBullet(ctx, text));
+    const totalHeight = headerHeight +
+        bodyHeights.reduce((sum, h) => sum + h, 0) +
+        bulletHeights.reduce((sum, h) => sum + h, 0) + 8;
+
+    const pageContentHeight = doc.page.height - doc.page.margins.top - doc.page.margins.bottom;
+    if (totalHeight <= pageContentHeight * KEEP_TOGETHER_RATIO) {
+        ensureSpace(doc, totalHeight);
+    } else {
+        ensureSpace(doc, headerHeight + (bodyHeights[0] || 0) + (bulletHeights[0] || 0));
+    }
+
+    // Title row
+    const y = doc.y;
+    doc.font('bold').fontSize(FONT_SIZES.entryTitle).fillColor(link ? ctx.colors.primary : TEXT_COLOR);
+    doc.text(title, ctx.left, y, { width: titleWidth, link, underline: false });
+    const titleBottom = doc.y;
+
+    if (meta) {
+        doc.font('regular').fontSize(FONT_SIZES.small).fillColor(LIGHT_TEXT_COLOR);
+        doc.text(meta, ctx.left + titleWidth, y + 1, { width: metaWidth, align: 'right', lineBreak: false });
+    }
+    doc.y = titleBottom + 1;
+
+    if (subtitle) {
+        writeText(ctx, subtitle, { color: LIGHT_TEXT_COLOR });
+    }
+    doc.y += 2;
+
+    body.filter(Boolean).forEach(text => writeText(ctx, text));
+    bullets.forEach(text => writeBullet(ctx, text));
+
+    doc.y += 8;
+}
+
+/**
+ * Measure the width of a single line of text
+ */
+function measureWidth(ctx, text, font, size) {
+    ctx.doc.font(font).fontSize(size);
+    return ctx.doc.widthOfString(text);
+}
+
+/**
+ * Write the name, title and contact details
+ */
+function writeHeader(ctx, header) {
+    writeText(ctx, header.name, { font: 'bold', size: FONT_SIZES.name, gap: 0 });
+    if (header.title) {
+        writeText(ctx, header.title, { size: FONT_SIZES.title, color: LIGHT_TEXT_COLOR, gap: 6 });
+    }
+
+    writeInline(ctx, header.contacts);
+    writeInline(ctx, header.links);
+
+    ctx.doc.y += 4;
+}
+
+/**
+ * Section renderers, keyed by section kind (see resume-model.js)
+ */
+const SECTION_WRITERS = {
+    text(ctx, section) {
+        section.paragraphs.forEach(text => writeText(ctx, text));
+    },
+
+    skills(ctx, section) {
+        const { doc } = ctx;
+        section.lines.forEach(line => {
+            const label = `${line.label}: `;
+            ensureSpace(doc, measure(ctx, label + line.text, 'regular', FONT_SIZES.body) + 3);
+            doc.x = ctx.left;
+            doc.font('bold').fontSize(FONT_SIZES.body).fillColor(TEXT_COLOR)
+                .text(label, { width: ctx.width, continued: true });
+            doc.font('regular').text(line.text);
+            doc.y += 3;
+        });
+    },
+
+    entries(ctx, section) {
+        section.entries.forEach(entry => writeEntry(ctx, entry));
+    },
+
+    quotes(ctx, section) {
+        const { doc } = ctx;
+        section.quotes.forEach(quote => {
+            const text = `"${quote.text}"`;
+            const attribution = `— ${quote.attribution}`;
+
+            ensureSpace(doc, measure(ctx, text, 'italic', FONT_SIZES.body) + measure(ctx, attribution, 'regular', FONT_SIZES.small) + 10);
+            writeText(ctx, text, { font: 'italic' });
+            writeText(ctx, attribution, { size: FONT_SIZES.small, color: LIGHT_TEXT_COLOR, gap: 8 });
+        });
+    }
+};
+
+/**
+ * Add "Name — Page X of Y" to the bottom of every page
+ */
+function writePageFooters(ctx, name, t) {
+    const { doc } = ctx;
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('regular').fontSize(FONT_SIZES.small).fillColor(LIGHT_TEXT_COLOR);
+        doc.text(`${name} — ${t('document.page', { page: i + 1, pages: range.count })}`, ctx.left, doc.page.height - bottomMargin / 2 - 4, {
+            width: ctx.width,
+            align: 'center',
+            lineBreak: false
+        });
+        doc.page.margins.bottom = bottomMargin;
+    }
+}
+
+/**
+ * Generate the resume PDF
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Object} [options]
+ * @param {Array<{id: string}>} [options.sections] - Sections to render, in order
+ * @param {Function} [options.resolveAsset] - Maps a font path to a file on disk (or null)
+ * @returns {Promise<{buffer: Buffer, pages: number, warnings: string[]}>}
+ */
+function generatePdf(config, { sections = [], resolveAsset = () => null } = {}) {
+    const settings = getPdfSettings(config);
+    const personal = config.personal || {};
+    const colors = (config.settings && config.settings.colors) || {};
+    const model = buildResumeModel(config, sections);
+    const warnings = [...model.warnings];
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: settings.pageSize,
+            margin: MARGIN,
+            bufferPages: true,
+            info: {
+                Title: `${personal.fullName || model.t('document.resume')} - ${model.t('document.resume')}`,
+                Author: personal.fullName || '',
+                Subject: personal.title || '',
+                Keywords: ((config.settings && config.settings.seo && config.settings.seo.keywords) || []).join(', ')
+            }
+        });
+
+        const chunks = [];
+        let pages = 0;
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), pages, warnings }));
+        doc.on('error', reject);
+
+        try {
+            registerFonts(doc, settings.fonts, resolveAsset, warnings);
+
+            const ctx = {
+                doc,
+                left: MARGIN,
+                width: doc.page.width - MARGIN * 2,
+                colors: { primary: colors.primary || '#2563eb' }
+            };
+
+            writeHeader(ctx, model.header);
+
+            model.sections.forEach(section => {
+                writeHeading(ctx, section.heading);
+                SECTION_WRITERS[section.kind](ctx, section);
+            });
+
+            writePageFooters(ctx, personal.fullName || model.t('document.resume'), model.t);
+            pages = doc.bufferedPageRange().count;
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = {
+    getPdfSettings,
+    generatePdf
+};
@@ -0,0 +1,210 @@
+/**
+ * Resume Website Builder - Document Model
+ * Turns the config into a layout-neutral outline shared by the PDF and DOCX exports
+ */
+
+const { translatorFor } = require('./i18n');
+
+/**
+ * Strip the protocol from a URL for display
+ */
+function displayUrl(url) {
+    return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+/**
+ * Section builders, keyed by section id.
+ * Each returns a section outline, or null when there is nothing to show.
+ * `i18n` is the translator for the config's locale (see i18n.js).
+ *
+ * Section kinds:
+ *   text    - { paragraphs: string[] }
+ *   skills  - { lines: [{ label, text }] }
+ *   entries - { entries: [{ title, link, meta, subtitle, body: string[], bullets: string[] }] }
+ *   quotes  - { quotes: [{ text, attribution }] }
+ */
+const SECTION_BUILDERS = {
+    professionalSummary(config, { t }) {
+        if (!config.summary || !config.summary.professional) return null;
+        return { heading: t('section.professionalSummary'), kind: 'text', paragraphs: [config.summary.professional] };
+    },
+
+    about(config, { t }) {
+        if (!config.summary || !config.summary.about) return null;
+        return { heading: t('section.about'), kind: 'text', paragraphs: [config.summary.about] };
+    },
+
+    skills(config, { t }) {
+        const skills = config.skills || {};
+        const categories = skills.categories || [];
+        const detailed = skills.detailed || [];
+        if (categories.length === 0 && detailed.length === 0) return null;
+
+        const lines = categories.map(category => ({
+            label: category.name,
+            text: (category.items || []).join(', ')
+        }));
+        if (detailed.length > 0) {
+            lines.push({
+                label: t('skills.proficiency'),
+                text: detailed.map(skill => skill.years ? `${skill.name} (${t('skills.yearsShort', { years: skill.years })})` : skill.name).join(', ')
+            });
+        }
+
+        return { heading: t('section.skills'), kind: 'skills', lines };
+    },
+
+    projects(config, { t }) {
+        if (!config.projects || config.projects.length === 0) return null;
+        return {
+            heading: t('section.projects'),
+            kind: 'entries',
+            entries: config.projects.map(project => ({
+                title: project.title,
+                link: project.url || null,
+                meta: '',
+                subtitle: (project.technologies || []).join(' · '),
+                body: [project.description].filter(Boolean),
+                bullets: project.highlights || []
+            }))
+        };
+    },
+
+    articles(config, { t, formatDate }) {
+        if (!config.articles || config.articles.length === 0) return null;
+        return {
+            heading: t('section.articles'),
+            kind: 'entries',
+            entries: config.articles.map(article => ({
+                title: article.title,
+                link: article.url || null,
+                meta: article.date ? formatDate(article.date) : '',
+                subtitle: (article.tags || []).join(' · '),
+                body: [article.excerpt].filter(Boolean),
+                bullets: []
+            }))
+        };
+    },
+
+    experience(config, { t, formatDateRange }) {
+        if (!config.experience || config.experience.length === 0) return null;
+        return {
+            heading: t('section.experience'),
+            kind: 'entries',
+            entries: config.experience.map(job => ({
+                title: job.title,
+                link: null,
+                meta: formatDateRange(job.startDate, job.endDate),
+                subtitle: [job.company, job.location].filter(Boolean).join(' | '),
+                body: job.technologies && job.technologies.length > 0 ? [job.technologies.join(' · ')] : [],
+                bullets: job.achievements || []
+            }))
+        };
+    },
+
+    education(config, { t, formatDateRange }) {
+        if (!config.education || config.education.length === 0) return null;
+        return {
+            heading: t('section.education'),
+            kind: 'entries',
+            entries: config.education.map(edu => ({
+                title: edu.degree,
+                link: null,
+                meta: formatDateRange(edu.startDate, edu.endDate),
+                subtitle: [edu.institution, edu.location].filter(Boolean).join(', '),
+                body: [edu.honors, edu.gpa ? t('education.gpa', { gpa: edu.gpa }) : ''].filter(Boolean),
+                bullets: []
+            }))
+        };
+    },
+
+    certifications(config, { t, formatDate }) {
+        if (!config.certifications || config.certifications.length === 0) return null;
+        return {
+            heading: t('section.certifications'),
+            kind: 'entries',
+            entries: config.certifications.map(cert => ({
+                title: cert.name,
+                link: cert.url || null,
+                meta: cert.date ? t('certifications.issued', { date: formatDate(cert.date) }) : '',
+                subtitle: cert.issuer || '',
+                body: [cert.credentialId ? t('certifications.credentialId', { id: cert.credentialId }) : ''].filter(Boolean),
+                bullets: []
+            }))
+        };
+    },
+
+    testimonials(config, { t }) {
+        if (!config.testimonials || config.testimonials.length === 0) return null;
+        return {
+            heading: t('section.testimonials'),
+            kind: 'quotes',
+            quotes: config.testimonials.map(testimonial => ({
+                text: testimonial.quote,
+                attribution: [testimonial.author, testimonial.position, testimonial.company].filter(Boolean).join(', ')
+            }))
+        };
+    }
+};
+
+/**
+ * Build the header: name, title, contact details and profile links
+ */
+function buildHeader(personal = {}) {
+    const social = personal.social || {};
+    const location = personal.location && typeof personal.location === 'object'
+        ? personal.location.primary
+        : personal.location;
+
+    return {
+        name: personal.fullName || '',
+        title: personal.title || '',
+        contacts: [
+            personal.email && { text: personal.email, link: `mailto:${personal.email}` },
+            personal.phone && { text: personal.phone, link: `tel:${personal.phone.replace(/[^\d+]/g, '')}` },
+            location && { text: location, link: null }
+        ].filter(Boolean),
+        links: ['linkedin', 'github', 'twitter', 'website']
+            .filter(key => social[key])
+            .map(key => ({ text: displayUrl(social[key]), link: social[key] }))
+    };
+}
+
+/**
+ * Build the document outline for the given sections
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Array<{id: string}>} sections - Sections to include, in order
+ * @returns {{header: Object, sections: Object[], locale: string, t: Function, warnings: string[]}}
+ *   `t` translates labels the renderers add themselves (page numbers)
+ */
+function buildResumeModel(config, sections = []) {
+    const warnings = [];
+    const outline = [];
+    const i18n = translatorFor(config);
+
+    sections.forEach(section => {
+        const builder = SECTION_BUILDERS[section.id];
+        if (!builder) {
+            warnings.push(`Section "${section.id}" is only available on the website`);
+            return;
+        }
+
+        const built = builder(config, i18n);
+        if (built) {
+            outline.push({ id: section.id, ...built });
+        }
+    });
+
+    return {
+        header: buildHeader(config.personal),
+        sections: outline,
+        locale: i18n.locale,
+        t: i18n.t,
+        warnings
+    };
+}
+
+module.exports = {
+    buildResumeModel
+};
@@ -0,0 +1,150 @@
+/**
+ * Resume Website Builder - Section Ordering
+ * Decides which section partials render, and in what order
+ */
+
+/**
+ * Built-in sections in their default render order.
+ * Each id matches a key in settings.sectionsEnabled and a
+ * partial at partials/sections/<id>.hbs.
+ */
+const DEFAULT_SECTION_ORDER = [
+    'professionalSummary',
+    'about',
+    'skills',
+    'projects',
+    'articles',
+    'experience',
+    'education',
+    'certifications',
+    'testimonials'
+];
+
+/**
+ * Sections that render unless explicitly disabled.
+ * Older configs have no sectionsEnabled keys for these.
+ */
+const ENABLED_BY_DEFAULT = ['experience', 'education'];
+
+const SECTION_PARTIAL_PREFIX = 'sections/';
+
+/**
+ * Check whether a section is enabled in settings.sectionsEnabled
+ */
+function isSectionEnabled(id, sectionsEnabled = {}) {
+    if (Object.prototype.hasOwnProperty.call(sectionsEnabled, id)) {
+        return Boolean(sectionsEnabled[id]);
+    }
+
+    // Custom sections are opted in by listing them in sectionOrder
+    return ENABLED_BY_DEFAULT.includes(id) || !DEFAULT_SECTION_ORDER.includes(id);
+}
+
+/**
+ * Resolve the sections to render.
+ *
+ * Sections listed in settings.sectionOrder come first, in that order;
+ * built-in sections missing from the list follow in their default order.
+ * Custom section ids are allowed as long as a matching partial exists.
+ *
+ * @param {Object} settings - The config's settings section
+ * @param {Object} partials - Available partials, keyed by partial name
+ * @returns {{sections: Array<{id: string, partial: string}>, warnings: string[]}}
+ */
+function resolveSections(settings = {}, partials = {}) {
+    const warnings = [];
+    const sectionsEnabled = settings.sectionsEnabled || {};
+    const sectionOrder = Array.isArray(settings.sectionOrder) ? settings.sectionOrder : [];
+
+    const order = [];
+    sectionOrder.forEach(id => {
+        if (order.includes(id)) {
+            warnings.push(`settings.sectionOrder lists "${id}" more than once`);
+            return;
+        }
+        order.push(id);
+    });
+    DEFAULT_SECTION_ORDER.forEach(id => {
+        if (!order.includes(id)) {
+            order.push(id);
+        }
+    });
+
+    const sections = [];
+    order.forEach(id => {
+        const partial = SECTION_PARTIAL_PREFIX + id;
+
+        if (!isSectionEnabled(id, sectionsEnabled)) {
+            return;
+        }
+
+        if (!partials[partial]) {
+            warnings.push(`Section "${id}" has no partial (expected partials/${partial}.hbs) and was skipped`);
+            return;
+        }
+
+        sections.push({ id, partial });
+    });
+
+    return { sections, warnings };
+}
+
+/**
+ * Merge settings.navigation with the defaults
+ */
+function getNavigationSettings(settings = {}) {
+    return { enabled: true, ...settings.navigation };
+}
+
+/**
+ * "openSource" -> "Open Source", for custom sections without a nav.<id> string
+ */
+function humanizeId(id) {
+    return id
+        .replace(/[-_]+/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/^./, letter => letter.toUpperCase());
+}
+
+/**
+ * Links for the page navigation, in render order.
+ *
+ * A section gets a link when its rendered HTML has an element with
+ * id="<section id>" to jump to; partials that render nothing (an empty
+ * articles list, for example) are left out. Labels are the nav.<id> UI strings.
+ *
+ * @param {Array<{id: string, partial: string}>} sections - From resolveSections()
+ * @param {Function} renderSection - Section -> rendered HTML
+ * @param {Function} t - Translates a UI string key
+ * @returns {{links: Array<{id: string, label: string}>, warnings: string[]}}
+ */
+function buildNavigation(sections, renderSection, t) {
+    const links = [];
+    const warnings = [];
+
+    sections.forEach(section => {
+        const html = renderSection(section);
+        if (!html.trim()) {
+            return;
+        }
+
+        if (!html.includes(`id="${section.id}"`)) {
+            warnings.push(`Section "${section.id}" has no element with id="${section.id}" and was left out of the navigation`);
+            return;
+        }
+
+        const key = `nav.${section.id}`;
+        const label = t(key);
+        links.push({ id: section.id, label: label === key ? humanizeId(section.id) : label });
+    });
+
+    return { links, warnings };
+}
+
+module.exports = {
+    DEFAULT_SECTION_ORDER,
+    isSectionEnabled,
+    resolveSections,
+    getNavigationSettings,
+    buildNavigation
+};
@@ -0,0 +1,112 @@
+/**
+ * Resume Website Builder - Skill Links
+ * Finds where each skill badge was used: the experience entries and projects
+ * that list it in `technologies`, and the articles tagged with it
+ */
+
+/**
+ * Lists searched for each skill: section id, where the names are, and the entry's label
+ */
+const SKILL_SOURCES = [
+    {
+        section: 'experience',
+        anchor: 'experience',
+        names: job => job.technologies,
+        label: job => [job.title, job.company].filter(Boolean).join(' · ')
+    },
+    {
+        section: 'projects',
+        anchor: 'project',
+        names: project => project.technologies,
+        label: project => project.title
+    },
+    {
+        section: 'articles',
+        anchor: 'article',
+        names: article => article.tags,
+        label: article => article.title
+    }
+];
+
+/**
+ * Key that matches a skill however it is written: "Node.js", "NodeJS" and "nodejs" are the same
+ */
+function skillKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+}
+
+/**
+ * Id-safe form of a skill key: "c++" -> "cplusplus", "c#" -> "csharp"
+ */
+function skillSlug(key) {
+    return key.replace(/\+/g, 'plus').replace(/#/g, 'sharp') || 'skill';
+}
+
+/**
+ * Where each skill badge is used on the page, and the skills of each entry.
+ * Only sections that are shown are searched.
+ *
+ * @param {Object} config - Page config (already localized)
+ * @param {Array<{id: string}>} sections - Sections rendered on the page
+ * @returns {{skills: Object<string, {slug: string, count: number}>, used: Array<{name: string, slug: string,
+ *   count: number, uses: Array<{anchor: string, label: string}>}>,
+ *   entries: Object<string, Array<{anchor: string, skills: string}>>}}
+ *   `skills` is keyed by badge text, `used` lists the skills used somewhere in badge order, and
+ *   `entries` holds each entry's element id and space-separated skill slugs, by section and position
+ */
+function buildSkillLinks(config, sections = []) {
+    const shown = new Set(sections.map(section => section.id));
+    const categories = (config.skills && config.skills.categories) || [];
+
+    // One record per skill, shared by badges that name the same skill in several categories
+    const byKey = new Map();
+    const slugs = new Set();
+    categories.forEach(category => {
+        (category.items || []).forEach(name => {
+            const key = skillKey(name);
+            if (!key || byKey.has(key)) return;
+
+            let slug = skillSlug(key);
+            for (let n = 2; slugs.has(slug); n++) slug = `${skillSlug(key)}-${n}`;
+            slugs.add(slug);
+            byKey.set(key, { name: String(name), slug, count: 0, uses: [] });
+        });
+    });
+
+    const entries = {};
+    SKILL_SOURCES.forEach(source => {
+        const list = shown.has(source.section) && Array.isArray(config[source.section]) ? config[source.section] : [];
+        entries[source.section] = list.map((entry, index) => {
+            const anchor = `${source.anchor}-${index + 1}`;
+            const matched = [];
+            (source.names(entry) || []).forEach(name => {
+                const skill = byKey.get(skillKey(name));
+                if (!skill || matched.includes(skill)) return;
+
+                matched.push(skill);
+                skill.count++;
+                skill.uses.push({ anchor, label: source.label(entry) });
+            });
+            return { anchor, skills: matched.map(skill => skill.slug).join(' ') };
+        });
+    });
+
+    const skills = {};
+    categories.forEach(category => {
+        (category.items || []).forEach(name => {
+            const skill = byKey.get(skillKey(name));
+            if (skill) skills[name] = { slug: skill.slug, count: skill.count };
+        });
+    });
+
+    return {
+        skills,
+        used: [...byKey.values()].filter(skill => skill.count > 0),
+        entries
+    };
+}
+
+module.exports = {
+    skillKey,
+    buildSkillLinks
+};
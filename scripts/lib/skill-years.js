@@ -0,0 +1,114 @@
+/**
+ * Resume Website Builder - Skill Years
+ * Works out the years of experience with each detailed skill from the
+ * date ranges of the jobs (and, if asked, projects) that list it in `technologies`
+ */
+
+const { toMonthNumber } = require('./dates');
+const { skillKey } = require('./skill-links');
+
+const DEFAULT_SKILL_YEARS_SETTINGS = {
+    fill: 'missing', // missing: only skills without years; always: replace typed-in years; never
+    includeProjects: false // count projects with a startDate too
+};
+
+/**
+ * Merge settings.skillYears with the defaults
+ */
+function getSkillYearsSettings(config) {
+    const settings = (config.settings && config.settings.skillYears) || {};
+    return { ...DEFAULT_SKILL_YEARS_SETTINGS, ...settings };
+}
+
+/**
+ * Number of months covered by [start, end] month ranges, counting overlapping months once
+ */
+function coveredMonths(ranges) {
+    let total = 0;
+    let current = null;
+
+    [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+        if (current && range.start <= current.end + 1) {
+            current.end = Math.max(current.end, range.end);
+            return;
+        }
+        if (current) total += current.end - current.start + 1;
+        current = { ...range };
+    });
+
+    return current ? total + current.end - current.start + 1 : total;
+}
+
+/**
+ * Years of experience for each detailed skill listed by a dated job or project
+ *
+ * @param {Object} config - Resume configuration, resolved for one language
+ * @param {Object} [options]
+ * @param {boolean} [options.includeProjects] - Count projects with a startDate (default: settings.skillYears)
+ * @param {Date} [options.now] - Current date, for "Present"
+ * @returns {Map<number, {years: number, months: number, sources: string[]}>} By index in
+ *   skills.detailed: exact years (months / 12), months, and the entries counted ("experience[0]")
+ */
+function computeSkillYears(config, { includeProjects = getSkillYearsSettings(config).includeProjects, now = new Date() } = {}) {
+    const sections = includeProjects ? ['experience', 'projects'] : ['experience'];
+    const ranges = [];
+
+    sections.forEach(section => {
+        (Array.isArray(config[section]) ? config[section] : []).forEach((entry, index) => {
+            if (!entry || !Array.isArray(entry.technologies)) return;
+
+            const start = toMonthNumber(entry.startDate, { now });
+            const end = toMonthNumber(entry.endDate, { end: true, now });
+            if (start === null || end === null || end < start) return;
+
+            ranges.push({ start, end, keys: entry.technologies.map(skillKey), source: `${section}[${index}]` });
+        });
+    });
+
+    const computed = new Map();
+    const detailed = (config.skills && Array.isArray(config.skills.detailed)) ? config.skills.detailed : [];
+    detailed.forEach((skill, index) => {
+        if (!skill || !skill.name) return;
+
+        const key = skillKey(skill.name);
+        const matching = ranges.filter(range => range.keys.includes(key));
+        if (matching.length === 0) return;
+
+        const months = coveredMonths(matching);
+        computed.set(index, { years: months / 12, months, sources: matching.map(range => range.source) });
+    });
+
+    return computed;
+}
+
+/**
+ * Years as shown on the page: rounded to half a year, and at least half a year
+ */
+function roundYears(years) {
+    return Math.max(0.5, Math.round(years * 2) / 2);
+}
+
+/**
+ * skills.detailed with computed years filled in as settings.skillYears.fill asks
+ *
+ * @param {Object} config - Resume configuration, resolved for one language
+ * @returns {Array} New detailed skills list (the config is not changed)
+ */
+function fillSkillYears(config) {
+    const settings = getSkillYearsSettings(config);
+    const detailed = (config.skills && Array.isArray(config.skills.detailed)) ? config.skills.detailed : [];
+    if (settings.fill === 'never') return detailed;
+
+    const computed = computeSkillYears(config, settings);
+    return detailed.map((skill, index) => {
+        const result = computed.get(index);
+        if (!result || (settings.fill === 'missing' && skill.years !== undefined)) return skill;
+        return { ...skill, years: roundYears(result.years) };
+    });
+}
+
+module.exports = {
+    getSkillYearsSettings,
+    computeSkillYears,
+    fillSkillYears
+};
@@ -0,0 +1,300 @@
+/**
+ * Resume Website Builder - Social Card and Favicons
+ * Renders the 1200×630 share image and the favicon set locally from SVG
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const DEFAULT_SOCIAL_CARD_SETTINGS = {
+    enabled: true,
+    fileName: 'social-card.png',
+    font: null
+};
+
+const DEFAULT_FAVICON_SETTINGS = {
+    enabled: true
+};
+
+// Written to the site root by renderFavicons()
+const FAVICON_FILES = ['favicon.svg', 'favicon.ico', 'apple-touch-icon.png'];
+
+const DEFAULT_COLORS = {
+    primary: '#2563eb',
+    secondary: '#1e40af',
+    accent: '#3b82f6'
+};
+
+// Common sans-serif families spelled out, as resvg maps the generic family to Arial only
+// (names are unquoted: resvg skips quoted names in a list)
+const FONT_STACK = 'Helvetica, Arial, Liberation Sans, DejaVu Sans, Noto Sans, sans-serif';
+
+const IMAGE_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Merge settings.socialCard with the defaults
+ */
+function getSocialCardSettings(config) {
+    const settings = (config.settings && config.settings.socialCard) || {};
+    return { ...DEFAULT_SOCIAL_CARD_SETTINGS, ...settings };
+}
+
+/**
+ * Merge settings.favicon with the defaults
+ */
+function getFaviconSettings(config) {
+    const settings = (config.settings && config.settings.favicon) || {};
+    return { ...DEFAULT_FAVICON_SETTINGS, ...settings };
+}
+
+/**
+ * "Jane Q. Developer" -> "JD"
+ */
+function getInitials(fullName) {
+    const words = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    const first = words[0][0];
+    const last = words.length > 1 ? words[words.length - 1][0] : '';
+    return (first + last).toUpperCase();
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pick a font size that fits `text` into `width`, truncating as a last resort.
+ * Widths are estimated from an average glyph width, as nothing is measured before rendering.
+ */
+function fitText(text, width, maxSize, minSize) {
+    const AVERAGE_GLYPH_WIDTH = 0.6;
+    const size = Math.max(minSize, Math.min(maxSize, Math.floor(width / (text.length * AVERAGE_GLYPH_WIDTH))));
+    const maxChars = Math.floor(width / (size * AVERAGE_GLYPH_WIDTH));
+    return {
+        size,
+        text: text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text
+    };
+}
+
+function getColors(config) {
+    return { ...DEFAULT_COLORS, ...((config.settings && config.settings.colors) || {}) };
+}
+
+/**
+ * Font options for resvg: a configured font file replaces the system fonts,
+ * so every piece of text falls back to it
+ */
+function fontOptions(fontFile) {
+    return fontFile
+        ? { loadSystemFonts: false, fontFiles: [fontFile] }
+        : { loadSystemFonts: true };
+}
+
+/**
+ * Render SVG markup to PNG
+ */
+function renderPng(svg, width, fontFile) {
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'width', value: width },
+        font: fontOptions(fontFile)
+    });
+    return resvg.render().asPng();
+}
+
+/**
+ * True if at least one font is available to draw text
+ */
+function canDrawText(fontFile) {
+    const probe = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="40"><text x="0" y="30" font-size="20">Aa</text></svg>';
+    return Boolean(new Resvg(probe, { font: fontOptions(fontFile) }).getBBox());
+}
+
+/**
+ * Load the profile image as a data URI, or null with a warning
+ */
+function loadProfileImage(profileImage, resolveAsset, warnings) {
+    if (!profileImage) return null;
+
+    if (/^https?:\/\//.test(profileImage)) {
+        warnings.push('Social card: remote profile images are not downloaded; using initials instead');
+        return null;
+    }
+
+    const type = IMAGE_TYPES[path.extname(profileImage).toLowerCase()];
+    const imagePath = resolveAsset(profileImage);
+    if (!type || !imagePath) {
+        warnings.push(`Social card: profile image ${profileImage} ${type ? 'not found' : 'has an unsupported format'}; using initials instead`);
+        return null;
+    }
+
+    return `data:${type};base64,${fs.readFileSync(imagePath).toString('base64')}`;
+}
+
+/**
+ * Resolve settings.socialCard.font to a file, warning when it is missing
+ */
+function resolveFont(font, resolveAsset, warnings) {
+    if (!font) return null;
+    const fontPath = resolveAsset(font);
+    if (!fontPath) {
+        warnings.push(`Social card font not found: ${font} (using system fonts)`);
+    }
+    return fontPath;
+}
+
+/**
+ * Build the social card SVG
+ */
+function buildCardSvg(config, imageUri) {
+    const personal = config.personal || {};
+    const colors = getColors(config);
+    const siteUrl = ((config.settings && config.settings.seo && config.settings.seo.canonicalUrl) || '')
+        .replace(/^https?:\/\/(www\.)?/, '')
+        .replace(/\/$/, '');
+
+    const textX = 520;
+    const textWidth = CARD_WIDTH - textX - 80;
+    const name = fitText(personal.fullName || 'Your Name', textWidth, 72, 44);
+    const title = fitText(personal.title || '', textWidth, 38, 26);
+    const site = fitText(siteUrl, textWidth, 28, 20);
+
+    const avatar = imageUri
+        ? `<image href="${imageUri}" x="150" y="165" width="300" height="300" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar)"/>`
+        : `<circle cx="300" cy="315" r="150" fill="${colors.accent}"/>
+    <text x="300" y="315" dy="0.35em" text-anchor="middle" font-family="${FONT_STACK}" font-size="120" font-weight="700" fill="#ffffff">${escapeXml(getInitials(personal.fullName))}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+    <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${colors.primary}"/>
+            <stop offset="1" stop-color="${colors.secondary}"/>
+        </linearGradient>
+        <clipPath id="avatar"><circle cx="300" cy="315" r="150"/></clipPath>
+    </defs>
+    <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+    <circle cx="1120" cy="60" r="240" fill="${colors.accent}" opacity="0.25"/>
+    <rect x="0" y="${CARD_HEIGHT - 24}" width="${CARD_WIDTH}" height="24" fill="${colors.accent}"/>
+    <circle cx="300" cy="315" r="162" fill="#ffffff"/>
+    ${avatar}
+    <text x="${textX}" y="290" font-family="${FONT_STACK}" font-size="${name.size}" font-weight="700" fill="#ffffff">${escapeXml(name.text)}</text>
+    <text x="${textX}" y="355" font-family="${FONT_STACK}" font-size="${title.size}" fill="#ffffff" opacity="0.9">${escapeXml(title.text)}</text>
+    <rect x="${textX}" y="392" width="120" height="6" rx="3" fill="${colors.accent}"/>
+    <text x="${textX}" y="460" font-family="${FONT_STACK}" font-size="${site.size}" fill="#ffffff" opacity="0.75">${escapeXml(site.text)}</text>
+</svg>`;
+}
+
+/**
+ * Render the social share card
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Object} [options]
+ * @param {Function} [options.resolveAsset] - Maps a site-relative path to a file on disk (or null)
+ * @returns {{buffer: Buffer, warnings: string[]}}
+ */
+function renderSocialCard(config, { resolveAsset = () => null } = {}) {
+    const warnings = [];
+    const settings = getSocialCardSettings(config);
+    const fontFile = resolveFont(settings.font, resolveAsset, warnings);
+    const imageUri = loadProfileImage((config.personal || {}).profileImage, resolveAsset, warnings);
+
+    if (!canDrawText(fontFile)) {
+        warnings.push('Social card: no fonts found to draw text; set settings.socialCard.font to a .ttf file');
+    }
+
+    return {
+        buffer: renderPng(buildCardSvg(config, imageUri), CARD_WIDTH, fontFile),
+        warnings
+    };
+}
+
+/**
+ * Build the initials icon SVG
+ */
+function buildIconSvg(config, { rounded = true } = {}) {
+    const colors = getColors(config);
+    const initials = getInitials((config.personal || {}).fullName);
+    const fontSize = initials.length > 1 ? 28 : 36;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 64 64">
+    <rect width="64" height="64" rx="${rounded ? 14 : 0}" fill="${colors.primary}"/>
+    <text x="32" y="32" dy="0.35em" text-anchor="middle" font-family="${FONT_STACK}" font-size="${fontSize}" font-weight="700" fill="#ffffff">${escapeXml(initials)}</text>
+</svg>
+`;
+}
+
+/**
+ * Pack PNG images into an .ico file (PNG-compressed entries)
+ *
+ * @param {Array<{size: number, data: Buffer}>} images
+ * @returns {Buffer}
+ */
+function createIco(images) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0);               // reserved
+    header.writeUInt16LE(1, 2);               // type: icon
+    header.writeUInt16LE(images.length, 4);
+
+    let offset = 6 + images.length * 16;
+    const entries = images.map(({ size, data }) => {
+        const entry = Buffer.alloc(16);
+        entry.writeUInt8(size >= 256 ? 0 : size, 0);  // width (0 means 256)
+        entry.writeUInt8(size >= 256 ? 0 : size, 1);  // height
+        entry.writeUInt8(0, 2);                       // palette size
+        entry.writeUInt8(0, 3);                       // reserved
+        entry.writeUInt16LE(1, 4);                    // color planes
+        entry.writeUInt16LE(32, 6);                   // bits per pixel
+        entry.writeUInt32LE(data.length, 8);
+        entry.writeUInt32LE(offset, 12);
+        offset += data.length;
+        return entry;
+    });
+
+    return Buffer.concat([header, ...entries, ...images.map(image => image.data)]);
+}
+
+/**
+ * Render the favicon set from the person's initials
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Object} [options]
+ * @param {Function} [options.resolveAsset] - Maps a site-relative path to a file on disk (or null)
+ * @returns {Array<{name: string, data: Buffer|string}>}
+ */
+function renderFavicons(config, { resolveAsset = () => null } = {}) {
+    const fontFile = resolveFont(getSocialCardSettings(config).font, resolveAsset, []);
+    const svg = buildIconSvg(config);
+    // iOS adds its own rounded corners and shows transparency as black
+    const squareSvg = buildIconSvg(config, { rounded: false });
+
+    return [
+        { name: 'favicon.svg', data: svg },
+        { name: 'favicon.ico', data: createIco([16, 32, 48].map(size => ({ size, data: renderPng(svg, size, fontFile) }))) },
+        { name: 'apple-touch-icon.png', data: renderPng(squareSvg, 180, fontFile) }
+    ];
+}
+
+module.exports = {
+    CARD_WIDTH,
+    CARD_HEIGHT,
+    FAVICON_FILES,
+    getSocialCardSettings,
+    getFaviconSettings,
+    getInitials,
+    renderSocialCard,
+    renderFavicons
+};
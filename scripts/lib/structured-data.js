@@ -0,0 +1,293 @@
+/**
+ * Resume Website Builder - Structured Data
+ * Schema.org JSON-LD for the resume page, checked against the vocabulary it uses
+ */
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * The slice of the schema.org vocabulary we emit.
+ * Each type lists its parent and the properties it adds.
+ */
+const TYPES = {
+    Thing: { parent: null, properties: ['name', 'description', 'url', 'image', 'sameAs', 'identifier'] },
+    Person: {
+        parent: 'Thing',
+        properties: ['jobTitle', 'worksFor', 'alumniOf', 'knowsAbout', 'hasCredential', 'email', 'telephone', 'homeLocation']
+    },
+    Organization: { parent: 'Thing', properties: ['email', 'telephone', 'location'] },
+    EducationalOrganization: { parent: 'Organization', properties: [] },
+    Place: { parent: 'Thing', properties: ['address'] },
+    CreativeWork: {
+        parent: 'Thing',
+        properties: ['author', 'creator', 'keywords', 'dateCreated', 'datePublished', 'headline', 'timeRequired', 'mainEntity']
+    },
+    Article: { parent: 'CreativeWork', properties: [] },
+    WebPage: { parent: 'CreativeWork', properties: [] },
+    ProfilePage: { parent: 'WebPage', properties: [] },
+    EducationalOccupationalCredential: { parent: 'CreativeWork', properties: ['credentialCategory', 'recognizedBy'] }
+};
+
+/**
+ * Expected value types per property: data types (Text, URL, Date, Duration) or schema types
+ */
+const RANGES = {
+    name: ['Text'],
+    description: ['Text'],
+    url: ['URL'],
+    image: ['URL'],
+    sameAs: ['URL'],
+    identifier: ['Text'],
+    jobTitle: ['Text'],
+    worksFor: ['Organization'],
+    alumniOf: ['Organization'],
+    knowsAbout: ['Text', 'Thing'],
+    hasCredential: ['EducationalOccupationalCredential'],
+    email: ['Text'],
+    telephone: ['Text'],
+    homeLocation: ['Place'],
+    location: ['Place', 'Text'],
+    address: ['Text'],
+    author: ['Person', 'Organization'],
+    creator: ['Person', 'Organization'],
+    keywords: ['Text'],
+    dateCreated: ['Date'],
+    datePublished: ['Date'],
+    headline: ['Text'],
+    timeRequired: ['Duration'],
+    mainEntity: ['Thing'],
+    credentialCategory: ['Text'],
+    recognizedBy: ['Organization', 'Person']
+};
+
+const DATA_TYPES = {
+    Text: value => typeof value === 'string' || typeof value === 'number',
+    URL: value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value),
+    Date: value => typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value),
+    Duration: value => typeof value === 'string' && /^P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(\d+H)?(\d+M)?(\d+S)?)?$/.test(value)
+};
+
+/**
+ * True if `type` is `expected` or one of its subtypes
+ */
+function isSubtypeOf(type, expected) {
+    for (let current = type; current; current = TYPES[current] && TYPES[current].parent) {
+        if (current === expected) return true;
+    }
+    return false;
+}
+
+/**
+ * Properties allowed on a type, including inherited ones
+ */
+function propertiesOf(type) {
+    const properties = [];
+    for (let current = type; current; current = TYPES[current].parent) {
+        properties.push(...TYPES[current].properties);
+    }
+    return properties;
+}
+
+/**
+ * Check a JSON-LD document against TYPES and RANGES
+ *
+ * @param {Object} document - JSON-LD with @context and @graph
+ * @returns {string[]} Problems, one per offending value
+ */
+function validateStructuredData(document) {
+    const problems = [];
+    const ids = new Set((document['@graph'] || []).map(node => node['@id']).filter(Boolean));
+
+    const checkNode = (node, where) => {
+        const type = node['@type'];
+        if (!TYPES[type]) {
+            problems.push(`${where}: unknown type "${type}"`);
+            return;
+        }
+
+        const allowed = propertiesOf(type);
+        Object.entries(node).forEach(([property, value]) => {
+            if (property.startsWith('@')) return;
+            if (!allowed.includes(property)) {
+                problems.push(`${where}: "${property}" is not a property of ${type}`);
+                return;
+            }
+            (Array.isArray(value) ? value : [value]).forEach((item, index) => {
+                checkValue(item, RANGES[property], `${where}.${property}${Array.isArray(value) ? `[${index}]` : ''}`);
+            });
+        });
+    };
+
+    const checkValue = (value, range, where) => {
+        if (value && typeof value === 'object') {
+            // Reference to another node in the graph
+            if (Object.keys(value).length === 1 && value['@id']) {
+                if (!ids.has(value['@id'])) problems.push(`${where}: unknown node reference ${value['@id']}`);
+                return;
+            }
+            if (!range.some(expected => !DATA_TYPES[expected] && isSubtypeOf(value['@type'], expected))) {
+                problems.push(`${where}: expected ${range.join(' or ')}, got ${value['@type'] || 'an untyped object'}`);
+                return;
+            }
+            checkNode(value, where);
+            return;
+        }
+
+        if (!range.some(expected => DATA_TYPES[expected] && DATA_TYPES[expected](value))) {
+            problems.push(`${where}: expected ${range.join(' or ')}, got ${JSON.stringify(value)}`);
+        }
+    };
+
+    if (document['@context'] !== SCHEMA_CONTEXT) {
+        problems.push(`@context should be ${SCHEMA_CONTEXT}`);
+    }
+    (document['@graph'] || []).forEach((node, index) => checkNode(node, `@graph[${index}]`));
+
+    return problems;
+}
+
+/**
+ * Remove empty strings, empty arrays and empty objects, recursively
+ */
+function prune(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(prune).filter(item => item !== undefined);
+        return items.length > 0 ? items : undefined;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, item]) => [key, prune(item)])
+            .filter(([, item]) => item !== undefined);
+        const meaningful = entries.filter(([key]) => key !== '@type');
+        return meaningful.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    return value === '' || value === null ? undefined : value;
+}
+
+/**
+ * Resolve a site-relative path against the canonical URL
+ */
+function absoluteUrl(url, baseUrl) {
+    if (!url || /^https?:\/\//.test(url)) return url || '';
+    return baseUrl ? `${baseUrl}/${url.replace(/^\//, '')}` : '';
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Build the JSON-LD document for the page.
+ * Only sections shown on the page are described, as search engines expect
+ * structured data to match visible content.
+ *
+ * @param {Object} config - Resume configuration
+ * @param {Array<{id: string}>} sections - Sections rendered on the page
+ * @returns {Object}
+ */
+function buildStructuredData(config, sections = []) {
+    const shown = new Set(sections.map(section => section.id));
+    const personal = config.personal || {};
+    const seo = (config.settings && config.settings.seo) || {};
+    const siteUrl = (seo.canonicalUrl || '').replace(/\/$/, '');
+    const personId = `${siteUrl}/#person`;
+    const location = personal.location && typeof personal.location === 'object'
+        ? personal.location.primary
+        : personal.location;
+
+    const person = {
+        '@type': 'Person',
+        '@id': personId,
+        name: personal.fullName,
+        jobTitle: personal.title,
+        description: config.summary && config.summary.professional,
+        url: siteUrl,
+        image: absoluteUrl(personal.profileImage, siteUrl),
+        email: personal.email,
+        telephone: personal.phone,
+        homeLocation: { '@type': 'Place', name: location },
+        sameAs: Object.values(personal.social || {}).filter(Boolean)
+    };
+
+    if (shown.has('experience')) {
+        person.worksFor = unique((config.experience || []).filter(job => job.current || job.endDate === 'Present').map(job => job.company))
+            .map(name => ({ '@type': 'Organization', name }));
+    }
+
+    if (shown.has('education')) {
+        person.alumniOf = unique((config.education || []).map(edu => edu.institution))
+            .map(name => ({ '@type': 'EducationalOrganization', name }));
+    }
+
+    if (shown.has('skills')) {
+        const skills = config.skills || {};
+        person.knowsAbout = unique([
+            ...(skills.categories || []).flatMap(category => category.items || []),
+            ...(skills.detailed || []).map(skill => skill.name)
+        ]);
+    }
+
+    if (shown.has('certifications')) {
+        person.hasCredential = (config.certifications || []).map(cert => ({
+            '@type': 'EducationalOccupationalCredential',
+            name: cert.name,
+            credentialCategory: 'certification',
+            recognizedBy: { '@type': 'Organization', name: cert.issuer },
+            dateCreated: cert.date,
+            identifier: cert.credentialId,
+            url: cert.url
+        }));
+    }
+
+    const graph = [
+        {
+            '@type': 'ProfilePage',
+            '@id': `${siteUrl}/`,
+            url: siteUrl,
+            name: seo.title,
+            description: seo.description,
+            mainEntity: { '@id': personId }
+        },
+        person
+    ];
+
+    if (shown.has('projects')) {
+        (config.projects || []).forEach(project => graph.push({
+            '@type': 'CreativeWork',
+            name: project.title,
+            description: project.description,
+            url: project.url,
+            keywords: (project.technologies || []).join(', '),
+            creator: { '@id': personId }
+        }));
+    }
+
+    if (shown.has('articles')) {
+        (config.articles || []).forEach(article => graph.push({
+            '@type': 'Article',
+            headline: article.title,
+            description: article.excerpt,
+            url: article.url,
+            datePublished: article.date,
+            keywords: (article.tags || []).join(', '),
+            timeRequired: article.readTime ? `PT${article.readTime}M` : '',
+            author: { '@id': personId }
+        }));
+    }
+
+    return { '@context': SCHEMA_CONTEXT, '@graph': prune(graph) || [] };
+}
+
+/**
+ * Serialize JSON-LD for an inline <script> tag
+ */
+function serializeStructuredData(document) {
+    // "<" is escaped so config text can't close the script element
+    return JSON.stringify(document, null, 2).replace(/</g, '\\u003c');
+}
+
+module.exports = {
+    buildStructuredData,
+    validateStructuredData,
+    serializeStructuredData
+};
@@ -0,0 +1,163 @@
+/**
+ * Resume Website Builder - Theme Resolution
+ * Locates themes under themes/<name>/ and layers them over the default theme
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_THEME = 'default';
+const MANIFEST_FILE = 'theme.json';
+const TEMPLATE_FILE = 'index.html';
+const PARTIALS_DIR = 'partials';
+const PARTIAL_EXTENSIONS = ['.hbs', '.html'];
+
+/**
+ * Check whether a path is an existing directory
+ */
+function isDirectory(dirPath) {
+    try {
+        return fs.statSync(dirPath).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * List the names of all themes in a themes directory
+ */
+function listThemes(themesDir) {
+    if (!isDirectory(themesDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(themesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Read a theme manifest (theme.json), returning {} if there is none
+ */
+function readManifest(themeDir) {
+    const manifestPath = path.join(themeDir, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch (error) {
+        error.message = `Invalid theme manifest ${manifestPath}: ${error.message}`;
+        error.path = manifestPath;
+        throw error;
+    }
+}
+
+/**
+ * List all files in a directory recursively, as '/'-separated relative paths
+ */
+function listFiles(dir, prefix = '') {
+    const files = [];
+
+    if (!isDirectory(dir)) {
+        return files;
+    }
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+            files.push(...listFiles(path.join(dir, entry.name), relativePath));
+        } else {
+            files.push(relativePath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Resolve a theme by name.
+ *
+ * Files are looked up in layers: the default theme first, then the named
+ * theme, then any override directories. A later layer wins for every file
+ * it provides, so a theme only needs to ship the files it changes.
+ *
+ * @param {string} name - Theme name (directory under themesDir)
+ * @param {Object} options
+ * @param {string} options.themesDir - Directory holding the themes
+ * @param {string[]} [options.overrideDirs] - Extra layers applied on top of the theme
+ * @returns {Object|null} Resolved theme, or null if the theme does not exist
+ */
+function resolveTheme(name, { themesDir, overrideDirs = [] }) {
+    const themeName = name || DEFAULT_THEME;
+    const themeDir = path.join(themesDir, themeName);
+    const defaultDir = path.join(themesDir, DEFAULT_THEME);
+
+    if (!isDirectory(themeDir)) {
+        return null;
+    }
+
+    const layers = [defaultDir, themeDir, ...overrideDirs]
+        .filter((dir, index, all) => isDirectory(dir) && all.indexOf(dir) === index);
+
+    // Merge files from every layer; later layers win
+    const files = new Map();
+    layers.forEach(layer => {
+        listFiles(layer).forEach(relativePath => {
+            files.set(relativePath, path.join(layer, relativePath));
+        });
+    });
+
+    const partials = {};
+    const assets = new Map();
+
+    files.forEach((fullPath, relativePath) => {
+        const extension = path.extname(relativePath);
+
+        if (relativePath === TEMPLATE_FILE || relativePath === MANIFEST_FILE) {
+            return;
+        }
+
+        if (relativePath.startsWith(`${PARTIALS_DIR}/`)) {
+            if (PARTIAL_EXTENSIONS.includes(extension)) {
+                const partialName = relativePath.slice(PARTIALS_DIR.length + 1, -extension.length);
+                partials[partialName] = fullPath;
+            }
+            return;
+        }
+
+        assets.set(relativePath, fullPath);
+    });
+
+    // Stylesheets and scripts fall back to the default theme; title and description do not
+    const defaultManifest = readManifest(defaultDir);
+    const themeManifest = themeDir === defaultDir ? defaultManifest : readManifest(themeDir);
+    const manifest = {
+        stylesheets: [],
+        scripts: [],
+        ...defaultManifest,
+        description: '',
+        ...themeManifest,
+        title: themeManifest.title || themeName
+    };
+
+    return {
+        name: themeName,
+        dir: themeDir,
+        manifest,
+        layers,
+        templatePath: files.get(TEMPLATE_FILE) || null,
+        partials,
+        assets
+    };
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    listThemes,
+    resolveTheme
+};
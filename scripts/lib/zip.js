@@ -0,0 +1,187 @@
+/**
+ * Resume Website Builder - ZIP Archives
+ * Minimal ZIP writer for OOXML (DOCX) packages and reader for data exports
+ */
+
+const zlib = require('zlib');
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Compute the CRC-32 of a buffer
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a ZIP archive
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files in archive order
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time stored for every entry
+ * @returns {Buffer}
+ */
+function createZip(entries, { date = new Date() } = {}) {
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);   // local file header signature
+        local.writeUInt16LE(20, 4);           // version needed to extract
+        local.writeUInt16LE(0x0800, 6);       // flags: UTF-8 file names
+        local.writeUInt16LE(8, 8);            // compression: deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);           // extra field length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory signature
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed to extract
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(0, 30);         // extra field length
+        central.writeUInt16LE(0, 32);         // comment length
+        central.writeUInt16LE(0, 34);         // disk number
+        central.writeUInt16LE(0, 36);         // internal attributes
+        central.writeUInt32LE(0, 38);         // external attributes
+        central.writeUInt32LE(offset, 42);    // local header offset
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);         // end of central directory signature
+    end.writeUInt16LE(0, 4);                  // disk number
+    end.writeUInt16LE(0, 6);                  // disk with central directory
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);                 // comment length
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Read the files of a ZIP archive (stored or deflated entries, no ZIP64)
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Array<{name: string, data: Buffer}>} Files in central directory order
+ */
+function readZip(buffer) {
+    // The end of central directory record sits within the last 64 KB (comment limit)
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive (end of central directory not found)');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    if (offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const files = [];
+    for (let n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP archive (bad central directory entry)');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const checksum = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString(flags & 0x0800 ? 'utf-8' : 'latin1');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // directory
+
+        // Sizes come from the central directory; local headers may defer them to a data descriptor
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.slice(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = raw;
+        } else if (method === 8) {
+            data = zlib.inflateRawSync(raw);
+        } else {
+            throw new Error(`Unsupported compression method ${method} for ${name}`);
+        }
+
+        if (crc32(data) !== checksum) {
+            throw new Error(`Corrupt ZIP archive (checksum mismatch for ${name})`);
+        }
+
+        files.push({ name, data });
+    }
+
+    return files;
+}
+
+module.exports = {
+    crc32,
+    createZip,
+    readZip
+};
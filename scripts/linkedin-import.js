@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Resume Website Builder - LinkedIn Import
+ * Builds or updates resume-data.json from LinkedIn's "Download your data" export
+ *
+ * Usage:
+ *   node scripts/linkedin-import.js <export.zip | folder | file.csv ...> [--config <path>] [--yes] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { LINKEDIN_FILES, readLinkedInExport, fromLinkedIn } = require('./lib/linkedin');
+const { findChangedSections, saveConfig, saveConfigSections } = require('./lib/config-file');
+const { findConfigFile, readConfig } = require('./lib/config-loader');
+const { diffLines, groupHunks } = require('./lib/diff');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m'
+};
+
+/**
+ * Colorized console log
+ */
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = { inputs: [], configPath: null, yes: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            args.configPath = argv[++i];
+        } else if (arg === '--yes' || arg === '-y') {
+            args.yes = true;
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            args.inputs.push(path.resolve(arg));
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Ask a yes/no question (defaults to no)
+ */
+function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(`${colors.cyan}${question}${colors.reset}`, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+/**
+ * Print the changes between the current and the imported config
+ *
+ * @returns {number} Number of changed lines
+ */
+function displayDiff(before, after) {
+    const ops = diffLines(before, after);
+    const hunks = groupHunks(ops);
+
+    hunks.forEach(hunk => {
+        log('  ···', 'cyan');
+        hunk.forEach(({ type, line }) => {
+            const color = type === '+' ? 'green' : type === '-' ? 'red' : 'reset';
+            log(`  ${type} ${line}`, color);
+        });
+    });
+
+    return ops.filter(op => op.type !== ' ').length;
+}
+
+/**
+ * Write the imported sections back to the files they were read from
+ */
+function saveSections(configPath, config, existing) {
+    const sections = findChangedSections(existing.config, config);
+    const { written, removed, unused } = saveConfigSections(configPath, config, sections, existing.sources);
+    written.forEach(({ file, backupPath }) => {
+        const backup = backupPath ? `backup: ${path.basename(backupPath)}` : 'new file';
+        log(`  Saved ${path.relative(process.cwd(), file)} (${backup})`, 'yellow');
+    });
+    removed.forEach(({ file, backupPath }) => {
+        log(`  Removed ${path.relative(process.cwd(), file)} (backup: ${path.basename(backupPath)})`, 'yellow');
+    });
+    if (unused.length > 0) {
+        log(`  Note: ${unused.length} file(s) are no longer used; those sections now live in ${path.basename(configPath)}:`, 'yellow');
+        unused.forEach(file => log(`    ${path.relative(process.cwd(), file)}`, 'yellow'));
+    }
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const configPath = path.resolve(args.configPath || findConfigFile());
+
+    if (args.inputs.length === 0) {
+        throw new Error('Missing LinkedIn export. Usage: npm run import-linkedin -- <export.zip>');
+    }
+
+    log('\n📥 Reading LinkedIn export...', 'blue');
+    const { tables, files } = readLinkedInExport(args.inputs);
+    if (files.length === 0) {
+        throw new Error(`No LinkedIn files found. Expected one of: ${Object.values(LINKEDIN_FILES).join(', ')}`);
+    }
+    files.forEach(file => log(`  ✓ ${file}`, 'green'));
+
+    const exists = fs.existsSync(configPath);
+    let existing = null;
+    if (exists) {
+        try {
+            existing = readConfig(configPath);
+        } catch (error) {
+            throw new Error(`Could not read ${error.file || configPath}: ${error.message}`);
+        }
+    }
+
+    const base = existing ? existing.config : null;
+    const { config, stats, notes } = fromLinkedIn(tables, base);
+
+    log('\n📋 Import summary:', 'blue');
+    Object.entries(stats).forEach(([section, { added, updated }]) => {
+        log(`  ${section}: ${added} added, ${updated} updated`, 'cyan');
+    });
+    notes.forEach(note => log(`  ⚠ ${note}`, 'yellow'));
+
+    if (exists) {
+        // Compare re-serialized JSON so formatting differences don't show up as changes
+        log(`\n🔍 Changes to ${configPath}:`, 'blue');
+        if (displayDiff(JSON.stringify(base, null, 2), JSON.stringify(config, null, 2)) === 0) {
+            log('  No changes - configuration is already up to date\n', 'green');
+            return;
+        }
+    } else {
+        log(`\n🆕 ${configPath} will be created`, 'blue');
+    }
+
+    if (args.dryRun) {
+        log('\nDry run - no files written\n', 'cyan');
+        return;
+    }
+
+    if (!args.yes && !(await confirm('\nWrite these changes? (y/N) '))) {
+        log('Import cancelled - nothing written\n', 'yellow');
+        return;
+    }
+
+    if (existing) {
+        saveSections(configPath, config, existing);
+    } else {
+        const { backupPath } = saveConfig(configPath, config);
+        if (backupPath) {
+            log(`  Backup created: ${backupPath}`, 'yellow');
+        }
+    }
+    log(`✓ Configuration saved: ${configPath}`, 'green');
+    log('\nRun "npm run validate" to check the result.\n', 'cyan');
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main().catch(error => {
+        log(`\n✗ ${error.message}\n`, 'red');
+        process.exitCode = 1;
+    });
+}
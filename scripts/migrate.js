@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Resume Website Builder - Config Migration
+ * Upgrades resume-data.json from an older schemaVersion, one step at a time
+ *
+ * Usage:
+ *   node scripts/migrate.js [--config <path>] [--dry-run]
+ */
+
+const path = require('path');
+const { findChangedSections, saveConfigSections } = require('./lib/config-file');
+const { findConfigFile, readConfig } = require('./lib/config-loader');
+const { migrateConfig } = require('./lib/migrations');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m'
+};
+
+/**
+ * Colorized console log
+ */
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = { configPath: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            args.configPath = argv[++i];
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * " (config/resume-data.json:12:5)" for a JSON pointer, when known
+ */
+function describeLocation(locate, pointer) {
+    const { file, line, column } = locate(pointer);
+    return file && line ? ` (${path.relative(process.cwd(), file)}:${line}:${column})` : '';
+}
+
+/**
+ * List each migration step and what it changed
+ */
+function displaySteps(steps, locate) {
+    steps.forEach(step => {
+        log(`\n  ${step.from} → ${step.to}: ${step.description}`, 'bright');
+        if (step.changes.length === 0) {
+            log('    Nothing to change', 'cyan');
+        }
+        step.changes.forEach(change => {
+            log(`    • ${change.message}${describeLocation(locate, change.pointer)}`, 'yellow');
+        });
+    });
+}
+
+/**
+ * Migrate the config and write each changed section back to its file with a backup
+ */
+function runMigrate({ configPath, dryRun }) {
+    log(`🔄 Migrating ${configPath}`, 'blue');
+
+    const { config, sources, locate } = readConfig(configPath);
+    const result = migrateConfig(config);
+
+    if (result.steps.length === 0) {
+        log(`\n✓ Already at schemaVersion ${result.to}; nothing to migrate\n`, 'green');
+        return;
+    }
+
+    const total = result.steps.reduce((count, step) => count + step.changes.length, 0);
+    log(`  schemaVersion ${result.from} → ${result.to}: ${result.steps.length} step(s), ${total} change(s)`, 'cyan');
+    displaySteps(result.steps, locate);
+
+    if (dryRun) {
+        log('\nDry run - no files written\n', 'cyan');
+        return;
+    }
+
+    const sections = findChangedSections(config, result.config);
+    const { written, removed, unused } = saveConfigSections(configPath, result.config, sections, sources);
+    log('');
+    written.forEach(({ file, backupPath }) => {
+        const backup = backupPath ? `backup: ${path.basename(backupPath)}` : 'new file';
+        log(`  Saved ${path.relative(process.cwd(), file)} (${backup})`, 'yellow');
+    });
+    removed.forEach(({ file, backupPath }) => {
+        log(`  Removed ${path.relative(process.cwd(), file)} (backup: ${path.basename(backupPath)})`, 'yellow');
+    });
+    if (unused.length > 0) {
+        log(`  Note: ${unused.length} file(s) are no longer used; those sections now live in ${path.basename(configPath)}:`, 'yellow');
+        unused.forEach(file => log(`    ${path.relative(process.cwd(), file)}`, 'yellow'));
+    }
+    log(`✓ Configuration migrated to schemaVersion ${result.to}: ${configPath}`, 'green');
+    log('\nRun "npm run validate" to check the result.\n', 'cyan');
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        args.configPath = path.resolve(args.configPath || findConfigFile());
+        runMigrate(args);
+    } catch (error) {
+        const where = error.file && error.line ? ` (${path.relative(process.cwd(), error.file)}:${error.line}:${error.column})` : '';
+        log(`\n✗ ${error.message}${where}\n`, 'red');
+        process.exitCode = 1;
+    }
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { runMigrate };
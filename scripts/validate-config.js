@@ -2,11 +2,20 @@
 
 /**
  * Resume Website Builder - Configuration Validation Script
- * Validates the structure and data types in resume-data.json
+ * Validates resume-data.json against schema/resume-data.schema.json,
+ * plus checks the schema can't express (installed themes, translations)
+ * and the content lint rules in config/lint-rules.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const { listThemes } = require('./lib/themes');
+const { DEFAULT_SECTION_ORDER } = require('./lib/sections');
+const { LOCALE_PATTERN, getI18nSettings, localizeConfig } = require('./lib/i18n');
+const { validateSchema } = require('./lib/json-schema');
+const { findConfigFile, readConfig } = require('./lib/config-loader');
+const { loadLintRules, resolveRules, lintContent } = require('./lib/content-lint');
+const { checkSchemaVersion } = require('./lib/migrations');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -19,349 +28,319 @@ const colors = {
     cyan: '\x1b[36m'
 };
 
+/**
+ * Suppress progress output (when validating from another script)
+ */
+let silent = false;
+
 /**
  * Colorized console log
  */
 function log(message, color = 'reset') {
+    if (silent) return;
     console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
 /**
- * Validation errors and warnings
+ * Published JSON Schema for resume-data.json
+ */
+const SCHEMA_PATH = path.join(__dirname, '../schema/resume-data.schema.json');
+
+/**
+ * Content lint rule settings
+ */
+const LINT_RULES_PATH = path.join(__dirname, '../config/lint-rules.json');
+
+/**
+ * Validation errors and warnings: { message, pointer, rule, file, line, column }
  */
 const errors = [];
 const warnings = [];
 
 /**
- * Add error
+ * File and position of a JSON pointer, when known (see readConfig())
+ */
+const UNKNOWN_LOCATION = () => ({ file: null, line: null, column: null });
+let locate = UNKNOWN_LOCATION;
+
+/**
+ * Add error (`rule` names the content lint rule that found it)
  */
-function addError(message) {
-    errors.push(message);
+function addError(message, pointer = '', rule = null) {
+    errors.push({ message, pointer, rule, ...locate(pointer) });
 }
 
 /**
  * Add warning
  */
-function addWarning(message) {
-    warnings.push(message);
+function addWarning(message, pointer = '', rule = null) {
+    warnings.push({ message, pointer, rule, ...locate(pointer) });
 }
 
 /**
  * Validate configuration structure and data types
+ *
+ * @param {Object} config - Parsed resume-data.json
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] - Don't print progress
+ * @param {Function} [options.locate] - JSON pointer -> {file, line, column}, from readConfig()
+ * @param {string} [options.themesDir] - Directory holding the installed themes
+ * @param {string} [options.rulesPath] - Content lint rules (default: config/lint-rules.json)
+ * @returns {{errors: Object[], warnings: Object[]}} Problems with message, JSON pointer, file, line and column
  */
-function validateConfig(config) {
-    log('\n════════════════════════════════════════', 'cyan');
-    log('   Configuration Validation', 'bright');
-    log('════════════════════════════════════════\n', 'cyan');
+function validateConfig(config, options = {}) {
+    silent = Boolean(options.silent);
+    errors.length = 0;
+    warnings.length = 0;
+    locate = options.locate || UNKNOWN_LOCATION;
 
-    // Validate personal section
-    validatePersonal(config.personal);
+    try {
+        log('\n════════════════════════════════════════', 'cyan');
+        log('   Configuration Validation', 'bright');
+        log('════════════════════════════════════════\n', 'cyan');
 
-    // Validate summary section
-    validateSummary(config.summary);
+        // An older data shape would only confuse the schema check; name the migration instead
+        if (!validateSchemaVersion(config)) {
+            return { errors: [...errors], warnings: [...warnings] };
+        }
 
-    // Validate experience section
-    validateExperience(config.experience);
+        // Validate structure and types against the schema
+        validateAgainstSchema(config);
 
-    // Validate education section
-    validateEducation(config.education);
+        // Validate languages, then check per-language fields as the default language sees them
+        validateLanguages(config);
+        const i18n = getI18nSettings(config);
+        config = localizeConfig(config, i18n.defaultLocale, i18n).config;
 
-    // Validate skills section
-    validateSkills(config.skills);
+        // Check content the schema can't express
+        validateContent(config);
 
-    // Validate projects section (optional)
-    if (config.projects) {
-        validateProjects(config.projects);
-    }
+        // Lint the writing and the timeline
+        lintResume(config, options.rulesPath || LINT_RULES_PATH);
 
-    // Validate settings section
-    validateSettings(config.settings);
+        // Check settings against the installed themes and sections
+        validateSettings(config.settings, options.themesDir || path.join(__dirname, '../themes'));
+    } finally {
+        silent = false;
+        locate = UNKNOWN_LOCATION;
+    }
 
-    // Display results
-    displayResults();
+    return { errors: [...errors], warnings: [...warnings] };
 }
 
 /**
- * Validate personal section
+ * Check schemaVersion against the migrations in lib/migrations.js
+ *
+ * @returns {boolean} Whether the data has the current shape
  */
-function validatePersonal(personal) {
-    log('📋 Validating personal section...', 'blue');
-
-    if (!personal) {
-        addError('Missing required section: personal');
-        return;
-    }
-
-    // Required fields
-    if (!personal.fullName || typeof personal.fullName !== 'string') {
-        addError('personal.fullName is required and must be a string');
-    }
-
-    if (!personal.title || typeof personal.title !== 'string') {
-        addError('personal.title is required and must be a string');
-    }
-
-    if (!personal.email || typeof personal.email !== 'string') {
-        addError('personal.email is required and must be a string');
-    } else if (!isValidEmail(personal.email)) {
-        addWarning('personal.email does not appear to be a valid email address');
-    }
-
-    if (!personal.phone || typeof personal.phone !== 'string') {
-        addWarning('personal.phone is missing or not a string');
-    }
+function validateSchemaVersion(config) {
+    log('📋 Checking schema version...', 'blue');
 
-    // Validate location
-    if (!personal.location || typeof personal.location !== 'object') {
-        addError('personal.location is required and must be an object');
-    } else {
-        if (!personal.location.primary || typeof personal.location.primary !== 'string') {
-            addError('personal.location.primary is required and must be a string');
-        }
+    const problem = checkSchemaVersion(config);
+    if (problem && problem.severity === 'error') {
+        addError(problem.message, '/schemaVersion');
+        return false;
     }
-
-    // Validate social links
-    if (personal.social && typeof personal.social !== 'object') {
-        addError('personal.social must be an object');
-    } else if (personal.social) {
-        const socialFields = ['linkedin', 'github', 'twitter', 'website'];
-        socialFields.forEach(field => {
-            if (personal.social[field] && !isValidUrl(personal.social[field])) {
-                addWarning(`personal.social.${field} does not appear to be a valid URL`);
-            }
-        });
+    if (problem) {
+        addWarning(problem.message, '/schemaVersion');
     }
 
-    log('✓ Personal section validated', 'green');
+    log('✓ Schema version checked', 'green');
+    return true;
 }
 
 /**
- * Validate summary section
+ * Validate against schema/resume-data.schema.json
  */
-function validateSummary(summary) {
-    log('📋 Validating summary section...', 'blue');
-
-    if (!summary) {
-        addWarning('Missing optional section: summary');
-        return;
-    }
+function validateAgainstSchema(config) {
+    log('📋 Validating against the schema...', 'blue');
 
-    if (summary.professional && typeof summary.professional !== 'string') {
-        addError('summary.professional must be a string');
-    }
-
-    if (summary.about && typeof summary.about !== 'string') {
-        addError('summary.about must be a string');
-    }
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+    validateSchema(config, schema).forEach(problem => {
+        if (problem.severity === 'warning') {
+            addWarning(problem.message, problem.pointer);
+        } else {
+            addError(problem.message, problem.pointer);
+        }
+    });
 
-    log('✓ Summary section validated', 'green');
+    log('✓ Schema validated', 'green');
 }
 
 /**
- * Validate experience section
+ * Warn about sections that are allowed but probably shouldn't be empty
  */
-function validateExperience(experience) {
-    log('📋 Validating experience section...', 'blue');
+function validateContent(config) {
+    log('📋 Checking content...', 'blue');
 
-    if (!experience) {
-        addError('Missing required section: experience');
-        return;
+    const personal = isObject(config.personal) ? config.personal : {};
+    if (personal.phone === undefined) {
+        addWarning('personal.phone is missing', '/personal');
     }
 
-    if (!Array.isArray(experience)) {
-        addError('experience must be an array');
-        return;
-    }
-
-    if (experience.length === 0) {
-        addWarning('experience array is empty');
+    if (config.summary === undefined) {
+        addWarning('Missing optional section: summary');
     }
 
-    experience.forEach((job, index) => {
-        if (!job.title || typeof job.title !== 'string') {
-            addError(`experience[${index}].title is required and must be a string`);
-        }
-
-        if (!job.company || typeof job.company !== 'string') {
-            addError(`experience[${index}].company is required and must be a string`);
-        }
-
-        if (!job.startDate || typeof job.startDate !== 'string') {
-            addError(`experience[${index}].startDate is required and must be a string`);
-        }
-
-        if (job.achievements && !Array.isArray(job.achievements)) {
-            addError(`experience[${index}].achievements must be an array`);
+    ['experience', 'education'].forEach(section => {
+        if (Array.isArray(config[section]) && config[section].length === 0) {
+            addWarning(`${section} array is empty`, `/${section}`);
         }
     });
 
-    log('✓ Experience section validated', 'green');
+    log('✓ Content checked', 'green');
 }
 
 /**
- * Validate education section
+ * Run the content lint rules switched on in the rules file
  */
-function validateEducation(education) {
-    log('📋 Validating education section...', 'blue');
+function lintResume(config, rulesPath) {
+    log('📋 Linting content...', 'blue');
 
-    if (!education) {
-        addError('Missing required section: education');
-        return;
-    }
-
-    if (!Array.isArray(education)) {
-        addError('education must be an array');
+    let settings;
+    try {
+        settings = loadLintRules(rulesPath);
+    } catch (error) {
+        addError(error.message);
         return;
     }
 
-    if (education.length === 0) {
-        addWarning('education array is empty');
-    }
-
-    education.forEach((edu, index) => {
-        if (!edu.degree || typeof edu.degree !== 'string') {
-            addError(`education[${index}].degree is required and must be a string`);
-        }
+    const { rules, errors: ruleErrors } = resolveRules(settings);
+    ruleErrors.forEach(message => addError(`${path.basename(rulesPath)}: ${message}`));
 
-        if (!edu.institution || typeof edu.institution !== 'string') {
-            addError(`education[${index}].institution is required and must be a string`);
+    lintContent(config, rules).forEach(problem => {
+        if (problem.severity === 'error') {
+            addError(problem.message, problem.pointer, problem.rule);
+        } else {
+            addWarning(problem.message, problem.pointer, problem.rule);
         }
     });
 
-    log('✓ Education section validated', 'green');
+    log(`✓ Content linted (${rules.length} rule(s))`, 'green');
 }
 
 /**
- * Validate skills section
+ * Validate settings that depend on the installed themes and sections
  */
-function validateSkills(skills) {
-    log('📋 Validating skills section...', 'blue');
+function validateSettings(settings, themesDir) {
+    log('📋 Validating settings section...', 'blue');
 
-    if (!skills) {
-        addError('Missing required section: skills');
+    if (!isObject(settings)) {
         return;
     }
 
-    if (skills.categories && !Array.isArray(skills.categories)) {
-        addError('skills.categories must be an array');
-    } else if (skills.categories) {
-        skills.categories.forEach((category, index) => {
-            if (!category.name || typeof category.name !== 'string') {
-                addError(`skills.categories[${index}].name is required and must be a string`);
-            }
+    // Validate theme
+    if (typeof settings.theme === 'string') {
+        const themes = listThemes(themesDir);
+        if (!themes.includes(settings.theme)) {
+            addError(`settings.theme "${settings.theme}" is not an installed theme (available: ${themes.join(', ')})`, '/settings/theme');
+        }
+    }
 
-            if (!category.items || !Array.isArray(category.items)) {
-                addError(`skills.categories[${index}].items is required and must be an array`);
+    // Validate section order
+    if (Array.isArray(settings.sectionOrder)) {
+        settings.sectionOrder.forEach((id, index) => {
+            if (typeof id === 'string' && !DEFAULT_SECTION_ORDER.includes(id)) {
+                addWarning(`settings.sectionOrder[${index}] "${id}" is not a built-in section; it needs a partials/sections/${id}.hbs partial`,
+                    `/settings/sectionOrder/${index}`);
             }
         });
     }
 
-    log('✓ Skills section validated', 'green');
+    if (isObject(settings.socialCard) && typeof settings.socialCard.font === 'string' && !/\.(ttf|otf)$/i.test(settings.socialCard.font)) {
+        addWarning('settings.socialCard.font should point to a .ttf or .otf file', '/settings/socialCard/font');
+    }
+
+    log('✓ Settings section validated', 'green');
 }
 
 /**
- * Validate projects section
+ * Check settings.i18n beyond the schema and report fields missing a translation
  */
-function validateProjects(projects) {
-    log('📋 Validating projects section...', 'blue');
+function validateLanguages(config) {
+    const i18n = isObject(config.settings) ? config.settings.i18n : undefined;
+    if (!isObject(i18n)) return;
 
-    if (!Array.isArray(projects)) {
-        addError('projects must be an array');
-        return;
-    }
+    log('📋 Validating languages...', 'blue');
 
-    projects.forEach((project, index) => {
-        if (!project.title || typeof project.title !== 'string') {
-            addError(`projects[${index}].title is required and must be a string`);
-        }
-
-        if (!project.description || typeof project.description !== 'string') {
-            addError(`projects[${index}].description is required and must be a string`);
+    const locales = Array.isArray(i18n.locales) ? i18n.locales : [];
+    locales.forEach((locale, index) => {
+        if (locales.indexOf(locale) !== index) {
+            addWarning(`settings.i18n.locales lists "${locale}" more than once`, `/settings/i18n/locales/${index}`);
         }
+    });
 
-        if (project.technologies && !Array.isArray(project.technologies)) {
-            addError(`projects[${index}].technologies must be an array`);
-        }
+    if (typeof i18n.defaultLocale === 'string' && locales.length > 0 && !locales.includes(i18n.defaultLocale)) {
+        addError(`settings.i18n.defaultLocale "${i18n.defaultLocale}" must be one of settings.i18n.locales`, '/settings/i18n/defaultLocale');
+    }
 
-        if (project.url && !isValidUrl(project.url)) {
-            addWarning(`projects[${index}].url does not appear to be a valid URL`);
-        }
-    });
+    const settings = getI18nSettings(config);
+    settings.locales
+        .filter(locale => typeof locale === 'string' && LOCALE_PATTERN.test(locale) && locale !== settings.defaultLocale)
+        .forEach(locale => {
+            const { missing } = localizeConfig(config, locale, settings);
+            if (missing.length > 0) {
+                addWarning(`${missing.length} field(s) have no "${locale}" translation: ${missing.slice(0, 5).join(', ')}` +
+                    (missing.length > 5 ? ', ...' : ''), pathToPointer(missing[0]));
+            }
+        });
 
-    log('✓ Projects section validated', 'green');
+    log('✓ Languages validated', 'green');
 }
 
 /**
- * Validate settings section
+ * Plain object (not an array or null)
  */
-function validateSettings(settings) {
-    log('📋 Validating settings section...', 'blue');
-
-    if (!settings) {
-        addError('Missing required section: settings');
-        return;
-    }
-
-    // Validate colors
-    if (settings.colors) {
-        if (typeof settings.colors !== 'object') {
-            addError('settings.colors must be an object');
-        } else {
-            const colorFields = ['primary', 'secondary', 'accent'];
-            colorFields.forEach(field => {
-                if (settings.colors[field] && !isValidColor(settings.colors[field])) {
-                    addWarning(`settings.colors.${field} does not appear to be a valid color code`);
-                }
-            });
-        }
-    }
-
-    // Validate SEO
-    if (!settings.seo || typeof settings.seo !== 'object') {
-        addError('settings.seo is required and must be an object');
-    } else {
-        if (!settings.seo.title || typeof settings.seo.title !== 'string') {
-            addError('settings.seo.title is required and must be a string');
-        }
-
-        if (!settings.seo.description || typeof settings.seo.description !== 'string') {
-            addError('settings.seo.description is required and must be a string');
-        }
-
-        if (settings.seo.canonicalUrl && !isValidUrl(settings.seo.canonicalUrl)) {
-            addWarning('settings.seo.canonicalUrl does not appear to be a valid URL');
-        }
-    }
-
-    log('✓ Settings section validated', 'green');
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
- * Validate email format
+ * "/experience/1/title" for "experience[1].title"
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function pathToPointer(fieldPath) {
+    return fieldPath.split(/\.|\[(\d+)\]/).filter(Boolean).map(segment => `/${segment}`).join('');
 }
 
 /**
- * Validate URL format
+ * "experience[1].title is required (/experience/1/title, config/resume-data.json:42:7)",
+ * followed by "[rule]" for content lint problems
  */
-function isValidUrl(url) {
-    try {
-        new URL(url);
-        return true;
-    } catch (e) {
-        return false;
+function formatProblem(problem) {
+    const location = [problem.pointer || '/'];
+    if (problem.file && problem.line) {
+        location.push(`${path.relative(process.cwd(), problem.file)}:${problem.line}:${problem.column}`);
     }
+    return `${problem.message} (${location.join(', ')})${problem.rule ? ` [${problem.rule}]` : ''}`;
+}
+
+/**
+ * Group problems by the entry they belong to: "experience[1]", "settings", ...
+ *
+ * @returns {Map<string, Object[]>} Group name -> problems, in order of appearance
+ */
+function groupProblems(problems) {
+    const groups = new Map();
+    problems.forEach(problem => {
+        const [section, index] = problem.pointer.split('/').slice(1);
+        const group = !section ? 'general' : (/^\d+$/.test(index || '') ? `${section}[${index}]` : section);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(problem);
+    });
+    return groups;
 }
 
 /**
- * Validate color code (hex format)
+ * Print problems under their group names, numbered across groups
  */
-function isValidColor(color) {
-    const colorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-    return colorRegex.test(color);
+function displayProblems(problems, color) {
+    let number = 0;
+    groupProblems(problems).forEach((group, name) => {
+        log(`  ${name}`, 'bright');
+        group.forEach(problem => {
+            log(`    ${++number}. ${formatProblem(problem)}`, color);
+        });
+    });
 }
 
 /**
@@ -380,17 +359,13 @@ function displayResults() {
 
     if (errors.length > 0) {
         log(`✗ Found ${errors.length} error(s):\n`, 'red');
-        errors.forEach((error, index) => {
-            log(`  ${index + 1}. ${error}`, 'red');
-        });
+        displayProblems(errors, 'red');
         log('');
     }
 
     if (warnings.length > 0) {
         log(`⚠ Found ${warnings.length} warning(s):\n`, 'yellow');
-        warnings.forEach((warning, index) => {
-            log(`  ${index + 1}. ${warning}`, 'yellow');
-        });
+        displayProblems(warnings, 'yellow');
         log('');
     }
 
@@ -411,7 +386,7 @@ function displayResults() {
  */
 function main() {
     try {
-        const configPath = path.join(__dirname, '../config/resume-data.json');
+        const configPath = findConfigFile();
 
         if (!fs.existsSync(configPath)) {
             log('\n✗ Configuration file not found:', 'red');
@@ -419,19 +394,18 @@ function main() {
             process.exit(1);
         }
 
-        const configData = fs.readFileSync(configPath, 'utf-8');
-        let config;
-
+        let loaded;
         try {
-            config = JSON.parse(configData);
+            loaded = readConfig(configPath);
         } catch (error) {
-            log('\n✗ Invalid JSON in configuration file:', 'red');
+            const where = error.line ? `:${error.line}:${error.column}` : '';
+            log(`\n✗ Could not read ${path.relative(process.cwd(), error.file || configPath)}${where}:`, 'red');
             log(`  ${error.message}\n`, 'red');
-            log('Tip: Validate your JSON at https://jsonlint.com', 'cyan');
             process.exit(1);
         }
 
-        validateConfig(config);
+        validateConfig(loaded.config, { locate: loaded.locate });
+        displayResults();
 
     } catch (error) {
         log('\n✗ Unexpected error:', 'red');
@@ -445,4 +419,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { validateConfig };
+module.exports = { validateConfig, formatProblem };
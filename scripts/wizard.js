@@ -2,12 +2,33 @@
 
 /**
  * Resume Website Builder - Setup Wizard
- * Interactive wizard to help set up the configuration
+ * Interactive wizard to set up the configuration, or to edit an existing one
+ * section by section; with --non-interactive the answers come from flags,
+ * RESUME_* environment variables or an answers file
+ *
+ * Usage:
+ *   node scripts/wizard.js [--config <path>]
+ *   node scripts/wizard.js --non-interactive [--config <path>] [--answers <file>] [--full-name <name> ...]
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { listThemes } = require('./lib/themes');
+const { createDefaultSettings, createEmptyConfig, findChangedSections, saveConfig, saveConfigSections } = require('./lib/config-file');
+const { migrateConfig } = require('./lib/migrations');
+const { findConfigFile, parseConfigSource, readConfig } = require('./lib/config-loader');
+const {
+    PERSONAL_FIELDS,
+    SUMMARY_FIELDS,
+    SETTINGS_FIELDS,
+    LIST_SECTIONS,
+    SETUP_SECTIONS,
+    getField,
+    setField,
+    parseAnswer,
+    formatValue
+} = require('./lib/config-fields');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -29,17 +50,20 @@ function log(message, color = 'reset') {
 }
 
 /**
- * Create readline interface
+ * Readline interface, created on the first prompt so scripted runs never wait on stdin
  */
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+let rl = null;
 
 /**
  * Prompt user for input
  */
 function prompt(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
     return new Promise((resolve) => {
         rl.question(`${colors.cyan}${question}${colors.reset}`, (answer) => {
             resolve(answer.trim());
@@ -48,143 +72,600 @@ function prompt(question) {
 }
 
 /**
- * Main wizard function
+ * Close the readline interface, if one was opened
  */
-async function runWizard() {
-    log('\n════════════════════════════════════════', 'cyan');
-    log('   Resume Website Builder - Setup', 'bright');
-    log('════════════════════════════════════════\n', 'cyan');
+function closePrompt() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
 
-    log('Welcome to the Resume Website Builder setup wizard!', 'green');
-    log('This wizard will help you configure your resume website.\n', 'green');
-
-    log('📋 Let\'s start with your basic information:\n', 'blue');
-
-    // Collect user information
-    const fullName = await prompt('What is your full name? ');
-    const title = await prompt('What is your professional title? (e.g., "Senior Software Engineer") ');
-    const email = await prompt('What is your email address? ');
-    const phone = await prompt('What is your phone number? ');
-    const location = await prompt('What is your location? (e.g., "San Francisco, CA") ');
-
-    log('\n🔗 Social Media Links (press Enter to skip):\n', 'blue');
-
-    const linkedin = await prompt('LinkedIn URL: ');
-    const github = await prompt('GitHub URL: ');
-    const twitter = await prompt('Twitter URL: ');
-    const website = await prompt('Personal website URL: ');
-
-    log('\n🎨 Customization:\n', 'blue');
-
-    const primaryColor = await prompt('Primary color (hex code, default: #2563eb): ') || '#2563eb';
-    const siteUrl = await prompt('Website URL (e.g., https://yourusername.github.io): ');
-
-    log('\n📝 Summary:\n', 'blue');
-
-    const professionalSummary = await prompt('Professional summary (1-2 sentences): ');
-
-    // Create minimal config
-    const config = {
-        personal: {
-            fullName: fullName || 'Your Name',
-            title: title || 'Your Title',
-            email: email || 'your.email@example.com',
-            phone: phone || '(555) 123-4567',
-            location: {
-                primary: location || 'Your City, State',
-                secondary: ''
-            },
-            profileImage: 'images/profile.svg',
-            social: {
-                linkedin: linkedin || '',
-                github: github || '',
-                twitter: twitter || '',
-                website: website || ''
-            }
-        },
-        summary: {
-            professional: professionalSummary || 'Add your professional summary here.',
-            about: ''
-        },
-        experience: [],
-        education: [],
-        skills: {
-            categories: [],
-            detailed: []
-        },
-        certifications: [],
-        projects: [],
-        articles: [],
-        testimonials: [],
-        settings: {
-            theme: 'default',
-            sectionsEnabled: {
-                professionalSummary: true,
-                about: false,
-                skills: true,
-                projects: true,
-                articles: false,
-                testimonials: false,
-                certifications: false
-            },
-            colors: {
-                primary: primaryColor,
-                secondary: '#1e40af',
-                accent: '#3b82f6'
-            },
-            seo: {
-                title: `${fullName} - ${title}`,
-                description: professionalSummary || 'Professional resume and portfolio',
-                keywords: ['resume', 'portfolio', 'developer'],
-                canonicalUrl: siteUrl || 'https://yourusername.github.io'
+/**
+ * Text given per language ({ "en": "...", "de": "..." }), which the wizard leaves alone
+ */
+function isTranslated(value) {
+    if (Array.isArray(value)) return value.some(item => item && typeof item === 'object');
+    return Boolean(value) && typeof value === 'object';
+}
+
+/**
+ * Ask for one field until the answer passes its checks.
+ * Enter keeps the current value (or takes the default), "-" clears an optional field.
+ */
+async function askField(field, current) {
+    if (isTranslated(current)) {
+        log(`  ${field.label} has translations; edit it in the config file`, 'yellow');
+        return current;
+    }
+    if (field.type === 'lines') {
+        return askLines(field, current);
+    }
+
+    const hint = field.hint ? ` (${field.hint})` : '';
+    const empty = current === undefined || current === '';
+    const shown = empty ? field.default : current;
+    const suffix = shown !== undefined ? ` [${formatValue(field, shown)}]` : '';
+
+    for (;;) {
+        const answer = await prompt(`${field.label}${hint}${suffix}: `);
+        if (answer === '' && !empty) {
+            return current;
+        }
+        if (answer === '-' && !field.required) {
+            return undefined;
+        }
+
+        const result = parseAnswer(field, answer);
+        if (!result.error) {
+            // An empty optional answer leaves an empty field as it was
+            return result.value === undefined ? current : result.value;
+        }
+        log(`  ✗ ${result.error}`, 'red');
+    }
+}
+
+/**
+ * Ask for a list with one item per line (achievements, highlights)
+ */
+async function askLines(field, current) {
+    if (Array.isArray(current) && current.length > 0) {
+        log(`  ${field.label}:`, 'cyan');
+        current.forEach((item, index) => log(`    ${index + 1}. ${item}`));
+        const answer = await prompt(`Keep these ${current.length} ${field.label.toLowerCase()}? (Y/n) `);
+        if (!/^n/i.test(answer)) {
+            return current;
+        }
+    }
+
+    log(`  ${field.label}, one per line (empty line to finish):`, 'cyan');
+    const items = [];
+    for (;;) {
+        const line = await prompt(`    ${items.length + 1}. `);
+        if (!line) break;
+        items.push(line);
+    }
+    return items.length > 0 ? items : undefined;
+}
+
+/**
+ * Ask for each field of an object, in place
+ */
+async function editFields(target, fields) {
+    for (const field of fields) {
+        setField(target, field.key, await askField(field, getField(target, field.key)));
+    }
+    return target;
+}
+
+/**
+ * Edit an object section (personal, summary, settings) of the config
+ */
+async function editSection(config, key, fields) {
+    const section = JSON.parse(JSON.stringify(config[key] || {}));
+    await editFields(section, fields);
+    if (config[key] !== undefined || Object.keys(section).length > 0) {
+        config[key] = section;
+    }
+}
+
+/**
+ * One-line label for a list entry, using the first translation of translated text
+ */
+function describeEntry(section, entry) {
+    const plain = {};
+    Object.keys(entry).forEach(key => {
+        const value = entry[key];
+        plain[key] = isTranslated(value) && !Array.isArray(value) ? Object.values(value)[0] : value;
+    });
+    return section.describe(plain);
+}
+
+/**
+ * Ask for the fields of a new or existing list entry
+ */
+async function editEntry(section, entry = {}) {
+    const updated = await editFields(JSON.parse(JSON.stringify(entry)), section.fields);
+    return section.complete ? section.complete(updated) : updated;
+}
+
+/**
+ * Add, edit, remove and reorder the entries of a list section
+ */
+async function editList(section, config) {
+    const current = getField(config, section.path);
+    const list = Array.isArray(current) ? JSON.parse(JSON.stringify(current)) : [];
+    let changed = false;
+
+    for (;;) {
+        log(`\n${section.label}:`, 'blue');
+        if (list.length === 0) {
+            log('  (none yet)');
+        }
+        list.forEach((entry, index) => log(`  ${index + 1}. ${describeEntry(section, entry)}`));
+
+        const answer = await prompt('\n[a]dd, [e]dit <n>, [r]emove <n>, [m]ove <n> <position>, or Enter to go back: ');
+        if (!answer) break;
+
+        const match = answer.match(/^([aerm])\s*(\d+)?(?:\s+(\d+))?$/i);
+        const command = match ? match[1].toLowerCase() : null;
+        const index = match && match[2] ? Number(match[2]) - 1 : -1;
+
+        if (command === 'a') {
+            log(`\nNew ${section.label.toLowerCase()} entry:`, 'blue');
+            list.push(await editEntry(section));
+            changed = true;
+        } else if (command && index >= 0 && index < list.length) {
+            if (command === 'e') {
+                list[index] = await editEntry(section, list[index]);
+                changed = true;
+            } else if (command === 'r') {
+                const confirm = await prompt(`Remove "${describeEntry(section, list[index])}"? (y/N) `);
+                if (/^y/i.test(confirm)) {
+                    list.splice(index, 1);
+                    changed = true;
+                }
+            } else if (command === 'm') {
+                const position = Number(match[3]) - 1;
+                if (!(position >= 0 && position < list.length)) {
+                    log(`  ✗ Move to a position between 1 and ${list.length}, e.g. "m ${index + 1} 1"`, 'red');
+                    continue;
+                }
+                list.splice(position, 0, ...list.splice(index, 1));
+                changed = true;
             }
+        } else if (command) {
+            log(`  ✗ Pick an entry between 1 and ${list.length}`, 'red');
+        } else {
+            log(`  ✗ Unknown choice "${answer}"`, 'red');
         }
-    };
+    }
+
+    if (changed) {
+        setField(config, section.path, list);
+    }
+}
+
+/**
+ * Headings shown before each group of setup questions
+ */
+const SETUP_HEADINGS = {
+    personal: '📋 Let\'s start with your basic information (press Enter to skip optional fields):',
+    summary: '📝 Summary:',
+    settings: '🎨 Customization:'
+};
+
+/**
+ * Fields with the installed themes as the choices for settings.theme
+ */
+function withThemeChoices(fields, themes) {
+    return fields.map(field => (field.key === 'theme' ? { ...field, choices: themes } : field));
+}
+
+/**
+ * Empty config with starter settings, before the setup questions
+ */
+function createStarterConfig() {
+    return { ...createEmptyConfig(), settings: createDefaultSettings() };
+}
+
+/**
+ * Fill in what a new config derives from the answers
+ */
+function finishStarterConfig(config) {
+    const { fullName, title } = config.personal;
+    config.settings.seo.title = `${fullName} - ${title}`;
+    config.settings.seo.description = config.summary.professional;
+    return config;
+}
+
+/**
+ * Ask the basic questions for a new config
+ */
+async function createConfig(themes) {
+    const config = createStarterConfig();
+
+    for (const { section, fields } of SETUP_SECTIONS) {
+        log(`${section === 'personal' ? '' : '\n'}${SETUP_HEADINGS[section]}\n`, 'blue');
+        await editFields(config[section], withThemeChoices(fields, themes));
+    }
+
+    return finishStarterConfig(config);
+}
 
-    // Save configuration
+/**
+ * Save the config: a new file, or only the changed sections of an existing one
+ */
+function save(configPath, config, loaded) {
     log('\n💾 Saving configuration...\n', 'blue');
 
-    const configPath = path.join(__dirname, '../config/resume-data.json');
-    const backupPath = path.join(__dirname, '../config/resume-data.backup.json');
+    if (!loaded) {
+        fs.mkdirSync(path.dirname(configPath), { recursive: true });
+        const { backupPath } = saveConfig(configPath, config);
+        if (backupPath) {
+            log(`  Backup created: ${backupPath}`, 'yellow');
+        }
+        log(`  Configuration saved: ${configPath}`, 'green');
+        return;
+    }
+
+    const sections = findChangedSections(loaded.config, config);
+    const { written, removed, unused } = saveConfigSections(configPath, config, sections, loaded.sources);
+    log(`  Changed: ${sections.join(', ')}`, 'cyan');
+    written.forEach(({ file, backupPath }) => {
+        const backup = backupPath ? `backup: ${path.basename(backupPath)}` : 'new file';
+        log(`  Saved ${path.relative(process.cwd(), file)} (${backup})`, 'green');
+    });
+    removed.forEach(({ file, backupPath }) => {
+        log(`  Removed ${path.relative(process.cwd(), file)} (backup: ${path.basename(backupPath)})`, 'yellow');
+    });
+    if (unused.length > 0) {
+        log(`  Note: ${unused.length} file(s) are no longer used; those sections now live in ${path.basename(configPath)}:`, 'yellow');
+        unused.forEach(file => log(`    ${path.relative(process.cwd(), file)}`, 'yellow'));
+    }
+}
+
+/**
+ * Read the config to edit, upgraded to the current schemaVersion
+ *
+ * @returns {{loaded: Object, config: Object, migration: Object}} See readConfig() and migrateConfig()
+ */
+function loadForEditing(configPath) {
+    const loaded = readConfig(configPath);
+    const migration = migrateConfig(loaded.config);
+    return { loaded, config: migration.config, migration };
+}
+
+/**
+ * Interactive wizard: create a config, or edit an existing one from a menu
+ */
+async function runInteractive(configPath) {
+    log('\n════════════════════════════════════════', 'cyan');
+    log('   Resume Website Builder - Setup', 'bright');
+    log('════════════════════════════════════════\n', 'cyan');
 
-    // Create backup if config exists
+    const themes = listThemes(path.join(__dirname, '../themes'));
+
+    let loaded = null;
+    let config;
     if (fs.existsSync(configPath)) {
-        fs.copyFileSync(configPath, backupPath);
-        log(`  Backup created: ${backupPath}`, 'yellow');
+        let migration;
+        ({ loaded, config, migration } = loadForEditing(configPath));
+
+        log(`Editing ${path.relative(process.cwd(), configPath)}. Only the sections you change are saved.`, 'green');
+        if (migration.steps.length > 0) {
+            log(`Upgraded from schemaVersion ${migration.from} to ${migration.to}; this is saved with your changes.`, 'yellow');
+        }
+        log('In each field, press Enter to keep the value in [brackets] or type "-" to clear it.', 'green');
+    } else {
+        log('Welcome to the Resume Website Builder setup wizard!', 'green');
+        log('This wizard will help you configure your resume website.\n', 'green');
+        config = await createConfig(themes);
     }
 
-    // Write new config
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf-8');
-    log(`  Configuration saved: ${configPath}`, 'green');
+    for (;;) {
+        const menu = [
+            { label: 'Basic information (name, contact, links)', edit: () => editSection(config, 'personal', PERSONAL_FIELDS) },
+            { label: 'Summary', edit: () => editSection(config, 'summary', SUMMARY_FIELDS) },
+            ...LIST_SECTIONS.map(section => {
+                const list = getField(config, section.path);
+                return {
+                    label: `${section.label} (${Array.isArray(list) ? list.length : 0})`,
+                    edit: () => editList(section, config)
+                };
+            }),
+            { label: 'Theme, colors and website', edit: () => editSection(config, 'settings', withThemeChoices(SETTINGS_FIELDS, themes)) }
+        ];
+
+        log('\nWhat would you like to edit?\n', 'blue');
+        menu.forEach((item, index) => log(`  ${String(index + 1).padStart(2)}. ${item.label}`));
+        log('   s. Save and exit');
+        log('   q. Quit without saving');
+
+        const choice = (await prompt('\nChoice: ')).toLowerCase();
+        if (choice === 's') break;
+        if (choice === 'q') {
+            const unsaved = loaded ? findChangedSections(loaded.config, config).length > 0 : true;
+            if (!unsaved || /^y/i.test(await prompt('Discard your changes? (y/N) '))) {
+                log('\nNothing was saved.\n', 'yellow');
+                return;
+            }
+            continue;
+        }
+
+        const item = menu[Number(choice) - 1];
+        if (item) {
+            await item.edit();
+        } else {
+            log(`  ✗ Unknown choice "${choice}"`, 'red');
+        }
+    }
+
+    if (loaded && findChangedSections(loaded.config, config).length === 0) {
+        log('\nNo changes to save.\n', 'yellow');
+        return;
+    }
+    save(configPath, config, loaded);
 
     log('\n════════════════════════════════════════', 'green');
     log('   ✓ Setup Complete!', 'bright');
     log('════════════════════════════════════════\n', 'green');
 
     log('Next steps:', 'cyan');
-    log('  1. Edit config/resume-data.json to add your:', 'cyan');
-    log('     • Work experience', 'cyan');
-    log('     • Education', 'cyan');
-    log('     • Skills', 'cyan');
-    log('     • Projects', 'cyan');
+    log('  1. Run "npm run validate" to check the content', 'cyan');
     log('  2. Add your profile photo to src/images/', 'cyan');
     log('  3. Run "npm run build" to generate your website', 'cyan');
     log('  4. Open dist/index.html in your browser\n', 'cyan');
 
     log('For development with auto-rebuild:', 'magenta');
     log('  Run "npm run dev"\n', 'magenta');
+}
+
+/**
+ * Answer names of the setup questions: fullName, email, theme, ...
+ */
+const ANSWER_NAMES = SETUP_SECTIONS.flatMap(({ fields }) => fields.map(field => field.answer));
+
+/**
+ * Command line flag for an answer ("fullName" -> "--full-name")
+ */
+function toFlag(name) {
+    return `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Environment variable for an answer ("fullName" -> "RESUME_FULL_NAME")
+ */
+function toEnvName(name) {
+    return `RESUME_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+}
+
+/**
+ * Read an answers file (JSON, JSON5 or YAML): one set of answers, or a list of them
+ * that each name the config to write in "config"
+ *
+ * @returns {Array<{answers: Object, configPath: string|null, label: string}>}
+ */
+function readAnswersFile(answersFile) {
+    const file = path.resolve(answersFile);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Answers file not found: ${answersFile}`);
+    }
+
+    const { value } = parseConfigSource(fs.readFileSync(file, 'utf-8'), file);
+    const sets = Array.isArray(value) ? value : [value];
+    const relative = path.relative(process.cwd(), file);
+
+    return sets.map((set, index) => {
+        const label = Array.isArray(value) ? `${relative}[${index}]` : relative;
+        if (!set || typeof set !== 'object' || Array.isArray(set)) {
+            throw new Error(`${label} must be an object of answers`);
+        }
+        const { config: configPath, ...answers } = set;
+        if (Array.isArray(value) && typeof configPath !== 'string') {
+            throw new Error(`${label} needs a "config" path for the file to write`);
+        }
+        return { answers, configPath: configPath ? path.resolve(path.dirname(file), configPath) : null, label };
+    });
+}
+
+/**
+ * Merge answers from a file, the environment and command line flags (which win)
+ *
+ * @returns {{answers: Object<string, {value: string, source: string}>, errors: string[]}}
+ */
+function collectAnswers(fileSet, env, flags) {
+    const answers = {};
+    const errors = [];
+
+    if (fileSet) {
+        Object.keys(fileSet.answers).forEach(name => {
+            if (!ANSWER_NAMES.includes(name)) {
+                errors.push(`${fileSet.label}: unknown answer "${name}" (expected one of: ${ANSWER_NAMES.join(', ')})`);
+                return;
+            }
+            answers[name] = { value: fileSet.answers[name], source: `"${name}" in ${fileSet.label}` };
+        });
+    }
+    ANSWER_NAMES.forEach(name => {
+        if (env[toEnvName(name)] !== undefined) {
+            answers[name] = { value: env[toEnvName(name)], source: toEnvName(name) };
+        }
+        if (flags[name] !== undefined) {
+            answers[name] = { value: flags[name], source: toFlag(name) };
+        }
+    });
+
+    return { answers, errors };
+}
+
+/**
+ * Apply answers to a config with the checks the prompts use.
+ * A new config needs every required answer that has no real default; the rest take their defaults.
+ *
+ * @returns {string[]} Problems with the answers
+ */
+function applyAnswers(config, answers, { creating, themes }) {
+    const errors = [];
+
+    SETUP_SECTIONS.forEach(({ section, fields }) => {
+        config[section] = config[section] || {};
+        withThemeChoices(fields, themes).forEach(field => {
+            const given = answers[field.answer];
+            const answer = given === undefined || given.value === null ? '' : String(given.value).trim();
+
+            if (answer === '') {
+                if (creating && field.required && (field.default === undefined || field.placeholder)) {
+                    errors.push(`Missing required answer: ${field.label.toLowerCase()} ` +
+                        `(pass ${toFlag(field.answer)}, set ${toEnvName(field.answer)} or add "${field.answer}" to the answers file)`);
+                } else if (creating && field.default !== undefined && getField(config[section], field.key) === '') {
+                    setField(config[section], field.key, field.default);
+                }
+                return;
+            }
+
+            const result = parseAnswer(field, answer);
+            if (result.error) {
+                errors.push(`${given.source}: ${result.error}`);
+            } else {
+                setField(config[section], field.key, result.value);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Non-interactive wizard: create or update configs from answers without prompting.
+ * Every answer set is checked before anything is written.
+ *
+ * @param {Object} options
+ * @param {Object} [options.answers] - Answer name -> value, as from command line flags
+ * @param {string} [options.answersFile] - JSON, JSON5 or YAML file with answers (or a list of them)
+ * @param {Object} [options.env] - Environment with RESUME_* answers (default: process.env)
+ * @param {string} options.configPath - Config to write when the answers don't name one
+ * @returns {string[]} Config files written
+ * @throws {Error} WIZARD_ANSWERS_INVALID with `errors` listing every problem
+ */
+function runNonInteractive({ answers = {}, answersFile = null, env = process.env, configPath }) {
+    const themes = listThemes(path.join(__dirname, '../themes'));
+    const sets = answersFile ? readAnswersFile(answersFile) : [null];
+
+    const plans = sets.map(set => {
+        const target = (set && set.configPath) || configPath;
+        const collected = collectAnswers(set, env, answers);
+        const creating = !fs.existsSync(target);
+        const { loaded = null, config = createStarterConfig() } = creating ? {} : loadForEditing(target);
+
+        const errors = [...collected.errors, ...applyAnswers(config, collected.answers, { creating, themes })];
+        if (creating) finishStarterConfig(config);
+        return { target, loaded, config, errors };
+    });
+
+    const errors = plans.flatMap(plan => plan.errors.map(error => (sets.length > 1 ? `${path.relative(process.cwd(), plan.target)}: ${error}` : error)));
+    if (errors.length > 0) {
+        throw Object.assign(new Error(`${errors.length} problem(s) with the answers; nothing was written`), {
+            code: 'WIZARD_ANSWERS_INVALID',
+            errors
+        });
+    }
+
+    const written = plans
+        .filter(plan => {
+            if (plan.loaded && findChangedSections(plan.loaded.config, plan.config).length === 0) {
+                log(`\n✓ ${path.relative(process.cwd(), plan.target)} already has these answers; nothing to save`, 'green');
+                return false;
+            }
+            save(plan.target, plan.config, plan.loaded);
+            return true;
+        })
+        .map(plan => plan.target);
 
-    rl.close();
+    if (written.length > 0) {
+        log(`\n✓ ${written.length} config(s) written. Run "npm run validate" to check them.\n`, 'green');
+    }
+    return written;
+}
+
+/**
+ * Main wizard function
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.nonInteractive] - Take answers from the options, environment or a file
+ *   instead of prompting (implied by `answers` or `answersFile`)
+ * @param {Object} [options.answers] - Answer name -> value (fullName, email, theme, ...)
+ * @param {string} [options.answersFile] - JSON, JSON5 or YAML answers file
+ * @param {Object} [options.env] - Environment with RESUME_* answers (default: process.env)
+ * @param {string} [options.configPath] - Config to create or edit (default: config/resume-data.*)
+ * @returns {Promise<string[]>} Config files written
+ */
+async function runWizard(options = {}) {
+    const configPath = path.resolve(options.configPath || findConfigFile());
+    const nonInteractive = options.nonInteractive || Boolean(options.answersFile) || Object.keys(options.answers || {}).length > 0;
+
+    if (nonInteractive) {
+        return runNonInteractive({ ...options, configPath });
+    }
+
+    try {
+        await runInteractive(configPath);
+    } finally {
+        closePrompt();
+    }
+    return [configPath];
+}
+
+/**
+ * Parse command line arguments: --non-interactive, --config <path>, --answers <file>
+ * and one flag per answer (--full-name "Jane Doe" or --full-name="Jane Doe")
+ */
+function parseArgs(argv) {
+    const options = { nonInteractive: false, configPath: null, answersFile: null, answers: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].includes('=') ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)] : [argv[i]];
+        const takeValue = () => {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new Error(`${flag} needs a value`);
+            return value;
+        };
+
+        if (flag === '--non-interactive') {
+            options.nonInteractive = true;
+        } else if (flag === '--config') {
+            options.configPath = takeValue();
+        } else if (flag === '--answers') {
+            options.answersFile = takeValue();
+        } else {
+            const name = ANSWER_NAMES.find(candidate => toFlag(candidate) === flag);
+            if (!name) {
+                throw new Error(`Unknown option: ${flag} (answers: ${ANSWER_NAMES.map(toFlag).join(', ')})`);
+            }
+            options.answers[name] = takeValue();
+        }
+    }
+
+    return options;
 }
 
 // Run wizard if executed directly
 if (require.main === module) {
-    runWizard().catch(error => {
-        log('\n✗ Setup failed:', 'red');
-        console.error(error);
-        rl.close();
-        process.exit(1);
-    });
+    Promise.resolve()
+        .then(() => runWizard(parseArgs(process.argv.slice(2))))
+        .catch(error => {
+            log('\n✗ Setup failed:', 'red');
+            if (error.errors) {
+                error.errors.forEach(message => log(`  • ${message}`, 'red'));
+                log(`\n  ${error.message}\n`, 'yellow');
+            } else if (error.file) {
+                const where = error.line ? `:${error.line}:${error.column}` : '';
+                log(`  ${path.relative(process.cwd(), error.file)}${where}: ${error.message}`, 'red');
+            } else {
+                log(`  ${error.message}\n`, 'red');
+            }
+            process.exitCode = 1;
+        });
 }
 
-module.exports = { runWizard };
+module.exports = { runWizard, collectAnswers, applyAnswers };
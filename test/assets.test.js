@@ -0,0 +1,138 @@
+/**
+ * Tests for scripts/lib/assets.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProductionSettings, processAssets, rewriteReferences, minifyHtml, removeStaleAssets, MANIFEST_FILE } = require('../scripts/lib/assets');
+
+/**
+ * Write files to a temporary folder and map each site path to its source file
+ */
+function writeAssets(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-assets-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const assets = new Map();
+    Object.entries(files).forEach(([relativePath, content]) => {
+        const sourcePath = path.join(dir, relativePath);
+        fs.mkdirSync(path.dirname(sourcePath), { recursive: true });
+        fs.writeFileSync(sourcePath, content);
+        assets.set(relativePath, sourcePath);
+    });
+    return assets;
+}
+
+test('getProductionSettings merges settings.production with the defaults', () => {
+    assert.deepEqual(getProductionSettings({}), { minify: true, fingerprint: true, inlineCriticalCss: false });
+    assert.deepEqual(
+        getProductionSettings({ settings: { production: { fingerprint: false } } }),
+        { minify: true, fingerprint: false, inlineCriticalCss: false }
+    );
+});
+
+test('processAssets fingerprints and minifies assets and lists them in the manifest', t => {
+    const assets = writeAssets(t, {
+        'css/styles.css': 'body {\n    background: url("../images/bg.png");\n}\n',
+        'js/main.js': 'function greet(name) {\n    return "Hello " + name;\n}\n',
+        'images/bg.png': 'png',
+        'favicon.ico': 'ico'
+    });
+
+    const { files, manifest } = processAssets(assets);
+
+    assert.match(manifest['css/styles.css'], /^css\/styles\.[0-9a-f]{8}\.css$/);
+    assert.match(manifest['js/main.js'], /^js\/main\.[0-9a-f]{8}\.js$/);
+    assert.match(manifest['images/bg.png'], /^images\/bg\.[0-9a-f]{8}\.png$/);
+    assert.equal(manifest['favicon.ico'], 'favicon.ico');
+    assert.deepEqual(files.map(file => file.path).sort(), Object.values(manifest).sort());
+
+    const css = files.find(file => file.path === manifest['css/styles.css']).data;
+    assert.equal(css, `body{background:url(../${manifest['images/bg.png']})}`);
+    const js = files.find(file => file.path === manifest['js/main.js']).data;
+    assert.ok(!js.includes('\n    '));
+});
+
+test('processAssets keeps names and sources when fingerprinting and minifying are off', t => {
+    const source = 'body {\n    color: red;\n}\n';
+    const assets = writeAssets(t, { 'css/styles.css': source });
+
+    const { files, manifest } = processAssets(assets, { minify: false, fingerprint: false });
+
+    assert.deepEqual(manifest, { 'css/styles.css': 'css/styles.css' });
+    assert.equal(files[0].data, source);
+});
+
+test('processAssets leaves out dotfiles', t => {
+    const assets = writeAssets(t, { 'images/.gitkeep': '', 'images/me.png': 'png', '.DS_Store': 'x' });
+
+    const { files, manifest } = processAssets(assets, { minify: false, fingerprint: false });
+
+    assert.deepEqual(manifest, { 'images/me.png': 'images/me.png' });
+    assert.deepEqual(files.map(file => file.path), ['images/me.png']);
+});
+
+test('processAssets names depend only on content', t => {
+    const first = processAssets(writeAssets(t, { 'js/main.js': 'console.log(1);' })).manifest;
+    const same = processAssets(writeAssets(t, { 'js/main.js': 'console.log(1);' })).manifest;
+    const changed = processAssets(writeAssets(t, { 'js/main.js': 'console.log(2);' })).manifest;
+
+    assert.equal(first['js/main.js'], same['js/main.js']);
+    assert.notEqual(first['js/main.js'], changed['js/main.js']);
+});
+
+test('processAssets publishes contents generated by the build', () => {
+    const { files, manifest } = processAssets(new Map([['css/fonts.css', Buffer.from('@font-face {\n    font-display: swap;\n}\n')]]));
+
+    assert.deepEqual(files, [{ path: manifest['css/fonts.css'], data: '@font-face{font-display:swap}' }]);
+});
+
+test('rewriteReferences points relative and absolute references at published names', () => {
+    const manifest = {
+        'css/styles.css': 'css/styles.1234abcd.css',
+        'images/me.png': 'images/me.5678ef90.png',
+        'favicon.ico': 'favicon.ico'
+    };
+    const html = [
+        '<link rel="stylesheet" href="css/styles.css">',
+        '<img src="./images/me.png?v=2">',
+        '<meta property="og:image" content="https://example.com/images/me.png">',
+        '<div style="background: url(images/me.png)"></div>',
+        '<link rel="icon" href="favicon.ico">',
+        '<a href="other/css/styles.css.map">'
+    ].join('\n');
+
+    assert.equal(rewriteReferences(html, manifest), [
+        '<link rel="stylesheet" href="css/styles.1234abcd.css">',
+        '<img src="./images/me.5678ef90.png?v=2">',
+        '<meta property="og:image" content="https://example.com/images/me.5678ef90.png">',
+        '<div style="background: url(images/me.5678ef90.png)"></div>',
+        '<link rel="icon" href="favicon.ico">',
+        '<a href="other/css/styles.css.map">'
+    ].join('\n'));
+});
+
+test('minifyHtml collapses whitespace and keeps <pre> untouched', () => {
+    const html = '<!-- note -->\n<div>\n    <p>Hello   world</p>\n</div>\n<pre>  keep\n  this</pre>';
+    assert.equal(minifyHtml(html), '<div><p>Hello world</p></div> <pre>  keep\n  this</pre>');
+});
+
+test('removeStaleAssets deletes files listed in the previous manifest', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-dist-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'css'));
+    fs.writeFileSync(path.join(dir, 'css/styles.1234abcd.css'), '');
+    fs.writeFileSync(path.join(dir, 'favicon.ico'), '');
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify({
+        'css/styles.css': 'css/styles.1234abcd.css',
+        'favicon.ico': 'favicon.ico'
+    }));
+
+    assert.equal(removeStaleAssets(dir), 1);
+    assert.ok(!fs.existsSync(path.join(dir, 'css/styles.1234abcd.css')));
+    assert.ok(fs.existsSync(path.join(dir, 'favicon.ico')));
+    assert.ok(!fs.existsSync(path.join(dir, MANIFEST_FILE)));
+});
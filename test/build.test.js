@@ -0,0 +1,101 @@
+/**
+ * Tests for scripts/build.js: where build errors point, and how themes are layered
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { build, BuildError } = require('../scripts/build');
+
+const sampleConfigPath = path.join(__dirname, '../config/resume-data.json');
+
+/**
+ * Temporary folder with the given files, removed after the test
+ */
+function makeDir(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-build-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(files).forEach(([relativePath, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relativePath), content);
+    });
+    return dir;
+}
+
+/**
+ * Run a build expected to fail and return its error
+ */
+async function buildError(options) {
+    const error = await build({ silent: true, ...options }).then(() => null, caught => caught);
+    assert.ok(error instanceof BuildError, `expected a BuildError, got ${error}`);
+    return error;
+}
+
+test('invalid JSON in the config is reported with its line and column', async t => {
+    const dir = makeDir(t, { 'resume.json': '{\n    "personal": {\n        "name": "Jane",,\n    }\n}\n' });
+
+    const error = await buildError({ configPath: path.join(dir, 'resume.json'), outDir: path.join(dir, 'dist') });
+
+    assert.equal(error.code, 'CONFIG_PARSE_ERROR');
+    assert.equal(error.file, path.join(dir, 'resume.json'));
+    assert.equal(error.line, 3);
+    assert.equal(error.column, 24);
+});
+
+test('a syntax error in an overridden partial names the partial', async t => {
+    const srcDir = makeDir(t, { 'partials/footer.hbs': '<footer>\n    {{#if personal.name}}\n</footer>\n' });
+
+    const error = await buildError({ configPath: sampleConfigPath, srcDir, outDir: path.join(srcDir, 'dist') });
+
+    assert.equal(error.code, 'TEMPLATE_ERROR');
+    assert.equal(error.file, path.join(srcDir, 'partials/footer.hbs'));
+    assert.match(error.message, /^Template error in footer\.hbs: /);
+});
+
+test('a runtime error in an overridden partial names the partial and line', async t => {
+    const srcDir = makeDir(t, { 'partials/footer.hbs': '<footer>\n    <p>{{noSuchHelper personal.name}}</p>\n</footer>\n' });
+
+    const error = await buildError({ configPath: sampleConfigPath, srcDir, outDir: path.join(srcDir, 'dist') });
+
+    assert.equal(error.code, 'TEMPLATE_ERROR');
+    assert.equal(error.file, path.join(srcDir, 'partials/footer.hbs'));
+    assert.equal(error.line, 2);
+    assert.equal(error.column, 8);
+    assert.equal(error.message, 'Template error in footer.hbs: Missing helper: "noSuchHelper"');
+});
+
+test('an unknown theme lists the available ones', async t => {
+    const dir = makeDir(t);
+
+    const error = await buildError({ configPath: sampleConfigPath, theme: 'no-such-theme', outDir: path.join(dir, 'dist') });
+
+    assert.equal(error.code, 'THEME_NOT_FOUND');
+    assert.match(error.message, /Available themes: .*default/);
+});
+
+test('the two-column theme renders its own template', async t => {
+    const dir = makeDir(t);
+
+    await build({ silent: true, configPath: sampleConfigPath, theme: 'two-column', outDir: dir });
+    const html = fs.readFileSync(path.join(dir, 'index.html'), 'utf-8');
+
+    assert.match(html, /<body class="theme-two-column">/);
+    assert.match(html, /<aside class="sidebar">\s*<header class="header">/);
+    assert.match(html, /href="css\/two-column\.css"/);
+    assert.match(html, /<nav class="section-nav"/, 'partials still come from the default theme');
+    assert.ok(!fs.existsSync(path.join(dir, 'images/.gitkeep')), 'dotfiles in src/ are not copied');
+});
+
+test('the timeline theme renders its own section partials, under the ones in src/', async t => {
+    const srcDir = makeDir(t, { 'partials/sections/education.hbs': '<section class="education" id="education">Mine</section>\n' });
+    const outDir = path.join(srcDir, 'dist');
+
+    await build({ silent: true, configPath: sampleConfigPath, theme: 'timeline', srcDir, outDir });
+    const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf-8');
+
+    assert.match(html, /<ol class="timeline">\s*<li class="timeline-item experience-item" id="experience-1"/);
+    assert.match(html, /<section class="education" id="education">Mine<\/section>/);
+    assert.match(html, /<div class="project-item/, 'other sections come from the default theme');
+});
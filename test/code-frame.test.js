@@ -0,0 +1,33 @@
+/**
+ * Tests for scripts/lib/code-frame.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { offsetToLocation, codeFrame } = require('../scripts/lib/code-frame');
+
+const source = ['{', '  "name": "Jane",', '  "title": "Developer",,', '  "email": "jane@example.com"', '}'].join('\n');
+
+test('offsetToLocation counts lines and columns from 1', () => {
+    assert.deepEqual(offsetToLocation(source, 0), { line: 1, column: 1 });
+    assert.deepEqual(offsetToLocation(source, source.indexOf(',,') + 1), { line: 3, column: 24 });
+});
+
+test('codeFrame shows the lines around the error with a caret under the column', () => {
+    assert.equal(codeFrame(source, 3, 24), [
+        '  1 | {',
+        '  2 |   "name": "Jane",',
+        '> 3 |   "title": "Developer",,',
+        '    |                        ^',
+        '  4 |   "email": "jane@example.com"',
+        '  5 | }'
+    ].join('\n'));
+});
+
+test('codeFrame marks the line only when there is no column, and stops at the file edges', () => {
+    assert.equal(codeFrame(source, 1, null, 1), '> 1 | {\n  2 |   "name": "Jane",');
+});
+
+test('codeFrame keeps tabs so the caret lines up', () => {
+    assert.equal(codeFrame('\tbad', 1, 2, 0), '> 1 | \tbad\n    | \t^');
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for scripts/lib/config-fields.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getField, setField, parseAnswer, formatValue } = require('../scripts/lib/config-fields');
+
+test('getField and setField follow dotted paths', () => {
+    const personal = { location: { primary: 'Berlin' } };
+
+    assert.equal(getField(personal, 'location.primary'), 'Berlin');
+    assert.equal(getField(personal, 'social.github'), undefined);
+
+    setField(personal, 'social.github', 'https://github.com/jane');
+    setField(personal, 'location.primary', undefined);
+    assert.deepEqual(personal, { location: {}, social: { github: 'https://github.com/jane' } });
+});
+
+test('parseAnswer uses defaults and requires required fields', () => {
+    assert.deepEqual(parseAnswer({ label: 'Name', default: 'Your Name' }, ''), { value: 'Your Name' });
+    assert.deepEqual(parseAnswer({ label: 'Name', required: true }, ''), { error: 'Name is required' });
+    assert.deepEqual(parseAnswer({ label: 'Phone' }, ''), { value: undefined });
+});
+
+test('parseAnswer checks dates, URLs, colors and numbers', () => {
+    assert.deepEqual(parseAnswer({ type: 'date' }, '2020-02'), { value: '2020-02' });
+    assert.match(parseAnswer({ type: 'date' }, '2020-02-30').error, /is not a date/);
+    assert.deepEqual(parseAnswer({ type: 'endDate' }, 'present'), { value: 'Present' });
+    assert.match(parseAnswer({ type: 'url' }, 'github.com/jane').error, /include https:\/\//);
+    assert.match(parseAnswer({ type: 'color' }, 'blue').error, /^"blue" /);
+    assert.deepEqual(parseAnswer({ type: 'number', label: 'GPA', min: 0, max: 4 }, '3.5'), { value: 3.5 });
+    assert.deepEqual(parseAnswer({ type: 'number', label: 'GPA', min: 0, max: 4 }, '5'), { error: 'GPA must be at most 4' });
+});
+
+test('parseAnswer splits lists and checks choices', () => {
+    assert.deepEqual(parseAnswer({ type: 'list' }, 'Go, Rust,, SQL'), { value: ['Go', 'Rust', 'SQL'] });
+    assert.match(parseAnswer({ type: 'choice', choices: ['default', 'minimal'] }, 'fancy').error, /not one of: default, minimal/);
+});
+
+test('formatValue joins lists', () => {
+    assert.equal(formatValue({ type: 'list' }, ['Go', 'Rust']), 'Go, Rust');
+    assert.equal(formatValue({ type: 'lines' }, ['One', 'Two']), 'One / Two');
+    assert.equal(formatValue({ type: 'number' }, 3), '3');
+});
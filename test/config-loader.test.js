@@ -0,0 +1,243 @@
+/**
+ * Tests for scripts/lib/config-loader.js and the split-config writes in scripts/lib/config-file.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatName, readConfig, stringifyConfig, updateConfigSource } = require('../scripts/lib/config-loader');
+const { findChangedSections, saveConfigSections } = require('../scripts/lib/config-file');
+
+/**
+ * Temporary folder with the given files ({ "name": contents })
+ */
+function fixture(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    Object.entries(files).forEach(([name, contents]) => {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, contents);
+    });
+    return dir;
+}
+
+test('readConfig resolves $include, "*" patterns and overriding keys', t => {
+    const dir = fixture(t, {
+        'resume-data.yaml': [
+            'personal:',
+            '  $include: personal.json5',
+            'experience:',
+            '  $include: jobs/*.yaml',
+            'settings:',
+            '  $include: settings.json',
+            '  theme: minimal'
+        ].join('\n'),
+        'personal.json5': '{ name: "Jane", /* comment */ title: "Developer", }',
+        'jobs/10-later.yaml': 'title: Second\n',
+        'jobs/2-earlier.yaml': 'title: First\n',
+        'settings.json': '{ "theme": "default", "colors": { "primary": "#123456" } }'
+    });
+    const { config, files, sources } = readConfig(path.join(dir, 'resume-data.yaml'));
+
+    assert.deepEqual(config.personal, { name: 'Jane', title: 'Developer' });
+    assert.deepEqual(config.experience.map(job => job.title), ['First', 'Second']);
+    assert.deepEqual(config.settings, { theme: 'minimal', colors: { primary: '#123456' } });
+    assert.equal(files.length, 5);
+    assert.ok(sources.some(source => source.pointer === '/experience/1' && source.file.endsWith('10-later.yaml')));
+});
+
+test('readConfig finds sections next to the main file, including Markdown entries', t => {
+    const dir = fixture(t, {
+        'resume-data.json': '{ "personal": { "name": "Jane" } }',
+        'skills.yaml': 'categories: []\n',
+        'experience/01-acme.md': '---\ntitle: Engineer\ncompany: Acme\n---\n\n- Shipped 3 things\n- Fixed 2 bugs\n'
+    });
+    const { config } = readConfig(path.join(dir, 'resume-data.json'));
+
+    assert.deepEqual(config.skills, { categories: [] });
+    assert.equal(config.experience[0].company, 'Acme');
+    assert.deepEqual(config.experience[0].achievements, ['Shipped 3 things', 'Fixed 2 bugs']);
+});
+
+test('readConfig locates values inside included files', t => {
+    const dir = fixture(t, {
+        'resume-data.json': '{\n  "personal": { "$include": "personal.yaml" }\n}',
+        'personal.yaml': 'name: Jane\nemail: jane@example.com\n'
+    });
+    const { locate } = readConfig(path.join(dir, 'resume-data.json'));
+    const location = locate('/personal/email');
+
+    assert.equal(path.basename(location.file), 'personal.yaml');
+    assert.equal(location.line, 2);
+});
+
+test('readConfig reports parse errors with the file and line', t => {
+    const dir = fixture(t, {
+        'resume-data.json': '{ "personal": { "$include": "personal.yaml" } }',
+        'personal.yaml': 'name: Jane\ntitle: [unclosed\n'
+    });
+
+    assert.throws(() => readConfig(path.join(dir, 'resume-data.json')), error => {
+        assert.equal(error.code, 'CONFIG_PARSE_ERROR');
+        assert.equal(path.basename(error.file), 'personal.yaml');
+        assert.ok(error.line >= 2);
+        return true;
+    });
+});
+
+test('readConfig rejects missing files and include loops', t => {
+    const dir = fixture(t, {
+        'resume-data.json': '{ "personal": { "$include": "a.json" } }',
+        'a.json': '{ "$include": "resume-data.json" }'
+    });
+
+    assert.throws(() => readConfig(path.join(dir, 'missing.json')), { code: 'CONFIG_NOT_FOUND' });
+    assert.throws(() => readConfig(path.join(dir, 'resume-data.json')), { code: 'CONFIG_INCLUDE_ERROR' });
+});
+
+test('stringifyConfig writes the format of the extension', () => {
+    const config = { personal: { name: 'Jane' }, skills: ['Go'] };
+
+    assert.deepEqual(JSON.parse(stringifyConfig(config, 'resume-data.json')), config);
+    assert.match(stringifyConfig(config, 'resume-data.yaml'), /^personal:\n {2}name: Jane\nskills:\n {2}- Go\n$/);
+});
+
+test('formatName names the syntax by extension', () => {
+    assert.equal(formatName('resume-data.json'), 'JSON');
+    assert.equal(formatName('settings.YML'), 'YAML');
+    assert.equal(formatName('experience/01-acme.md'), 'front matter');
+});
+
+test('updateConfigSource replaces keys and keeps the rest of the text', () => {
+    const json5 = '{\n  // who\n  personal: { name: "Jane" },\n  summary: "Old",\n}\n';
+    const updated = updateConfigSource(json5, 'resume-data.json5', { summary: 'New' });
+
+    assert.match(updated, /\/\/ who/);
+    assert.match(updated, /summary: "New"/);
+});
+
+test('updateConfigSource adds new keys after the key they follow', () => {
+    const json5 = '{\n  $schema: "./schema.json",\n  // who\n  personal: { name: "Jane" },\n}\n';
+    const updated = updateConfigSource(json5, 'resume-data.json5', { schemaVersion: 3 }, ['$schema', 'schemaVersion', 'personal']);
+
+    assert.equal(updated, '{\n  $schema: "./schema.json",\n  "schemaVersion": 3,\n  // who\n  personal: { name: "Jane" },\n}\n');
+    assert.equal(updateConfigSource('summary: Old\n', 'resume-data.yaml', { skills: [] }), 'summary: Old\nskills: []\n');
+});
+
+test('saveConfigSections writes changed sections back to their own files', t => {
+    const dir = fixture(t, {
+        'resume-data.json': '{\n  "summary": "Old",\n  "experience": { "$include": "experience.yaml" }\n}\n',
+        'experience.yaml': '- title: First\n'
+    });
+    const configPath = path.join(dir, 'resume-data.json');
+    const loaded = readConfig(configPath);
+    const config = { ...loaded.config, experience: [{ title: 'Changed' }] };
+
+    const sections = findChangedSections(loaded.config, config);
+    const { written, unused } = saveConfigSections(configPath, config, sections, loaded.sources);
+
+    assert.deepEqual(sections, ['experience']);
+    assert.deepEqual(written.map(({ file }) => path.basename(file)), ['experience.yaml']);
+    assert.deepEqual(unused, []);
+    assert.match(fs.readFileSync(configPath, 'utf-8'), /"\$include": "experience.yaml"/);
+    assert.deepEqual(readConfig(configPath).config.experience, [{ title: 'Changed' }]);
+});
+
+/**
+ * Contents of every file under a folder ({ "relative/name": contents })
+ */
+function snapshot(dir) {
+    const files = {};
+    fs.readdirSync(dir, { recursive: true }).forEach(name => {
+        const file = path.join(dir, name);
+        if (fs.statSync(file).isFile()) files[name.split(path.sep).join('/')] = fs.readFileSync(file, 'utf-8');
+    });
+    return files;
+}
+
+/**
+ * Read a config, apply an edit to a copy and save the changed sections
+ */
+function saveEdited(configPath, edit) {
+    const loaded = readConfig(configPath);
+    const config = JSON.parse(JSON.stringify(loaded.config));
+    edit(config);
+    return saveConfigSections(configPath, config, findChangedSections(loaded.config, config), loaded.sources);
+}
+
+const ENTRY_FILES = {
+    'resume-data.json': '{\n  "summary": "Hello"\n}\n',
+    'experience/01-acme.yaml': '# Current job\ncompany: Acme\ntitle: Engineer\n',
+    'experience/02-globex.yaml': 'company: Globex\ntitle: Intern\n'
+};
+
+test('saveConfigSections writes an edited entry of a section folder to its own file only', t => {
+    const dir = fixture(t, ENTRY_FILES);
+    const configPath = path.join(dir, 'resume-data.json');
+    const before = snapshot(dir);
+
+    const { written, removed, unused } = saveEdited(configPath, config => {
+        config.experience[0].title = 'Lead Engineer';
+    });
+
+    assert.deepEqual(written.map(({ file }) => path.relative(dir, file)), [path.join('experience', '01-acme.yaml')]);
+    assert.deepEqual(removed, []);
+    assert.deepEqual(unused, []);
+
+    const after = snapshot(dir);
+    const changed = Object.keys(after).filter(name => after[name] !== before[name]);
+    assert.deepEqual(changed, ['experience/.01-acme.backup.yaml', 'experience/01-acme.yaml']);
+    assert.equal(after['experience/01-acme.yaml'], '# Current job\ncompany: Acme\ntitle: Lead Engineer\n');
+    assert.equal(after['experience/.01-acme.backup.yaml'], before['experience/01-acme.yaml']);
+    assert.equal(readConfig(configPath).config.experience.length, 2);
+});
+
+test('saveConfigSections adds, removes and renumbers entry files', t => {
+    const dir = fixture(t, ENTRY_FILES);
+    const configPath = path.join(dir, 'resume-data.json');
+
+    const added = saveEdited(configPath, config => {
+        config.experience.push({ company: 'Initech', title: 'Consultant' });
+    });
+    assert.deepEqual(added.written.map(({ file, backupPath }) => [path.basename(file), backupPath]), [['03-initech.yaml', null]]);
+
+    const removed = saveEdited(configPath, config => {
+        config.experience.splice(1, 1);
+    });
+    assert.deepEqual(removed.written, []);
+    assert.deepEqual(removed.removed.map(({ file }) => path.basename(file)), ['02-globex.yaml']);
+    assert.ok(fs.existsSync(removed.removed[0].backupPath));
+
+    saveEdited(configPath, config => {
+        config.experience.reverse();
+    });
+    const names = fs.readdirSync(path.join(dir, 'experience')).filter(name => !name.startsWith('.')).sort();
+    assert.deepEqual(names, ['01-initech.yaml', '02-acme.yaml']);
+    assert.deepEqual(readConfig(configPath).config.experience.map(job => job.company), ['Initech', 'Acme']);
+    assert.match(fs.readFileSync(path.join(dir, 'experience', '02-acme.yaml'), 'utf-8'), /# Current job/);
+});
+
+test('saveConfigSections writes entries of a "*" include as Markdown with front matter', t => {
+    const dir = fixture(t, {
+        'resume-data.yaml': 'projects:\n  $include: work/project-*.md\n',
+        'work/project-1.md': '---\ntitle: Site\n---\n\nA website.\n'
+    });
+    const configPath = path.join(dir, 'resume-data.yaml');
+
+    const { written } = saveEdited(configPath, config => {
+        config.projects[0].description = 'A faster website.';
+        config.projects.push({ title: 'App', description: 'A phone app.' });
+    });
+
+    assert.deepEqual(written.map(({ file }) => path.basename(file)), ['project-1.md', 'project-2-app.md']);
+    assert.equal(fs.readFileSync(path.join(dir, 'work', 'project-2-app.md'), 'utf-8'), '---\ntitle: App\n---\n\nA phone app.\n');
+    assert.deepEqual(readConfig(configPath).config.projects, [
+        { title: 'Site', description: 'A faster website.' },
+        { title: 'App', description: 'A phone app.' }
+    ]);
+    assert.equal(fs.readFileSync(configPath, 'utf-8'), 'projects:\n  $include: work/project-*.md\n');
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for scripts/lib/content-lint.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRules, lintContent } = require('../scripts/lib/content-lint');
+
+/**
+ * Problems found by one rule, with its default options unless given
+ */
+function lint(config, id, setting = 'warning') {
+    const { rules, errors } = resolveRules({ [id]: setting });
+    assert.deepEqual(errors, []);
+    return lintContent(config, rules.filter(rule => rule.id === id));
+}
+
+test('resolveRules merges options and reports unknown rules and severities', () => {
+    const { rules, errors } = resolveRules({
+        'bullet-length': ['error', { maxWords: 10 }],
+        'weak-verbs': 'off',
+        'no-such-rule': 'warning',
+        'repeated-verbs': 'loud'
+    });
+
+    const bulletLength = rules.find(rule => rule.id === 'bullet-length');
+    assert.deepEqual(bulletLength, { id: 'bullet-length', severity: 'error', options: { maxWords: 10 } });
+    assert.equal(rules.some(rule => rule.id === 'weak-verbs'), false);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /Unknown lint rule "no-such-rule"/);
+    assert.match(errors[1], /"repeated-verbs" has severity "loud"/);
+});
+
+test('quantified-achievements flags bullets without a number', () => {
+    const config = { experience: [{ achievements: ['Improved the build', 'Cut load time by 60%'] }] };
+    const problems = lint(config, 'quantified-achievements');
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].pointer, '/experience/0/achievements/0');
+    assert.equal(problems[0].severity, 'warning');
+});
+
+test('bullet-length uses the configured maximum', () => {
+    const config = { experience: [{ achievements: ['Shipped 3 features to 2 teams in 1 month'] }] };
+    assert.equal(lint(config, 'bullet-length').length, 0);
+    assert.equal(lint(config, 'bullet-length', ['warning', { maxWords: 5 }]).length, 1);
+});
+
+test('weak-verbs flags weak openings', () => {
+    const config = { experience: [{ achievements: ['Helped ship 3 releases', 'Led 4 engineers'] }] };
+    const problems = lint(config, 'weak-verbs');
+    assert.equal(problems.length, 1);
+    assert.match(problems[0].message, /"Helped"/);
+});
+
+test('date-order catches end dates before start dates in experience and projects', () => {
+    const config = {
+        experience: [{ startDate: '2020-05', endDate: '2019-01' }],
+        projects: [{ startDate: '2021', endDate: '2020' }]
+    };
+    const pointers = lint(config, 'date-order', 'error').map(problem => problem.pointer);
+    assert.deepEqual(pointers, ['/experience/0/endDate', '/projects/0/endDate']);
+});
+
+test('employment-gaps and employment-overlaps measure the months between jobs', () => {
+    const gap = {
+        experience: [
+            { startDate: '2022-01', endDate: '2023-01' },
+            { startDate: '2019-01', endDate: '2020-12' }
+        ]
+    };
+    const overlap = {
+        experience: [
+            { startDate: '2020-01', endDate: '2021-06' },
+            { startDate: '2019-01', endDate: '2020-06' }
+        ]
+    };
+
+    assert.equal(lint(gap, 'employment-gaps').length, 1);
+    assert.equal(lint(overlap, 'employment-gaps').length, 0);
+    assert.equal(lint(overlap, 'employment-overlaps').length, 1);
+});
+
+test('skill-years warns when typed-in years disagree with the jobs', () => {
+    const config = {
+        experience: [{ startDate: '2018-01', endDate: '2019-12', technologies: ['Go', 'SQL'] }],
+        skills: { detailed: [{ name: 'Go', years: 8 }, { name: 'SQL', years: 2.5 }, { name: 'Rust', years: 9 }] }
+    };
+    const problems = lint(config, 'skill-years');
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].pointer, '/skills/detailed/0/years');
+    assert.match(problems[0].message, /experience\[0\] add up to 2\.0 years of Go/);
+});
+
+test('skill-years is skipped when the build replaces typed-in years', () => {
+    const config = {
+        experience: [{ startDate: '2018-01', endDate: '2019-12', technologies: ['Go'] }],
+        skills: { detailed: [{ name: 'Go', years: 8 }] },
+        settings: { skillYears: { fill: 'always' } }
+    };
+
+    assert.equal(lint(config, 'skill-years').length, 0);
+});
@@ -0,0 +1,24 @@
+/**
+ * Tests for scripts/lib/csv.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../scripts/lib/csv');
+
+test('parseCsv keys rows by the header', () => {
+    assert.deepEqual(parseCsv('Name,Title\nJane,Engineer\nMax,Designer\n'), [
+        { Name: 'Jane', Title: 'Engineer' },
+        { Name: 'Max', Title: 'Designer' }
+    ]);
+});
+
+test('parseCsv handles quotes, embedded commas and newlines, and CRLF', () => {
+    const rows = parseCsv('﻿Name,Description\r\n"Doe, Jane","Led 3 teams\r\n- Shipped ""Atlas"""\r\n');
+    assert.deepEqual(rows, [{ Name: 'Doe, Jane', Description: 'Led 3 teams\r\n- Shipped "Atlas"' }]);
+});
+
+test('parseCsv skips blank lines and fills missing fields', () => {
+    assert.deepEqual(parseCsv('A,B,C\n\n1,2\n  \n'), [{ A: '1', B: '2', C: '' }]);
+    assert.deepEqual(parseCsv(''), []);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for scripts/lib/dates.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDate, formatDateRange, normalizeDate, toMonthNumber } = require('../scripts/lib/dates');
+
+test('formatDate handles years, months, full dates and "Present"', () => {
+    assert.equal(formatDate('2020'), '2020');
+    assert.equal(formatDate('2020-03'), 'Mar 2020');
+    assert.equal(formatDate('2020-03-15'), 'Mar 2020');
+    assert.equal(formatDate('Present'), 'Present');
+    assert.equal(formatDate(''), 'Present');
+    assert.equal(formatDate('someday'), 'someday');
+});
+
+test('formatDateRange joins start and end', () => {
+    assert.equal(formatDateRange('2020-01', 'Present'), 'Jan 2020 - Present');
+    assert.equal(formatDateRange('2018-06', '2019'), 'Jun 2018 - 2019');
+});
+
+test('formatDate and formatDateRange use the locale\'s month names and word for "Present"', () => {
+    const german = { locale: 'de', present: 'Heute' };
+
+    assert.equal(formatDate('2020-03', german), 'März 2020');
+    assert.equal(formatDate('2020', german), '2020');
+    assert.equal(formatDateRange('2020-03-15', null, german), 'März 2020 - Heute');
+});
+
+test('normalizeDate reads the formats importers see', () => {
+    assert.equal(normalizeDate('Jan 2020'), '2020-01');
+    assert.equal(normalizeDate('September 2018'), '2018-09');
+    assert.equal(normalizeDate('03/2021'), '2021-03');
+    assert.equal(normalizeDate('06/12/21'), '2021-06');
+    assert.equal(normalizeDate('2020-05-17'), '2020-05');
+    assert.equal(normalizeDate('2019'), '2019');
+    assert.equal(normalizeDate('current'), 'Present');
+    assert.equal(normalizeDate(''), '');
+    assert.equal(normalizeDate('someday'), 'someday');
+});
+
+test('normalizeDate puts two-digit years after the current one in the 1900s', () => {
+    const now = new Date(2024, 5, 10);
+
+    assert.equal(normalizeDate('06/15/99', { now }), '1999-06');
+    assert.equal(normalizeDate('06/15/25', { now }), '1925-06');
+    assert.equal(normalizeDate('06/15/24', { now }), '2024-06');
+    assert.equal(normalizeDate('01/02/00', { now }), '2000-01');
+});
+
+test('normalizeDate leaves months outside 1-12 unchanged', () => {
+    assert.equal(normalizeDate('13/05/2020'), '13/05/2020');
+    assert.equal(normalizeDate('00/2020'), '00/2020');
+    assert.equal(normalizeDate('13/2020'), '13/2020');
+    assert.equal(normalizeDate('2020-13-01'), '2020-13-01');
+    assert.equal(normalizeDate('12/31/2020'), '2020-12');
+});
+
+test('toMonthNumber gives comparable month counts', () => {
+    const now = new Date(2024, 5, 10);
+
+    assert.equal(toMonthNumber('2020-01'), 2020 * 12);
+    assert.equal(toMonthNumber('2020'), 2020 * 12);
+    assert.equal(toMonthNumber('2020', { end: true }), 2020 * 12 + 11);
+    assert.equal(toMonthNumber('Present', { now }), 2024 * 12 + 5);
+    assert.equal(toMonthNumber('', { end: true, now }), 2024 * 12 + 5);
+    assert.equal(toMonthNumber(''), null);
+    assert.equal(toMonthNumber('Jan 2020'), null);
+});
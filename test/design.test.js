@@ -0,0 +1,68 @@
+/**
+ * Tests for scripts/lib/design.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_CONTRAST, contrastRatio, readableOn, getDesignSettings, checkContrast, generateDesignStyles } = require('../scripts/lib/design');
+
+test('contrastRatio follows WCAG', () => {
+    assert.equal(contrastRatio('#000000', '#ffffff'), 21);
+    assert.equal(contrastRatio('#fff', '#ffffff'), 1);
+    assert.equal(contrastRatio('#777777', '#ffffff').toFixed(2), '4.48');
+    assert.equal(contrastRatio('#ffffff', '#000000'), contrastRatio('#000000', '#ffffff'));
+});
+
+test('readableOn picks the text color that stands out more', () => {
+    assert.equal(readableOn('#000000'), '#ffffff');
+    assert.equal(readableOn('#ffff00'), '#111827');
+});
+
+test('the default palettes pass every contrast check', () => {
+    assert.deepEqual(checkContrast(getDesignSettings({})), []);
+});
+
+test('derived dark brand colors reach the contrast on the background and under their text', () => {
+    ['#123456', '#2563eb', '#777777', '#ff0000', '#000000', '#ffffff', '#0a7d32'].forEach(color => {
+        const { dark } = getDesignSettings({ settings: { colors: { primary: color, accent: color } } });
+
+        assert.ok(contrastRatio(dark.primary, dark.background) >= MIN_CONTRAST, `${color}: primary on background`);
+        assert.ok(contrastRatio(dark.onPrimary, dark.primary) >= MIN_CONTRAST, `${color}: onPrimary on primary`);
+        assert.ok(contrastRatio(dark.onAccent, dark.accent) >= MIN_CONTRAST, `${color}: onAccent on accent`);
+    });
+});
+
+test('colors set in the dark palette are kept as they are', () => {
+    const design = getDesignSettings({ settings: { design: { dark: { primary: '#333333', background: '#000000' } } } });
+    assert.equal(design.dark.primary, '#333333');
+    assert.deepEqual(design.chosen.dark.sort(), ['background', 'primary']);
+});
+
+test('invalid colors are left out of the palettes', () => {
+    const design = getDesignSettings({ settings: { colors: { primary: 'blue' } } });
+    assert.equal(design.light.primary, '#2563eb');
+});
+
+test('checkContrast reports the ratio and the setting to change', () => {
+    const light = checkContrast(getDesignSettings({ settings: { colors: { primary: '#ffcc00' } } }));
+
+    assert.equal(light.length, 1);
+    assert.match(light[0], /primary #ffcc00 on background #ffffff\) is 1\.51:1/);
+    assert.match(light[0], /settings\.design\.light\.primary or settings\.colors\.primary/);
+
+    const dark = checkContrast(getDesignSettings({ settings: { design: { dark: { background: '#888888' } } } }));
+    assert.ok(dark.length > 0);
+    dark.forEach(warning => assert.match(warning, /\(settings\.design\.dark\.background\)$/));
+});
+
+test('generateDesignStyles keeps print light and skips unsafe values', () => {
+    const warnings = [];
+    const design = getDesignSettings({ settings: { design: { radius: { small: '2px' }, fonts: { body: 'x; } body {' } } } });
+    const styles = generateDesignStyles(design, message => warnings.push(message));
+
+    assert.match(styles, /--radius-sm: 2px;/);
+    assert.doesNotMatch(styles, /--font-body/);
+    assert.equal(warnings.length, 1);
+    assert.match(styles, /@media screen and \(prefers-color-scheme: dark\)/);
+    assert.doesNotMatch(styles, /@media print/);
+});
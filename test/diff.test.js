@@ -0,0 +1,29 @@
+/**
+ * Tests for scripts/lib/diff.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, groupHunks } = require('../scripts/lib/diff');
+
+test('diffLines marks added, removed and kept lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+        { type: ' ', line: 'a' },
+        { type: '-', line: 'b' },
+        { type: ' ', line: 'c' },
+        { type: '+', line: 'd' }
+    ]);
+    assert.ok(diffLines('same\ntext', 'same\ntext').every(op => op.type === ' '));
+});
+
+test('groupHunks keeps context around each change and splits distant ones', () => {
+    const before = Array.from({ length: 20 }, (_, index) => `line ${index}`);
+    const after = [...before];
+    after[2] = 'changed 2';
+    after[17] = 'changed 17';
+
+    const hunks = groupHunks(diffLines(before.join('\n'), after.join('\n')), 1);
+    assert.equal(hunks.length, 2);
+    assert.deepEqual(hunks[0].map(op => op.type), [' ', '-', '+', ' ']);
+    assert.equal(groupHunks(diffLines('x', 'x')).length, 0);
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for scripts/lib/docx.js and the outline it shares with the PDF (scripts/lib/resume-model.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getDocxSettings, generateDocx } = require('../scripts/lib/docx');
+const { buildResumeModel } = require('../scripts/lib/resume-model');
+const { listEntries } = require('./helpers');
+
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+const SECTIONS = ['professionalSummary', 'experience', 'education', 'skills', 'projects'].map(id => ({ id }));
+
+/**
+ * Files of a DOCX package, by name, as text
+ */
+function readPackage(buffer) {
+    return Object.fromEntries(listEntries(buffer).map(({ name, data }) => [name, data.toString('utf-8')]));
+}
+
+test('buildResumeModel outlines the header and the sections in order', () => {
+    const model = buildResumeModel(sampleConfig, [{ id: 'experience' }, { id: 'skills' }, { id: 'custom-awards' }]);
+
+    assert.equal(model.header.name, 'Jane Developer');
+    assert.ok(model.header.contacts.some(contact => contact.link === `mailto:${sampleConfig.personal.email}`));
+    assert.deepEqual(model.sections.map(section => section.id), ['experience', 'skills']);
+    assert.equal(model.sections[0].kind, 'entries');
+    assert.equal(model.sections[0].entries.length, sampleConfig.experience.length);
+    assert.equal(model.warnings.length, 1);
+    assert.match(model.warnings[0], /"custom-awards"/);
+});
+
+test('buildResumeModel leaves out empty sections', () => {
+    const model = buildResumeModel({ personal: { fullName: 'Jane' }, projects: [] }, [{ id: 'projects' }]);
+    assert.deepEqual(model.sections, []);
+});
+
+test('getDocxSettings merges settings.docx with the defaults', () => {
+    const settings = getDocxSettings({ settings: { docx: { fileName: 'cv.docx' } } });
+    assert.equal(settings.fileName, 'cv.docx');
+    assert.equal(settings.enabled, true);
+});
+
+test('generateDocx writes a Word package with the resume as plain paragraphs', () => {
+    const { buffer, warnings } = generateDocx(sampleConfig, { sections: SECTIONS });
+    const files = readPackage(buffer);
+
+    assert.deepEqual(warnings, []);
+    assert.ok(files['[Content_Types].xml'].includes('wordprocessingml.document.main+xml'));
+    assert.ok(files['_rels/.rels'].includes('word/document.xml'));
+
+    const document = files['word/document.xml'];
+    assert.ok(document.includes('Jane Developer'));
+    sampleConfig.experience.forEach(job => assert.ok(document.includes(job.company), job.company));
+    assert.doesNotMatch(document, /<w:tbl>|<w:txbxContent>/, 'no tables or text boxes for ATS parsers');
+    assert.ok(files['docProps/core.xml'].includes('<dc:creator>Jane Developer</dc:creator>'));
+});
+
+test('generateDocx escapes XML in the content', () => {
+    const config = { ...sampleConfig, summary: { professional: 'R&D <lead> "quoted"' } };
+    const document = readPackage(generateDocx(config, { sections: [{ id: 'professionalSummary' }] }).buffer)['word/document.xml'];
+
+    assert.ok(document.includes('R&amp;D &lt;lead&gt;'));
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for scripts/lib/editor-server.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createEditorServer } = require('../scripts/lib/editor-server');
+
+/**
+ * Start an editor server with the given handlers; closed after the test
+ */
+async function startServer(t, handlers) {
+    const previewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-preview-'));
+    fs.writeFileSync(path.join(previewDir, 'index.html'), '<h1>Preview</h1>');
+
+    const editor = createEditorServer({
+        previewDir,
+        load: () => ({ config: {} }),
+        preview: async () => ({}),
+        save: async () => ({}),
+        ...handlers
+    });
+    const port = await editor.listen(0, '127.0.0.1');
+    t.after(async () => {
+        await editor.close();
+        fs.rmSync(previewDir, { recursive: true, force: true });
+    });
+    return port;
+}
+
+function request(port, urlPath, { method = 'GET', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, response => {
+            let text = '';
+            response.setEncoding('utf-8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('serves the editor page and the preview build', async t => {
+    const port = await startServer(t);
+
+    const page = await request(port, '/');
+    assert.equal(page.status, 200);
+    assert.match(page.headers['content-type'], /^text\/html/);
+
+    const preview = await request(port, '/preview/');
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body, '<h1>Preview</h1>');
+    assert.equal((await request(port, '/preview/..%2f..%2fetc%2fpasswd')).status, 404);
+});
+
+test('answers the JSON API with the handlers\' results', async t => {
+    const saved = [];
+    const port = await startServer(t, {
+        load: () => ({ config: { personal: { name: 'Jane' } } }),
+        save: async config => {
+            saved.push(config);
+            return { written: ['resume-data.json'] };
+        }
+    });
+
+    const loaded = await request(port, '/api/config');
+    assert.deepEqual(JSON.parse(loaded.body), { config: { personal: { name: 'Jane' } } });
+
+    const save = await request(port, '/api/save', { method: 'POST', body: '{"personal":{"name":"Joan"}}' });
+    assert.equal(save.status, 200);
+    assert.deepEqual(JSON.parse(save.body), { written: ['resume-data.json'] });
+    assert.deepEqual(saved, [{ personal: { name: 'Joan' } }]);
+});
+
+test('reports invalid bodies and handler errors as JSON', async t => {
+    const port = await startServer(t, {
+        preview: async () => {
+            throw Object.assign(new Error('Invalid config'), { status: 422, body: { problems: ['/personal/email'] } });
+        }
+    });
+
+    const invalid = await request(port, '/api/save', { method: 'POST', body: '{not json' });
+    assert.equal(invalid.status, 400);
+    assert.match(JSON.parse(invalid.body).error, /^Request body is not valid JSON/);
+
+    const rejected = await request(port, '/api/preview', { method: 'POST', body: '{}' });
+    assert.equal(rejected.status, 422);
+    assert.deepEqual(JSON.parse(rejected.body), { error: 'Invalid config', problems: ['/personal/email'] });
+});
+
+test('refuses saves posted from other sites', async t => {
+    let saves = 0;
+    const port = await startServer(t, { save: async () => ({ saves: ++saves }) });
+
+    const foreign = await request(port, '/api/save', { method: 'POST', headers: { Origin: 'https://evil.example' }, body: '{}' });
+    assert.equal(foreign.status, 403);
+    assert.equal(saves, 0);
+
+    const local = await request(port, '/api/save', { method: 'POST', headers: { Origin: `http://127.0.0.1:${port}` }, body: '{}' });
+    assert.equal(local.status, 200);
+});
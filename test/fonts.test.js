@@ -0,0 +1,35 @@
+/**
+ * Tests for scripts/lib/fonts.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getFontSettings, findFontFiles, readFontInfo, buildFonts } = require('../scripts/lib/fonts');
+
+test('getFontSettings merges settings.fonts with the defaults', () => {
+    assert.deepEqual(getFontSettings({}), { directory: 'fonts', subset: true });
+    assert.deepEqual(getFontSettings({ settings: { fonts: { subset: false } } }), { directory: 'fonts', subset: false });
+});
+
+test('findFontFiles picks TrueType and OpenType files in the fonts folder', () => {
+    const assets = new Map([
+        ['fonts/Inter.ttf', '/src/fonts/Inter.ttf'],
+        ['fonts/Inter-Italic.OTF', '/src/fonts/Inter-Italic.OTF'],
+        ['fonts/Inter.woff2', '/src/fonts/Inter.woff2'],
+        ['fonts/LICENSE.txt', '/src/fonts/LICENSE.txt'],
+        ['images/font.ttf', '/src/images/font.ttf']
+    ]);
+
+    assert.deepEqual(findFontFiles(assets, { directory: 'fonts' }), ['fonts/Inter.ttf', 'fonts/Inter-Italic.OTF']);
+    assert.deepEqual(findFontFiles(assets, { directory: './images/' }), ['images/font.ttf']);
+});
+
+test('readFontInfo rejects files that are not fonts', () => {
+    assert.throws(() => readFontInfo(Buffer.from('not a font at all')));
+});
+
+test('buildFonts does nothing without font files', async () => {
+    const result = await buildFonts(new Map([['css/styles.css', '/src/css/styles.css']]), '<p>Hi</p>', getFontSettings({}));
+
+    assert.deepEqual(result, { files: [], sources: [], css: '', families: [] });
+});
@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for the tests (not a test file itself)
+ */
+
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+/**
+ * Entries of an archive, read through its central directory
+ */
+function listEntries(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+        assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50);
+        const compressedSize = buffer.readUInt32LE(localOffset + 18);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+        entries.push({ name, data, crc: buffer.readUInt32LE(offset + 16) });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+module.exports = {
+    listEntries
+};
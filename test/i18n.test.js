@@ -0,0 +1,56 @@
+/**
+ * Tests for scripts/lib/i18n.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranslator, findMissingStrings, localizeConfig } = require('../scripts/lib/i18n');
+
+test('createTranslator fills placeholders and falls back to English', () => {
+    const { t } = createTranslator('de-AT', { 'de-AT': { 'nav.skills': 'Kenntnisse' } });
+
+    assert.equal(t('nav.skills'), 'Kenntnisse');
+    assert.equal(t('skills.years', { years: 3 }), '3 Jahre');
+    assert.equal(t('no.such.key'), 'no.such.key');
+    assert.equal(t('skills.years'), '{years} Jahre', 'missing params stay as written');
+});
+
+test('createTranslator writes years the locale\'s way', () => {
+    assert.equal(createTranslator('en').t('skills.years', { years: 9.5 }), '9.5 years');
+    assert.equal(createTranslator('de').t('skills.years', { years: 9.5 }), '9,5 Jahre');
+    assert.equal(createTranslator('fr').t('skills.yearsShort', { years: 2.25 }), '2,3 ans');
+});
+
+test('createTranslator leaves other numbers as they are', () => {
+    assert.equal(createTranslator('de').t('education.gpa', { gpa: 3.85 }), 'Abschlussnote: 3.85');
+});
+
+test('findMissingStrings lists keys a locale doesn\'t translate', () => {
+    assert.deepEqual(findMissingStrings('en'), []);
+    assert.deepEqual(findMissingStrings('de'), []);
+    assert.ok(findMissingStrings('nl').includes('skills.years'));
+    assert.equal(findMissingStrings('nl', { nl: { 'skills.years': '{years} jaar' } }).includes('skills.years'), false);
+});
+
+test('localizeConfig resolves per-language values and reports untranslated ones', () => {
+    const config = {
+        summary: { en: 'Hello', de: 'Hallo' },
+        personal: { title: { en: 'Developer' }, name: 'Jane' },
+        experience: [{ achievements: [{ en: 'Shipped', de: 'Geliefert' }] }],
+        settings: {
+            i18n: {
+                locales: ['en', 'de'],
+                strings: { de: { 'nav.skills': 'Kenntnisse' } }
+            }
+        }
+    };
+    const { config: german, missing } = localizeConfig(config, 'de');
+
+    assert.equal(german.summary, 'Hallo');
+    assert.equal(german.personal.title, 'Developer');
+    assert.equal(german.personal.name, 'Jane');
+    assert.deepEqual(german.experience[0].achievements, ['Geliefert']);
+    assert.deepEqual(german.settings.i18n.strings, config.settings.i18n.strings, 'string catalogs are not content');
+    assert.deepEqual(missing, ['personal.title']);
+    assert.equal(config.summary.de, 'Hallo', 'the input is left untouched');
+});
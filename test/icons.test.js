@@ -0,0 +1,43 @@
+/**
+ * Tests for scripts/lib/icons.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findIcon, inlineIcons } = require('../scripts/lib/icons');
+
+test('findIcon looks in the named style first, then the others', () => {
+    assert.equal(findIcon('fab', 'github').id, 'icon-fab-github');
+    assert.equal(findIcon('fas', 'github').id, 'icon-fab-github');
+    assert.equal(findIcon('fas', 'no-such-icon'), null);
+});
+
+test('inlineIcons swaps icon elements for sprite references', () => {
+    const html = '<body>\n<i class="fab fa-github"></i> <i class="fas fa-fw fa-envelope" title="Email"></i> <i class="fab fa-github"></i>\n</body>';
+
+    const result = inlineIcons(html);
+
+    assert.deepEqual(result.icons, ['icon-fab-github', 'icon-fas-envelope']);
+    assert.deepEqual(result.missing, []);
+    assert.equal(result.html.match(/<symbol /g).length, 2);
+    assert.equal(result.html.match(/<use href="#icon-fab-github"><\/use>/g).length, 2);
+    assert.match(result.html, /<i class="fas fa-fw fa-envelope" title="Email"><svg class="icon" viewBox="0 0 \d+ \d+"/);
+    assert.match(result.html, /^<body>\n {4}<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" aria-hidden="true" style="display: none;">/);
+});
+
+test('inlineIcons keeps unknown icons and reports them', () => {
+    const html = '<body><i class="fas fa-no-such-icon"></i><i class="note"></i></body>';
+
+    const result = inlineIcons(html);
+
+    assert.equal(result.html, html);
+    assert.deepEqual(result.icons, []);
+    assert.deepEqual(result.missing, ['fas fa-no-such-icon']);
+});
+
+test('inlineIcons adds icons that scripts reference', () => {
+    const result = inlineIcons('<body></body>', { scripts: ['button.innerHTML = \'<use href="#icon-fas-moon">\';'] });
+
+    assert.deepEqual(result.icons, ['icon-fas-moon']);
+    assert.match(result.html, /<symbol id="icon-fas-moon"/);
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for scripts/lib/json-schema.js and schema/resume-data.schema.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateSchema } = require('../scripts/lib/json-schema');
+
+const resumeSchema = require(path.join(__dirname, '../schema/resume-data.schema.json'));
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+test('the sample config matches the schema', () => {
+    assert.deepEqual(validateSchema(sampleConfig, resumeSchema).filter(problem => problem.severity === 'error'), []);
+});
+
+test('validateSchema reports types, required keys, enums and ranges with pointers', () => {
+    const schema = {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string' },
+            level: { enum: ['low', 'high'] },
+            years: { type: 'number', minimum: 0 },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    };
+    const problems = validateSchema({ level: 'medium', years: -1, tags: ['a', 2], extra: true }, schema);
+    const pointers = problems.map(problem => problem.pointer).sort();
+
+    assert.deepEqual(pointers, ['/extra', '/level', '/name', '/tags/1', '/years']);
+    assert.ok(problems.every(problem => problem.severity === 'error'));
+});
+
+test('validateSchema follows local $refs and anyOf', () => {
+    const schema = {
+        definitions: { date: { type: 'string', pattern: '^\\d{4}$' } },
+        properties: {
+            start: { $ref: '#/definitions/date' },
+            location: { anyOf: [{ type: 'string' }, { type: 'object' }] }
+        }
+    };
+
+    assert.deepEqual(validateSchema({ start: '2020', location: { primary: 'Berlin' } }, schema), []);
+    assert.equal(validateSchema({ start: 'soon', location: 3 }, schema).length, 2);
+});
+
+test('format mismatches are warnings', () => {
+    const problems = validateSchema({ email: 'not-an-email' }, { properties: { email: { type: 'string', format: 'email' } } });
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].severity, 'warning');
+    assert.equal(problems[0].pointer, '/email');
+});
+
+test('errorMessage replaces the wording for a value', () => {
+    const schema = { properties: { theme: { type: 'string', pattern: '^[a-z]+$', errorMessage: 'must be a theme folder name' } } };
+    assert.equal(validateSchema({ theme: 'Bad Name' }, schema)[0].message, 'theme must be a theme folder name');
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for scripts/lib/json-source.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { appendPointer, scanJson, closestOffset } = require('../scripts/lib/json-source');
+
+const source = [
+    '{',
+    '    "personal": { "name": "Jane", "a/b": 1 },',
+    '    "skills": [',
+    '        "Go",',
+    '        { "name": "Rust" }',
+    '    ]',
+    '}'
+].join('\n');
+
+test('appendPointer escapes "/" and "~"', () => {
+    assert.equal(appendPointer('', 'personal'), '/personal');
+    assert.equal(appendPointer('/skills', 0), '/skills/0');
+    assert.equal(appendPointer('/x', 'a/b~c'), '/x/a~1b~0c');
+});
+
+test('scanJson finds keys of members and values of array items', () => {
+    const offsets = scanJson(source);
+
+    assert.equal(offsets.get(''), 0);
+    assert.equal(source.slice(offsets.get('/personal/name')).slice(0, 6), '"name"');
+    assert.equal(source.slice(offsets.get('/personal/a~1b')).slice(0, 5), '"a/b"');
+    assert.equal(source.slice(offsets.get('/skills/0')).slice(0, 4), '"Go"');
+    assert.equal(source.slice(offsets.get('/skills/1/name')).slice(0, 6), '"name"');
+});
+
+test('scanJson reads JSON5 comments, single quotes and unquoted keys', () => {
+    const json5 = "{\n    // Contact\n    personal: { 'name': 'Jane', /* legacy */ email: 'j@x.io', },\n    skills: [0x1F, 'Go',],\n}";
+    const offsets = scanJson(json5);
+
+    assert.equal(json5.slice(offsets.get('/personal')).slice(0, 8), 'personal');
+    assert.equal(json5.slice(offsets.get('/personal/email')).slice(0, 5), 'email');
+    assert.equal(json5.slice(offsets.get('/skills/1')).slice(0, 4), "'Go'");
+    assert.equal(offsets.has('/skills/2'), false);
+});
+
+test('closestOffset falls back to the closest parent in the file', () => {
+    const offsets = scanJson(source);
+
+    assert.equal(closestOffset(offsets, '/skills/1/name'), offsets.get('/skills/1/name'));
+    assert.equal(closestOffset(offsets, '/skills/1/level'), offsets.get('/skills/1'));
+    assert.equal(closestOffset(offsets, '/languages/0'), 0);
+});
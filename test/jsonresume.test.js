@@ -0,0 +1,126 @@
+/**
+ * Tests for scripts/lib/jsonresume.js and the arguments of scripts/jsonresume.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { SCHEMA_URL, fromJsonResume, toJsonResume } = require('../scripts/lib/jsonresume');
+const { parseArgs } = require('../scripts/jsonresume');
+
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+const DATE = new Date('2024-05-01T12:00:00Z');
+
+test('toJsonResume maps the resume onto the JSON Resume sections', () => {
+    const { resume } = toJsonResume(sampleConfig, { date: DATE });
+
+    assert.equal(resume.$schema, SCHEMA_URL);
+    assert.equal(resume.basics.name, sampleConfig.personal.fullName);
+    assert.deepEqual(resume.basics.location, { city: 'San Francisco', region: 'CA' });
+    assert.ok(resume.basics.profiles.some(profile => profile.network === 'GitHub' && profile.username === 'janedeveloper'));
+    assert.equal(resume.work.length, sampleConfig.experience.length);
+    assert.equal(resume.work[0].endDate, undefined, 'current jobs have no end date');
+    assert.equal(resume.meta.lastModified, DATE.toISOString());
+});
+
+test('toJsonResume reports what JSON Resume has no place for', () => {
+    const { unmapped } = toJsonResume(sampleConfig, { date: DATE });
+    const paths = unmapped.map(entry => entry.path);
+
+    assert.ok(paths.includes('settings'));
+    assert.ok(paths.includes('summary.about'));
+    assert.ok(paths.includes('education[0].honors'));
+});
+
+test('fromJsonResume reads a JSON Resume document', () => {
+    const { config, unmapped } = fromJsonResume({
+        basics: {
+            name: 'Max Mustermann',
+            label: 'Engineer',
+            location: { city: 'Berlin', countryCode: 'DE' },
+            profiles: [{ network: 'GitHub', username: 'max' }, { network: 'Mastodon', url: 'https://example.social/@max' }]
+        },
+        work: [
+            { name: 'Acme', position: 'Lead', startDate: '2021-03-15', highlights: ['Shipped 3 products'] },
+            { name: 'Initech', position: 'Dev', startDate: '2018-01', endDate: '2021-02' }
+        ],
+        education: [{ institution: 'TU', studyType: 'B.Sc.', area: 'Physics' }],
+        skills: [{ name: 'Frontend', keywords: ['React', 'CSS'] }, { name: 'Go' }],
+        interests: [{ name: 'Chess' }]
+    });
+
+    assert.equal(config.personal.fullName, 'Max Mustermann');
+    assert.equal(config.personal.location.primary, 'Berlin, DE');
+    assert.equal(config.personal.social.github, 'https://github.com/max');
+    assert.deepEqual(config.experience[0], {
+        title: 'Lead', company: 'Acme', location: '', startDate: '2021-03', endDate: 'Present', current: true, achievements: ['Shipped 3 products']
+    });
+    assert.equal(config.experience[1].current, false);
+    assert.equal(config.education[0].degree, 'B.Sc. in Physics');
+    assert.deepEqual(config.skills.categories.map(category => category.items), [['React', 'CSS'], ['Go']]);
+    assert.ok(config.settings, 'a new config gets starter settings');
+    assert.deepEqual(unmapped.map(entry => entry.path), ['interests', 'basics.profiles[1]']);
+});
+
+test('fromJsonResume keeps what the document leaves out of an existing config', () => {
+    const { config } = fromJsonResume({ basics: { name: 'Jane Developer' } }, sampleConfig);
+
+    assert.deepEqual(config.experience, sampleConfig.experience);
+    assert.deepEqual(config.settings, sampleConfig.settings);
+    assert.deepEqual(config.skills.detailed, sampleConfig.skills.detailed);
+    assert.equal(config.summary.about, sampleConfig.summary.about);
+});
+
+test('an exported resume imports back to the same content', () => {
+    const { resume } = toJsonResume(sampleConfig, { date: DATE });
+    const { config } = fromJsonResume(JSON.parse(JSON.stringify(resume)), sampleConfig);
+
+    assert.equal(config.personal.fullName, sampleConfig.personal.fullName);
+    assert.deepEqual(config.personal.social, sampleConfig.personal.social);
+    ['experience', 'projects'].forEach(section => {
+        assert.deepEqual(config[section].map(entry => entry.title), sampleConfig[section].map(entry => entry.title), section);
+    });
+    assert.deepEqual(config.experience.map(job => job.achievements), sampleConfig.experience.map(job => job.achievements));
+    assert.deepEqual(config.skills.categories.map(category => category.items), sampleConfig.skills.categories.map(category => category.items));
+});
+
+test('skill levels import back as skills.detailed proficiency', () => {
+    const { resume } = toJsonResume(sampleConfig, { date: DATE });
+    const exported = JSON.parse(JSON.stringify(resume));
+
+    assert.deepEqual(fromJsonResume(exported, sampleConfig).config.skills.detailed, sampleConfig.skills.detailed);
+
+    const { skills, ...withoutSkills } = sampleConfig;
+    const { config } = fromJsonResume(exported, { ...withoutSkills, skills: { categories: skills.categories } });
+    const levels = { Master: 90, Advanced: 75, Intermediate: 50, Beginner: 0 };
+    assert.deepEqual(config.skills.detailed, resume.skills.filter(skill => skill.level).map(skill => ({
+        name: skill.name,
+        proficiency: levels[skill.level]
+    })));
+    assert.deepEqual(config.skills.categories.map(category => category.items), skills.categories.map(category => category.items));
+});
+
+test('fromJsonResume reports skill levels it does not know', () => {
+    const { config, unmapped } = fromJsonResume({ skills: [{ name: 'Go', level: 'Fluent' }, { name: 'Rust', level: 'advanced' }] });
+
+    assert.deepEqual(config.skills.detailed, [{ name: 'Rust', proficiency: 75 }]);
+    assert.deepEqual(config.skills.categories.map(category => category.items), [['Go']]);
+    assert.deepEqual(unmapped.map(entry => entry.path), ['skills[0].level']);
+});
+
+test('fromJsonResume rejects documents that aren\'t objects', () => {
+    assert.throws(() => fromJsonResume([]), /must be an object/);
+});
+
+test('the command line rejects unknown options instead of taking them as file names', () => {
+    assert.deepEqual(parseArgs(['import', 'resume.json', '--dry-run', '--config', 'my.yaml']), {
+        command: 'import', file: 'resume.json', configPath: 'my.yaml', dryRun: true, help: false
+    });
+    assert.equal(parseArgs(['export', '--help']).file, null);
+    assert.equal(parseArgs(['export', '--help']).help, true);
+
+    assert.throws(() => parseArgs(['export', '--out', 'x.json']), error => error.usage && /Unknown option: --out/.test(error.message));
+    assert.throws(() => parseArgs(['export', '--dry-run']), /Unknown option: --dry-run/);
+    assert.throws(() => parseArgs(['export', 'a.json', 'b.json']), /Unexpected argument: b\.json/);
+});
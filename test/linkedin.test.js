@@ -0,0 +1,94 @@
+/**
+ * Tests for scripts/lib/linkedin.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLinkedInExport, fromLinkedIn } = require('../scripts/lib/linkedin');
+const { createZip } = require('../scripts/lib/zip');
+
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+const POSITIONS = [
+    'Company Name,Title,Description,Location,Started On,Finished On',
+    'NewCo,Staff Engineer,"• Led 4 teams\n• Cut costs by 30%",Remote,Jan 2023,',
+    'TechCorp Inc.,Senior Full Stack Developer,Different text,"San Francisco, CA",Jan 2020,Dec 2022'
+].join('\n');
+
+/**
+ * Temporary folder, removed after the test
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-linkedin-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('readLinkedInExport reads the known tables from a ZIP, a folder or single files', t => {
+    const dir = tempDir(t);
+    const zipPath = path.join(dir, 'Basic_LinkedInDataExport.zip');
+    fs.writeFileSync(zipPath, createZip([
+        { name: 'Positions.csv', data: POSITIONS },
+        { name: 'Skills.csv', data: 'Name\nGo\n' },
+        { name: 'messages.csv', data: 'From,To\n' }
+    ]));
+    fs.mkdirSync(path.join(dir, 'extracted'));
+    fs.writeFileSync(path.join(dir, 'extracted', 'Education.csv'), 'School Name,Degree Name\nTU Berlin,M.Sc.\n');
+
+    const { tables, files } = readLinkedInExport([zipPath, path.join(dir, 'extracted')]);
+
+    assert.deepEqual(files, ['Positions.csv', 'Skills.csv', 'Education.csv']);
+    assert.equal(tables.positions.length, 2);
+    assert.equal(tables.education[0]['School Name'], 'TU Berlin');
+    assert.throws(() => readLinkedInExport([path.join(dir, 'missing.zip')]), /File not found/);
+});
+
+test('fromLinkedIn builds a config from the export', () => {
+    const { config, stats } = fromLinkedIn({
+        profile: [{ 'First Name': 'Max', 'Last Name': 'Mustermann', Headline: 'Engineer', 'Geo Location': 'Berlin', Websites: '[PORTFOLIO:https://max.dev, OTHER:https://github.com/max]' }],
+        positions: [{ 'Company Name': 'Acme', Title: 'Lead', 'Started On': 'Mar 2021', Description: '- Shipped 3 apps\n- Hired 2 engineers' }],
+        skills: [{ Name: 'Go' }, { Name: 'SQL' }]
+    });
+
+    assert.equal(config.personal.fullName, 'Max Mustermann');
+    assert.equal(config.personal.location.primary, 'Berlin');
+    assert.equal(config.personal.social.github, 'https://github.com/max');
+    assert.equal(config.personal.social.website, 'https://max.dev');
+    assert.deepEqual(config.experience[0], {
+        title: 'Lead', company: 'Acme', location: '', startDate: '2021-03', endDate: 'Present', current: true,
+        achievements: ['Shipped 3 apps', 'Hired 2 engineers']
+    });
+    assert.deepEqual(config.skills.categories, [{ name: 'Skills', icon: 'fa-code', items: ['Go', 'SQL'] }]);
+    assert.deepEqual(stats.experience, { added: 1, updated: 0 });
+    assert.ok(config.settings);
+});
+
+test('fromLinkedIn merges into an existing config without losing curated content', () => {
+    const { config, stats } = fromLinkedIn({ positions: require('../scripts/lib/csv').parseCsv(POSITIONS) }, sampleConfig);
+    const techCorp = config.experience.find(job => job.company === 'TechCorp Inc.');
+
+    assert.deepEqual(stats.experience, { added: 1, updated: 1 });
+    assert.equal(config.experience[0].company, 'NewCo', 'newest first');
+    assert.deepEqual(config.experience[0].achievements, ['Led 4 teams', 'Cut costs by 30%']);
+    assert.equal(techCorp.endDate, '2022-12');
+    assert.deepEqual(techCorp.achievements, sampleConfig.experience[0].achievements, 'hand-written bullets are kept');
+    assert.deepEqual(config.settings, sampleConfig.settings);
+    assert.equal(sampleConfig.experience[0].endDate, 'Present', 'the base config is left untouched');
+});
+
+test('fromLinkedIn skips hidden recommendations and notes disabled sections', () => {
+    const base = { ...sampleConfig, settings: { ...sampleConfig.settings, sectionsEnabled: { ...sampleConfig.settings.sectionsEnabled, testimonials: false } } };
+    const { config, notes } = fromLinkedIn({
+        recommendations: [
+            { 'First Name': 'Ada', 'Last Name': 'L.', Text: 'Great work.', Status: 'VISIBLE' },
+            { 'First Name': 'Bob', 'Last Name': 'K.', Text: 'Hidden.', Status: 'HIDDEN' }
+        ]
+    }, base);
+
+    assert.ok(config.testimonials.some(testimonial => testimonial.author === 'Ada L.'));
+    assert.equal(config.testimonials.some(testimonial => testimonial.author === 'Bob K.'), false);
+    assert.equal(notes.length, 2);
+});
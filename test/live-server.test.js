@@ -0,0 +1,137 @@
+/**
+ * Tests for scripts/lib/live-server.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createLiveServer } = require('../scripts/lib/live-server');
+
+/**
+ * Serve a temporary site; the server is closed and the folder removed after the test
+ */
+async function startServer(t, files) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-site-'));
+    Object.entries(files).forEach(([relativePath, content]) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, relativePath), content);
+    });
+
+    const live = createLiveServer({ rootDir });
+    const port = await live.listen(0, '127.0.0.1');
+    t.after(async () => {
+        await live.close();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+    return { live, port };
+}
+
+function request(port, urlPath, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method }, response => {
+            let body = '';
+            response.setEncoding('utf-8');
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Open the event stream and resolve with the first event named `name`
+ */
+function waitForEvent(port, name, onOpen) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: '/__live-reload' }, response => {
+            let buffer = '';
+            let opened = false;
+            response.setEncoding('utf-8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                const match = buffer.match(new RegExp(`event: ${name}\\ndata: (.*)\\n\\n`));
+                if (match) {
+                    req.destroy();
+                    resolve(JSON.parse(match[1]));
+                } else if (!opened && buffer.startsWith('retry:')) {
+                    opened = true;
+                    onOpen();
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+test('serves built files with their content type', async t => {
+    const { port } = await startServer(t, {
+        'css/styles.css': 'body { color: red; }',
+        'data.json': '{}'
+    });
+
+    const css = await request(port, '/css/styles.css?v=1');
+    assert.equal(css.status, 200);
+    assert.match(css.headers['content-type'], /^text\/css/);
+    assert.equal(css.body, 'body { color: red; }');
+    assert.match((await request(port, '/data.json')).headers['content-type'], /^application\/json/);
+});
+
+test('injects the live reload client into pages', async t => {
+    const { port } = await startServer(t, { 'index.html': '<html><body><h1>Jane</h1></body></html>' });
+
+    const page = await request(port, '/');
+    assert.equal(page.status, 200);
+    assert.equal(page.body, '<html><body><h1>Jane</h1><script src="/__live-reload.js"></script>\n</body></html>');
+
+    const client = await request(port, '/__live-reload.js');
+    assert.equal(client.status, 200);
+    assert.match(client.body, /new EventSource\('\/__live-reload'\)/);
+});
+
+test('answers missing files with the site 404 page or a built-in one', async t => {
+    const { port } = await startServer(t, { 'index.html': '<html><body></body></html>' });
+
+    const missing = await request(port, '/nothing-here');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body, /404 - Not found/);
+
+    const { port: sitePort } = await startServer(t, { '404.html': '<html><body>Lost?</body></html>' });
+    const custom = await request(sitePort, '/nothing-here');
+    assert.equal(custom.status, 404);
+    assert.match(custom.body, /Lost\?/);
+});
+
+test('does not serve files outside the site folder', async t => {
+    const { port } = await startServer(t, { 'index.html': '' });
+
+    const response = await request(port, '/..%2f..%2fetc%2fpasswd');
+    assert.equal(response.status, 404);
+});
+
+test('rejects methods other than GET and HEAD', async t => {
+    const { port } = await startServer(t, { 'index.html': '<p>Hi</p>' });
+
+    assert.equal((await request(port, '/', 'POST')).status, 405);
+    const head = await request(port, '/', 'HEAD');
+    assert.equal(head.status, 200);
+    assert.equal(head.body, '');
+});
+
+test('pushes reload and CSS events to open pages', async t => {
+    const { live, port } = await startServer(t, { 'index.html': '' });
+
+    assert.deepEqual(await waitForEvent(port, 'reload', () => live.reload()), {});
+    assert.deepEqual(await waitForEvent(port, 'css', () => live.updateCss()), {});
+});
+
+test('shows build errors on open pages and on pages that connect later', async t => {
+    const { live, port } = await startServer(t, { 'index.html': '' });
+    const error = { title: 'Build failed', message: 'Unexpected token', file: 'config/resume-data.json', line: 3 };
+
+    assert.deepEqual(await waitForEvent(port, 'build-error', () => live.showError(error)), error);
+    assert.deepEqual(await waitForEvent(port, 'build-error', () => {}), error);
+});
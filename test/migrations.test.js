@@ -0,0 +1,97 @@
+/**
+ * Tests for scripts/lib/migrations.js and scripts/migrate.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateConfig, checkSchemaVersion } = require('../scripts/lib/migrations');
+const { readConfig } = require('../scripts/lib/config-loader');
+const { runMigrate } = require('../scripts/migrate');
+
+test('configs without schemaVersion count as version 1', () => {
+    assert.equal(getSchemaVersion({}), 1);
+    assert.equal(getSchemaVersion({ schemaVersion: 0 }), 1);
+    assert.equal(getSchemaVersion({ schemaVersion: 2 }), 2);
+});
+
+test('migrateConfig turns a string location into { primary, secondary }', () => {
+    const config = { personal: { name: 'Jane', location: 'Berlin' } };
+    const result = migrateConfig(config);
+
+    assert.deepEqual(result.config.personal.location, { primary: 'Berlin', secondary: '' });
+    assert.equal(result.config.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(result.steps[0].changes[0].pointer, '/personal/location');
+    assert.equal(config.personal.location, 'Berlin', 'the input is left untouched');
+});
+
+test('migrateConfig keeps "$schema" first and adds schemaVersion after it', () => {
+    const result = migrateConfig({ $schema: './schema.json', personal: {} });
+    assert.deepEqual(Object.keys(result.config).slice(0, 2), ['$schema', 'schemaVersion']);
+});
+
+test('migrateConfig rejects configs newer than the builder', () => {
+    assert.throws(() => migrateConfig({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), { code: 'CONFIG_TOO_NEW' });
+});
+
+test('checkSchemaVersion returns null for a current config', () => {
+    assert.equal(checkSchemaVersion({ schemaVersion: CURRENT_SCHEMA_VERSION }), null);
+});
+
+test('checkSchemaVersion fails when a breaking step would change the config', () => {
+    const problem = checkSchemaVersion({ personal: { location: 'Berlin' } });
+    assert.equal(problem.severity, 'error');
+    assert.equal(problem.code, 'CONFIG_OUTDATED');
+    assert.match(problem.message, /1 → 2/);
+});
+
+test('checkSchemaVersion only warns when the config already has the current shape', () => {
+    const problem = checkSchemaVersion({ personal: { location: { primary: 'Berlin', secondary: '' } } });
+    assert.equal(problem.severity, 'warning');
+    assert.match(problem.message, /it has no schemaVersion/);
+});
+
+test('checkSchemaVersion only warns when pending steps make defaults explicit', () => {
+    const problem = checkSchemaVersion({
+        personal: { location: { primary: 'Berlin', secondary: '' } },
+        settings: { sectionsEnabled: { projects: false } }
+    });
+    assert.equal(problem.severity, 'warning');
+    assert.match(problem.message, /2 → 3/);
+});
+
+test('checkSchemaVersion only warns for the sample config as it shipped before schemaVersion', () => {
+    const config = JSON.parse(JSON.stringify(require(path.join(__dirname, '../config/resume-data.json'))));
+    delete config.schemaVersion;
+    assert.notEqual(checkSchemaVersion(config).severity, 'error');
+});
+
+test('checkSchemaVersion reports configs newer than the builder', () => {
+    assert.equal(checkSchemaVersion({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }).code, 'CONFIG_TOO_NEW');
+});
+
+test('migrate edits each section of a split config in its own file, keeping comments', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-migrate-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+
+    const configPath = path.join(dir, 'resume-data.yaml');
+    fs.writeFileSync(configPath, '# Jane\'s resume\npersonal:\n  $include: personal.yaml\nsettings:\n  $include: settings.json5\n');
+    fs.writeFileSync(path.join(dir, 'personal.yaml'), '# who\nname: Jane # full name\nlocation: Berlin\n');
+    fs.writeFileSync(path.join(dir, 'settings.json5'), '{\n  // theme\n  theme: "minimal",\n  sectionsEnabled: { projects: false },\n}\n');
+
+    runMigrate({ configPath, dryRun: false });
+
+    assert.equal(fs.readFileSync(configPath, 'utf-8'),
+        `# Jane's resume\n\nschemaVersion: ${CURRENT_SCHEMA_VERSION}\npersonal:\n  $include: personal.yaml\nsettings:\n  $include: settings.json5\n`);
+    assert.match(fs.readFileSync(path.join(dir, 'personal.yaml'), 'utf-8'), /^# who\nname: Jane # full name\nlocation:\n/);
+    assert.match(fs.readFileSync(path.join(dir, 'settings.json5'), 'utf-8'), /\/\/ theme\n {2}theme: "minimal"/);
+    assert.ok(fs.existsSync(path.join(dir, 'personal.backup.yaml')));
+
+    const { config } = readConfig(configPath);
+    assert.deepEqual(config.personal.location, { primary: 'Berlin', secondary: '' });
+    assert.deepEqual(config.settings.sectionsEnabled, { projects: false, experience: true, education: true });
+    assert.equal(checkSchemaVersion(config), null);
+});
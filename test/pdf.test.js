@@ -0,0 +1,57 @@
+/**
+ * Tests for scripts/lib/pdf.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getPdfSettings, generatePdf } = require('../scripts/lib/pdf');
+
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+const SECTIONS = ['professionalSummary', 'experience', 'education', 'skills', 'projects'].map(id => ({ id }));
+
+test('getPdfSettings merges settings.pdf with the defaults', () => {
+    const settings = getPdfSettings({ settings: { pdf: { pageSize: 'A4', fonts: { regular: 'fonts/body.ttf' } } } });
+
+    assert.equal(settings.enabled, true);
+    assert.equal(settings.fileName, 'resume.pdf');
+    assert.equal(settings.pageSize, 'A4');
+    assert.deepEqual(settings.fonts, { regular: 'fonts/body.ttf' });
+});
+
+test('generatePdf writes a PDF with the resume\'s name in its metadata', async () => {
+    const { buffer, pages, warnings } = await generatePdf(sampleConfig, { sections: SECTIONS });
+    const text = buffer.toString('latin1');
+
+    assert.equal(text.slice(0, 5), '%PDF-');
+    assert.ok(pages >= 1);
+    assert.ok(text.includes('(Jane Developer - Resume)'), 'title');
+    assert.ok(text.includes('(Senior Full Stack Developer)'), 'subject');
+    assert.deepEqual(warnings, []);
+});
+
+test('generatePdf leaves out sections without a PDF layout, with a warning', async () => {
+    const { warnings } = await generatePdf(sampleConfig, { sections: [{ id: 'experience' }, { id: 'custom-awards' }] });
+
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"custom-awards"/);
+});
+
+test('generatePdf falls back to the built-in fonts when a font file is missing', async () => {
+    const config = { ...sampleConfig, settings: { ...sampleConfig.settings, pdf: { fonts: { regular: 'fonts/missing.ttf' } } } };
+    const { buffer, warnings } = await generatePdf(config, { sections: SECTIONS });
+
+    assert.equal(buffer.toString('latin1', 0, 5), '%PDF-');
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /fonts\/missing\.ttf/);
+});
+
+test('longer resumes flow onto more pages', async () => {
+    const experience = Array.from({ length: 12 }, (_, index) => ({ ...sampleConfig.experience[0], company: `Company ${index}` }));
+    const short = await generatePdf({ ...sampleConfig, experience: experience.slice(0, 1) }, { sections: [{ id: 'experience' }] });
+    const long = await generatePdf({ ...sampleConfig, experience }, { sections: [{ id: 'experience' }] });
+
+    assert.equal(short.pages, 1);
+    assert.ok(long.pages > short.pages);
+});
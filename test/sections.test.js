@@ -0,0 +1,43 @@
+/**
+ * Tests for the page navigation in scripts/lib/sections.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNavigationSettings, buildNavigation } = require('../scripts/lib/sections');
+
+const strings = { 'nav.experience': 'Experience', 'nav.skills': 'Skills' };
+const t = key => strings[key] || key;
+
+test('getNavigationSettings merges settings.navigation with the defaults', () => {
+    assert.deepEqual(getNavigationSettings(), { enabled: true });
+    assert.deepEqual(getNavigationSettings({ navigation: { enabled: false } }), { enabled: false });
+});
+
+test('buildNavigation links rendered sections in order with their UI strings', () => {
+    const html = {
+        skills: '<section id="skills">...</section>',
+        experience: '<section id="experience">...</section>',
+        openSource: '<section id="openSource">...</section>'
+    };
+    const sections = ['skills', 'experience', 'openSource'].map(id => ({ id, partial: `sections/${id}` }));
+
+    const { links, warnings } = buildNavigation(sections, section => html[section.id], t);
+
+    assert.deepEqual(links, [
+        { id: 'skills', label: 'Skills' },
+        { id: 'experience', label: 'Experience' },
+        { id: 'openSource', label: 'Open Source' }
+    ]);
+    assert.deepEqual(warnings, []);
+});
+
+test('buildNavigation leaves out empty sections and warns about sections without an anchor', () => {
+    const html = { articles: '\n  \n', custom: '<div class="custom">...</div>' };
+    const sections = ['articles', 'custom'].map(id => ({ id, partial: `sections/${id}` }));
+
+    const { links, warnings } = buildNavigation(sections, section => html[section.id], t);
+
+    assert.deepEqual(links, []);
+    assert.deepEqual(warnings, ['Section "custom" has no element with id="custom" and was left out of the navigation']);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for scripts/lib/skill-links.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { skillKey, buildSkillLinks } = require('../scripts/lib/skill-links');
+
+const config = {
+    skills: { categories: [{ items: ['Node.js', 'C++', 'Go'] }, { items: ['NodeJS', 'Rust'] }] },
+    experience: [
+        { title: 'Engineer', company: 'Acme', technologies: ['nodejs', 'Go', 'Node.js'] },
+        { title: 'Intern', company: 'Initech', technologies: ['c++'] }
+    ],
+    projects: [{ title: 'CLI', technologies: ['Go'] }],
+    articles: [{ title: 'Why Go', tags: ['go'] }]
+};
+
+test('skillKey ignores case and punctuation but keeps + and #', () => {
+    assert.equal(skillKey('Node.js'), skillKey('nodejs'));
+    assert.equal(skillKey('C++'), 'c++');
+    assert.notEqual(skillKey('C#'), skillKey('C'));
+});
+
+test('buildSkillLinks finds where each skill is used', () => {
+    const sections = ['experience', 'projects', 'articles'].map(id => ({ id }));
+    const { skills, used, entries } = buildSkillLinks(config, sections);
+
+    assert.deepEqual(skills['Node.js'], { slug: 'nodejs', count: 1 });
+    assert.deepEqual(skills.NodeJS, skills['Node.js'], 'badges naming the same skill share a record');
+    assert.deepEqual(skills['C++'], { slug: 'cplusplus', count: 1 });
+    assert.deepEqual(skills.Rust, { slug: 'rust', count: 0 });
+
+    assert.deepEqual(used.map(skill => skill.name), ['Node.js', 'C++', 'Go']);
+    assert.deepEqual(used[2].uses, [
+        { anchor: 'experience-1', label: 'Engineer · Acme' },
+        { anchor: 'project-1', label: 'CLI' },
+        { anchor: 'article-1', label: 'Why Go' }
+    ]);
+    assert.deepEqual(entries.experience, [
+        { anchor: 'experience-1', skills: 'nodejs go' },
+        { anchor: 'experience-2', skills: 'cplusplus' }
+    ]);
+});
+
+test('buildSkillLinks only searches sections shown on the page', () => {
+    const { skills, entries } = buildSkillLinks(config, [{ id: 'projects' }]);
+
+    assert.equal(skills.Go.count, 1);
+    assert.equal(skills['Node.js'].count, 0);
+    assert.deepEqual(entries.experience, []);
+    assert.deepEqual(entries.articles, []);
+});
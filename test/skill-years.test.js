@@ -0,0 +1,94 @@
+/**
+ * Tests for scripts/lib/skill-years.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSkillYears, fillSkillYears } = require('../scripts/lib/skill-years');
+
+const NOW = new Date(2024, 11, 1);
+
+function resume({ detailed, experience = [], projects = [], skillYears }) {
+    return {
+        experience,
+        projects,
+        skills: { detailed },
+        settings: skillYears ? { skillYears } : {}
+    };
+}
+
+test('computeSkillYears adds up the jobs listing a skill', () => {
+    const config = resume({
+        detailed: [{ name: 'Node.js' }, { name: 'Go' }],
+        experience: [
+            { startDate: '2020-01', endDate: '2020-12', technologies: ['NodeJS'] },
+            { startDate: '2022-01', endDate: '2022-06', technologies: ['node.js', 'Rust'] }
+        ]
+    });
+    const computed = computeSkillYears(config, { now: NOW });
+
+    assert.deepEqual(computed.get(0), { years: 1.5, months: 18, sources: ['experience[0]', 'experience[1]'] });
+    assert.equal(computed.has(1), false, 'skills no job lists are left out');
+});
+
+test('computeSkillYears counts overlapping months once', () => {
+    const config = resume({
+        detailed: [{ name: 'React' }],
+        experience: [
+            { startDate: '2020-01', endDate: '2021-06', technologies: ['React'] },
+            { startDate: '2021-01', endDate: '2021-12', technologies: ['React'] }
+        ]
+    });
+    assert.equal(computeSkillYears(config, { now: NOW }).get(0).months, 24);
+});
+
+test('computeSkillYears counts a current job up to now and skips undated ones', () => {
+    const config = resume({
+        detailed: [{ name: 'AWS' }],
+        experience: [
+            { startDate: '2024-01', endDate: 'Present', technologies: ['AWS'] },
+            { title: 'Undated', technologies: ['AWS'] }
+        ]
+    });
+    const computed = computeSkillYears(config, { now: NOW }).get(0);
+    assert.equal(computed.months, 12);
+    assert.deepEqual(computed.sources, ['experience[0]']);
+});
+
+test('computeSkillYears counts projects only when asked', () => {
+    const config = resume({
+        detailed: [{ name: 'Docker' }],
+        projects: [{ startDate: '2019-01', endDate: '2019-12', technologies: ['Docker'] }]
+    });
+    assert.equal(computeSkillYears(config, { now: NOW }).size, 0);
+    assert.equal(computeSkillYears(config, { includeProjects: true, now: NOW }).get(0).months, 12);
+});
+
+test('fillSkillYears fills missing years, rounded to half a year', () => {
+    const config = resume({
+        detailed: [{ name: 'Python' }, { name: 'Go', years: 4 }],
+        experience: [{ startDate: '2020-01', endDate: '2020-10', technologies: ['Python', 'Go'] }]
+    });
+    const detailed = fillSkillYears(config);
+
+    assert.equal(detailed[0].years, 1);
+    assert.equal(detailed[1].years, 4);
+    assert.equal(config.skills.detailed[0].years, undefined, 'the config is left untouched');
+});
+
+test('fillSkillYears gives at least half a year', () => {
+    const config = resume({
+        detailed: [{ name: 'Go' }],
+        experience: [{ startDate: '2020-01', endDate: '2020-01', technologies: ['Go'] }]
+    });
+    assert.equal(fillSkillYears(config)[0].years, 0.5);
+});
+
+test('fillSkillYears follows settings.skillYears.fill', () => {
+    const options = {
+        detailed: [{ name: 'Go', years: 10 }],
+        experience: [{ startDate: '2020-01', endDate: '2021-12', technologies: ['Go'] }]
+    };
+    assert.equal(fillSkillYears(resume({ ...options, skillYears: { fill: 'always' } }))[0].years, 2);
+    assert.equal(fillSkillYears(resume({ ...options, skillYears: { fill: 'never' } }))[0].years, 10);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for scripts/lib/structured-data.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildStructuredData, validateStructuredData, serializeStructuredData } = require('../scripts/lib/structured-data');
+
+const sampleConfig = require(path.join(__dirname, '../config/resume-data.json'));
+
+const ALL_SECTIONS = ['experience', 'education', 'skills', 'certifications', 'projects', 'articles'].map(id => ({ id }));
+
+test('buildStructuredData describes a ProfilePage about a Person', () => {
+    const document = buildStructuredData(sampleConfig, ALL_SECTIONS);
+    const [page, person] = document['@graph'];
+    const siteUrl = sampleConfig.settings.seo.canonicalUrl.replace(/\/$/, '');
+
+    assert.equal(document['@context'], 'https://schema.org');
+    assert.equal(page['@type'], 'ProfilePage');
+    assert.deepEqual(page.mainEntity, { '@id': `${siteUrl}/#person` });
+    assert.equal(person.name, sampleConfig.personal.fullName);
+    assert.deepEqual(person.worksFor, [{ '@type': 'Organization', name: 'TechCorp Inc.' }], 'only current employers');
+    assert.ok(person.knowsAbout.includes('React'));
+    assert.equal(person.hasCredential.length, sampleConfig.certifications.length);
+    assert.equal(document['@graph'].filter(node => node['@type'] === 'Article').length, sampleConfig.articles.length);
+});
+
+test('the sample resume produces valid structured data', () => {
+    assert.deepEqual(validateStructuredData(buildStructuredData(sampleConfig, ALL_SECTIONS)), []);
+});
+
+test('buildStructuredData only describes sections shown on the page', () => {
+    const [, person, ...rest] = buildStructuredData(sampleConfig, [{ id: 'skills' }])['@graph'];
+
+    assert.equal(person.worksFor, undefined);
+    assert.equal(person.hasCredential, undefined);
+    assert.deepEqual(rest, []);
+});
+
+test('buildStructuredData leaves out empty values', () => {
+    const document = buildStructuredData({ personal: { fullName: 'Jane', email: '' } }, []);
+    const person = document['@graph'][1];
+
+    assert.equal('email' in person, false);
+    assert.equal('homeLocation' in person, false);
+});
+
+test('validateStructuredData reports unknown types, properties, values and references', () => {
+    const problems = validateStructuredData({
+        '@context': 'https://schema.org',
+        '@graph': [
+            { '@type': 'Person', name: 'Jane', favoriteColor: 'blue', url: 'not a url', worksFor: { '@type': 'Place', name: 'Home' } },
+            { '@type': 'Spaceship' },
+            { '@type': 'Article', author: { '@id': '#nobody' }, timeRequired: '5 minutes' }
+        ]
+    });
+
+    assert.deepEqual(problems, [
+        '@graph[0]: "favoriteColor" is not a property of Person',
+        '@graph[0].url: expected URL, got "not a url"',
+        '@graph[0].worksFor: expected Organization, got Place',
+        '@graph[1]: unknown type "Spaceship"',
+        '@graph[2].author: unknown node reference #nobody',
+        '@graph[2].timeRequired: expected Duration, got "5 minutes"'
+    ]);
+});
+
+test('serializeStructuredData keeps config text from closing the script element', () => {
+    const json = serializeStructuredData({ name: '</script><script>alert(1)</script>' });
+
+    assert.equal(json.includes('</script>'), false);
+    assert.equal(JSON.parse(json).name, '</script><script>alert(1)</script>');
+});
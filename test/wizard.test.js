@@ -0,0 +1,91 @@
+/**
+ * Tests for the non-interactive mode of scripts/wizard.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runWizard, collectAnswers, applyAnswers } = require('../scripts/wizard');
+const { createDefaultSettings, createEmptyConfig } = require('../scripts/lib/config-file');
+const { readConfig } = require('../scripts/lib/config-loader');
+
+const THEMES = ['default', 'minimal'];
+
+/**
+ * Empty config with starter settings, as the wizard creates one
+ */
+function starterConfig() {
+    return { ...createEmptyConfig(), settings: createDefaultSettings() };
+}
+
+test('collectAnswers lets flags win over the environment and the environment over the file', () => {
+    const fileSet = { answers: { fullName: 'From File', title: 'Engineer', color: 'red' }, label: 'answers.yaml' };
+    const env = { RESUME_FULL_NAME: 'From Env', RESUME_EMAIL: 'jane@example.com', HOME: '/home/jane' };
+    const flags = { email: 'flag@example.com' };
+
+    const { answers, errors } = collectAnswers(fileSet, env, flags);
+
+    assert.deepEqual(answers.fullName, { value: 'From Env', source: 'RESUME_FULL_NAME' });
+    assert.deepEqual(answers.title, { value: 'Engineer', source: '"title" in answers.yaml' });
+    assert.deepEqual(answers.email, { value: 'flag@example.com', source: '--email' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^answers\.yaml: unknown answer "color"/);
+});
+
+test('applyAnswers fills a new config and takes defaults for the rest', () => {
+    const config = starterConfig();
+    const { answers } = collectAnswers(null, {}, {
+        fullName: 'Jane Doe',
+        title: 'Engineer',
+        email: 'jane@example.com',
+        location: 'Berlin',
+        github: 'https://github.com/jane'
+    });
+
+    assert.deepEqual(applyAnswers(config, answers, { creating: true, themes: THEMES }), []);
+    assert.equal(config.personal.fullName, 'Jane Doe');
+    assert.equal(config.personal.location.primary, 'Berlin');
+    assert.equal(config.personal.social.github, 'https://github.com/jane');
+    assert.equal(config.summary.professional, 'Add your professional summary here.');
+    assert.equal(config.settings.theme, 'default');
+});
+
+test('applyAnswers lists every missing or invalid answer with where it came from', () => {
+    const { answers } = collectAnswers(null, { RESUME_EMAIL: 'not-an-email' }, { theme: 'fancy', fullName: 'Jane' });
+
+    const errors = applyAnswers(starterConfig(), answers, { creating: true, themes: THEMES });
+
+    assert.equal(errors.length, 4);
+    assert.match(errors.find(error => error.startsWith('Missing')), /professional title \(pass --title, set RESUME_TITLE/);
+    assert.ok(errors.some(error => /^RESUME_EMAIL: "not-an-email"/.test(error)));
+    assert.ok(errors.some(error => /^--theme: "fancy" is not one of: default, minimal/.test(error)));
+});
+
+test('applyAnswers only changes what is answered when editing', () => {
+    const config = starterConfig();
+    config.personal.fullName = 'Jane Doe';
+    const { answers } = collectAnswers(null, {}, { title: 'Staff Engineer' });
+
+    assert.deepEqual(applyAnswers(config, answers, { creating: false, themes: THEMES }), []);
+    assert.equal(config.personal.fullName, 'Jane Doe');
+    assert.equal(config.personal.title, 'Staff Engineer');
+    assert.equal(config.personal.email, '');
+});
+
+test('runWizard writes a config from the answers without prompting, or nothing when they are invalid', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-wizard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    const configPath = path.join(dir, 'resume-data.yaml');
+    const answers = { fullName: 'Jane Doe', title: 'Engineer', email: 'jane@example.com', location: 'Berlin' };
+
+    await assert.rejects(runWizard({ configPath, env: {}, answers: { ...answers, email: 'nope' } }), { code: 'WIZARD_ANSWERS_INVALID' });
+    assert.equal(fs.existsSync(configPath), false);
+
+    assert.deepEqual(await runWizard({ configPath, env: {}, answers }), [configPath]);
+    const { config } = readConfig(configPath);
+    assert.equal(config.personal.fullName, 'Jane Doe');
+    assert.equal(config.settings.seo.title, 'Jane Doe - Engineer');
+});
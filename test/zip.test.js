@@ -0,0 +1,57 @@
+/**
+ * Tests for scripts/lib/zip.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc32, createZip, readZip } = require('../scripts/lib/zip');
+const { listEntries } = require('./helpers');
+
+test('crc32 matches the IEEE check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip stores every entry, in order, with its checksum', () => {
+    const zip = createZip([
+        { name: '[Content_Types].xml', data: '<Types/>' },
+        { name: 'word/document.xml', data: Buffer.from('<w:document>ü</w:document>') },
+        { name: 'empty.txt', data: '' }
+    ]);
+    const entries = listEntries(zip);
+
+    assert.deepEqual(entries.map(entry => entry.name), ['[Content_Types].xml', 'word/document.xml', 'empty.txt']);
+    assert.equal(entries[1].data.toString('utf-8'), '<w:document>ü</w:document>');
+    entries.forEach(entry => assert.equal(entry.crc, crc32(entry.data)));
+});
+
+test('createZip writes the same bytes for the same input and date', () => {
+    const date = new Date(2024, 0, 2, 3, 4, 6);
+    const entries = [{ name: 'a.txt', data: 'same' }];
+    assert.deepEqual(createZip(entries, { date }), createZip(entries, { date }));
+});
+
+test('readZip reads back what createZip writes', () => {
+    const files = readZip(createZip([
+        { name: 'Positions.csv', data: 'Company Name,Title\nAcme,Lead\n' },
+        { name: 'Ünïcode.txt', data: 'ok' }
+    ]));
+
+    assert.deepEqual(files.map(file => file.name), ['Positions.csv', 'Ünïcode.txt']);
+    assert.equal(files[0].data.toString('utf-8'), 'Company Name,Title\nAcme,Lead\n');
+});
+
+test('readZip skips folder entries', () => {
+    const files = readZip(createZip([{ name: 'export/', data: '' }, { name: 'export/a.txt', data: 'inside' }]));
+
+    assert.deepEqual(files.map(file => file.name), ['export/a.txt']);
+    assert.equal(files[0].data.toString('utf-8'), 'inside');
+});
+
+test('readZip rejects files that aren\'t ZIP archives or are damaged', () => {
+    assert.throws(() => readZip(Buffer.from('not a zip file at all, just some text')), /Not a ZIP archive/);
+
+    const zip = createZip([{ name: 'a.txt', data: 'some content to damage' }]);
+    zip[30 + 'a.txt'.length + 1] ^= 0xff; // a byte of the compressed data, after the local header and name
+    assert.throws(() => readZip(zip), /Corrupt ZIP archive|invalid|incorrect/i);
+});
@@ -0,0 +1,494 @@
+/**
+ * Resume Website - Main JavaScript
+ * Handles animations, smooth scrolling, and interactive features
+ */
+
+// Wait for DOM to be fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize all features
+    initSmoothScrolling();
+    initProgressBarAnimations();
+    initScrollAnimations();
+    initColorSchemeToggle();
+    initMobileMenu();
+    initScrollSpy();
+    initDeepLinks();
+    initSkillLinks();
+
+    console.log('Resume website loaded successfully!');
+});
+
+/**
+ * Enable smooth scrolling for anchor links; the address bar shows the
+ * section (#experience) so the link can be shared and Back returns to it
+ */
+function initSmoothScrolling() {
+    // Skill badges filter the page instead (see initSkillLinks)
+    const links = document.querySelectorAll('a[href^="#"]:not(.skill-link)');
+
+    links.forEach(link => {
+        link.addEventListener('click', function(e) {
+            const targetId = this.getAttribute('href');
+
+            // Skip if it's just "#"
+            if (targetId === '#') return;
+
+            const targetElement = document.getElementById(decodeURIComponent(targetId.slice(1)));
+
+            if (targetElement) {
+                e.preventDefault();
+                if (location.hash !== targetId) {
+                    history.pushState(null, '', targetId);
+                }
+                scrollToSection(targetElement, 'smooth');
+            }
+        });
+    });
+}
+
+/**
+ * Scroll to a section and move keyboard focus there
+ */
+function scrollToSection(section, behavior) {
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    section.scrollIntoView({
+        behavior: reduceMotion ? 'auto' : behavior,
+        block: 'start'
+    });
+
+    if (!section.hasAttribute('tabindex')) {
+        section.setAttribute('tabindex', '-1');
+    }
+    section.focus({ preventScroll: true });
+}
+
+/**
+ * Section named in the address bar (#experience), if the page has it
+ */
+function sectionFromHash() {
+    if (location.hash.length < 2) return null;
+    return document.getElementById(decodeURIComponent(location.hash.slice(1)));
+}
+
+/**
+ * Open the page at the section in the address bar, and follow Back and Forward
+ */
+function initDeepLinks() {
+    // Images and fonts loading after the first jump move the section; jump again once they are in
+    window.addEventListener('load', function() {
+        const section = sectionFromHash();
+        if (section) scrollToSection(section, 'auto');
+    });
+
+    window.addEventListener('popstate', function() {
+        const section = sectionFromHash();
+        if (section) {
+            scrollToSection(section, 'smooth');
+        } else if (!location.hash) {
+            window.scrollTo({ top: 0 });
+        }
+    });
+}
+
+/**
+ * Highlight the navigation link of the section being read
+ */
+function initScrollSpy() {
+    const nav = document.querySelector('.section-nav');
+    if (!nav) return;
+
+    const links = Array.from(nav.querySelectorAll('a[href^="#"]'));
+    const targets = links
+        .map(link => ({ link, section: document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1))) }))
+        .filter(target => target.section);
+    if (targets.length === 0) return;
+
+    let scheduled = false;
+
+    function update() {
+        scheduled = false;
+        // The current section is the last one whose top has passed below the navigation
+        const line = nav.getBoundingClientRect().bottom + 16;
+        let current = null;
+        targets.forEach(target => {
+            if (target.section.getBoundingClientRect().top <= line) current = target;
+        });
+
+        // At the bottom of the page the last sections may never reach the line
+        if (window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2) {
+            current = targets[targets.length - 1];
+        }
+
+        targets.forEach(target => {
+            if (target === current) {
+                target.link.setAttribute('aria-current', 'location');
+            } else {
+                target.link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    window.addEventListener('scroll', function() {
+        if (!scheduled) {
+            scheduled = true;
+            window.requestAnimationFrame(update);
+        }
+    }, { passive: true });
+    window.addEventListener('resize', update);
+    update();
+}
+
+/**
+ * Animate skill progress bars when they come into view
+ */
+function initProgressBarAnimations() {
+    const progressBars = document.querySelectorAll('.progress-fill');
+
+    if (progressBars.length === 0) return;
+
+    const observerOptions = {
+        threshold: 0.5,
+        rootMargin: '0px'
+    };
+
+    const observer = new IntersectionObserver(function(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const progressBar = entry.target;
+                const width = progressBar.style.width;
+
+                // Reset and animate
+                progressBar.style.width = '0%';
+                setTimeout(() => {
+                    progressBar.style.width = width;
+                }, 100);
+
+                // Only animate once
+                observer.unobserve(progressBar);
+            }
+        });
+    }, observerOptions);
+
+    progressBars.forEach(bar => observer.observe(bar));
+}
+
+/**
+ * Add fade-in animations for sections as they scroll into view
+ */
+function initScrollAnimations() {
+    const sections = document.querySelectorAll('section');
+
+    if (sections.length === 0) return;
+
+    // Add initial styles
+    sections.forEach(section => {
+        section.style.opacity = '0';
+        section.style.transform = 'translateY(20px)';
+        section.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+    });
+
+    const observerOptions = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -100px 0px'
+    };
+
+    const observer = new IntersectionObserver(function(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.style.opacity = '1';
+                entry.target.style.transform = 'translateY(0)';
+
+                // Stop observing once animated
+                observer.unobserve(entry.target);
+            }
+        });
+    }, observerOptions);
+
+    sections.forEach(section => observer.observe(section));
+}
+
+/**
+ * Handle print functionality
+ * This is called by the "Download Resume" button
+ */
+window.printResume = function() {
+    window.print();
+};
+
+/**
+ * Light/dark switch in the header; the choice is stored and applied by the
+ * script in the page head before the next visit paints
+ */
+function initColorSchemeToggle() {
+    const button = document.querySelector('.color-scheme-toggle');
+    if (!button) return;
+
+    const root = document.documentElement;
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+
+    // Dark when picked here, or when nothing was picked and the page starts dark
+    function isDark() {
+        const chosen = root.getAttribute('data-color-scheme');
+        if (chosen) return chosen === 'dark';
+        return getComputedStyle(root).colorScheme === 'dark';
+    }
+
+    function update() {
+        button.setAttribute('aria-pressed', String(isDark()));
+    }
+
+    button.addEventListener('click', function() {
+        const scheme = isDark() ? 'light' : 'dark';
+        root.setAttribute('data-color-scheme', scheme);
+        try {
+            localStorage.setItem('color-scheme', scheme);
+        } catch (error) {
+            // Storage can be unavailable (private browsing); the choice lasts for this page
+        }
+        update();
+    });
+
+    media.addEventListener('change', update);
+    button.hidden = false;
+    update();
+}
+
+/**
+ * Add hover effects to project cards
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const projectCards = document.querySelectorAll('.project-item, .testimonial-card');
+
+    projectCards.forEach(card => {
+        card.addEventListener('mouseenter', function() {
+            this.style.transform = 'translateY(-5px)';
+        });
+
+        card.addEventListener('mouseleave', function() {
+            this.style.transform = 'translateY(0)';
+        });
+    });
+});
+
+/**
+ * Skill badges: highlight the experience entries, projects and articles that
+ * use the skill, dim the rest, and list them under the badges
+ */
+function initSkillLinks() {
+    const section = document.querySelector('.skills');
+    const badges = Array.from(document.querySelectorAll('.skill-link'));
+    if (!section || badges.length === 0) return;
+
+    const entries = Array.from(document.querySelectorAll('.experience-item, .project-item, .blog-post'));
+    const panels = Array.from(section.querySelectorAll('.skill-uses'));
+    let active = null;
+
+    // Panels are shown by script from here on, not by :target
+    section.classList.add('skill-filter');
+
+    function select(slug) {
+        active = slug;
+
+        badges.forEach(badge => {
+            if (badge.dataset.skill === slug) {
+                badge.setAttribute('aria-current', 'true');
+            } else {
+                badge.removeAttribute('aria-current');
+            }
+        });
+
+        panels.forEach(panel => panel.classList.toggle('active', panel.dataset.skill === slug));
+
+        entries.forEach(entry => {
+            const uses = (entry.dataset.skills || '').split(' ').includes(slug);
+            entry.classList.toggle('skill-match', Boolean(slug) && uses);
+            entry.classList.toggle('skill-dimmed', Boolean(slug) && !uses);
+        });
+
+        // Keep the filter in the address bar so it can be shared
+        const hash = slug ? '#skill-' + slug : '';
+        if (location.hash !== hash && (slug || location.hash.indexOf('#skill-') === 0)) {
+            history.replaceState(null, '', hash || location.pathname + location.search);
+        }
+    }
+
+    badges.forEach(badge => {
+        badge.addEventListener('click', function(e) {
+            e.preventDefault();
+            select(active === badge.dataset.skill ? null : badge.dataset.skill);
+        });
+    });
+
+    panels.forEach(panel => {
+        const clear = panel.querySelector('.skill-uses-clear');
+        clear.hidden = false;
+        clear.addEventListener('click', function() {
+            const badge = badges.find(item => item.dataset.skill === active);
+            select(null);
+            if (badge) badge.focus();
+        });
+    });
+
+    // Opened from a shared link such as #skill-react
+    if (location.hash.indexOf('#skill-') === 0) {
+        const slug = decodeURIComponent(location.hash.slice('#skill-'.length));
+        if (badges.some(badge => badge.dataset.skill === slug)) select(slug);
+    }
+}
+
+/**
+ * On small screens, fold the section navigation into a menu button
+ */
+function initMobileMenu() {
+    const nav = document.querySelector('.section-nav');
+    if (!nav) return;
+
+    const button = nav.querySelector('.section-nav-toggle');
+    const mobile = window.matchMedia('(max-width: 768px)');
+
+    function setOpen(open) {
+        nav.classList.toggle('open', open);
+        button.setAttribute('aria-expanded', String(open));
+    }
+
+    function handleResize() {
+        nav.classList.toggle('collapsible', mobile.matches);
+        button.hidden = !mobile.matches;
+        setOpen(false);
+    }
+
+    button.addEventListener('click', function() {
+        setOpen(!nav.classList.contains('open'));
+    });
+
+    // Close after picking a section, on Escape and when focus or a click leaves the menu
+    nav.addEventListener('click', function(e) {
+        if (e.target.closest('.section-nav-links a')) setOpen(false);
+    });
+
+    nav.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && nav.classList.contains('open')) {
+            setOpen(false);
+            button.focus();
+        }
+    });
+
+    nav.addEventListener('focusout', function(e) {
+        if (!nav.contains(e.relatedTarget)) setOpen(false);
+    });
+
+    document.addEventListener('click', function(e) {
+        if (!nav.contains(e.target)) setOpen(false);
+    });
+
+    mobile.addEventListener('change', handleResize);
+    handleResize(); // Initial call
+}
+
+/**
+ * Add "Back to Top" button functionality (optional)
+ */
+function initBackToTop() {
+    const button = document.createElement('button');
+    // The build adds "#icon-fas-arrow-up" to the page's icon sprite
+    button.innerHTML = '<svg class="icon" viewBox="0 0 384 512" aria-hidden="true" focusable="false"><use href="#icon-fas-arrow-up"></use></svg>';
+    button.className = 'back-to-top';
+    button.style.cssText = `
+        position: fixed;
+        bottom: 30px;
+        right: 30px;
+        width: 50px;
+        height: 50px;
+        border-radius: 50%;
+        background-color: var(--primary-color);
+        color: var(--on-primary);
+        border: none;
+        cursor: pointer;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+        z-index: 1000;
+        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    `;
+
+    document.body.appendChild(button);
+
+    // Show/hide button based on scroll position
+    window.addEventListener('scroll', function() {
+        if (window.pageYOffset > 300) {
+            button.style.opacity = '1';
+        } else {
+            button.style.opacity = '0';
+        }
+    });
+
+    // Scroll to top on click
+    button.addEventListener('click', function() {
+        window.scrollTo({
+            top: 0,
+            behavior: 'smooth'
+        });
+    });
+}
+
+// Initialize back to top button
+document.addEventListener('DOMContentLoaded', initBackToTop);
+
+/**
+ * Track analytics events (placeholder for Google Analytics or similar)
+ */
+function trackEvent(category, action, label) {
+    // If Google Analytics is loaded
+    if (typeof gtag !== 'undefined') {
+        gtag('event', action, {
+            'event_category': category,
+            'event_label': label
+        });
+    }
+
+    console.log('Event tracked:', category, action, label);
+}
+
+// Track download resume clicks
+document.addEventListener('DOMContentLoaded', function() {
+    const downloadButtons = document.querySelectorAll('.btn-primary');
+
+    downloadButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            trackEvent('Resume', 'download', 'PDF');
+        });
+    });
+});
+
+/**
+ * Email obfuscation helper (to prevent spam bots)
+ */
+function deobfuscateEmail(element) {
+    const encoded = element.getAttribute('data-email');
+    if (encoded) {
+        element.href = 'mailto:' + atob(encoded);
+    }
+}
+
+/**
+ * Lazy load images (if needed for performance)
+ */
+function initLazyLoading() {
+    const images = document.querySelectorAll('img[data-src]');
+
+    const imageObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const img = entry.target;
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+                observer.unobserve(img);
+            }
+        });
+    });
+
+    images.forEach(img => imageObserver.observe(img));
+}
+
+// Console message
+console.log('%c Resume Website Builder ', 'background: #2563eb; color: white; padding: 5px 10px; border-radius: 3px;');
+console.log('Built with Resume Website Builder - https://github.com/your-repo');